@@ -13,6 +13,8 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./config/swagger');
 const cron = require('node-cron');
 const Events = require('./models/Events');
+const loanOverdueService = require('./services/loanOverdueService');
+const interestAccrualService = require('./services/interestAccrualService');
 
 const config = require('./config');
 const { connectDB } = require('./config/database');
@@ -26,9 +28,14 @@ const authRoutes = require('./routes/authRoutes');
 const charityFundRoutes = require('./routes/charityFundRoutes');
 const chitfundRoutes = require('./routes/chitfundRoutes');
 const emergencyFundRoutes = require('./routes/emergencyFundRoutes');
+const emergencyPaymentRoutes = require('./routes/emergencyPayments');
+const emergencyClaimRoutes = require('./routes/emergencyClaimRoutes');
 const eventsRoutes = require('./routes/eventsRoutes');
 const financialYearRoutes = require('./routes/financialYearRoutes');
 const loanRoutes = require('./routes/loanRoutes');
+const loanStaffRoutes = require('./routes/loanStaffRoutes');
+const payrollRoutes = require('./routes/payrollRoutes');
+const interestAccrualRoutes = require('./routes/interestAccrualRoutes');
 
 const app = express();
 
@@ -343,9 +350,14 @@ app.use('/api/users', userRoutes);
 app.use('/api/charity-funds', charityFundRoutes);
 app.use('/api/chitfunds', chitfundRoutes);
 app.use('/api/emergency-funds', emergencyFundRoutes);
+app.use('/api/emergency-payments', emergencyPaymentRoutes);
+app.use('/api/emergency-claims', emergencyClaimRoutes);
 app.use('/api/events', eventsRoutes);
 app.use('/api/financial-years', financialYearRoutes);
+app.use('/api/loans/staff', loanStaffRoutes);
 app.use('/api/loans', loanRoutes);
+app.use('/api/payroll', payrollRoutes);
+app.use('/api/interest-accruals', interestAccrualRoutes);
 
 // Schedule job to run every day at 11:59 PM
 cron.schedule('59 23 * * *', async () => {
@@ -371,6 +383,31 @@ cron.schedule('59 23 * * *', async () => {
     }
 });
 
+// Schedule job to check overdue loans every day at 12:30 AM
+cron.schedule('30 0 * * *', async () => {
+    try {
+        const run = await loanOverdueService.runOverdueCheck();
+        if (run.changes.length > 0) {
+            console.log(`[CRON] Overdue check changed ${run.changes.length} loans, defaulted ${run.defaultedCount}`);
+        }
+    } catch (err) {
+        console.error('[CRON] Error running loan overdue check:', err);
+    }
+});
+
+// Schedule job to accrue last month's loan and chit interest every day at 12:45 AM
+// Months already accrued are skipped; each run also picks up interest received since the last one
+cron.schedule('45 0 * * *', async () => {
+    try {
+        const summary = await interestAccrualService.runAccruals();
+        if (summary.loansAccrued + summary.chitsAccrued > 0) {
+            console.log(`[CRON] Accrued ${summary.totalAccrued} interest for ${summary.month}/${summary.year} on ${summary.loansAccrued} loans and ${summary.chitsAccrued} chits`);
+        }
+    } catch (err) {
+        console.error('[CRON] Error running interest accrual:', err);
+    }
+});
+
 // 404 handler
 app.use(notFound);
 
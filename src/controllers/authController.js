@@ -1,6 +1,7 @@
 const asyncHandler = require('../helpers/asyncHandler');
 const ResponseHandler = require('../helpers/responseHandler');
 const AuthService = require('../services/authService');
+const loanStaffService = require('../services/loanStaffService');
 const { body, validationResult } = require('express-validator');
 
 class AuthController {
@@ -63,7 +64,10 @@ class AuthController {
     static getMe = asyncHandler(async (req, res) => {
         const user = await AuthService.getCurrentUser(req.user.id);
 
-        return ResponseHandler.success(res, user, 'User profile retrieved');
+        // Loans the member guarantees are read fresh rather than cached with the profile
+        const guarantees = await loanStaffService.getGuaranteesByStaff(req.user.id);
+
+        return ResponseHandler.success(res, { ...user, guarantees }, 'User profile retrieved');
     });
 
     // @desc    Update user profile
@@ -1,5 +1,9 @@
 const { validationResult } = require('express-validator');
 const chitfundService = require('../services/chitfundService');
+const chitAuctionService = require('../services/chitAuctionService');
+const chitDrawService = require('../services/chitDrawService');
+const chitCollectionService = require('../services/chitCollectionService');
+const chitPayoutService = require('../services/chitPayoutService');
 
 class ChitfundController {
     async createChitfund(req, res) {
@@ -21,7 +25,7 @@ class ChitfundController {
                 data: chitfund
             });
         } catch (error) {
-            res.status(400).json({
+            res.status(error.statusCode || 400).json({
                 success: false,
                 message: error.message
             });
@@ -86,7 +90,7 @@ class ChitfundController {
                 data: chitfund
             });
         } catch (error) {
-            res.status(404).json({
+            res.status(error.statusCode || 404).json({
                 success: false,
                 message: error.message
             });
@@ -145,11 +149,11 @@ class ChitfundController {
 
     async addStaffToChitfund(req, res) {
         try {
-            const chitfund = await chitfundService.addStaffToChitfund(req.params.id, req.params.staffId);
+            const chitfund = await chitfundService.addStaffToChitfund(req.params.id, req.body.staffIds);
 
             res.status(200).json({
                 success: true,
-                message: 'Staff member added to chitfund successfully',
+                message: 'Staff added to chitfund successfully',
                 data: chitfund
             });
         } catch (error) {
@@ -162,11 +166,11 @@ class ChitfundController {
 
     async removeStaffFromChitfund(req, res) {
         try {
-            const chitfund = await chitfundService.removeStaffFromChitfund(req.params.id, req.params.staffId);
+            const chitfund = await chitfundService.removeStaffFromChitfund(req.params.id, req.body.staffIds);
 
             res.status(200).json({
                 success: true,
-                message: 'Staff member removed from chitfund successfully',
+                message: 'Staff removed from chitfund successfully',
                 data: chitfund
             });
         } catch (error) {
@@ -177,6 +181,219 @@ class ChitfundController {
         }
     }
 
+    async getChitMembers(req, res) {
+        try {
+            const members = await chitfundService.getChitMembers(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Chitfund members retrieved successfully',
+                data: members
+            });
+        } catch (error) {
+            res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getTakenMembers(req, res) {
+        try {
+            const members = await chitfundService.getChitMembers(req.params.id, 'taken');
+
+            res.status(200).json({
+                success: true,
+                message: 'Members who have taken the chit retrieved successfully',
+                data: members
+            });
+        } catch (error) {
+            res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getPendingMembers(req, res) {
+        try {
+            const members = await chitfundService.getChitMembers(req.params.id, 'pending');
+
+            res.status(200).json({
+                success: true,
+                message: 'Members yet to take the chit retrieved successfully',
+                data: members
+            });
+        } catch (error) {
+            res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async openAuction(req, res) {
+        try {
+            const auction = await chitAuctionService.openAuction(req.params.id, req.body.auctionMonth, req.user._id);
+
+            res.status(201).json({
+                success: true,
+                message: 'Auction opened for bidding',
+                data: auction
+            });
+        } catch (error) {
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getAuctions(req, res) {
+        try {
+            const auctions = await chitAuctionService.getAuctions(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Auctions retrieved successfully',
+                data: auctions
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getAuctionById(req, res) {
+        try {
+            const auction = await chitAuctionService.getAuctionById(req.params.id, req.params.auctionId);
+
+            res.status(200).json({
+                success: true,
+                message: 'Auction retrieved successfully',
+                data: auction
+            });
+        } catch (error) {
+            res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async placeBid(req, res) {
+        try {
+            // Admins and managers may record a bid on behalf of a member
+            const canBidForOthers = ['admin', 'manager'].includes(req.user.role);
+            const staffId = canBidForOthers && req.body.staffId ? req.body.staffId : req.user._id;
+
+            const auction = await chitAuctionService.placeBid(
+                req.params.id,
+                req.params.auctionId,
+                { staffId, discountAmount: req.body.discountAmount },
+                req.user._id
+            );
+
+            res.status(201).json({
+                success: true,
+                message: 'Bid placed successfully',
+                data: auction
+            });
+        } catch (error) {
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async closeAuction(req, res) {
+        try {
+            const auction = await chitAuctionService.closeAuction(req.params.id, req.params.auctionId, req.user._id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Auction closed successfully',
+                data: auction
+            });
+        } catch (error) {
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async runDraw(req, res) {
+        try {
+            const draw = await chitDrawService.runDraw(req.params.id, req.body.drawMonth, req.user._id);
+
+            res.status(201).json({
+                success: true,
+                message: 'Draw completed successfully',
+                data: draw
+            });
+        } catch (error) {
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getDraws(req, res) {
+        try {
+            const draws = await chitDrawService.getDraws(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Draws retrieved successfully',
+                data: draws
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async verifyDraw(req, res) {
+        try {
+            const verification = await chitDrawService.verifyDraw(req.params.id, req.params.drawId);
+
+            res.status(200).json({
+                success: true,
+                message: verification.verified ? 'Draw verified' : 'Draw could not be verified',
+                data: verification
+            });
+        } catch (error) {
+            res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async startChitfund(req, res) {
+        try {
+            const chitfund = await chitfundService.startChitfund(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Chitfund started successfully',
+                data: chitfund
+            });
+        } catch (error) {
+            res.status(error.statusCode || 404).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
     async completeChitfund(req, res) {
         try {
             const chitfund = await chitfundService.completeChitfund(req.params.id);
@@ -187,7 +404,7 @@ class ChitfundController {
                 data: chitfund
             });
         } catch (error) {
-            res.status(404).json({
+            res.status(error.statusCode || 404).json({
                 success: false,
                 message: error.message
             });
@@ -211,6 +428,111 @@ class ChitfundController {
         }
     }
 
+    async transferSeat(req, res) {
+        try {
+            const transfer = await chitfundService.transferSeat(req.params.id, req.body, req.user._id);
+
+            res.status(201).json({
+                success: true,
+                message: 'Chit seat transferred successfully',
+                data: transfer
+            });
+        } catch (error) {
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getTransfers(req, res) {
+        try {
+            const transfers = await chitfundService.getTransfers(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Chit transfers retrieved successfully',
+                data: transfers
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async createPayout(req, res) {
+        try {
+            const payout = await chitPayoutService.createPayout(req.params.id, req.body, req.user);
+
+            res.status(201).json({
+                success: true,
+                message: 'Chit payout recorded successfully',
+                data: payout
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getPayouts(req, res) {
+        try {
+            const payouts = await chitPayoutService.getPayouts(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Chit payouts retrieved successfully',
+                data: payouts
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getCollectionSheet(req, res) {
+        try {
+            const sheet = await chitCollectionService.getCollectionSheet(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Collection sheet retrieved successfully',
+                data: sheet
+            });
+        } catch (error) {
+            res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getDefaulters(req, res) {
+        try {
+            const report = await chitCollectionService.getDefaulters({
+                month: req.query.month,
+                financeYearId: req.query.financeYearId
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Chit defaulters retrieved successfully',
+                data: report
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
     async getChitfundsWithSummary(req, res) {
         try {
             const chitfunds = await chitfundService.getChitfundsWithSummary(req.query.financeYearId);
@@ -0,0 +1,143 @@
+const { validationResult } = require('express-validator');
+const emergencyClaimService = require('../services/emergencyClaimService');
+const { getClaimDocumentPath, deleteClaimDocuments } = require('../middleware/upload');
+
+class EmergencyClaimController {
+    async raiseClaim(req, res) {
+        const documents = req.files || [];
+
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                await deleteClaimDocuments(documents.map(file => file.filename));
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array()
+                });
+            }
+
+            const claim = await emergencyClaimService.raiseClaim(req.body, documents, req.user);
+
+            res.status(201).json({
+                success: true,
+                message: 'Emergency claim raised and sent for committee approval',
+                data: claim
+            });
+        } catch (error) {
+            await deleteClaimDocuments(documents.map(file => file.filename));
+
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getClaims(req, res) {
+        try {
+            const filters = {
+                fundId: req.query.fundId,
+                status: req.query.status
+            };
+
+            const claims = await emergencyClaimService.getClaims(filters, req.user);
+
+            res.status(200).json({
+                success: true,
+                message: 'Emergency claims retrieved successfully',
+                data: claims
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getClaimById(req, res) {
+        try {
+            const claim = await emergencyClaimService.getClaimById(req.params.id, req.user);
+
+            res.status(200).json({
+                success: true,
+                message: 'Emergency claim retrieved successfully',
+                data: claim
+            });
+        } catch (error) {
+            res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getClaimDocument(req, res) {
+        try {
+            const document = await emergencyClaimService.getClaimDocument(req.params.id, req.params.documentId, req.user);
+
+            res.download(getClaimDocumentPath(document.fileName), document.originalName);
+        } catch (error) {
+            res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async approveClaim(req, res) {
+        try {
+            const claim = await emergencyClaimService.approveClaim(req.params.id, req.user, req.body.comments);
+
+            res.status(200).json({
+                success: true,
+                message: claim.status === 'approved'
+                    ? `Emergency claim approved for ${claim.approvedAmount}`
+                    : 'Approval recorded, awaiting further committee approval',
+                data: claim
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async rejectClaim(req, res) {
+        try {
+            const claim = await emergencyClaimService.rejectClaim(req.params.id, req.user, req.body.comments);
+
+            res.status(200).json({
+                success: true,
+                message: 'Emergency claim rejected',
+                data: claim
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async disburseClaim(req, res) {
+        try {
+            const claim = await emergencyClaimService.disburseClaim(req.params.id, req.body, req.user);
+
+            res.status(200).json({
+                success: true,
+                message: 'Emergency claim paid out and fund closed',
+                data: claim
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = new EmergencyClaimController();
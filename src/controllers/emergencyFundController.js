@@ -115,6 +115,66 @@ class EmergencyFundController {
         }
     }
 
+    async getBehindScheduleFunds(req, res) {
+        try {
+            const funds = await emergencyFundService.getBehindScheduleFunds(req.query.financeYearId);
+
+            res.status(200).json({
+                success: true,
+                message: 'Behind-schedule emergency funds retrieved successfully',
+                data: funds
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getArrearsReport(req, res) {
+        try {
+            const report = await emergencyFundService.getArrearsReport(req.query.financeYearId);
+
+            res.status(200).json({
+                success: true,
+                message: 'Emergency fund arrears report retrieved successfully',
+                data: report
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getArrearsStatement(req, res) {
+        try {
+            // Staff may only view their own arrears statement
+            const canViewOthers = ['admin', 'manager'].includes(req.user.role);
+            if (!canViewOthers && req.params.staffId !== req.user._id.toString()) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You can only view your own arrears statement'
+                });
+            }
+
+            const statement = await emergencyFundService.getArrearsStatement(req.params.staffId);
+
+            res.status(200).json({
+                success: true,
+                message: 'Emergency fund arrears statement retrieved successfully',
+                data: statement
+            });
+        } catch (error) {
+            res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
     async closeEmergencyFund(req, res) {
         try {
             const emergencyFund = await emergencyFundService.closeEmergencyFund(req.params.id);
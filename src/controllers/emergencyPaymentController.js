@@ -0,0 +1,73 @@
+const emergencyPaymentService = require('../services/emergencyPaymentService');
+
+class EmergencyPaymentController {
+    async recordPayment(req, res) {
+        try {
+            const payment = await emergencyPaymentService.recordPayment(req.body);
+
+            res.status(201).json({
+                success: true,
+                message: 'Emergency fund payment recorded successfully',
+                data: payment
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async recordCatchUpPayment(req, res) {
+        try {
+            const result = await emergencyPaymentService.recordCatchUpPayment(req.body);
+
+            res.status(201).json({
+                success: true,
+                message: `Catch-up payment applied to ${result.allocations.length} month(s), oldest first`,
+                data: result
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getPaymentHistory(req, res) {
+        try {
+            const payments = await emergencyPaymentService.getPaymentHistory(req.params.fundId, req.query);
+
+            res.status(200).json({
+                success: true,
+                message: 'Emergency fund payments retrieved successfully',
+                data: payments
+            });
+        } catch (error) {
+            res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getTotalPaid(req, res) {
+        try {
+            const total = await emergencyPaymentService.getTotalPaid(req.params.fundId);
+
+            res.status(200).json({
+                success: true,
+                message: 'Emergency fund total retrieved successfully',
+                data: total
+            });
+        } catch (error) {
+            res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = new EmergencyPaymentController();
@@ -0,0 +1,67 @@
+const interestAccrualService = require('../services/interestAccrualService');
+
+class InterestAccrualController {
+    async runAccruals(req, res) {
+        try {
+            const summary = await interestAccrualService.runAccruals({
+                month: req.body.month,
+                year: req.body.year,
+                triggeredBy: req.user._id
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Interest accrual completed',
+                data: summary
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getAccruals(req, res) {
+        try {
+            const filters = {
+                financeYearId: req.query.financeYearId,
+                sourceType: req.query.sourceType,
+                status: req.query.status,
+                staffId: req.query.staffId
+            };
+
+            const accruals = await interestAccrualService.getAccruals(filters);
+
+            res.status(200).json({
+                success: true,
+                message: 'Interest accruals retrieved successfully',
+                data: accruals
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getInterestReport(req, res) {
+        try {
+            const report = await interestAccrualService.getInterestReport(req.params.financeYearId);
+
+            res.status(200).json({
+                success: true,
+                message: 'Interest report retrieved successfully',
+                data: report
+            });
+        } catch (error) {
+            res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = new InterestAccrualController();
@@ -1,5 +1,6 @@
 const { validationResult } = require('express-validator');
 const loanService = require('../services/loanService');
+const loanEligibilityService = require('../services/loanEligibilityService');
 
 class LoanController {
     async createLoan(req, res) {
@@ -279,6 +280,32 @@ class LoanController {
             });
         }
     }
+
+    async getLoanEligibility(req, res) {
+        try {
+            // Staff may only check their own eligibility
+            const canViewOthers = ['admin', 'manager'].includes(req.user.role);
+            if (!canViewOthers && req.params.staffId !== req.user._id.toString()) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You can only check your own loan eligibility'
+                });
+            }
+
+            const eligibility = await loanEligibilityService.getEligibility(req.params.staffId);
+
+            res.status(200).json({
+                success: true,
+                message: 'Loan eligibility retrieved successfully',
+                data: eligibility
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
 }
 
 module.exports = new LoanController(); 
\ No newline at end of file
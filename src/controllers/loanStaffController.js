@@ -0,0 +1,490 @@
+const loanStaffService = require('../services/loanStaffService');
+const loanOverdueService = require('../services/loanOverdueService');
+
+class LoanStaffController {
+    async applyForLoan(req, res) {
+        try {
+            // Admins and managers may apply on behalf of a staff member and set the interest percentage;
+            // everyone else gets the rate from the settings
+            const canApplyForOthers = ['admin', 'manager'].includes(req.user.role);
+            const staffId = canApplyForOthers && req.body.staffId ? req.body.staffId : req.user._id;
+            const loanInterestPercentage = canApplyForOthers ? req.body.loanInterestPercentage : undefined;
+
+            const loanStaff = await loanStaffService.applyForLoan({ ...req.body, staffId, loanInterestPercentage });
+
+            res.status(201).json({
+                success: true,
+                message: loanStaff.loanStatus === 'waitlisted'
+                    ? 'Loan scheme is full, application added to the waitlist'
+                    : 'Loan application submitted successfully',
+                data: loanStaff
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getAllLoanStaff(req, res) {
+        try {
+            const filters = {
+                financeYearId: req.query.financeYearId,
+                loanId: req.query.loanId,
+                staffId: req.query.staffId,
+                loanStatus: req.query.loanStatus
+            };
+
+            const loanStaff = await loanStaffService.getAllLoanStaff(filters);
+
+            res.status(200).json({
+                success: true,
+                message: 'Loan applications retrieved successfully',
+                data: loanStaff
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getLoanStaffById(req, res) {
+        try {
+            await loanStaffService.assertCanView(req.params.id, req.user);
+
+            const loanStaff = await loanStaffService.getLoanStaffById(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Loan application retrieved successfully',
+                data: loanStaff
+            });
+        } catch (error) {
+            res.status(error.statusCode || 404).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getPendingApprovals(req, res) {
+        try {
+            const loanStaff = await loanStaffService.getPendingApprovals(req.user._id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Pending approvals retrieved successfully',
+                data: loanStaff
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async approveLoanStaff(req, res) {
+        try {
+            const loanStaff = await loanStaffService.approveLoanStaff(req.params.id, req.user._id, req.body.comments);
+
+            res.status(200).json({
+                success: true,
+                message: loanStaff.loanStatus === 'approved'
+                    ? 'Loan approved by both authorities'
+                    : 'Loan approval recorded, awaiting second authority',
+                data: loanStaff
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async rejectLoanStaff(req, res) {
+        try {
+            const loanStaff = await loanStaffService.rejectLoanStaff(req.params.id, req.user._id, req.body.comments);
+
+            res.status(200).json({
+                success: true,
+                message: 'Loan rejected successfully',
+                data: loanStaff
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async activateLoanStaff(req, res) {
+        try {
+            const loanStaff = await loanStaffService.activateLoanStaff(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Loan activated successfully',
+                data: loanStaff
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getLoanSchedule(req, res) {
+        try {
+            await loanStaffService.assertCanView(req.params.id, req.user);
+
+            const schedule = await loanStaffService.getLoanSchedule(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Loan schedule retrieved successfully',
+                data: schedule
+            });
+        } catch (error) {
+            res.status(error.statusCode || 404).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async recordRepayment(req, res) {
+        try {
+            const result = await loanStaffService.recordRepayment(req.params.id, req.body, req.user._id);
+
+            res.status(201).json({
+                success: true,
+                message: result.loanStaff.loanStatus === 'completed'
+                    ? 'Repayment recorded, loan fully repaid'
+                    : 'Repayment recorded successfully',
+                data: result
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async restructureLoan(req, res) {
+        try {
+            const loanStaff = await loanStaffService.restructureLoan(req.params.id, req.body, req.user._id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Loan restructured successfully',
+                data: loanStaff
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getTermsHistory(req, res) {
+        try {
+            await loanStaffService.assertCanView(req.params.id, req.user);
+
+            const history = await loanStaffService.getTermsHistory(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Loan terms history retrieved successfully',
+                data: history
+            });
+        } catch (error) {
+            res.status(error.statusCode || 404).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getRepayments(req, res) {
+        try {
+            await loanStaffService.assertCanView(req.params.id, req.user);
+
+            const repayments = await loanStaffService.getRepayments(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Repayments retrieved successfully',
+                data: repayments
+            });
+        } catch (error) {
+            res.status(error.statusCode || 404).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async requestTopup(req, res) {
+        try {
+            const loanStaff = await loanStaffService.requestTopup(req.params.id, req.body, req.user);
+
+            res.status(201).json({
+                success: true,
+                message: 'Top-up request submitted successfully',
+                data: loanStaff
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getPendingTopupApprovals(req, res) {
+        try {
+            const loanStaff = await loanStaffService.getPendingTopupApprovals(req.user._id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Pending top-up approvals retrieved successfully',
+                data: loanStaff
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async approveTopup(req, res) {
+        try {
+            const loanStaff = await loanStaffService.approveTopup(req.params.id, req.user._id, req.body.comments);
+            const topupTaken = !loanStaff.getPendingTopup();
+
+            res.status(200).json({
+                success: true,
+                message: topupTaken
+                    ? 'Top-up approved by both authorities and added to the loan'
+                    : 'Top-up approval recorded, awaiting second authority',
+                data: loanStaff
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async rejectTopup(req, res) {
+        try {
+            const loanStaff = await loanStaffService.rejectTopup(req.params.id, req.user._id, req.body.comments);
+
+            res.status(200).json({
+                success: true,
+                message: 'Top-up rejected successfully',
+                data: loanStaff
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getForeclosureQuote(req, res) {
+        try {
+            await loanStaffService.assertCanView(req.params.id, req.user);
+
+            const settlementDate = req.query.settlementDate ? new Date(req.query.settlementDate) : new Date();
+            const quote = await loanStaffService.getForeclosureQuote(req.params.id, settlementDate);
+
+            res.status(200).json({
+                success: true,
+                message: 'Foreclosure quote retrieved successfully',
+                data: quote
+            });
+        } catch (error) {
+            res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async forecloseLoan(req, res) {
+        try {
+            const result = await loanStaffService.forecloseLoan(req.params.id, req.body, req.user._id);
+
+            res.status(201).json({
+                success: true,
+                message: 'Loan foreclosed and settled successfully',
+                data: result
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async addGuarantor(req, res) {
+        try {
+            const loanStaff = await loanStaffService.addGuarantor(req.params.id, req.body.guarantorId, req.user);
+
+            res.status(200).json({
+                success: true,
+                message: 'Guarantor added, awaiting their consent',
+                data: loanStaff
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async acceptGuarantee(req, res) {
+        try {
+            const loanStaff = await loanStaffService.respondToGuarantee(req.params.id, req.user._id, 'accepted', req.body.comments);
+
+            res.status(200).json({
+                success: true,
+                message: 'Guarantee accepted successfully',
+                data: loanStaff
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async declineGuarantee(req, res) {
+        try {
+            const loanStaff = await loanStaffService.respondToGuarantee(req.params.id, req.user._id, 'declined', req.body.comments);
+
+            res.status(200).json({
+                success: true,
+                message: 'Guarantee declined successfully',
+                data: loanStaff
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getGuarantees(req, res) {
+        try {
+            // Staff may only view their own guarantees
+            const canViewOthers = ['admin', 'manager'].includes(req.user.role);
+            if (!canViewOthers && req.params.staffId !== req.user._id.toString()) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You can only view your own guarantees'
+                });
+            }
+
+            const guarantees = await loanStaffService.getGuaranteesByStaff(req.params.staffId);
+
+            res.status(200).json({
+                success: true,
+                message: 'Guarantees retrieved successfully',
+                data: guarantees
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getGuarantorExposure(req, res) {
+        try {
+            const report = await loanStaffService.getGuarantorExposureReport();
+
+            res.status(200).json({
+                success: true,
+                message: 'Guarantor exposure retrieved successfully',
+                data: report
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async runOverdueCheck(req, res) {
+        try {
+            const run = await loanOverdueService.runOverdueCheck({ triggeredBy: req.user._id });
+
+            res.status(200).json({
+                success: true,
+                message: 'Overdue check completed successfully',
+                data: run
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getOverdueLoans(req, res) {
+        try {
+            const loanStaff = await loanOverdueService.getOverdueLoans();
+
+            res.status(200).json({
+                success: true,
+                message: 'Overdue loans retrieved successfully',
+                data: loanStaff
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getOverdueRuns(req, res) {
+        try {
+            const runs = await loanOverdueService.getRuns(parseInt(req.query.limit) || 20);
+
+            res.status(200).json({
+                success: true,
+                message: 'Overdue runs retrieved successfully',
+                data: runs
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = new LoanStaffController();
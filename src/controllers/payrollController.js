@@ -0,0 +1,107 @@
+const payrollService = require('../services/payrollService');
+
+class PayrollController {
+    async generateDeductions(req, res) {
+        try {
+            const batch = await payrollService.generateDeductions(req.body.financeYearId, req.body.month, req.user._id);
+
+            res.status(201).json({
+                success: true,
+                message: 'Payroll deductions generated successfully',
+                data: batch
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getDeductions(req, res) {
+        try {
+            const filters = {
+                financeYearId: req.query.financeYearId,
+                status: req.query.status
+            };
+
+            const batches = await payrollService.getDeductions(filters);
+
+            res.status(200).json({
+                success: true,
+                message: 'Payroll deductions retrieved successfully',
+                data: batches
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async getDeductionById(req, res) {
+        try {
+            const batch = await payrollService.getDeductionById(req.params.id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Payroll deduction batch retrieved successfully',
+                data: batch
+            });
+        } catch (error) {
+            res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async exportDeductions(req, res) {
+        try {
+            const file = await payrollService.exportDeductions(req.params.id, req.query.format);
+
+            res.set({
+                'Content-Type': `${file.contentType}; charset=utf-8`,
+                'Content-Disposition': `attachment; filename="${file.filename}"`
+            });
+            res.status(200).send(file.content);
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+
+    async importConfirmation(req, res) {
+        try {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Confirmation file is required'
+                });
+            }
+
+            const result = await payrollService.importConfirmation(
+                req.params.id,
+                req.file.buffer.toString('utf8'),
+                req.body.format,
+                req.user._id
+            );
+
+            res.status(200).json({
+                success: true,
+                message: 'Payroll confirmation imported successfully',
+                data: result
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = new PayrollController();
@@ -0,0 +1,43 @@
+const LoanScheduleHelper = require('./loanScheduleHelper');
+
+class ChitAuctionHelper {
+    // Total collected in a chit month: one instalment from every member
+    static potAmount(chitAmount, memberCount) {
+        return LoanScheduleHelper.round(chitAmount * memberCount);
+    }
+
+    // Largest discount a bid may offer on a pot
+    static maxDiscount(potAmount, maxDiscountPercentage) {
+        return LoanScheduleHelper.round((potAmount * maxDiscountPercentage) / 100);
+    }
+
+    // Highest discount wins; on a tie the earlier bid wins
+    static pickWinner(bids) {
+        return [...bids].sort((a, b) => b.discountAmount - a.discountAmount || new Date(a.bidAt) - new Date(b.bidAt))[0] || null;
+    }
+
+    // Split the winning discount equally among every other member, in whole paise
+    // Paise that cannot be split evenly are returned as the remainder
+    static splitDividend(discountAmount, memberIds, winnerId) {
+        const recipients = memberIds.filter(id => id.toString() !== winnerId.toString());
+
+        if (recipients.length === 0 || discountAmount <= 0) {
+            return { perMember: 0, dividends: [], remainder: LoanScheduleHelper.round(Math.max(discountAmount, 0)) };
+        }
+
+        const perMember = Math.floor(Math.round(discountAmount * 100) / recipients.length) / 100;
+
+        return {
+            perMember,
+            dividends: recipients.map(staffId => ({ staffId, amount: perMember })),
+            remainder: LoanScheduleHelper.round(discountAmount - perMember * recipients.length)
+        };
+    }
+
+    // Month a dividend is applied to: the month after the auction
+    static nextMonth(month) {
+        return month === 12 ? 1 : month + 1;
+    }
+}
+
+module.exports = ChitAuctionHelper;
@@ -0,0 +1,63 @@
+const LoanScheduleHelper = require('./loanScheduleHelper');
+
+class ChitCollectionHelper {
+    // A chit runs one month per member (at most a year, as months are recorded 1-12; chitfunds are
+    // limited to 12 members so the cap never cuts a chit short), starting in the month it started. Returns each chit month with its calendar year
+    static chitMonths(chitStarted, memberCount) {
+        const started = new Date(chitStarted);
+        const duration = Math.min(Math.max(memberCount, 1), 12);
+
+        return Array.from({ length: duration }, (_, index) => {
+            const date = new Date(started.getFullYear(), started.getMonth() + index, 1);
+            return { month: date.getMonth() + 1, year: date.getFullYear() };
+        });
+    }
+
+    // Chit months that have started on or before asOf
+    static dueMonths(chitStarted, memberCount, asOf = new Date()) {
+        const date = new Date(asOf);
+        const cutoff = new Date(date.getFullYear(), date.getMonth(), 1);
+
+        return this.chitMonths(chitStarted, memberCount)
+            .filter(({ month, year }) => new Date(year, month - 1, 1) <= cutoff);
+    }
+
+    // Collections a seat received for one month, merged into one; a transferred seat can hold
+    // a payment from each of its holders. Returns null when nothing was collected
+    static combine(collections) {
+        if (collections.length <= 1) {
+            return collections[0] || null;
+        }
+
+        const latest = collections.reduce((last, item) => (item.createdAt > last.createdAt ? item : last));
+
+        return {
+            collectionAmount: LoanScheduleHelper.round(collections.reduce((sum, item) => sum + item.collectionAmount, 0)),
+            collectionBy: latest.collectionBy,
+            createdAt: latest.createdAt
+        };
+    }
+
+    // Sheet cell for a member's month: what was expected, what was paid and the shortfall
+    // Months not yet due carry no shortfall
+    static cell(expected, collection, isDue = true) {
+        const paid = collection ? collection.collectionAmount : 0;
+        const shortfall = isDue ? LoanScheduleHelper.round(Math.max(expected - paid, 0)) : 0;
+
+        let status = isDue ? 'unpaid' : 'upcoming';
+        if (paid > 0) {
+            status = paid < expected ? 'partial' : 'paid';
+        }
+
+        return {
+            expected,
+            paid,
+            shortfall,
+            status,
+            collectionBy: collection ? collection.collectionBy : null,
+            collectedAt: collection ? collection.createdAt : null
+        };
+    }
+}
+
+module.exports = ChitCollectionHelper;
@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+
+class ChitDrawHelper {
+    // Random seed a draw is made with
+    static generateSeed() {
+        return crypto.randomBytes(16).toString('hex');
+    }
+
+    // Candidates in a fixed order, by staff ID, so the draw does not depend on query order
+    static orderCandidates(staffIds) {
+        return staffIds.map(id => id.toString()).sort();
+    }
+
+    // SHA-256 hex digest of "seed:chitfundId:month"
+    static digest(seed, chitfundId, month) {
+        return crypto.createHash('sha256').update(`${seed}:${chitfundId}:${month}`).digest('hex');
+    }
+
+    // Pick the winner: the digest read as an integer, modulo the number of candidates,
+    // indexes into the ordered candidates. Anyone holding the seed can repeat this
+    static draw(seed, chitfundId, month, staffIds) {
+        const candidates = this.orderCandidates(staffIds);
+
+        if (candidates.length === 0) {
+            throw new Error('No candidates to draw from');
+        }
+
+        const digest = this.digest(seed, chitfundId, month);
+        const winnerIndex = Number(BigInt(`0x${digest}`) % BigInt(candidates.length));
+
+        return { candidates, digest, winnerIndex, winnerId: candidates[winnerIndex] };
+    }
+}
+
+module.exports = ChitDrawHelper;
@@ -0,0 +1,26 @@
+const LoanScheduleHelper = require('./loanScheduleHelper');
+
+class ChitFeeHelper {
+    // Foreman commission on a pot: a percentage of it, or a fixed amount
+    static commission(potAmount, commissionType, commissionValue) {
+        if (!commissionValue) return 0;
+
+        return commissionType === 'fixed'
+            ? LoanScheduleHelper.round(commissionValue)
+            : LoanScheduleHelper.round((potAmount * commissionValue) / 100);
+    }
+
+    // What a member is paid: the amount taken less commission and registration fee
+    static payout(takenAmount, potAmount, { commissionType, commissionValue, registrationFee }) {
+        const commissionAmount = this.commission(potAmount, commissionType, commissionValue);
+        const registrationFeeAmount = LoanScheduleHelper.round(registrationFee || 0);
+
+        return {
+            commissionAmount,
+            registrationFeeAmount,
+            netAmount: LoanScheduleHelper.round(takenAmount - commissionAmount - registrationFeeAmount)
+        };
+    }
+}
+
+module.exports = ChitFeeHelper;
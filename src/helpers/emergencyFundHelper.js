@@ -0,0 +1,140 @@
+const LoanScheduleHelper = require('./loanScheduleHelper');
+
+class EmergencyFundHelper {
+    // Months a fund should have paid by asOf: every month that has ended since it was created, up to totalMonths
+    static expectedMonths(createdAt, totalMonths, asOf = new Date()) {
+        const created = new Date(createdAt);
+        const date = new Date(asOf);
+        const elapsed = (date.getFullYear() * 12 + date.getMonth()) - (created.getFullYear() * 12 + created.getMonth());
+
+        return Math.min(Math.max(elapsed, 0), totalMonths);
+    }
+
+    // A fund is complete once every month is paid and the target amount is reached
+    static isComplete(paidMonths, totalMonths, totalPaid, targetAmount) {
+        return paidMonths >= totalMonths && totalPaid >= targetAmount;
+    }
+
+    // Contribution rules of a fund: its own rules where set, otherwise the club-wide settings
+    static contributionRules(fundRules, settings) {
+        const rules = fundRules || {};
+        const pick = (rule, setting) => (rules[rule] !== null && rules[rule] !== undefined ? rules[rule] : settings[setting]);
+
+        return {
+            minContribution: pick('minContribution', 'emergencyMinContribution'),
+            maxContribution: pick('maxContribution', 'emergencyMaxContribution'),
+            paymentStartDay: pick('paymentStartDay', 'emergencyPaymentStartDay'),
+            paymentEndDay: pick('paymentEndDay', 'emergencyPaymentEndDay'),
+            lateFee: pick('lateFee', 'emergencyLateFee'),
+            countPartialPayments: pick('countPartialPayments', 'emergencyCountPartialPayments')
+        };
+    }
+
+    // Contribution expected each month: the instalment, raised to the minimum and capped at the maximum
+    static expectedContribution(instalment, rules) {
+        const expected = Math.max(instalment, rules.minContribution);
+        return LoanScheduleHelper.round(rules.maxContribution ? Math.min(expected, rules.maxContribution) : expected);
+    }
+
+    // Whether a month's payment counts towards paidMonths
+    static countsAsPaid(amount, rules) {
+        return rules.countPartialPayments ? amount > 0 : amount >= rules.minContribution;
+    }
+
+    // Whether a date falls on one of the days of the month contributions are accepted
+    static isPaymentDay(date, rules) {
+        const day = new Date(date).getDate();
+        return day >= rules.paymentStartDay && day <= rules.paymentEndDay;
+    }
+
+    // A contribution is late when it is paid in a calendar month after the one it is for
+    static isLate(month, year, paidAt) {
+        const date = new Date(paidAt);
+        return date.getFullYear() * 12 + date.getMonth() > year * 12 + (month - 1);
+    }
+
+    // Calendar months a fund runs for: totalMonths starting with the month it was created
+    static fundMonths(createdAt, totalMonths) {
+        const created = new Date(createdAt);
+
+        return Array.from({ length: Math.max(totalMonths, 0) }, (_, index) => {
+            const date = new Date(created.getFullYear(), created.getMonth() + index, 1);
+            return { month: date.getMonth() + 1, year: date.getFullYear() };
+        });
+    }
+
+    // Only the payments for months the fund runs for
+    static inSchedule(months, payments) {
+        return payments.filter(payment => months.some(({ month, year }) => payment.month === month && payment.year === year));
+    }
+
+    // Month-by-month arrears of a fund, where the first dueCount months are due
+    // A month is settled once its payment counts towards paidMonths; until then it owes the expected
+    // contribution less anything already paid, plus the late fee once it is in arrears
+    static arrears(months, payments, dueCount, instalment, rules) {
+        const expected = this.expectedContribution(instalment, rules);
+
+        const rows = months.map(({ month, year }, index) => {
+            const payment = payments.find(item => item.month === month && item.year === year);
+            const paid = payment ? payment.amountPaid : 0;
+            const isDue = index < dueCount;
+            const settled = this.countsAsPaid(paid, rules);
+            const outstanding = settled ? 0 : LoanScheduleHelper.round(Math.max(expected - paid, 0));
+
+            let status = isDue ? 'unpaid' : 'upcoming';
+            if (settled) {
+                status = 'paid';
+            } else if (paid > 0) {
+                status = 'partial';
+            }
+
+            return {
+                month,
+                year,
+                expected,
+                paid,
+                outstanding,
+                arrears: isDue ? outstanding : 0,
+                lateFee: isDue && outstanding > 0 ? rules.lateFee : 0,
+                status,
+                paidAt: payment ? payment.paidAt : null
+            };
+        });
+
+        const overdue = rows.filter(row => row.arrears > 0);
+
+        return {
+            months: rows,
+            dueMonths: Math.min(dueCount, rows.length),
+            monthsInArrears: overdue.length,
+            arrearsAmount: LoanScheduleHelper.round(overdue.reduce((sum, row) => sum + row.arrears, 0)),
+            lateFees: LoanScheduleHelper.round(overdue.reduce((sum, row) => sum + row.lateFee, 0)),
+            oldestUnpaid: overdue.length ? { month: overdue[0].month, year: overdue[0].year } : null
+        };
+    }
+
+    // Spread a catch-up payment over the unsettled months oldest first, topping each up to what it owes
+    // Returns the part for each month and anything left once every month is settled
+    static allocate(months, amount) {
+        const allocations = [];
+        let remaining = LoanScheduleHelper.round(amount);
+
+        for (const row of months) {
+            if (remaining <= 0) break;
+            if (row.outstanding <= 0) continue;
+
+            const part = Math.min(remaining, row.outstanding);
+            allocations.push({ month: row.month, year: row.year, amount: part });
+            remaining = LoanScheduleHelper.round(remaining - part);
+        }
+
+        return { allocations, remainder: remaining };
+    }
+
+    // A claim pays out everything collected for the fund: the employee's payments and other members' contributions
+    static claimAmount(totalPaid, totalContributed) {
+        return LoanScheduleHelper.round((totalPaid || 0) + (totalContributed || 0));
+    }
+}
+
+module.exports = EmergencyFundHelper;
@@ -0,0 +1,58 @@
+const LoanScheduleHelper = require('./loanScheduleHelper');
+
+class InterestAccrualHelper {
+    // First and last moment of a calendar month (month is 1-12)
+    static period(month, year) {
+        return {
+            month,
+            year,
+            start: new Date(year, month - 1, 1),
+            end: new Date(year, month, 0, 23, 59, 59, 999)
+        };
+    }
+
+    // The calendar month before a date, which is the month an accrual run posts by default
+    static previousMonth(asOf = new Date()) {
+        const date = new Date(asOf);
+        const previous = new Date(date.getFullYear(), date.getMonth() - 1, 1);
+        return this.period(previous.getMonth() + 1, previous.getFullYear());
+    }
+
+    // Interest a loan earns in a month: the interest portion of its instalments falling due in that month
+    static loanInterest(instalments, { start, end }) {
+        const due = instalments.filter(instalment => {
+            const dueDate = new Date(instalment.dueDate);
+            return dueDate >= start && dueDate <= end;
+        });
+
+        return {
+            accrued: LoanScheduleHelper.round(due.reduce((sum, instalment) => sum + instalment.interestAmount, 0)),
+            received: LoanScheduleHelper.round(due.reduce((sum, instalment) => sum + (instalment.interestPaid || 0), 0))
+        };
+    }
+
+    // One month of interest on the amount a member took from a chit, at an annual rate
+    static chitMonthlyInterest(chitTakenAmount, annualRate) {
+        return LoanScheduleHelper.round((chitTakenAmount * annualRate) / 100 / 12);
+    }
+
+    // The date a chit was taken: the first chitTakenMonth on or after the chit started
+    static chitTakenDate(chitStarted, chitTakenMonth) {
+        const started = new Date(chitStarted);
+        const year = chitTakenMonth - 1 < started.getMonth() ? started.getFullYear() + 1 : started.getFullYear();
+        return new Date(year, chitTakenMonth - 1, 1);
+    }
+
+    // Chit interest accrues for every month after the one the chit was taken in
+    static chitAccruesIn(chitStarted, chitTakenMonth, { start }) {
+        return this.chitTakenDate(chitStarted, chitTakenMonth) < new Date(start.getFullYear(), start.getMonth(), 1);
+    }
+
+    // Receipt status of an accrual
+    static status(accruedAmount, receivedAmount) {
+        if (receivedAmount >= accruedAmount) return 'received';
+        return receivedAmount > 0 ? 'partial' : 'accrued';
+    }
+}
+
+module.exports = InterestAccrualHelper;
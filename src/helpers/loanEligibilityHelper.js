@@ -0,0 +1,75 @@
+const LoanScheduleHelper = require('./loanScheduleHelper');
+
+class LoanEligibilityHelper {
+    // Count whole months of service between the join date and a reference date
+    static serviceMonths(joinDate, asOf = new Date()) {
+        const from = new Date(joinDate);
+        const to = new Date(asOf);
+        const months = (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+        return Math.max(to.getDate() < from.getDate() ? months - 1 : months, 0);
+    }
+
+    // Evaluate how much a staff member may borrow under the club settings
+    // openLoans are the member's waitlisted, pending, approved, active and defaulted loans; they count against
+    // maxActiveLoans and their dues against the limits, and a defaulted loan refuses any new loan
+    // Returns the eligible amount, the individual limits and the reasons for any refusal
+    static evaluate({ staff, settings, totalShares = 0, openLoans = [], asOf = new Date() }) {
+        const reasons = [];
+        const serviceMonths = this.serviceMonths(staff.joinDate, asOf);
+        const outstandingDue = LoanScheduleHelper.round(
+            openLoans.reduce((sum, loan) => sum + (loan.loanDueAmount || 0), 0)
+        );
+        const defaultedLoans = openLoans.filter(loan => loan.loanStatus === 'defaulted').length;
+
+        const limits = {
+            scheme: settings.loanMaxAmount,
+            salary: LoanScheduleHelper.round(staff.currentSalary * settings.loanSalaryMultiplier),
+            shares: settings.loanShareMultiplier > 0
+                ? LoanScheduleHelper.round(totalShares * settings.loanShareMultiplier)
+                : null
+        };
+
+        const maxAmount = Math.min(...Object.values(limits).filter(limit => limit !== null));
+        const availableAmount = LoanScheduleHelper.round(Math.max(maxAmount - outstandingDue, 0));
+
+        if (staff.status !== 'active') {
+            reasons.push(`Staff member is ${staff.status}`);
+        }
+
+        if (!settings.isEligibleForLoan(staff.currentSalary)) {
+            reasons.push(`Salary of ${staff.currentSalary} is below the eligibility salary of ${settings.loanElgibility}`);
+        }
+
+        if (serviceMonths < settings.loanMinServiceMonths) {
+            reasons.push(`Membership of ${serviceMonths} months is below the required ${settings.loanMinServiceMonths} months`);
+        }
+
+        if (defaultedLoans > 0) {
+            reasons.push(`Staff member has ${defaultedLoans} defaulted loan(s)`);
+        }
+
+        if (openLoans.length >= settings.maxActiveLoans) {
+            reasons.push(`Staff member already has ${openLoans.length} open loan(s) waitlisted, pending, approved, active or defaulted`);
+        }
+
+        if (availableAmount < settings.loanMinAmount) {
+            reasons.push(`Eligible amount of ${availableAmount} is below the minimum loan amount of ${settings.loanMinAmount}`);
+        }
+
+        const eligible = reasons.length === 0;
+
+        return {
+            eligible,
+            eligibleAmount: eligible ? availableAmount : 0,
+            minAmount: settings.loanMinAmount,
+            limits,
+            outstandingDue,
+            totalShares: LoanScheduleHelper.round(totalShares),
+            serviceMonths,
+            openLoanCount: openLoans.length,
+            reasons
+        };
+    }
+}
+
+module.exports = LoanEligibilityHelper;
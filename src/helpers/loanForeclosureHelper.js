@@ -0,0 +1,53 @@
+const LoanScheduleHelper = require('./loanScheduleHelper');
+
+class LoanForeclosureHelper {
+    // Build the payoff quote of a loan for a settlement date
+    // Interest already due is charged in full, the current period pro rata by days, and future interest is waived
+    static quote({ instalments, settlementDate = new Date(), prepaymentChargePercentage = 0, penaltyAmount = 0 }) {
+        const settleOn = new Date(settlementDate);
+        const ordered = [...instalments].sort((a, b) => a.instalmentNumber - b.instalmentNumber);
+        const allocations = [];
+        let previousDueDate = null;
+
+        for (const instalment of ordered) {
+            const dueDate = new Date(instalment.dueDate);
+            const periodStart = previousDueDate || LoanScheduleHelper.addMonths(dueDate, -1);
+            previousDueDate = dueDate;
+
+            if (instalment.status === 'paid') continue;
+
+            const principal = LoanScheduleHelper.round(instalment.principalAmount - (instalment.principalPaid || 0));
+            const interestDue = LoanScheduleHelper.round(instalment.interestAmount - (instalment.interestPaid || 0));
+            let interest = 0;
+
+            if (dueDate <= settleOn) {
+                interest = interestDue;
+            } else if (periodStart < settleOn) {
+                const accrued = LoanScheduleHelper.round(
+                    (instalment.interestAmount * (settleOn - periodStart)) / (dueDate - periodStart)
+                );
+                interest = Math.max(LoanScheduleHelper.round(accrued - (instalment.interestPaid || 0)), 0);
+            }
+
+            allocations.push({ instalmentNumber: instalment.instalmentNumber, principal, interest });
+        }
+
+        const remainingPrincipal = LoanScheduleHelper.round(allocations.reduce((sum, item) => sum + item.principal, 0));
+        const accruedInterest = LoanScheduleHelper.round(allocations.reduce((sum, item) => sum + item.interest, 0));
+        const prepaymentCharge = LoanScheduleHelper.round((remainingPrincipal * prepaymentChargePercentage) / 100);
+        const penalty = LoanScheduleHelper.round(penaltyAmount);
+
+        return {
+            settlementDate: settleOn,
+            remainingPrincipal,
+            accruedInterest,
+            prepaymentChargePercentage,
+            prepaymentCharge,
+            penaltyAmount: penalty,
+            totalPayoff: LoanScheduleHelper.round(remainingPrincipal + accruedInterest + prepaymentCharge + penalty),
+            allocations
+        };
+    }
+}
+
+module.exports = LoanForeclosureHelper;
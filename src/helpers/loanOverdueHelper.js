@@ -0,0 +1,61 @@
+const LoanScheduleHelper = require('./loanScheduleHelper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class LoanOverdueHelper {
+    // Whole days elapsed between two dates (never negative)
+    static daysBetween(from, to) {
+        return Math.max(Math.floor((new Date(to) - new Date(from)) / DAY_MS), 0);
+    }
+
+    // Compare the instalments due by a date with the amount actually repaid
+    // Repayments are matched to instalments oldest first to find the earliest uncovered due date
+    static assess(instalments, totalRepaid, asOf = new Date()) {
+        const dueInstalments = instalments
+            .filter(instalment => new Date(instalment.dueDate) < new Date(asOf))
+            .sort((a, b) => a.instalmentNumber - b.instalmentNumber);
+
+        let expectedAmount = 0;
+        let oldestOverdueDate = null;
+
+        for (const instalment of dueInstalments) {
+            expectedAmount += instalment.emiAmount;
+
+            if (!oldestOverdueDate && LoanScheduleHelper.round(expectedAmount - totalRepaid) > 0) {
+                oldestOverdueDate = new Date(instalment.dueDate);
+            }
+        }
+
+        const overdueAmount = LoanScheduleHelper.round(Math.max(expectedAmount - totalRepaid, 0));
+
+        return {
+            expectedAmount: LoanScheduleHelper.round(expectedAmount),
+            repaidAmount: LoanScheduleHelper.round(totalRepaid),
+            overdueAmount,
+            oldestOverdueDate: overdueAmount > 0 ? oldestOverdueDate : null,
+            daysPastDue: overdueAmount > 0 ? this.daysBetween(oldestOverdueDate, asOf) : 0
+        };
+    }
+
+    // Penalty interest on an overdue amount for a number of days at an annual rate
+    static penaltyFor(overdueAmount, annualRate, days) {
+        return LoanScheduleHelper.round((overdueAmount * annualRate * days) / 36500);
+    }
+
+    // Work out the penalty to add since the loan was last charged
+    // Only whole days are charged so repeated runs on the same day add nothing
+    static accruePenalty({ overdueAmount, annualRate, oldestOverdueDate, accruedUntil, asOf = new Date() }) {
+        const from = accruedUntil && new Date(accruedUntil) > new Date(oldestOverdueDate)
+            ? new Date(accruedUntil)
+            : new Date(oldestOverdueDate);
+        const days = this.daysBetween(from, asOf);
+
+        return {
+            days,
+            penalty: this.penaltyFor(overdueAmount, annualRate, days),
+            accruedUntil: new Date(from.getTime() + days * DAY_MS)
+        };
+    }
+}
+
+module.exports = LoanOverdueHelper;
@@ -0,0 +1,79 @@
+class LoanScheduleHelper {
+    // Round an amount to 2 decimal places
+    static round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    // Add months to a date, clamping to the last day of the target month
+    static addMonths(date, months) {
+        const source = new Date(date);
+        const target = new Date(source.getFullYear(), source.getMonth() + months, 1);
+        const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+        target.setDate(Math.min(source.getDate(), lastDay));
+        return target;
+    }
+
+    // Calculate the monthly EMI for a principal at an annual interest rate
+    static calculateEmi(principal, annualRate, tenureMonths, interestType = 'flat') {
+        if (interestType === 'reducing' && annualRate > 0) {
+            const monthlyRate = annualRate / 1200;
+            const factor = Math.pow(1 + monthlyRate, tenureMonths);
+            return this.round((principal * monthlyRate * factor) / (factor - 1));
+        }
+
+        const totalInterest = (principal * annualRate * tenureMonths) / 1200;
+        return this.round((principal + totalInterest) / tenureMonths);
+    }
+
+    // Build a month-by-month repayment schedule with principal/interest split
+    // Rounding differences are absorbed by the final instalment
+    static buildSchedule({ principal, annualRate, tenureMonths, interestType = 'flat', startDate = new Date(), startNumber = 1 }) {
+        const schedule = [];
+        const emi = this.calculateEmi(principal, annualRate, tenureMonths, interestType);
+        const flatInterest = this.round((principal * annualRate) / 1200);
+        const flatPrincipal = this.round(principal / tenureMonths);
+        let balance = principal;
+
+        for (let month = 0; month < tenureMonths; month++) {
+            const isLast = month === tenureMonths - 1;
+            const interestAmount = interestType === 'reducing'
+                ? this.round((balance * annualRate) / 1200)
+                : flatInterest;
+            let principalAmount = interestType === 'reducing'
+                ? this.round(emi - interestAmount)
+                : flatPrincipal;
+
+            if (isLast || principalAmount > balance) {
+                principalAmount = this.round(balance);
+            }
+
+            const closingBalance = this.round(balance - principalAmount);
+
+            schedule.push({
+                instalmentNumber: startNumber + month,
+                dueDate: this.addMonths(startDate, month + 1),
+                openingBalance: this.round(balance),
+                emiAmount: this.round(principalAmount + interestAmount),
+                principalAmount,
+                interestAmount,
+                closingBalance
+            });
+
+            balance = closingBalance;
+        }
+
+        return schedule;
+    }
+
+    // Total amount payable (principal + interest) across a schedule
+    static totalPayable(schedule) {
+        return this.round(schedule.reduce((sum, instalment) => sum + instalment.emiAmount, 0));
+    }
+
+    // Total interest across a schedule
+    static totalInterest(schedule) {
+        return this.round(schedule.reduce((sum, instalment) => sum + instalment.interestAmount, 0));
+    }
+}
+
+module.exports = LoanScheduleHelper;
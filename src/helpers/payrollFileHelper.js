@@ -0,0 +1,150 @@
+const AMOUNT_FIELDS = ['loanAmount', 'shareAmount', 'chitAmount', 'emergencyAmount', 'totalAmount'];
+const CSV_COLUMNS = ['employeeId', 'staffName', ...AMOUNT_FIELDS, 'status'];
+
+// Fixed-width detail record layout; amounts are written in paise, zero padded
+const FIXED_WIDTH_LAYOUT = [
+    { field: 'recordType', width: 1 },
+    { field: 'employeeId', width: 12 },
+    { field: 'staffName', width: 30 },
+    ...AMOUNT_FIELDS.map(field => ({ field, width: 12, amount: true })),
+    { field: 'status', width: 10 }
+];
+
+class PayrollFileHelper {
+    // Convert a rupee amount to whole paise
+    static toPaise(amount) {
+        return Math.round((amount || 0) * 100);
+    }
+
+    // Quote a CSV value when it contains a delimiter, quote or line break
+    static escapeCsv(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Split a CSV line into values, honouring quoted values
+    static splitCsvLine(line) {
+        const values = [];
+        let current = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                values.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+
+        values.push(current);
+        return values.map(value => value.trim());
+    }
+
+    // Render deduction lines as CSV with a header row
+    static toCsv(lines) {
+        const rows = lines.map(line => CSV_COLUMNS
+            .map(column => this.escapeCsv(AMOUNT_FIELDS.includes(column) ? (line[column] || 0).toFixed(2) : line[column]))
+            .join(','));
+
+        const file = [CSV_COLUMNS.join(','), ...rows];
+        return `${file.join('\n')}\n`;
+    }
+
+    // Render deduction lines as fixed-width records with a header and trailer
+    // Header: H + period (YYYYMM) + record count (6) + total in paise (15)
+    // Trailer: T + record count (6) + total in paise (15)
+    static toFixedWidth(lines, { month, year }) {
+        const count = String(lines.length).padStart(6, '0');
+        const total = String(lines.reduce((sum, line) => sum + this.toPaise(line.totalAmount), 0)).padStart(15, '0');
+        const period = `${year}${String(month).padStart(2, '0')}`;
+
+        const records = lines.map(line => FIXED_WIDTH_LAYOUT.map(({ field, width, amount }) => {
+            if (field === 'recordType') return 'D';
+            if (amount) return String(this.toPaise(line[field])).padStart(width, '0');
+            return String(line[field] || '').slice(0, width).padEnd(width, ' ');
+        }).join(''));
+
+        const file = [`H${period}${count}${total}`, ...records, `T${count}${total}`];
+        return `${file.join('\n')}\n`;
+    }
+
+    // Parse a payroll confirmation file in either format into rows of rupee amounts
+    static parse(content, format = 'csv') {
+        return format === 'fixed' ? this.parseFixedWidth(content) : this.parseCsv(content);
+    }
+
+    // Parse a CSV confirmation file; the header row decides the column order
+    static parseCsv(content) {
+        const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length === 0) {
+            throw new Error('Confirmation file is empty');
+        }
+
+        const header = this.splitCsvLine(lines[0]);
+        if (!header.includes('employeeId')) {
+            throw new Error('Confirmation file must have an employeeId column');
+        }
+
+        return lines.slice(1).map(line => {
+            const values = this.splitCsvLine(line);
+            const row = {};
+
+            header.forEach((column, index) => {
+                row[column] = AMOUNT_FIELDS.includes(column) ? parseFloat(values[index]) || 0 : values[index] || '';
+            });
+
+            return row;
+        });
+    }
+
+    // Parse a fixed-width confirmation file, checking the trailer record count
+    static parseFixedWidth(content) {
+        const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+        const rows = [];
+        let trailerCount = null;
+
+        for (const line of lines) {
+            if (line[0] === 'T') {
+                trailerCount = parseInt(line.slice(1, 7), 10);
+                continue;
+            }
+
+            if (line[0] !== 'D') continue;
+
+            const row = {};
+            let offset = 0;
+
+            for (const { field, width, amount } of FIXED_WIDTH_LAYOUT) {
+                const value = line.slice(offset, offset + width);
+                offset += width;
+
+                if (field === 'recordType') continue;
+                row[field] = amount ? (parseInt(value, 10) || 0) / 100 : value.trim();
+            }
+
+            rows.push(row);
+        }
+
+        if (trailerCount !== null && trailerCount !== rows.length) {
+            throw new Error(`Trailer expects ${trailerCount} records but the file has ${rows.length}`);
+        }
+
+        return rows;
+    }
+}
+
+module.exports = PayrollFileHelper;
@@ -104,6 +104,78 @@ const processImage = async (req, res, next) => {
 // Avatar upload middleware
 const uploadAvatar = upload.single('avatar');
 
+// Payroll confirmation files are parsed straight from memory
+const payrollFileFilter = (req, file, cb) => {
+    const allowedExtensions = ['.csv', '.txt', '.dat'];
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (!allowedExtensions.includes(ext)) {
+        return cb(new Error('Invalid file extension. Allowed: csv, txt, dat'), false);
+    }
+
+    cb(null, true);
+};
+
+const payrollUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: payrollFileFilter,
+    limits: {
+        fileSize: 2 * 1024 * 1024, // 2MB
+        files: 1
+    }
+});
+
+// Payroll confirmation upload middleware
+const uploadPayrollFile = payrollUpload.single('file');
+
+// Claim documents are kept out of the public folder and only served through the claims API
+const claimDocumentsDir = path.join(__dirname, '../uploads/claims');
+
+const claimDocumentStorage = multer.diskStorage({
+    destination: async (req, file, cb) => {
+        await fs.mkdir(claimDocumentsDir, { recursive: true });
+        cb(null, claimDocumentsDir);
+    },
+    filename: (req, file, cb) => {
+        const uniqueName = `${uuidv4()}-${Date.now()}${path.extname(file.originalname).toLowerCase()}`;
+        cb(null, uniqueName);
+    }
+});
+
+const claimDocumentFilter = (req, file, cb) => {
+    const allowedExtensions = ['.pdf', '.jpg', '.jpeg', '.png'];
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (!allowedExtensions.includes(ext)) {
+        return cb(new Error('Invalid file extension. Allowed: pdf, jpg, jpeg, png'), false);
+    }
+
+    cb(null, true);
+};
+
+const claimDocumentUpload = multer({
+    storage: claimDocumentStorage,
+    fileFilter: claimDocumentFilter,
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB
+    }
+});
+
+// Emergency claim supporting documents upload middleware
+const uploadClaimDocuments = claimDocumentUpload.array('documents', 5);
+
+// Get the stored path of a claim document
+const getClaimDocumentPath = (filename) => path.join(claimDocumentsDir, path.basename(filename));
+
+// Delete claim document files, e.g. when the claim they came with is refused
+const deleteClaimDocuments = async (filenames) => {
+    await Promise.all(filenames.map(async (filename) => {
+        try {
+            await fs.unlink(getClaimDocumentPath(filename));
+        } catch (error) {
+            console.error('Error deleting claim document:', error);
+        }
+    }));
+};
+
 // Error handling middleware for upload errors
 const handleUploadError = (error, req, res, next) => {
     if (error instanceof multer.MulterError) {
@@ -114,6 +186,13 @@ const handleUploadError = (error, req, res, next) => {
                 errors: [{ field: 'avatar', message: 'File size too large' }]
             });
         }
+        if (error.code === 'LIMIT_UNEXPECTED_FILE' && error.field === 'documents') {
+            return res.status(400).json({
+                success: false,
+                message: 'Too many files. At most 5 documents allowed',
+                errors: [{ field: 'documents', message: 'At most 5 documents allowed' }]
+            });
+        }
         if (error.code === 'LIMIT_FILE_COUNT') {
             return res.status(400).json({
                 success: false,
@@ -162,8 +241,12 @@ const getAvatarUrl = (filename) => {
 
 module.exports = {
     uploadAvatar,
+    uploadPayrollFile,
+    uploadClaimDocuments,
     processImage,
     handleUploadError,
     deleteAvatarFile,
-    getAvatarUrl
+    getAvatarUrl,
+    getClaimDocumentPath,
+    deleteClaimDocuments
 }; 
\ No newline at end of file
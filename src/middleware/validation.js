@@ -38,8 +38,8 @@ const validateChitfund = [
         .isLength({ min: 3, max: 100 })
         .withMessage('Chit name must be between 3 and 100 characters'),
     body('chitStaffs')
-        .isArray({ min: 1 })
-        .withMessage('At least one staff member is required'),
+        .isArray({ min: 1, max: 12 })
+        .withMessage('Between 1 and 12 staff members are required'),
     body('chitStaffs.*')
         .isMongoId()
         .withMessage('Valid staff ID is required'),
@@ -50,8 +50,25 @@ const validateChitfund = [
         .isFloat({ min: 0 })
         .withMessage('Chit amount must be a positive number'),
     body('chitStatus')
+        .optional()
         .isIn(['created', 'on-going', 'completed'])
         .withMessage('Valid chit status is required'),
+    body('selectionMethod')
+        .optional()
+        .isIn(['auction', 'draw'])
+        .withMessage('Selection method must be auction or draw'),
+    body('commissionType')
+        .optional()
+        .isIn(['percentage', 'fixed'])
+        .withMessage('Commission type must be percentage or fixed'),
+    body('commissionValue')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Commission value must be a positive number'),
+    body('registrationFee')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('Registration fee must be a positive number'),
     validateRequest
 ];
 
@@ -88,6 +105,21 @@ const validateEmergencyFund = [
         .optional()
         .isISO8601()
         .withMessage('Valid date format required for emergency fund closed date'),
+    body(['contributionRules.minContribution', 'contributionRules.maxContribution', 'contributionRules.lateFee'])
+        .optional({ values: 'null' })
+        .isFloat({ min: 0 })
+        .withMessage('Contribution amounts and late fee cannot be negative')
+        .toFloat(),
+    body(['contributionRules.paymentStartDay', 'contributionRules.paymentEndDay'])
+        .optional({ values: 'null' })
+        .isInt({ min: 1, max: 31 })
+        .withMessage('Payment day must be between 1 and 31')
+        .toInt(),
+    body('contributionRules.countPartialPayments')
+        .optional({ values: 'null' })
+        .isBoolean()
+        .withMessage('Count partial payments must be true or false')
+        .toBoolean(),
     validateRequest
 ];
 
@@ -153,6 +185,305 @@ const validateFinancialYear = [
     validateRequest
 ];
 
+// Chit auction opening validation
+const validateChitAuction = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid chitfund ID is required'),
+    body('auctionMonth')
+        .isInt({ min: 1, max: 12 })
+        .withMessage('Auction month must be between 1 and 12')
+        .toInt(),
+    validateRequest
+];
+
+// Chit auction lookup validation
+const validateChitAuctionId = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid chitfund ID is required'),
+    param('auctionId')
+        .isMongoId()
+        .withMessage('Valid auction ID is required'),
+    validateRequest
+];
+
+// Chit auction bid validation
+const validateChitBid = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid chitfund ID is required'),
+    param('auctionId')
+        .isMongoId()
+        .withMessage('Valid auction ID is required'),
+    body('discountAmount')
+        .isFloat({ min: 0 })
+        .withMessage('Discount amount must be a positive number')
+        .toFloat(),
+    body('staffId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid staff ID is required'),
+    validateRequest
+];
+
+// Chit draw validation
+const validateChitDraw = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid chitfund ID is required'),
+    body('drawMonth')
+        .isInt({ min: 1, max: 12 })
+        .withMessage('Draw month must be between 1 and 12')
+        .toInt(),
+    validateRequest
+];
+
+// Chit draw lookup validation
+const validateChitDrawId = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid chitfund ID is required'),
+    param('drawId')
+        .isMongoId()
+        .withMessage('Valid draw ID is required'),
+    validateRequest
+];
+
+// Chit defaulters report validation
+const validateChitDefaulters = [
+    query('month')
+        .optional()
+        .isInt({ min: 1, max: 12 })
+        .withMessage('Month must be between 1 and 12')
+        .toInt(),
+    query('financeYearId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid financial year ID is required'),
+    validateRequest
+];
+
+// Chit payout validation
+const validateChitPayout = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid chitfund ID is required'),
+    body('staffId')
+        .isMongoId()
+        .withMessage('Valid staff ID is required'),
+    body('paymentMethod')
+        .isIn(['cash', 'bank_transfer', 'check', 'online', 'other'])
+        .withMessage('Valid payment method is required'),
+    body('paymentReference')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Payment reference cannot exceed 100 characters'),
+    body('paidAt')
+        .optional()
+        .isISO8601()
+        .withMessage('Valid date format required for payment date'),
+    body('override')
+        .optional()
+        .isBoolean()
+        .withMessage('Override must be true or false')
+        .toBoolean(),
+    body('overrideReason')
+        .optional()
+        .trim()
+        .isLength({ min: 5, max: 500 })
+        .withMessage('Override reason must be between 5 and 500 characters'),
+    validateRequest
+];
+
+// Chit seat transfer validation
+const validateChitTransfer = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid chitfund ID is required'),
+    body('fromStaffId')
+        .isMongoId()
+        .withMessage('Valid outgoing staff ID is required'),
+    body('toStaffId')
+        .isMongoId()
+        .withMessage('Valid incoming staff ID is required')
+        .custom((value, { req }) => value !== req.body.fromStaffId)
+        .withMessage('Incoming staff must differ from outgoing staff'),
+    body('transferHistory')
+        .optional()
+        .isBoolean()
+        .withMessage('Transfer history must be true or false')
+        .toBoolean(),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Reason cannot exceed 500 characters'),
+    validateRequest
+];
+
+// Emergency fund payment validation
+const validateEmergencyPayment = [
+    body('fundId')
+        .isMongoId()
+        .withMessage('Valid emergency fund ID is required'),
+    body('amountPaid')
+        .isFloat({ min: 1 })
+        .withMessage('Payment amount must be greater than 0')
+        .toFloat(),
+    body('month')
+        .isInt({ min: 1, max: 12 })
+        .withMessage('Month must be between 1 and 12')
+        .toInt(),
+    body('year')
+        .isInt({ min: 2000, max: 2100 })
+        .withMessage('Valid year is required')
+        .toInt(),
+    body('paidAt')
+        .optional()
+        .isISO8601()
+        .withMessage('Valid date format required for payment date'),
+    validateRequest
+];
+
+// Emergency fund catch-up payment validation
+const validateEmergencyCatchUp = [
+    body('fundId')
+        .isMongoId()
+        .withMessage('Valid emergency fund ID is required'),
+    body('amountPaid')
+        .isFloat({ min: 1 })
+        .withMessage('Payment amount must be greater than 0')
+        .toFloat(),
+    body('paidAt')
+        .optional()
+        .isISO8601()
+        .withMessage('Valid date format required for payment date'),
+    validateRequest
+];
+
+// Emergency fund arrears report validation
+const validateArrearsReport = [
+    query('financeYearId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid financial year ID is required'),
+    validateRequest
+];
+
+// Emergency fund arrears statement validation
+const validateArrearsStatement = [
+    param('staffId')
+        .isMongoId()
+        .withMessage('Valid staff ID is required'),
+    validateRequest
+];
+
+// Behind-schedule emergency funds report validation
+const validateBehindSchedule = [
+    query('financeYearId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid financial year ID is required'),
+    validateRequest
+];
+
+// Emergency fund ID validation
+const validateFundId = [
+    param('fundId')
+        .isMongoId()
+        .withMessage('Valid emergency fund ID is required'),
+    validateRequest
+];
+
+// Emergency fund payment history validation
+const validateEmergencyPaymentHistory = [
+    param('fundId')
+        .isMongoId()
+        .withMessage('Valid emergency fund ID is required'),
+    query('month')
+        .optional()
+        .isInt({ min: 1, max: 12 })
+        .withMessage('Month must be between 1 and 12')
+        .toInt(),
+    query('year')
+        .optional()
+        .isInt({ min: 2000, max: 2100 })
+        .withMessage('Valid year is required')
+        .toInt(),
+    validateRequest
+];
+
+// Emergency claim validation (runs after the documents upload has parsed the form;
+// the controller checks the result so it can remove the uploaded documents)
+const validateEmergencyClaim = [
+    body('fundId')
+        .isMongoId()
+        .withMessage('Valid emergency fund ID is required'),
+    body('reason')
+        .trim()
+        .isLength({ min: 10, max: 1000 })
+        .withMessage('Reason must be between 10 and 1000 characters')
+];
+
+// Emergency claims listing validation
+const validateEmergencyClaimQuery = [
+    query('fundId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid emergency fund ID is required'),
+    query('status')
+        .optional()
+        .isIn(['pending', 'approved', 'rejected', 'paid'])
+        .withMessage('Invalid claim status'),
+    validateRequest
+];
+
+// Emergency claim committee decision validation
+const validateEmergencyClaimDecision = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid emergency claim ID is required'),
+    body('comments')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Comments cannot exceed 500 characters'),
+    validateRequest
+];
+
+// Emergency claim payout validation
+const validateEmergencyClaimDisbursement = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid emergency claim ID is required'),
+    body('paymentMethod')
+        .isIn(['cash', 'bank_transfer', 'check', 'online', 'other'])
+        .withMessage('Valid payment method is required'),
+    body('paymentReference')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Payment reference cannot exceed 100 characters'),
+    body('paidAt')
+        .optional()
+        .isISO8601()
+        .withMessage('Valid date format required for payment date'),
+    validateRequest
+];
+
+// Emergency claim document validation
+const validateClaimDocument = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid emergency claim ID is required'),
+    param('documentId')
+        .isMongoId()
+        .withMessage('Valid document ID is required'),
+    validateRequest
+];
+
 // Loan validation
 const validateLoan = [
     body('financeYearId')
@@ -184,6 +515,267 @@ const validateLoan = [
     validateRequest
 ];
 
+// Loan application validation
+const validateLoanApplication = [
+    body('loanId')
+        .isMongoId()
+        .withMessage('Valid loan ID is required'),
+    body('staffId')
+        .optional()
+        .isMongoId()
+        .withMessage('Valid staff ID is required'),
+    body('loanTakenAmount')
+        .isFloat({ gt: 0 })
+        .withMessage('Loan amount must be greater than 0')
+        .toFloat(),
+    body('loanInterestPercentage')
+        .optional()
+        .custom((value, { req }) => ['admin', 'manager'].includes(req.user.role))
+        .withMessage('Only admins and managers can set the interest percentage')
+        .bail()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Interest percentage must be between 0 and 100')
+        .toFloat(),
+    body('loanTenureMonths')
+        .optional()
+        .isInt({ min: 1, max: 120 })
+        .withMessage('Tenure must be between 1 and 120 months')
+        .toInt(),
+    body('interestType')
+        .optional()
+        .isIn(['flat', 'reducing'])
+        .withMessage('Interest type must be flat or reducing'),
+    body('loanAuthorityPerson1')
+        .isMongoId()
+        .withMessage('Valid first authority person ID is required'),
+    body('loanAuthorityPerson2')
+        .isMongoId()
+        .withMessage('Valid second authority person ID is required')
+        .custom((value, { req }) => value !== req.body.loanAuthorityPerson1)
+        .withMessage('Loan authority persons must be two different people'),
+    body('guarantors')
+        .optional()
+        .isArray({ max: 2 })
+        .withMessage('A loan can have at most two guarantors')
+        .custom(value => new Set(value).size === value.length)
+        .withMessage('The same member cannot guarantee a loan twice'),
+    body('guarantors.*')
+        .isMongoId()
+        .withMessage('Valid guarantor ID is required'),
+    validateRequest
+];
+
+// Loan approval/rejection validation
+const validateLoanDecision = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid loan application ID is required'),
+    body('comments')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Comments cannot exceed 500 characters'),
+    validateRequest
+];
+
+// Loan repayment validation
+const validateLoanRepayment = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid loan application ID is required'),
+    body('amount')
+        .isFloat({ gt: 0 })
+        .withMessage('Repayment amount must be greater than 0')
+        .toFloat(),
+    body('collectionDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Collection date must be a valid date')
+        .toDate(),
+    body('paymentMethod')
+        .optional()
+        .isIn(['cash', 'bank_transfer', 'check', 'online', 'other'])
+        .withMessage('Invalid payment method'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters'),
+    validateRequest
+];
+
+// Loan top-up request validation
+const validateTopupRequest = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid loan application ID is required'),
+    body('topupAmount')
+        .isFloat({ gt: 0 })
+        .withMessage('Top-up amount must be greater than 0')
+        .toFloat(),
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Reason cannot exceed 500 characters'),
+    validateRequest
+];
+
+// Loan foreclosure quote validation
+const validateForeclosureQuote = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid loan application ID is required'),
+    query('settlementDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Settlement date must be a valid date'),
+    validateRequest
+];
+
+// Loan foreclosure settlement validation
+const validateForeclosure = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid loan application ID is required'),
+    body('amount')
+        .isFloat({ gt: 0 })
+        .withMessage('Settlement amount must be greater than 0')
+        .toFloat(),
+    body('settlementDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Settlement date must be a valid date')
+        .toDate(),
+    body('paymentMethod')
+        .optional()
+        .isIn(['cash', 'bank_transfer', 'check', 'online', 'other'])
+        .withMessage('Invalid payment method'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters'),
+    validateRequest
+];
+
+// Loan restructure validation
+const validateLoanRestructure = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid loan application ID is required'),
+    body('loanTenureMonths')
+        .optional()
+        .isInt({ min: 1, max: 120 })
+        .withMessage('Tenure must be between 1 and 120 months')
+        .toInt(),
+    body('loanInterestPercentage')
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Interest percentage must be between 0 and 100')
+        .toFloat(),
+    body('interestType')
+        .optional()
+        .isIn(['flat', 'reducing'])
+        .withMessage('Interest type must be flat or reducing'),
+    body()
+        .custom(value => ['loanTenureMonths', 'loanInterestPercentage', 'interestType'].some(field => value[field] !== undefined))
+        .withMessage('At least one of loanTenureMonths, loanInterestPercentage or interestType is required'),
+    body('reason')
+        .trim()
+        .notEmpty()
+        .withMessage('Reason is required')
+        .isLength({ max: 500 })
+        .withMessage('Reason cannot exceed 500 characters'),
+    body('approvedBy')
+        .isArray({ min: 1 })
+        .withMessage('At least one approver is required')
+        .custom(value => new Set(value.map(String)).size === value.length)
+        .withMessage('Approvers must be different members'),
+    body('approvedBy.*')
+        .isMongoId()
+        .withMessage('Valid approver ID is required'),
+    body('effectiveFrom')
+        .optional()
+        .isISO8601()
+        .withMessage('Effective date must be a valid date')
+        .toDate(),
+    validateRequest
+];
+
+// Loan guarantor validation
+const validateAddGuarantor = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid loan application ID is required'),
+    body('guarantorId')
+        .isMongoId()
+        .withMessage('Valid guarantor ID is required'),
+    validateRequest
+];
+
+// Interest accrual run validation
+const validateInterestAccrualRun = [
+    body('month')
+        .optional()
+        .isInt({ min: 1, max: 12 })
+        .withMessage('Month must be between 1 and 12')
+        .toInt(),
+    body('year')
+        .optional()
+        .isInt({ min: 2000, max: 2100 })
+        .withMessage('Year must be between 2000 and 2100')
+        .toInt(),
+    body()
+        .custom(value => (value.month === undefined) === (value.year === undefined))
+        .withMessage('Month and year must be given together'),
+    validateRequest
+];
+
+// Interest report validation
+const validateInterestReport = [
+    param('financeYearId')
+        .isMongoId()
+        .withMessage('Valid financial year ID is required'),
+    validateRequest
+];
+
+// Payroll deduction generation validation
+const validatePayrollGeneration = [
+    body('financeYearId')
+        .isMongoId()
+        .withMessage('Valid financial year ID is required'),
+    body('month')
+        .isInt({ min: 1, max: 12 })
+        .withMessage('Month must be between 1 and 12')
+        .toInt(),
+    validateRequest
+];
+
+// Payroll deduction file validation (export and confirmation import)
+const validatePayrollFile = [
+    param('id')
+        .isMongoId()
+        .withMessage('Valid payroll deduction ID is required'),
+    query('format')
+        .optional()
+        .isIn(['csv', 'fixed'])
+        .withMessage('Format must be csv or fixed'),
+    body('format')
+        .optional()
+        .isIn(['csv', 'fixed'])
+        .withMessage('Format must be csv or fixed'),
+    validateRequest
+];
+
+// Loan eligibility validation
+const validateLoanEligibility = [
+    param('staffId')
+        .isMongoId()
+        .withMessage('Valid staff ID is required'),
+    validateRequest
+];
+
 // ID parameter validation
 const validateId = [
     param('id')
@@ -431,10 +1023,43 @@ const validateUpdateMember = [
 module.exports = {
     validateCharityFund,
     validateChitfund,
+    validateChitAuction,
+    validateChitAuctionId,
+    validateChitBid,
+    validateChitDraw,
+    validateChitDrawId,
+    validateChitDefaulters,
+    validateChitPayout,
+    validateChitTransfer,
     validateEmergencyFund,
+    validateEmergencyPayment,
+    validateEmergencyPaymentHistory,
+    validateFundId,
+    validateBehindSchedule,
+    validateEmergencyCatchUp,
+    validateArrearsReport,
+    validateArrearsStatement,
+    validateEmergencyClaim,
+    validateEmergencyClaimQuery,
+    validateEmergencyClaimDecision,
+    validateEmergencyClaimDisbursement,
+    validateClaimDocument,
     validateEvent,
     validateFinancialYear,
     validateLoan,
+    validateLoanApplication,
+    validateLoanDecision,
+    validateLoanRepayment,
+    validateLoanEligibility,
+    validateAddGuarantor,
+    validateTopupRequest,
+    validateForeclosureQuote,
+    validateForeclosure,
+    validateLoanRestructure,
+    validatePayrollGeneration,
+    validatePayrollFile,
+    validateInterestAccrualRun,
+    validateInterestReport,
     validateId,
     validatePagination,
     validateDateRange,
@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+
+// Discount bid placed by a member who has not yet taken the chit
+const chitBidSchema = new mongoose.Schema({
+    // Member placing the bid
+    staffId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Bidder is required']
+    },
+
+    // Discount the member gives up from the pot
+    discountAmount: {
+        type: Number,
+        required: [true, 'Discount amount is required'],
+        min: [0, 'Discount amount cannot be negative']
+    },
+
+    // Who recorded the bid (the member, or an admin on their behalf)
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Recorded by is required']
+    },
+
+    // When the bid was placed
+    bidAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// Share of the winning discount credited to a member against their next instalment
+const chitDividendSchema = new mongoose.Schema({
+    staffId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Staff is required']
+    },
+
+    amount: {
+        type: Number,
+        required: [true, 'Dividend amount is required'],
+        min: [0, 'Dividend amount cannot be negative']
+    }
+}, { _id: false });
+
+const chitAuctionSchema = new mongoose.Schema({
+    // Reference to Financial Year
+    financeYearId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FinancialYear',
+        required: [true, 'Financial year is required']
+    },
+
+    // Reference to Chitfund
+    chitfundId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chitfund',
+        required: [true, 'Chitfund is required']
+    },
+
+    // Chit month being auctioned (1-12)
+    auctionMonth: {
+        type: Number,
+        required: [true, 'Auction month is required'],
+        min: [1, 'Month must be between 1 and 12'],
+        max: [12, 'Month must be between 1 and 12']
+    },
+
+    // Status of the auction
+    status: {
+        type: String,
+        enum: ['open', 'closed'],
+        default: 'open'
+    },
+
+    // Pot on offer: one instalment from every member
+    potAmount: {
+        type: Number,
+        required: [true, 'Pot amount is required'],
+        min: [0, 'Pot amount cannot be negative']
+    },
+
+    // Maximum discount allowed when the auction was opened
+    maxDiscountPercentage: {
+        type: Number,
+        required: [true, 'Maximum discount percentage is required'],
+        min: [0, 'Maximum discount cannot be negative'],
+        max: [100, 'Maximum discount cannot exceed 100%']
+    },
+
+    bids: [chitBidSchema],
+
+    // Winning member and discount
+    winnerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    // Seat that won; unlike winnerId it still identifies the winner after the seat is transferred
+    winnerMemberId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ChitMembers',
+        default: null
+    },
+
+    winningDiscount: {
+        type: Number,
+        default: 0
+    },
+
+    // Amount the winner takes: pot less the winning discount
+    prizeAmount: {
+        type: Number,
+        default: 0
+    },
+
+    // Dividend credited to every other member against their instalment for dividendMonth
+    dividendPerMember: {
+        type: Number,
+        default: 0
+    },
+
+    dividendMonth: {
+        type: Number,
+        min: [1, 'Month must be between 1 and 12'],
+        max: [12, 'Month must be between 1 and 12'],
+        default: null
+    },
+
+    dividends: [chitDividendSchema],
+
+    // Paise of the discount that could not be split evenly
+    dividendRemainder: {
+        type: Number,
+        default: 0
+    },
+
+    openedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Opened by is required']
+    },
+
+    openedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    closedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Compound index to ensure one auction per chit month
+chitAuctionSchema.index({ chitfundId: 1, auctionMonth: 1 }, { unique: true });
+
+// Indexes for efficient queries
+chitAuctionSchema.index({ status: 1 });
+chitAuctionSchema.index({ 'dividends.staffId': 1 });
+
+// Virtual for the highest bid so far
+chitAuctionSchema.virtual('highestBid').get(function () {
+    return this.bids.reduce((highest, bid) => (!highest || bid.discountAmount > highest.discountAmount ? bid : highest), null);
+});
+
+// Virtual for the largest discount a bid may offer
+chitAuctionSchema.virtual('maxDiscountAmount').get(function () {
+    return Math.round(this.potAmount * this.maxDiscountPercentage) / 100;
+});
+
+// Static method to get the auctions of a chitfund
+chitAuctionSchema.statics.getByChitfund = function (chitfundId) {
+    return this.find({ chitfundId })
+        .populate('winnerId', 'employeeId firstName lastName')
+        .sort({ openedAt: 1 });
+};
+
+// Static method to total the dividend credited to a member for a chit month
+chitAuctionSchema.statics.getDividendFor = async function (chitfundId, staffId, month) {
+    const auctions = await this.find({ chitfundId, status: 'closed', dividendMonth: month, 'dividends.staffId': staffId });
+
+    return auctions.reduce((total, auction) => {
+        const dividend = auction.dividends.find(item => item.staffId.toString() === staffId.toString());
+        return total + (dividend ? dividend.amount : 0);
+    }, 0);
+};
+
+// Static method to map the dividends credited to members of a chitfund, keyed by "staffId:month"
+chitAuctionSchema.statics.getDividendMap = async function (chitfundId) {
+    const auctions = await this.find({ chitfundId, status: 'closed' });
+    const dividends = new Map();
+
+    for (const auction of auctions) {
+        for (const dividend of auction.dividends) {
+            const key = `${dividend.staffId}:${auction.dividendMonth}`;
+            dividends.set(key, Math.round(((dividends.get(key) || 0) + dividend.amount) * 100) / 100);
+        }
+    }
+
+    return dividends;
+};
+
+// Configure toJSON to include virtuals
+chitAuctionSchema.set('toJSON', { virtuals: true });
+chitAuctionSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('ChitAuction', chitAuctionSchema);
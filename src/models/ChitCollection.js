@@ -116,7 +116,7 @@ chitCollectionSchema.statics.getByCollector = function (collectorId) {
 // Static method to get total collections for a chitfund
 chitCollectionSchema.statics.getTotalCollections = function (chitfundId) {
     return this.aggregate([
-        { $match: { chitfundId: mongoose.Types.ObjectId(chitfundId) } },
+        { $match: { chitfundId: new mongoose.Types.ObjectId(chitfundId) } },
         { $group: { _id: null, total: { $sum: '$collectionAmount' } } }
     ]);
 };
@@ -124,7 +124,7 @@ chitCollectionSchema.statics.getTotalCollections = function (chitfundId) {
 // Static method to get monthly collections summary
 chitCollectionSchema.statics.getMonthlySummary = function (chitfundId) {
     return this.aggregate([
-        { $match: { chitfundId: mongoose.Types.ObjectId(chitfundId) } },
+        { $match: { chitfundId: new mongoose.Types.ObjectId(chitfundId) } },
         {
             $group: {
                 _id: '$collectionMonth',
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const chitDrawSchema = new mongoose.Schema({
+    // Reference to Financial Year
+    financeYearId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FinancialYear',
+        required: [true, 'Financial year is required']
+    },
+
+    // Reference to Chitfund
+    chitfundId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chitfund',
+        required: [true, 'Chitfund is required']
+    },
+
+    // Chit month being drawn (1-12)
+    drawMonth: {
+        type: Number,
+        required: [true, 'Draw month is required'],
+        min: [1, 'Month must be between 1 and 12'],
+        max: [12, 'Month must be between 1 and 12']
+    },
+
+    // Seed the draw was made with, published so members can repeat it
+    seed: {
+        type: String,
+        required: [true, 'Seed is required'],
+        trim: true
+    },
+
+    // Pending members drawn from, ordered by staff ID
+    candidates: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+
+    // SHA-256 digest of "seed:chitfundId:drawMonth"
+    digest: {
+        type: String,
+        required: [true, 'Digest is required']
+    },
+
+    // Position of the winner in candidates: digest modulo the number of candidates
+    winnerIndex: {
+        type: Number,
+        required: [true, 'Winner index is required'],
+        min: [0, 'Winner index cannot be negative']
+    },
+
+    winnerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Winner is required']
+    },
+
+    // Seat that won; unlike winnerId it still identifies the winner after the seat is transferred
+    winnerMemberId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ChitMembers',
+        default: null
+    },
+
+    // Amount the winner takes: one instalment from every member
+    prizeAmount: {
+        type: Number,
+        required: [true, 'Prize amount is required'],
+        min: [0, 'Prize amount cannot be negative']
+    },
+
+    drawnBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Drawn by is required']
+    },
+
+    drawnAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Compound index to ensure one draw per chit month
+chitDrawSchema.index({ chitfundId: 1, drawMonth: 1 }, { unique: true });
+
+// Static method to get the draws of a chitfund
+chitDrawSchema.statics.getByChitfund = function (chitfundId) {
+    return this.find({ chitfundId })
+        .populate('winnerId', 'employeeId firstName lastName')
+        .sort({ drawnAt: 1 });
+};
+
+// Configure toJSON to include virtuals
+chitDrawSchema.set('toJSON', { virtuals: true });
+chitDrawSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('ChitDraw', chitDrawSchema);
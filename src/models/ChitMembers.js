@@ -83,6 +83,11 @@ chitMembersSchema.virtual('totalAmount').get(function () {
     return this.chitTakenAmount + this.interestAmount;
 });
 
+// Virtual for membership status: taken once the member has received the chit, pending until then
+chitMembersSchema.virtual('memberStatus').get(function () {
+    return this.chitTaken ? 'taken' : 'pending';
+});
+
 // Pre-save middleware to validate chit member
 chitMembersSchema.pre('save', function (next) {
     if (this.chitTaken && this.chitTakenAmount <= 0) {
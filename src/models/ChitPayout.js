@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+
+const chitPayoutSchema = new mongoose.Schema({
+    // Reference to Financial Year
+    financeYearId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FinancialYear',
+        required: [true, 'Financial year is required']
+    },
+
+    // Reference to Chitfund
+    chitfundId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chitfund',
+        required: [true, 'Chitfund is required']
+    },
+
+    // Member (ChitMembers) the chit is paid out to
+    chitMemberId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ChitMembers',
+        required: [true, 'Chit member is required']
+    },
+
+    // Reference to Staff/User receiving the payout
+    staffId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Staff is required']
+    },
+
+    // Chit month the member took the chit in (1-12)
+    payoutMonth: {
+        type: Number,
+        required: [true, 'Payout month is required'],
+        min: [1, 'Month must be between 1 and 12'],
+        max: [12, 'Month must be between 1 and 12']
+    },
+
+    // How the member won the chit, and the auction or draw record
+    source: {
+        type: String,
+        enum: ['auction', 'draw', 'manual'],
+        required: [true, 'Payout source is required']
+    },
+
+    sourceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+
+    // Pot before any deduction
+    grossAmount: {
+        type: Number,
+        required: [true, 'Gross amount is required'],
+        min: [0, 'Gross amount cannot be negative']
+    },
+
+    // Discount the member bid away at auction
+    discountAmount: {
+        type: Number,
+        min: [0, 'Discount cannot be negative'],
+        default: 0
+    },
+
+    // Foreman commission kept by the club
+    commissionAmount: {
+        type: Number,
+        min: [0, 'Commission cannot be negative'],
+        default: 0
+    },
+
+    // Registration fee kept by the club
+    registrationFeeAmount: {
+        type: Number,
+        min: [0, 'Registration fee cannot be negative'],
+        default: 0
+    },
+
+    // Amount actually paid to the member
+    netAmount: {
+        type: Number,
+        required: [true, 'Net amount is required'],
+        min: [0.01, 'Net amount must be greater than 0']
+    },
+
+    paymentMethod: {
+        type: String,
+        enum: ['cash', 'bank_transfer', 'check', 'online', 'other'],
+        required: [true, 'Payment method is required']
+    },
+
+    // Cheque number, bank reference or similar
+    paymentReference: {
+        type: String,
+        trim: true
+    },
+
+    paidAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // Instalments still unpaid for the month when the payout was made
+    collectionShortfall: {
+        type: Number,
+        default: 0
+    },
+
+    // Admin override of incomplete collections
+    overridden: {
+        type: Boolean,
+        default: false
+    },
+
+    overrideReason: {
+        type: String,
+        trim: true
+    },
+
+    // chitfund_payout transaction posted for the payout
+    transactionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction',
+        default: null
+    },
+
+    // Income transactions posted for the commission and registration fee
+    commissionTransactionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction',
+        default: null
+    },
+
+    registrationFeeTransactionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction',
+        default: null
+    },
+
+    paidBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Paid by is required']
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Each member is paid out once
+chitPayoutSchema.index({ chitMemberId: 1 }, { unique: true });
+
+// Indexes for efficient queries
+chitPayoutSchema.index({ chitfundId: 1 });
+chitPayoutSchema.index({ financeYearId: 1 });
+chitPayoutSchema.index({ staffId: 1 });
+
+// Static method to get the payouts of a chitfund
+chitPayoutSchema.statics.getByChitfund = function (chitfundId) {
+    return this.find({ chitfundId })
+        .populate('staffId paidBy', 'employeeId firstName lastName')
+        .sort({ payoutMonth: 1, paidAt: 1 });
+};
+
+// Static method to total the commission and registration fees taken from a chitfund's payouts
+chitPayoutSchema.statics.getFeeTotals = function (chitfundId) {
+    return this.aggregate([
+        { $match: { chitfundId: new mongoose.Types.ObjectId(chitfundId) } },
+        {
+            $group: {
+                _id: null,
+                commission: { $sum: '$commissionAmount' },
+                registrationFees: { $sum: '$registrationFeeAmount' },
+                paidOut: { $sum: '$netAmount' },
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+};
+
+// Configure toJSON to include virtuals
+chitPayoutSchema.set('toJSON', { virtuals: true });
+chitPayoutSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('ChitPayout', chitPayoutSchema);
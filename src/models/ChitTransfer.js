@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const chitTransferSchema = new mongoose.Schema({
+    // Reference to Financial Year
+    financeYearId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FinancialYear',
+        required: [true, 'Financial year is required']
+    },
+
+    // Reference to Chitfund
+    chitfundId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chitfund',
+        required: [true, 'Chitfund is required']
+    },
+
+    // Seat (ChitMembers) being transferred
+    chitMemberId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ChitMembers',
+        required: [true, 'Chit member is required']
+    },
+
+    // Outgoing and incoming staff
+    fromStaffId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Outgoing staff is required']
+    },
+
+    toStaffId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Incoming staff is required']
+    },
+
+    // Whether the outgoing member's collections and dividends were put in the incoming member's name
+    // Either way the seat keeps the months already paid
+    historyTransferred: {
+        type: Boolean,
+        default: false
+    },
+
+    // Instalments the outgoing member had paid
+    paidByOutgoing: {
+        type: Number,
+        min: [0, 'Paid amount cannot be negative'],
+        default: 0
+    },
+
+    // Collections moved to the incoming member
+    collectionsMoved: {
+        type: Number,
+        default: 0
+    },
+
+    // Amount the incoming member owes the outgoing member for the paid months the seat keeps
+    settlementAmount: {
+        type: Number,
+        min: [0, 'Settlement amount cannot be negative'],
+        default: 0
+    },
+
+    // Whether the seat had already taken the chit
+    chitTaken: {
+        type: Boolean,
+        default: false
+    },
+
+    reason: {
+        type: String,
+        trim: true
+    },
+
+    transferredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Transferred by is required']
+    },
+
+    transferredAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Indexes for efficient queries
+chitTransferSchema.index({ chitfundId: 1 });
+chitTransferSchema.index({ fromStaffId: 1 });
+chitTransferSchema.index({ toStaffId: 1 });
+
+// Static method to get the transfers of a chitfund
+chitTransferSchema.statics.getByChitfund = function (chitfundId) {
+    return this.find({ chitfundId })
+        .populate('fromStaffId toStaffId transferredBy', 'employeeId firstName lastName')
+        .sort({ transferredAt: 1 });
+};
+
+// Configure toJSON to include virtuals
+chitTransferSchema.set('toJSON', { virtuals: true });
+chitTransferSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('ChitTransfer', chitTransferSchema);
@@ -1,5 +1,18 @@
 const mongoose = require('mongoose');
 
+// Status a chitfund may move to from each status
+const STATUS_TRANSITIONS = {
+    created: ['on-going'],
+    'on-going': ['completed'],
+    completed: []
+};
+
+// A chit runs one month per member and chit months are recorded as 1-12, so it can have at most 12 members
+const MAX_MEMBERS = 12;
+
+// Error for an operation the chitfund's status does not allow, answered with 409 Conflict
+const statusConflict = message => Object.assign(new Error(message), { statusCode: 409 });
+
 const chitfundSchema = new mongoose.Schema({
     // Reference to Financial Year
     financeYearId: {
@@ -36,6 +49,33 @@ const chitfundSchema = new mongoose.Schema({
         min: [1, 'Chit amount must be greater than 0']
     },
 
+    // Foreman commission kept by the club from each payout: a percentage of the pot or a fixed amount
+    commissionType: {
+        type: String,
+        enum: ['percentage', 'fixed'],
+        default: 'percentage'
+    },
+
+    commissionValue: {
+        type: Number,
+        min: [0, 'Commission cannot be negative'],
+        default: 0
+    },
+
+    // Registration fee deducted once from each member's payout
+    registrationFee: {
+        type: Number,
+        min: [0, 'Registration fee cannot be negative'],
+        default: 0
+    },
+
+    // How the chit is given out each month: by auction (discount bidding) or by lottery draw
+    selectionMethod: {
+        type: String,
+        enum: ['auction', 'draw'],
+        default: 'auction'
+    },
+
     // Status of the chitfund
     chitStatus: {
         type: String,
@@ -77,10 +117,18 @@ chitfundSchema.pre('save', function (next) {
         return next(new Error('Chitfund must have at least one staff member'));
     }
 
+    if (this.chitStaffs.length > MAX_MEMBERS) {
+        return next(new Error(`Chitfund can have at most ${MAX_MEMBERS} staff members`));
+    }
+
     if (this.chitAmount <= 0) {
         return next(new Error('Chit amount must be greater than 0'));
     }
 
+    if (this.commissionType === 'percentage' && this.commissionValue > 100) {
+        return next(new Error('Commission percentage cannot exceed 100%'));
+    }
+
     next();
 });
 
@@ -113,8 +161,28 @@ chitfundSchema.methods.removeStaff = function (staffId) {
     return this.save();
 };
 
-// Instance method to update status
+// Instance method to check whether the status may move to newStatus
+chitfundSchema.methods.canTransitionTo = function (newStatus) {
+    return (STATUS_TRANSITIONS[this.chitStatus] || []).includes(newStatus);
+};
+
+// Instance method to reject a status change that is not a defined transition
+chitfundSchema.methods.assertTransition = function (newStatus) {
+    if (!this.canTransitionTo(newStatus)) {
+        throw statusConflict(`Cannot change chitfund status from ${this.chitStatus} to ${newStatus}`);
+    }
+};
+
+// Instance method to reject an operation unless the chitfund is on-going
+chitfundSchema.methods.assertOnGoing = function (action) {
+    if (this.chitStatus !== 'on-going') {
+        throw statusConflict(`${action} is only allowed while the chitfund is on-going; it is ${this.chitStatus}`);
+    }
+};
+
+// Instance method to update status along a defined transition
 chitfundSchema.methods.updateStatus = function (newStatus) {
+    this.assertTransition(newStatus);
     this.chitStatus = newStatus;
     return this.save();
 };
@@ -128,4 +196,8 @@ chitfundSchema.methods.isStaffMember = function (staffId) {
 chitfundSchema.set('toJSON', { virtuals: true });
 chitfundSchema.set('toObject', { virtuals: true });
 
+// Expose the conflict error for services enforcing the lifecycle
+chitfundSchema.statics.statusConflict = statusConflict;
+chitfundSchema.statics.MAX_MEMBERS = MAX_MEMBERS;
+
 module.exports = mongoose.model('Chitfund', chitfundSchema); 
\ No newline at end of file
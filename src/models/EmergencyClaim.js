@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+
+// Committee approvals needed before a claim can be paid out
+const REQUIRED_APPROVALS = 2;
+
+// Decision recorded by a committee member
+const claimApprovalSchema = new mongoose.Schema({
+    // Committee member who made the decision
+    authority: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Committee member is required']
+    },
+
+    // Decision taken by the committee member
+    decision: {
+        type: String,
+        enum: ['approved', 'rejected'],
+        required: [true, 'Decision is required']
+    },
+
+    // Comments given along with the decision
+    comments: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Comments cannot exceed 500 characters']
+    },
+
+    // When the decision was made
+    decidedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// Supporting document uploaded with the claim
+const claimDocumentSchema = new mongoose.Schema({
+    // Name of the stored file
+    fileName: {
+        type: String,
+        required: [true, 'File name is required']
+    },
+
+    // Name of the file as uploaded
+    originalName: {
+        type: String,
+        required: [true, 'Original file name is required']
+    },
+
+    mimeType: {
+        type: String,
+        required: [true, 'File type is required']
+    },
+
+    size: {
+        type: Number,
+        required: [true, 'File size is required']
+    },
+
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const emergencyClaimSchema = new mongoose.Schema({
+    // Reference to Emergency Fund
+    fundId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'EmergencyFund',
+        required: [true, 'Emergency fund is required']
+    },
+
+    // Reference to Financial Year of the fund
+    financeYearId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FinancialYear',
+        required: [true, 'Financial year is required']
+    },
+
+    // Who raised the claim: the fund's employee or its nominee
+    claimantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Claimant is required']
+    },
+
+    claimantRole: {
+        type: String,
+        enum: ['employee', 'nominee'],
+        required: [true, 'Claimant role is required']
+    },
+
+    // Why the fund is needed
+    reason: {
+        type: String,
+        required: [true, 'Reason is required'],
+        trim: true,
+        maxlength: [1000, 'Reason cannot exceed 1000 characters']
+    },
+
+    documents: [claimDocumentSchema],
+
+    // Status of the claim
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected', 'paid'],
+        default: 'pending'
+    },
+
+    approvals: [claimApprovalSchema],
+
+    // Amount to pay out, worked out from the fund's collections once the committee approves
+    approvedAmount: {
+        type: Number,
+        min: [0, 'Approved amount cannot be negative'],
+        default: null
+    },
+
+    approvedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Disbursement details
+    paymentMethod: {
+        type: String,
+        enum: ['cash', 'bank_transfer', 'check', 'online', 'other'],
+        default: null
+    },
+
+    paymentReference: {
+        type: String,
+        trim: true
+    },
+
+    // Reference to the emergency_fund_disbursement transaction
+    transactionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction',
+        default: null
+    },
+
+    paidBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    paidAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Indexes for efficient queries
+emergencyClaimSchema.index({ fundId: 1 });
+emergencyClaimSchema.index({ claimantId: 1 });
+emergencyClaimSchema.index({ status: 1 });
+
+// Virtual for number of approvals received
+emergencyClaimSchema.virtual('approvalCount').get(function () {
+    return (this.approvals || []).filter(approval => approval.decision === 'approved').length;
+});
+
+// Static method to get the committee approvals a claim needs
+emergencyClaimSchema.statics.getRequiredApprovals = function () {
+    return REQUIRED_APPROVALS;
+};
+
+// Static method to find a claim on a fund that is still open or already paid
+emergencyClaimSchema.statics.findActive = function (fundId) {
+    return this.findOne({ fundId, status: { $in: ['pending', 'approved', 'paid'] } });
+};
+
+// Instance method to check if a committee member has already decided
+emergencyClaimSchema.methods.hasDecisionFrom = function (userId) {
+    return this.approvals.some(approval => approval.authority.toString() === userId.toString());
+};
+
+// Instance method to record a committee decision
+// Any rejection rejects the claim; the claim is approved once enough members approve
+// Returns the resulting status and leaves saving to the caller, which prices an approved claim first
+emergencyClaimSchema.methods.recordDecision = function (authorityId, decision, comments) {
+    this.approvals.push({ authority: authorityId, decision, comments, decidedAt: new Date() });
+
+    if (decision === 'rejected') {
+        this.status = 'rejected';
+    } else if (this.approvalCount >= REQUIRED_APPROVALS) {
+        this.status = 'approved';
+        this.approvedAt = new Date();
+    }
+
+    return this.status;
+};
+
+// Configure toJSON to include virtuals
+emergencyClaimSchema.set('toJSON', { virtuals: true });
+emergencyClaimSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('EmergencyClaim', emergencyClaimSchema);
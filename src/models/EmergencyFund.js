@@ -1,6 +1,51 @@
 const mongoose = require('mongoose');
 const User = require('./User');
 
+// Contribution rules of a fund; any rule left unset falls back to the club-wide Settings
+const contributionRulesSchema = new mongoose.Schema({
+    // Smallest monthly contribution accepted
+    minContribution: {
+        type: Number,
+        min: [0, 'Minimum contribution cannot be negative'],
+        default: null
+    },
+
+    // Largest monthly contribution accepted (0 disables the maximum)
+    maxContribution: {
+        type: Number,
+        min: [0, 'Maximum contribution cannot be negative'],
+        default: null
+    },
+
+    // Days of the month on which contributions are accepted
+    paymentStartDay: {
+        type: Number,
+        min: [1, 'Payment day must be between 1 and 31'],
+        max: [31, 'Payment day must be between 1 and 31'],
+        default: null
+    },
+
+    paymentEndDay: {
+        type: Number,
+        min: [1, 'Payment day must be between 1 and 31'],
+        max: [31, 'Payment day must be between 1 and 31'],
+        default: null
+    },
+
+    // Fee charged on a contribution paid after the month it is for
+    lateFee: {
+        type: Number,
+        min: [0, 'Late fee cannot be negative'],
+        default: null
+    },
+
+    // Whether a contribution below the minimum still counts as paying the month
+    countPartialPayments: {
+        type: Boolean,
+        default: null
+    }
+}, { _id: false });
+
 const emergencyFundSchema = new mongoose.Schema({
     // Reference to Financial Year
     financeYearId: {
@@ -39,6 +84,10 @@ const emergencyFundSchema = new mongoose.Schema({
     emergencyFundClosed: {
         type: Date,
         default: null
+    },
+    contributionRules: {
+        type: contributionRulesSchema,
+        default: () => ({})
     }
 }, {
     timestamps: true // Adds createdAt and updatedAt fields
@@ -85,6 +134,11 @@ emergencyFundSchema.index({ emergencyFundClosed: 1 });
 //     return diffDays;
 // });
 
+// Virtual for the amount due each month
+emergencyFundSchema.virtual('monthlyInstalment').get(function () {
+    return Math.round((this.emergencyFundAmount / (this.totalMonths || 1)) * 100) / 100;
+});
+
 // Pre-save middleware to validate emergency fund
 emergencyFundSchema.pre('save',async  function (next) {
     if (this.emergencyFundAmount <= 0) {
@@ -93,6 +147,13 @@ emergencyFundSchema.pre('save',async  function (next) {
     if (this.emergencyFundClosed && this.emergencyFundClosed < this.emergencyFundCreated) {
         return next(new Error('Emergency fund closed date cannot be before created date'));
     }
+    const rules = this.contributionRules || {};
+    if (rules.minContribution && rules.maxContribution && rules.minContribution > rules.maxContribution) {
+        return next(new Error('Minimum contribution cannot exceed the maximum'));
+    }
+    if (rules.paymentStartDay && rules.paymentEndDay && rules.paymentStartDay > rules.paymentEndDay) {
+        return next(new Error('Payment start day cannot be after the end day'));
+    }
     // const user = await User.findById(this.employeeId).select('shareValue');
     // if (user && user.shareValue > 6000) {
     //     return next(new Error('User with share value above 6000 cannot request emergency fund.'));
@@ -117,12 +178,14 @@ emergencyFundSchema.statics.getByFinancialYear = function (financeYearId) {
 
 // Instance method to close emergency fund
 emergencyFundSchema.methods.closeEmergencyFund = function () {
+    this.status = 'closed';
     this.emergencyFundClosed = new Date();
     return this.save();
 };
 
 // Instance method to reopen emergency fund
 emergencyFundSchema.methods.reopenEmergencyFund = function () {
+    this.status = 'active';
     this.emergencyFundClosed = null;
     return this.save();
 };
@@ -78,7 +78,7 @@ emergencyFundCollectionSchema.statics.getByFinancialYear = function (financeYear
 // Static method to get total collections for an emergency fund
 emergencyFundCollectionSchema.statics.getTotalCollections = function (emergencyFundId) {
     return this.aggregate([
-        { $match: { emergencyFundId: mongoose.Types.ObjectId(emergencyFundId) } },
+        { $match: { emergencyFundId: new mongoose.Types.ObjectId(emergencyFundId) } },
         { $group: { _id: null, total: { $sum: '$collectionAmount' } } }
     ]);
 };
@@ -86,7 +86,7 @@ emergencyFundCollectionSchema.statics.getTotalCollections = function (emergencyF
 // Static method to get total collections by staff
 emergencyFundCollectionSchema.statics.getTotalByStaff = function (staffId) {
     return this.aggregate([
-        { $match: { staffId: mongoose.Types.ObjectId(staffId) } },
+        { $match: { staffId: new mongoose.Types.ObjectId(staffId) } },
         { $group: { _id: null, total: { $sum: '$collectionAmount' } } }
     ]);
 };
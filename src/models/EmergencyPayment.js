@@ -18,7 +18,9 @@ const paymentSchema = new mongoose.Schema({
     },
     month: {
         type: Number, // 1 - 12
-        required: true
+        required: true,
+        min: [1, 'Month must be between 1 and 12'],
+        max: [12, 'Month must be between 1 and 12']
     },
     year: {
         type: Number,
@@ -27,13 +29,21 @@ const paymentSchema = new mongoose.Schema({
     paidAt: {
         type: Date,
         default: Date.now
+    },
+    // Fee charged because the month was paid late
+    lateFee: {
+        type: Number,
+        min: [0, 'Late fee cannot be negative'],
+        default: 0
     }
 }, {
     timestamps: true
 });
 
-// Index for fast lookups
-paymentSchema.index({ fundId: 1, month: 1, year: 1 });
+// One payment per fund per month
+// Databases that still have the earlier non-unique index on these keys need
+// src/scripts/migrateEmergencyPaymentIndex.js, which merges duplicate payments and rebuilds the index
+paymentSchema.index({ fundId: 1, month: 1, year: 1 }, { unique: true });
 
 // Static method to get total paid for a fund
 paymentSchema.statics.getTotalPaid = async function (fundId) {
@@ -49,9 +59,9 @@ paymentSchema.statics.getByMonth = function (fundId, month, year) {
     return this.find({ fundId, month, year });
 };
 
-// Instance method: check if this payment satisfies min requirement (₹500)
-paymentSchema.methods.isMinimumMet = function () {
-    return this.amountPaid >= 500;
+// Instance method: check if this payment meets the fund's minimum contribution
+paymentSchema.methods.isMinimumMet = function (minimum) {
+    return this.amountPaid >= minimum;
 };
 
 module.exports = mongoose.model('Payment', paymentSchema);
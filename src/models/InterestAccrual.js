@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+const interestAccrualSchema = new mongoose.Schema({
+    // Financial year the accrual month falls in
+    financeYearId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FinancialYear',
+        required: [true, 'Financial year is required']
+    },
+
+    // Whether the interest is earned on a staff loan or a chit
+    sourceType: {
+        type: String,
+        enum: ['loan', 'chit'],
+        required: [true, 'Source type is required']
+    },
+
+    // Staff loan (LoanStaff) or chit member (ChitMembers) the interest is earned on
+    sourceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, 'Source is required']
+    },
+
+    // Chitfund of a chit accrual
+    chitfundId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chitfund',
+        default: null
+    },
+
+    // Reference to Staff/User paying the interest
+    staffId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Staff is required']
+    },
+
+    // Accrual month (1-12) and calendar year
+    month: {
+        type: Number,
+        required: [true, 'Month is required'],
+        min: [1, 'Month must be between 1 and 12'],
+        max: [12, 'Month must be between 1 and 12']
+    },
+
+    year: {
+        type: Number,
+        required: [true, 'Year is required']
+    },
+
+    // Interest earned for the month
+    accruedAmount: {
+        type: Number,
+        required: [true, 'Accrued amount is required'],
+        min: [0.01, 'Accrued amount must be greater than 0']
+    },
+
+    // Interest actually received so far
+    receivedAmount: {
+        type: Number,
+        min: [0, 'Received amount cannot be negative'],
+        default: 0
+    },
+
+    // Receipt status of the accrual
+    status: {
+        type: String,
+        enum: ['accrued', 'partial', 'received'],
+        default: 'accrued'
+    },
+
+    // interest_income transaction posted for the accrual
+    transactionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction',
+        default: null
+    },
+
+    // When the interest was received in full
+    receivedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Compound index to ensure one accrual per source per month
+interestAccrualSchema.index({ sourceType: 1, sourceId: 1, year: 1, month: 1 }, { unique: true });
+
+// Indexes for efficient queries
+interestAccrualSchema.index({ financeYearId: 1 });
+interestAccrualSchema.index({ staffId: 1 });
+interestAccrualSchema.index({ status: 1 });
+
+// Virtual for interest accrued but not yet received
+interestAccrualSchema.virtual('outstandingAmount').get(function () {
+    return Math.round((this.accruedAmount - this.receivedAmount) * 100) / 100;
+});
+
+// Static method to get accruals that have not been received in full
+interestAccrualSchema.statics.getOpen = function (filters = {}) {
+    return this.find({ ...filters, status: { $in: ['accrued', 'partial'] } });
+};
+
+// Static method to total accrued and received interest of a financial year by source and month
+interestAccrualSchema.statics.getSummary = function (financeYearId) {
+    return this.aggregate([
+        { $match: { financeYearId: new mongoose.Types.ObjectId(financeYearId) } },
+        {
+            $group: {
+                _id: { sourceType: '$sourceType', year: '$year', month: '$month' },
+                accrued: { $sum: '$accruedAmount' },
+                received: { $sum: '$receivedAmount' },
+                count: { $sum: 1 }
+            }
+        },
+        { $sort: { '_id.year': 1, '_id.month': 1, '_id.sourceType': 1 } }
+    ]);
+};
+
+// Configure toJSON to include virtuals
+interestAccrualSchema.set('toJSON', { virtuals: true });
+interestAccrualSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('InterestAccrual', interestAccrualSchema);
@@ -15,6 +15,13 @@ const loanCollectionSchema = new mongoose.Schema({
         required: [true, 'Loan is required']
     },
 
+    // Reference to the staff loan being repaid
+    loanStaffId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LoanStaff',
+        default: null
+    },
+
     // Reference to Staff/User who made the repayment
     staffId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -27,6 +34,60 @@ const loanCollectionSchema = new mongoose.Schema({
         type: Number,
         required: [true, 'Collection amount is required'],
         min: [0, 'Collection amount cannot be negative']
+    },
+
+    // Portion of the repayment allocated to interest
+    interestComponent: {
+        type: Number,
+        min: [0, 'Interest component cannot be negative'],
+        default: 0
+    },
+
+    // Portion of the repayment allocated to principal
+    principalComponent: {
+        type: Number,
+        min: [0, 'Principal component cannot be negative'],
+        default: 0
+    },
+
+    // Portion of the repayment allocated to charges (prepayment charge, penalty interest)
+    chargesComponent: {
+        type: Number,
+        min: [0, 'Charges component cannot be negative'],
+        default: 0
+    },
+
+    // Regular repayment or early foreclosure settlement
+    collectionType: {
+        type: String,
+        enum: ['repayment', 'foreclosure'],
+        default: 'repayment'
+    },
+
+    // Date the repayment was received
+    collectionDate: {
+        type: Date,
+        default: Date.now
+    },
+
+    // Payment method
+    paymentMethod: {
+        type: String,
+        enum: ['cash', 'bank_transfer', 'check', 'online', 'payroll', 'other'],
+        default: 'cash'
+    },
+
+    // Who recorded the repayment
+    collectionBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    // Additional notes
+    notes: {
+        type: String,
+        trim: true
     }
 }, {
     timestamps: true // Adds createdAt and updatedAt fields
@@ -36,6 +97,7 @@ const loanCollectionSchema = new mongoose.Schema({
 loanCollectionSchema.index({ financeYearId: 1 });
 loanCollectionSchema.index({ loanId: 1 });
 loanCollectionSchema.index({ staffId: 1 });
+loanCollectionSchema.index({ loanStaffId: 1 });
 
 // Virtual for formatted repayment date
 loanCollectionSchema.virtual('formattedRepaymentDate').get(function () {
@@ -58,6 +120,23 @@ loanCollectionSchema.statics.getByLoan = function (loanId) {
         .sort({ createdAt: 1 });
 };
 
+// Static method to get repayments of a staff loan
+loanCollectionSchema.statics.getByLoanStaff = function (loanStaffId) {
+    return this.find({ loanStaffId })
+        .populate('collectionBy', 'employeeId firstName lastName')
+        .sort({ collectionDate: 1, createdAt: 1 });
+};
+
+// Static method to get the total repaid on a staff loan
+loanCollectionSchema.statics.getTotalByLoanStaff = async function (loanStaffId) {
+    const [result] = await this.aggregate([
+        { $match: { loanStaffId: new mongoose.Types.ObjectId(loanStaffId) } },
+        { $group: { _id: null, total: { $sum: '$collectionAmount' } } }
+    ]);
+
+    return result ? result.total : 0;
+};
+
 // Static method to get collections by staff
 loanCollectionSchema.statics.getByStaff = function (staffId) {
     return this.find({ staffId })
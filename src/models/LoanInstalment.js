@@ -0,0 +1,299 @@
+const mongoose = require('mongoose');
+const LoanScheduleHelper = require('../helpers/loanScheduleHelper');
+
+const loanInstalmentSchema = new mongoose.Schema({
+    // Reference to Financial Year
+    financeYearId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FinancialYear',
+        required: [true, 'Financial year is required']
+    },
+
+    // Reference to the staff loan this instalment belongs to
+    loanStaffId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LoanStaff',
+        required: [true, 'Staff loan is required']
+    },
+
+    // Reference to Loan
+    loanId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Loan',
+        required: [true, 'Loan is required']
+    },
+
+    // Reference to Staff/User
+    staffId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Staff is required']
+    },
+
+    // Sequence number of the instalment within the loan
+    instalmentNumber: {
+        type: Number,
+        required: [true, 'Instalment number is required'],
+        min: [1, 'Instalment number must be at least 1']
+    },
+
+    // Date the instalment falls due
+    dueDate: {
+        type: Date,
+        required: [true, 'Due date is required']
+    },
+
+    // Outstanding principal before this instalment
+    openingBalance: {
+        type: Number,
+        required: [true, 'Opening balance is required'],
+        min: [0, 'Opening balance cannot be negative']
+    },
+
+    // Total instalment amount (principal + interest)
+    emiAmount: {
+        type: Number,
+        required: [true, 'EMI amount is required'],
+        min: [0, 'EMI amount cannot be negative']
+    },
+
+    // Principal portion of the instalment
+    principalAmount: {
+        type: Number,
+        required: [true, 'Principal amount is required'],
+        min: [0, 'Principal amount cannot be negative']
+    },
+
+    // Interest portion of the instalment
+    interestAmount: {
+        type: Number,
+        required: [true, 'Interest amount is required'],
+        min: [0, 'Interest amount cannot be negative']
+    },
+
+    // Outstanding principal after this instalment
+    closingBalance: {
+        type: Number,
+        required: [true, 'Closing balance is required'],
+        min: [0, 'Closing balance cannot be negative']
+    },
+
+    // Interest portion repaid so far
+    interestPaid: {
+        type: Number,
+        min: [0, 'Interest paid cannot be negative'],
+        default: 0
+    },
+
+    // Principal portion repaid so far
+    principalPaid: {
+        type: Number,
+        min: [0, 'Principal paid cannot be negative'],
+        default: 0
+    },
+
+    // Status of the instalment (foreclosed instalments were closed early with future interest waived)
+    status: {
+        type: String,
+        enum: ['pending', 'partial', 'paid', 'foreclosed'],
+        default: 'pending',
+        required: true
+    },
+
+    // When the instalment was fully paid
+    paidAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Compound index to ensure unique instalment number per staff loan
+loanInstalmentSchema.index({ loanStaffId: 1, instalmentNumber: 1 }, { unique: true });
+
+// Indexes for efficient queries
+loanInstalmentSchema.index({ financeYearId: 1 });
+loanInstalmentSchema.index({ staffId: 1 });
+loanInstalmentSchema.index({ dueDate: 1 });
+loanInstalmentSchema.index({ status: 1 });
+
+// Virtual for formatted due date
+loanInstalmentSchema.virtual('formattedDueDate').get(function () {
+    return this.dueDate.toLocaleDateString();
+});
+
+// Virtual for amount repaid against this instalment
+loanInstalmentSchema.virtual('amountPaid').get(function () {
+    return LoanScheduleHelper.round(this.interestPaid + this.principalPaid);
+});
+
+// Virtual for amount still owed on this instalment
+loanInstalmentSchema.virtual('balanceAmount').get(function () {
+    return LoanScheduleHelper.round(this.emiAmount - this.amountPaid);
+});
+
+// Static method to get the schedule of a staff loan
+loanInstalmentSchema.statics.getByLoanStaff = function (loanStaffId) {
+    return this.find({ loanStaffId }).sort({ instalmentNumber: 1 });
+};
+
+// Static method to get unpaid instalments of a staff loan
+loanInstalmentSchema.statics.getUnpaid = function (loanStaffId) {
+    return this.find({ loanStaffId, status: { $in: ['pending', 'partial'] } }).sort({ instalmentNumber: 1 });
+};
+
+// Static method to get instalments of a staff loan that are past due and not fully paid
+loanInstalmentSchema.statics.getOverdue = function (loanStaffId, asOf = new Date()) {
+    return this.find({ loanStaffId, status: { $in: ['pending', 'partial'] }, dueDate: { $lt: asOf } }).sort({ instalmentNumber: 1 });
+};
+
+// Static method to generate (or regenerate) the full schedule of a staff loan
+// Updates the EMI and due amount on the staff loan document without saving it
+loanInstalmentSchema.statics.generateSchedule = async function (loanStaff, startDate = new Date()) {
+    const schedule = LoanScheduleHelper.buildSchedule({
+        principal: loanStaff.loanTakenAmount + loanStaff.loanTopupAmount,
+        annualRate: loanStaff.loanInterestPercentage,
+        tenureMonths: loanStaff.loanTenureMonths,
+        interestType: loanStaff.interestType,
+        startDate
+    });
+
+    await this.deleteMany({ loanStaffId: loanStaff._id });
+    const instalments = await this.insertMany(schedule.map(instalment => ({
+        ...instalment,
+        financeYearId: loanStaff.financeYearId,
+        loanStaffId: loanStaff._id,
+        loanId: loanStaff.loanId,
+        staffId: loanStaff.staffId
+    })));
+
+    loanStaff.emiAmount = schedule[0].emiAmount;
+    loanStaff.loanDueAmount = LoanScheduleHelper.totalPayable(schedule);
+
+    return instalments;
+};
+
+// Static method to rebuild the unpaid part of a schedule after extra principal is added (e.g. top-up)
+// or the terms change (restructure). Paid and part-paid instalments are kept as they are, so what was
+// already repaid on them is never charged again; the principal of the pending instalments is
+// re-amortised over as many instalments, or over tenureMonths when given.
+// A startDate later than the last kept due date moves the first new instalment to a month after it.
+// Returns the instalments still owed: the part-paid ones followed by the new ones
+loanInstalmentSchema.statics.rebuildSchedule = async function (loanStaff, { additionalPrincipal = 0, tenureMonths, startDate: fromDate } = {}) {
+    const [kept, pending] = await Promise.all([
+        this.find({ loanStaffId: loanStaff._id, status: { $in: ['paid', 'partial'] } }).sort({ instalmentNumber: 1 }),
+        this.find({ loanStaffId: loanStaff._id, status: 'pending' }).sort({ instalmentNumber: 1 })
+    ]);
+
+    const partial = kept.filter(instalment => instalment.status === 'partial');
+    const principal = LoanScheduleHelper.round(pending.reduce((sum, instalment) => sum + instalment.principalAmount, 0) + additionalPrincipal);
+    const lastKept = kept[kept.length - 1];
+    const startNumber = lastKept ? lastKept.instalmentNumber + 1 : 1;
+    const scheduleStart = lastKept
+        ? lastKept.dueDate
+        : LoanScheduleHelper.addMonths(pending.length ? pending[0].dueDate : new Date(), -1);
+    const startDate = fromDate && fromDate > scheduleStart ? fromDate : scheduleStart;
+
+    const schedule = principal > 0
+        ? LoanScheduleHelper.buildSchedule({
+            principal,
+            annualRate: loanStaff.loanInterestPercentage,
+            tenureMonths: Math.max(tenureMonths || pending.length, 1),
+            interestType: loanStaff.interestType,
+            startDate,
+            startNumber
+        })
+        : [];
+
+    await this.deleteMany({ loanStaffId: loanStaff._id, status: 'pending' });
+    const instalments = await this.insertMany(schedule.map(instalment => ({
+        ...instalment,
+        financeYearId: loanStaff.financeYearId,
+        loanStaffId: loanStaff._id,
+        loanId: loanStaff.loanId,
+        staffId: loanStaff.staffId
+    })));
+
+    if (schedule.length) {
+        loanStaff.emiAmount = schedule[0].emiAmount;
+    }
+    loanStaff.loanDueAmount = LoanScheduleHelper.round(
+        LoanScheduleHelper.totalPayable(schedule) + partial.reduce((sum, instalment) => sum + instalment.balanceAmount, 0)
+    );
+
+    return [...partial, ...instalments];
+};
+
+// Static method to allocate a repayment across the unpaid instalments of a staff loan
+// Oldest instalment first; within each instalment interest is settled before principal
+loanInstalmentSchema.statics.allocatePayment = async function (loanStaffId, amount) {
+    const instalments = await this.getUnpaid(loanStaffId);
+    let remaining = LoanScheduleHelper.round(amount);
+    let interestComponent = 0;
+    let principalComponent = 0;
+
+    for (const instalment of instalments) {
+        if (remaining <= 0) break;
+
+        const interestPart = Math.min(remaining, LoanScheduleHelper.round(instalment.interestAmount - instalment.interestPaid));
+        instalment.interestPaid = LoanScheduleHelper.round(instalment.interestPaid + interestPart);
+        remaining = LoanScheduleHelper.round(remaining - interestPart);
+
+        const principalPart = Math.min(remaining, LoanScheduleHelper.round(instalment.principalAmount - instalment.principalPaid));
+        instalment.principalPaid = LoanScheduleHelper.round(instalment.principalPaid + principalPart);
+        remaining = LoanScheduleHelper.round(remaining - principalPart);
+
+        interestComponent += interestPart;
+        principalComponent += principalPart;
+
+        if (instalment.balanceAmount <= 0) {
+            instalment.status = 'paid';
+            instalment.paidAt = new Date();
+        } else {
+            instalment.status = 'partial';
+        }
+
+        await instalment.save();
+    }
+
+    return {
+        interestComponent: LoanScheduleHelper.round(interestComponent),
+        principalComponent: LoanScheduleHelper.round(principalComponent),
+        unallocated: remaining
+    };
+};
+
+// Static method to close the unpaid instalments of a foreclosed loan
+// Allocations come from the foreclosure quote: principal in full and interest accrued to the settlement date
+loanInstalmentSchema.statics.settleForeclosure = async function (loanStaffId, allocations) {
+    const instalments = await this.getUnpaid(loanStaffId);
+
+    for (const instalment of instalments) {
+        const allocation = allocations.find(item => item.instalmentNumber === instalment.instalmentNumber);
+
+        instalment.principalPaid = instalment.principalAmount;
+        instalment.interestPaid = LoanScheduleHelper.round(instalment.interestPaid + (allocation ? allocation.interest : 0));
+        instalment.status = instalment.balanceAmount <= 0 ? 'paid' : 'foreclosed';
+        instalment.paidAt = new Date();
+
+        await instalment.save();
+    }
+
+    return instalments;
+};
+
+// Instance method to mark instalment as paid
+loanInstalmentSchema.methods.markPaid = function () {
+    this.interestPaid = this.interestAmount;
+    this.principalPaid = this.principalAmount;
+    this.status = 'paid';
+    this.paidAt = new Date();
+    return this.save();
+};
+
+// Configure toJSON to include virtuals
+loanInstalmentSchema.set('toJSON', { virtuals: true });
+loanInstalmentSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('LoanInstalment', loanInstalmentSchema);
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+// Amount a guarantor is exposed to on a defaulted loan
+const guarantorExposureSchema = new mongoose.Schema({
+    guarantor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Guarantor is required']
+    },
+
+    amount: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+// Change made to a single staff loan during an overdue run
+const loanOverdueChangeSchema = new mongoose.Schema({
+    // Staff loan that was changed
+    loanStaffId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LoanStaff',
+        required: [true, 'Staff loan is required']
+    },
+
+    // Staff member of the loan
+    staffId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Staff is required']
+    },
+
+    // Loan status before and after the run
+    previousStatus: {
+        type: String,
+        required: true
+    },
+
+    newStatus: {
+        type: String,
+        required: true
+    },
+
+    // Overdue position found by the run
+    daysPastDue: {
+        type: Number,
+        default: 0
+    },
+
+    overdueAmount: {
+        type: Number,
+        default: 0
+    },
+
+    // Penalty interest added by the run
+    penaltyApplied: {
+        type: Number,
+        default: 0
+    },
+
+    // Share of the outstanding amount falling on each guarantor when the loan defaulted
+    guarantorExposure: [guarantorExposureSchema]
+}, { _id: false });
+
+const loanOverdueRunSchema = new mongoose.Schema({
+    // Date the loans were assessed as of
+    asOf: {
+        type: Date,
+        required: [true, 'Assessment date is required']
+    },
+
+    // Who started the run (null when started by the scheduler)
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    // Settings used for the run
+    penaltyInterestPercentage: {
+        type: Number,
+        default: 0
+    },
+
+    defaultGraceDays: {
+        type: Number,
+        default: 0
+    },
+
+    // Summary of the run
+    loansChecked: {
+        type: Number,
+        default: 0
+    },
+
+    overdueCount: {
+        type: Number,
+        default: 0
+    },
+
+    defaultedCount: {
+        type: Number,
+        default: 0
+    },
+
+    totalPenaltyApplied: {
+        type: Number,
+        default: 0
+    },
+
+    // Loans changed by the run
+    changes: [loanOverdueChangeSchema],
+
+    // Outcome of the run
+    status: {
+        type: String,
+        enum: ['completed', 'failed'],
+        default: 'completed'
+    },
+
+    error: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Indexes for efficient queries
+loanOverdueRunSchema.index({ createdAt: -1 });
+loanOverdueRunSchema.index({ 'changes.loanStaffId': 1 });
+
+// Static method to get the most recent runs
+loanOverdueRunSchema.statics.getRecent = function (limit = 20) {
+    return this.find()
+        .populate('triggeredBy', 'employeeId firstName lastName')
+        .sort({ createdAt: -1 })
+        .limit(limit);
+};
+
+module.exports = mongoose.model('LoanOverdueRun', loanOverdueRunSchema);
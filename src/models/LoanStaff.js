@@ -1,4 +1,204 @@
 const mongoose = require('mongoose');
+const LoanInstalment = require('./LoanInstalment');
+const LoanScheduleHelper = require('../helpers/loanScheduleHelper');
+
+// Statuses that take up one of the scheme's loanTotalStaffs slots
+const SLOT_STATUSES = ['pending', 'approved', 'active', 'defaulted'];
+
+// Decision recorded by one of the loan authority persons
+const loanApprovalSchema = new mongoose.Schema({
+    // Authority person who made the decision
+    authority: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Authority person is required']
+    },
+
+    // Decision taken by the authority
+    decision: {
+        type: String,
+        enum: ['approved', 'rejected'],
+        required: [true, 'Decision is required']
+    },
+
+    // Comments given along with the decision
+    comments: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Comments cannot exceed 500 characters']
+    },
+
+    // When the decision was made
+    decidedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// Fellow member guaranteeing the loan, with their consent
+const loanGuarantorSchema = new mongoose.Schema({
+    // Member standing as guarantor
+    guarantor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Guarantor is required']
+    },
+
+    // Consent given by the guarantor
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined'],
+        default: 'pending'
+    },
+
+    // Comments given along with the consent
+    comments: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Comments cannot exceed 500 characters']
+    },
+
+    // When the guarantor responded
+    respondedAt: {
+        type: Date,
+        default: null
+    }
+}, { _id: false });
+
+// Top-up requested against an active loan, decided by the same two authority persons
+const loanTopupRequestSchema = new mongoose.Schema({
+    // Additional amount requested
+    topupAmount: {
+        type: Number,
+        required: [true, 'Top-up amount is required'],
+        min: [1, 'Top-up amount must be greater than 0']
+    },
+
+    // Reason for the top-up
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+
+    // Status of the request
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected'],
+        default: 'pending'
+    },
+
+    // Decisions recorded by the authority persons
+    approvals: [loanApprovalSchema],
+
+    // Who raised the request
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Requested by is required']
+    },
+
+    // When the request was raised
+    requestedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // When the request was approved or rejected
+    decidedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+// Snapshot of a loan's repayment terms, kept for every change so the history can be audited
+const loanTermsVersionSchema = new mongoose.Schema({
+    // Sequence number of the version, starting at 1
+    version: {
+        type: Number,
+        required: [true, 'Version is required'],
+        min: [1, 'Version must be at least 1']
+    },
+
+    // What produced this version of the terms
+    changeType: {
+        type: String,
+        enum: ['original', 'topup', 'restructure'],
+        required: [true, 'Change type is required']
+    },
+
+    // Principal scheduled so far (loan taken plus top-ups)
+    principal: {
+        type: Number,
+        min: [0, 'Principal cannot be negative'],
+        default: 0
+    },
+
+    // Principal still outstanding when the version took effect
+    outstandingPrincipal: {
+        type: Number,
+        min: [0, 'Outstanding principal cannot be negative'],
+        default: 0
+    },
+
+    loanInterestPercentage: {
+        type: Number,
+        required: [true, 'Interest percentage is required']
+    },
+
+    loanTenureMonths: {
+        type: Number,
+        required: [true, 'Tenure is required']
+    },
+
+    interestType: {
+        type: String,
+        enum: ['flat', 'reducing'],
+        required: [true, 'Interest type is required']
+    },
+
+    emiAmount: {
+        type: Number,
+        default: 0
+    },
+
+    loanDueAmount: {
+        type: Number,
+        default: 0
+    },
+
+    // Instalments left to pay under these terms
+    remainingInstalments: {
+        type: Number,
+        default: 0
+    },
+
+    // Why the terms were changed
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+
+    // Committee members or authority persons who approved the change
+    approvedBy: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+
+    // Who recorded the change
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    // When the terms took effect
+    effectiveFrom: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
 
 const loanStaffSchema = new mongoose.Schema({
     // Reference to Financial Year
@@ -37,7 +237,7 @@ const loanStaffSchema = new mongoose.Schema({
         max: [12, 'Month must be between 1 and 12']
     },
 
-    // Interest percentage for this loan
+    // Annual interest percentage for this loan (before annual rates were introduced this was a flat total percentage)
     loanInterestPercentage: {
         type: Number,
         required: [true, 'Interest percentage is required'],
@@ -45,6 +245,28 @@ const loanStaffSchema = new mongoose.Schema({
         max: [100, 'Interest percentage cannot exceed 100%']
     },
 
+    // Repayment tenure in months
+    loanTenureMonths: {
+        type: Number,
+        min: [1, 'Tenure must be at least 1 month'],
+        max: [120, 'Tenure cannot exceed 120 months'],
+        default: 12
+    },
+
+    // How interest is charged: flat on the original principal or on the reducing balance
+    interestType: {
+        type: String,
+        enum: ['flat', 'reducing'],
+        default: 'flat'
+    },
+
+    // Monthly instalment amount (EMI)
+    emiAmount: {
+        type: Number,
+        min: [0, 'EMI amount cannot be negative'],
+        default: 0
+    },
+
     // Total amount due (principal + interest)
     loanDueAmount: {
         type: Number,
@@ -83,7 +305,7 @@ const loanStaffSchema = new mongoose.Schema({
     // Status of the loan
     loanStatus: {
         type: String,
-        enum: ['pending', 'approved', 'rejected', 'active', 'completed', 'defaulted'],
+        enum: ['waitlisted', 'pending', 'approved', 'rejected', 'active', 'completed', 'defaulted'],
         default: 'pending',
         required: true
     },
@@ -92,6 +314,100 @@ const loanStaffSchema = new mongoose.Schema({
     hasTopup: {
         type: Boolean,
         default: false
+    },
+
+    // Decisions recorded by the loan authority persons
+    approvals: [loanApprovalSchema],
+
+    // When the application joined the scheme's waitlist
+    waitlistedAt: {
+        type: Date,
+        default: null
+    },
+
+    // When the application was moved from the waitlist into a free slot
+    promotedAt: {
+        type: Date,
+        default: null
+    },
+
+    // When the loan was approved by both authorities
+    approvedAt: {
+        type: Date,
+        default: null
+    },
+
+    // When the loan was activated (disbursed)
+    activatedAt: {
+        type: Date,
+        default: null
+    },
+
+    // When the loan was rejected
+    rejectedAt: {
+        type: Date,
+        default: null
+    },
+
+    // When the loan was fully repaid
+    completedAt: {
+        type: Date,
+        default: null
+    },
+
+    // When the loan was marked as defaulted
+    defaultedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Repayments that have fallen behind the schedule (updated by the overdue job)
+    overdueAmount: {
+        type: Number,
+        min: [0, 'Overdue amount cannot be negative'],
+        default: 0
+    },
+
+    // Days since the oldest unpaid instalment fell due
+    daysPastDue: {
+        type: Number,
+        min: [0, 'Days past due cannot be negative'],
+        default: 0
+    },
+
+    // Penalty interest charged on overdue amounts (tracked separately from the due amount)
+    penaltyAmount: {
+        type: Number,
+        min: [0, 'Penalty amount cannot be negative'],
+        default: 0
+    },
+
+    // Date up to which penalty interest has been charged
+    penaltyAccruedUntil: {
+        type: Date,
+        default: null
+    },
+
+    // Top-up requests raised against the loan
+    topupRequests: [loanTopupRequestSchema],
+
+    // Members guaranteeing the loan
+    guarantors: [loanGuarantorSchema],
+
+    // Number of guarantor consents needed before the loan can be approved
+    guarantorsRequired: {
+        type: Number,
+        min: [0, 'Guarantors required cannot be negative'],
+        default: 0
+    },
+
+    // Every version of the loan's repayment terms, oldest first
+    termsHistory: [loanTermsVersionSchema],
+
+    // When the loan was last restructured
+    restructuredAt: {
+        type: Date,
+        default: null
     }
 }, {
     timestamps: true // Adds createdAt and updatedAt fields
@@ -106,6 +422,7 @@ loanStaffSchema.index({ staffId: 1 });
 loanStaffSchema.index({ loanStatus: 1 });
 loanStaffSchema.index({ loanTakenMonth: 1 });
 loanStaffSchema.index({ hasTopup: 1 });
+loanStaffSchema.index({ 'guarantors.guarantor': 1 });
 
 // Virtual for formatted month name
 loanStaffSchema.virtual('monthName').get(function () {
@@ -116,9 +433,15 @@ loanStaffSchema.virtual('monthName').get(function () {
     return months[this.loanTakenMonth - 1];
 });
 
-// Virtual for interest amount
+// Virtual for interest amount: the total interest of a schedule on the current terms,
+// reading loanInterestPercentage as an annual rate as the repayment schedule does
 loanStaffSchema.virtual('interestAmount').get(function () {
-    return (this.loanTakenAmount * this.loanInterestPercentage) / 100;
+    return LoanScheduleHelper.totalInterest(LoanScheduleHelper.buildSchedule({
+        principal: this.loanTakenAmount + (this.loanTopupAmount || 0),
+        annualRate: this.loanInterestPercentage,
+        tenureMonths: this.loanTenureMonths,
+        interestType: this.interestType
+    }));
 });
 
 // Virtual for total loan amount (principal + top-up)
@@ -131,13 +454,42 @@ loanStaffSchema.virtual('remainingAmount').get(function () {
     return this.loanDueAmount;
 });
 
+// Virtual for number of approvals received
+loanStaffSchema.virtual('approvalCount').get(function () {
+    return (this.approvals || []).filter(approval => approval.decision === 'approved').length;
+});
+
+// Virtual for number of guarantors who have consented
+loanStaffSchema.virtual('acceptedGuarantorCount').get(function () {
+    return (this.guarantors || []).filter(guarantor => guarantor.status === 'accepted').length;
+});
+
 // Pre-save middleware to validate loan staff
 loanStaffSchema.pre('save', function (next) {
+    if (this.loanAuthorityPerson1.toString() === this.loanAuthorityPerson2.toString()) {
+        return next(new Error('Loan authority persons must be two different people'));
+    }
+
+    if ([this.loanAuthorityPerson1.toString(), this.loanAuthorityPerson2.toString()].includes(this.staffId.toString())) {
+        return next(new Error('Staff cannot be an authority person for their own loan'));
+    }
+
+    const guarantorIds = this.guarantors.map(guarantor => guarantor.guarantor.toString());
+
+    if (guarantorIds.includes(this.staffId.toString())) {
+        return next(new Error('Staff cannot guarantee their own loan'));
+    }
+
+    if (new Set(guarantorIds).size !== guarantorIds.length) {
+        return next(new Error('The same member cannot guarantee a loan twice'));
+    }
+
     if (this.loanTakenAmount <= 0) {
         return next(new Error('Loan taken amount must be greater than 0'));
     }
 
-    if (this.loanDueAmount < this.loanTakenAmount) {
+    // Due amount only reduces below the principal once repayments start after disbursement
+    if (['waitlisted', 'pending', 'approved'].includes(this.loanStatus) && this.loanDueAmount < this.loanTakenAmount) {
         return next(new Error('Loan due amount cannot be less than loan taken amount'));
     }
 
@@ -177,44 +529,300 @@ loanStaffSchema.statics.getWithTopup = function () {
     return this.find({ hasTopup: true }).populate('financeYearId loanId staffId loanAuthorityPerson1 loanAuthorityPerson2');
 };
 
+// Static method to get pending loans awaiting a decision from an authority person
+loanStaffSchema.statics.getPendingForAuthority = function (authorityId) {
+    return this.find({
+        loanStatus: 'pending',
+        $or: [{ loanAuthorityPerson1: authorityId }, { loanAuthorityPerson2: authorityId }],
+        'approvals.authority': { $ne: authorityId }
+    }).populate('financeYearId loanId staffId loanAuthorityPerson1 loanAuthorityPerson2');
+};
+
+// Static method to count the slots of a loan scheme taken by applications and loans
+loanStaffSchema.statics.countFilledSlots = function (loanId) {
+    return this.countDocuments({ loanId, loanStatus: { $in: SLOT_STATUSES } });
+};
+
+// Static method to get a staff member's loans that are still open: waitlisted, pending, approved, active or defaulted
+// Waitlisted applications count so that promotion from the waitlist cannot take a member past maxActiveLoans
+loanStaffSchema.statics.findOpenByStaff = function (staffId) {
+    return this.find({ staffId, loanStatus: { $in: ['waitlisted', ...SLOT_STATUSES] } });
+};
+
+// Static method to get the waitlist of a loan scheme in promotion order
+loanStaffSchema.statics.getWaitlist = function (loanId) {
+    return this.find({ loanId, loanStatus: 'waitlisted' })
+        .populate('staffId', 'firstName lastName employeeId')
+        .sort({ waitlistedAt: 1, createdAt: 1 });
+};
+
+// Static method to move the oldest waitlisted applications into the free slots of a loan scheme
+loanStaffSchema.statics.promoteFromWaitlist = async function (loanId) {
+    const loan = await mongoose.model('Loan').findById(loanId);
+    if (!loan) {
+        return [];
+    }
+
+    const freeSlots = loan.loanTotalStaffs - await this.countFilledSlots(loanId);
+    if (freeSlots <= 0) {
+        return [];
+    }
+
+    const promoted = await this.find({ loanId, loanStatus: 'waitlisted' })
+        .sort({ waitlistedAt: 1, createdAt: 1 })
+        .limit(freeSlots);
+
+    for (const loanStaff of promoted) {
+        loanStaff.loanStatus = 'pending';
+        loanStaff.promotedAt = new Date();
+        await loanStaff.save();
+    }
+
+    return promoted;
+};
+
+// Static method to count the loans a member currently guarantees or has been asked to guarantee
+loanStaffSchema.statics.countActiveGuarantees = function (guarantorId) {
+    return this.countDocuments({
+        loanStatus: { $in: ['waitlisted', ...SLOT_STATUSES] },
+        guarantors: { $elemMatch: { guarantor: guarantorId, status: { $in: ['pending', 'accepted'] } } }
+    });
+};
+
+// Static method to get the loans a member has been asked to guarantee
+loanStaffSchema.statics.getByGuarantor = function (guarantorId) {
+    return this.find({ 'guarantors.guarantor': guarantorId })
+        .populate('loanId', 'loanName')
+        .populate('staffId', 'firstName lastName employeeId')
+        .sort({ createdAt: -1 });
+};
+
+// Static method to get active loans with a top-up request awaiting a decision from an authority person
+loanStaffSchema.statics.getPendingTopupsForAuthority = function (authorityId) {
+    return this.find({
+        loanStatus: 'active',
+        $or: [{ loanAuthorityPerson1: authorityId }, { loanAuthorityPerson2: authorityId }],
+        topupRequests: {
+            $elemMatch: { status: 'pending', 'approvals.authority': { $ne: authorityId } }
+        }
+    }).populate('financeYearId loanId staffId loanAuthorityPerson1 loanAuthorityPerson2');
+};
+
+// Instance method to check if a user is one of the loan authority persons
+loanStaffSchema.methods.isAuthority = function (userId) {
+    return [this.loanAuthorityPerson1, this.loanAuthorityPerson2]
+        .some(authority => authority.toString() === userId.toString());
+};
+
+// Instance method to check if an authority person has already decided
+loanStaffSchema.methods.hasDecisionFrom = function (userId) {
+    return this.approvals.some(approval => approval.authority.toString() === userId.toString());
+};
+
+// Instance method to record an authority decision
+// Any rejection rejects the loan; the loan is approved only once both authorities approve
+loanStaffSchema.methods.recordDecision = function (authorityId, decision, comments) {
+    this.approvals.push({ authority: authorityId, decision, comments, decidedAt: new Date() });
+
+    if (decision === 'rejected') {
+        return this.rejectLoan();
+    }
+
+    if (this.approvalCount === 2) {
+        return this.approveLoan();
+    }
+
+    return this.save();
+};
+
+// Instance method to get the guarantor entry of a member, if any
+loanStaffSchema.methods.getGuarantor = function (userId) {
+    return this.guarantors.find(guarantor => guarantor.guarantor.toString() === userId.toString()) || null;
+};
+
+// Instance method to record a guarantor's consent or refusal
+loanStaffSchema.methods.recordGuarantorResponse = function (guarantorId, decision, comments) {
+    const guarantor = this.getGuarantor(guarantorId);
+    guarantor.status = decision;
+    guarantor.comments = comments;
+    guarantor.respondedAt = new Date();
+    return this.save();
+};
+
+// Instance method to split the outstanding amount of the loan across the guarantors who consented
+loanStaffSchema.methods.getGuarantorExposure = function () {
+    const accepted = this.guarantors.filter(guarantor => guarantor.status === 'accepted');
+    if (accepted.length === 0) {
+        return [];
+    }
+
+    const outstanding = this.loanDueAmount + (this.penaltyAmount || 0);
+    const share = Math.round((outstanding / accepted.length) * 100) / 100;
+
+    return accepted.map(guarantor => ({ guarantor: guarantor.guarantor, amount: share }));
+};
+
+// Instance method to get the top-up request awaiting decisions, if any
+loanStaffSchema.methods.getPendingTopup = function () {
+    return this.topupRequests.find(request => request.status === 'pending') || null;
+};
+
+// Instance method to raise a top-up request
+loanStaffSchema.methods.requestTopup = function (topupAmount, reason, requestedBy) {
+    this.topupRequests.push({ topupAmount, reason, requestedBy, requestedAt: new Date() });
+    return this.save();
+};
+
+// Instance method to record an authority decision on the pending top-up request
+// Any rejection rejects the request; the top-up is taken only once both authorities approve
+loanStaffSchema.methods.recordTopupDecision = function (authorityId, decision, comments) {
+    const request = this.getPendingTopup();
+    request.approvals.push({ authority: authorityId, decision, comments, decidedAt: new Date() });
+
+    if (decision === 'rejected') {
+        request.status = 'rejected';
+        request.decidedAt = new Date();
+        return this.save();
+    }
+
+    const approvalCount = request.approvals.filter(approval => approval.decision === 'approved').length;
+
+    if (approvalCount === 2) {
+        request.status = 'approved';
+        request.decidedAt = new Date();
+        return this.takeTopup(request.topupAmount, {
+            reason: request.reason,
+            approvedBy: request.approvals.map(approval => approval.authority),
+            recordedBy: request.requestedBy
+        });
+    }
+
+    return this.save();
+};
+
 // Instance method to approve loan
 loanStaffSchema.methods.approveLoan = function () {
     this.loanStatus = 'approved';
+    this.approvedAt = new Date();
     return this.save();
 };
 
 // Instance method to activate loan
 loanStaffSchema.methods.activateLoan = function () {
     this.loanStatus = 'active';
+    this.activatedAt = new Date();
     return this.save();
 };
 
 // Instance method to complete loan
 loanStaffSchema.methods.completeLoan = function () {
     this.loanStatus = 'completed';
+    this.completedAt = new Date();
     return this.save();
 };
 
 // Instance method to reject loan
 loanStaffSchema.methods.rejectLoan = function () {
     this.loanStatus = 'rejected';
+    this.rejectedAt = new Date();
     return this.save();
 };
 
 // Instance method to default loan
 loanStaffSchema.methods.defaultLoan = function () {
     this.loanStatus = 'defaulted';
+    this.defaultedAt = new Date();
     return this.save();
 };
 
 // Instance method to take top-up
-loanStaffSchema.methods.takeTopup = function (topupAmount) {
+// For an active loan the unpaid part of the repayment schedule is rebuilt to include the top-up
+loanStaffSchema.methods.takeTopup = async function (topupAmount, change = {}) {
+    if (this.loanStatus === 'active') {
+        this.recordTermsVersion('original');
+    }
+
     this.hasTopup = true;
-    this.loanTopupAmount = topupAmount;
+    this.loanTopupAmount += topupAmount;
     this.loanDueAmount += topupAmount;
+
+    if (this.loanStatus === 'active') {
+        const instalments = await LoanInstalment.rebuildSchedule(this, { additionalPrincipal: topupAmount });
+        this.recordTermsVersion('topup', { ...change, instalments });
+    }
+
     return this.save();
 };
 
+// Instance method to restructure the terms of an active loan
+// Paid and part-paid instalments are kept and the principal still to be scheduled is re-amortised under the new terms
+loanStaffSchema.methods.restructure = async function (terms, change = {}) {
+    this.recordTermsVersion('original');
+
+    const keptCount = await LoanInstalment.countDocuments({ loanStaffId: this._id, status: { $in: ['paid', 'partial'] } });
+
+    ['loanTenureMonths', 'loanInterestPercentage', 'interestType'].forEach(field => {
+        if (terms[field] !== undefined) {
+            this[field] = terms[field];
+        }
+    });
+
+    const effectiveFrom = change.effectiveFrom || new Date();
+    const instalments = await LoanInstalment.rebuildSchedule(this, {
+        tenureMonths: this.loanTenureMonths - keptCount,
+        startDate: new Date(effectiveFrom)
+    });
+
+    // Nothing falls due under the new schedule yet; the nightly check recomputes these
+    this.overdueAmount = 0;
+    this.daysPastDue = 0;
+    this.restructuredAt = new Date();
+    this.recordTermsVersion('restructure', { ...change, effectiveFrom, instalments });
+
+    return this.save();
+};
+
+// Instance method to append the current terms to the terms history (without saving)
+// An 'original' version is only added while the history is empty, so loans activated before
+// versioning get their terms at that point recorded as the first version
+loanStaffSchema.methods.recordTermsVersion = function (changeType, { instalments, reason, approvedBy = [], recordedBy = null, effectiveFrom } = {}) {
+    if (changeType === 'original' && this.termsHistory.length > 0) {
+        return null;
+    }
+
+    const principal = this.loanTakenAmount + this.loanTopupAmount;
+    const outstandingPrincipal = instalments
+        ? instalments.reduce((sum, instalment) => sum + instalment.principalAmount - (instalment.principalPaid || 0), 0)
+        : principal;
+
+    this.termsHistory.push({
+        version: this.termsHistory.length + 1,
+        changeType,
+        principal,
+        outstandingPrincipal: Math.round(outstandingPrincipal * 100) / 100,
+        loanInterestPercentage: this.loanInterestPercentage,
+        loanTenureMonths: this.loanTenureMonths,
+        interestType: this.interestType,
+        emiAmount: this.emiAmount,
+        loanDueAmount: this.loanDueAmount,
+        remainingInstalments: instalments ? instalments.length : this.loanTenureMonths,
+        reason,
+        approvedBy,
+        recordedBy,
+        effectiveFrom: effectiveFrom || (changeType === 'original' ? this.activatedAt : new Date())
+    });
+
+    return this.termsHistory[this.termsHistory.length - 1];
+};
+
+// Instance method to generate the repayment schedule starting from a date
+loanStaffSchema.methods.generateSchedule = async function (startDate = new Date()) {
+    const instalments = await LoanInstalment.generateSchedule(this, startDate);
+    this.recordTermsVersion('original', { instalments, effectiveFrom: startDate });
+    await this.save();
+    return instalments;
+};
+
 // Instance method to update due amount
 loanStaffSchema.methods.updateDueAmount = function (newAmount) {
     this.loanDueAmount = newAmount;
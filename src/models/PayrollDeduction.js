@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+// Amount of a deduction line belonging to one loan, chit or emergency fund
+const deductionItemSchema = new mongoose.Schema({
+    // Staff loan, chitfund or emergency fund the amount belongs to
+    referenceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, 'Reference is required']
+    },
+
+    // Amount due for the month
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'],
+        min: [0, 'Amount cannot be negative']
+    },
+
+    // Part of the amount already posted as a collection, so a re-import only posts the rest
+    postedAmount: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+// One staff member's deductions for the month
+const deductionLineSchema = new mongoose.Schema({
+    // Reference to Staff/User
+    staffId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Staff is required']
+    },
+
+    // Employee code used by the payroll office
+    employeeId: {
+        type: String,
+        required: [true, 'Employee ID is required']
+    },
+
+    staffName: {
+        type: String,
+        trim: true
+    },
+
+    // Amounts due per component
+    loanAmount: { type: Number, default: 0 },
+    shareAmount: { type: Number, default: 0 },
+    chitAmount: { type: Number, default: 0 },
+    emergencyAmount: { type: Number, default: 0 },
+    totalAmount: { type: Number, default: 0 },
+
+    // Breakdown used to turn the confirmation back into collections
+    loans: [deductionItemSchema],
+    chits: [deductionItemSchema],
+    emergencyFunds: [deductionItemSchema],
+
+    // Share amount already posted as a collection
+    postedShareAmount: {
+        type: Number,
+        default: 0
+    },
+
+    // Outcome reported by the payroll office
+    status: {
+        type: String,
+        enum: ['pending', 'deducted', 'failed'],
+        default: 'pending'
+    },
+
+    // Amount the payroll office confirmed as deducted
+    deductedAmount: {
+        type: Number,
+        default: 0
+    },
+
+    // Problems met while importing the line; the line stays pending so a re-import retries them
+    importErrors: [String]
+});
+
+const payrollDeductionSchema = new mongoose.Schema({
+    // Reference to Financial Year
+    financeYearId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FinancialYear',
+        required: [true, 'Financial year is required']
+    },
+
+    // Payroll month (1-12) and calendar year
+    month: {
+        type: Number,
+        required: [true, 'Month is required'],
+        min: [1, 'Month must be between 1 and 12'],
+        max: [12, 'Month must be between 1 and 12']
+    },
+
+    year: {
+        type: Number,
+        required: [true, 'Year is required']
+    },
+
+    // Exported until the payroll office's confirmation has been imported
+    status: {
+        type: String,
+        enum: ['exported', 'confirmed'],
+        default: 'exported'
+    },
+
+    lines: [deductionLineSchema],
+
+    totalAmount: {
+        type: Number,
+        default: 0
+    },
+
+    generatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Generated by is required']
+    },
+
+    confirmedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    confirmedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Compound index to ensure one deduction batch per month per financial year
+payrollDeductionSchema.index({ financeYearId: 1, month: 1 }, { unique: true });
+
+// Indexes for efficient queries
+payrollDeductionSchema.index({ status: 1 });
+
+// Virtual for the number of lines per status
+payrollDeductionSchema.virtual('lineSummary').get(function () {
+    return this.lines.reduce((summary, line) => {
+        summary[line.status] = (summary[line.status] || 0) + 1;
+        return summary;
+    }, { pending: 0, deducted: 0, failed: 0 });
+});
+
+// Instance method to find the line of an employee
+payrollDeductionSchema.methods.getLineByEmployeeId = function (employeeId) {
+    return this.lines.find(line => line.employeeId === employeeId) || null;
+};
+
+// Configure toJSON to include virtuals
+payrollDeductionSchema.set('toJSON', { virtuals: true });
+payrollDeductionSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('PayrollDeduction', payrollDeductionSchema);
@@ -38,6 +38,138 @@ const settingsSchema = new mongoose.Schema({
         default: 10000
     },
 
+    // Minimum months of membership before a staff member may borrow
+    loanMinServiceMonths: {
+        type: Number,
+        min: [0, 'Minimum service months cannot be negative'],
+        default: 6
+    },
+
+    // Eligible amount as a multiple of monthly salary
+    loanSalaryMultiplier: {
+        type: Number,
+        min: [0, 'Salary multiplier cannot be negative'],
+        default: 3
+    },
+
+    // Eligible amount as a multiple of cumulative share contributions (0 disables the share limit)
+    loanShareMultiplier: {
+        type: Number,
+        min: [0, 'Share multiplier cannot be negative'],
+        default: 3
+    },
+
+    // Maximum number of loans a staff member may have active at once
+    maxActiveLoans: {
+        type: Number,
+        min: [1, 'At least one active loan must be allowed'],
+        default: 1
+    },
+
+    // Instalments a member must have paid before a top-up can be requested
+    topupMinPaidInstalments: {
+        type: Number,
+        min: [0, 'Minimum paid instalments cannot be negative'],
+        default: 3
+    },
+
+    // Annual penalty interest charged on overdue loan amounts
+    loanPenaltyInterestPercentage: {
+        type: Number,
+        min: [0, 'Penalty interest cannot be negative'],
+        max: [100, 'Penalty interest cannot exceed 100%'],
+        default: 2
+    },
+
+    // Days past due after which an active loan is marked as defaulted
+    loanDefaultGraceDays: {
+        type: Number,
+        min: [1, 'Default grace period must be at least 1 day'],
+        default: 90
+    },
+
+    // Charge on the remaining principal when a loan is closed early
+    loanPrepaymentChargePercentage: {
+        type: Number,
+        min: [0, 'Prepayment charge cannot be negative'],
+        max: [100, 'Prepayment charge cannot exceed 100%'],
+        default: 2
+    },
+
+    // Loan amount above which guarantors are required
+    loanGuarantorThreshold: {
+        type: Number,
+        min: [0, 'Guarantor threshold cannot be negative'],
+        default: 25000
+    },
+
+    // Number of guarantors required for loans above the threshold
+    loanGuarantorsRequired: {
+        type: Number,
+        min: [0, 'Guarantors required cannot be negative'],
+        max: [2, 'At most two guarantors can be required'],
+        default: 1
+    },
+
+    // Maximum number of loans one member may guarantee at a time
+    maxGuaranteesPerMember: {
+        type: Number,
+        min: [1, 'At least one guarantee must be allowed'],
+        default: 2
+    },
+
+    // Chit Settings
+    // Highest discount a chit auction bid may offer, as a percentage of the chit pot
+    chitMaxDiscountPercentage: {
+        type: Number,
+        min: [0, 'Maximum discount cannot be negative'],
+        max: [100, 'Maximum discount cannot exceed 100%'],
+        default: 30
+    },
+
+    // Emergency Fund Settings (club-wide defaults; a fund's own contribution rules take precedence)
+    // Smallest monthly contribution accepted
+    emergencyMinContribution: {
+        type: Number,
+        min: [0, 'Minimum contribution cannot be negative'],
+        default: 500
+    },
+
+    // Largest monthly contribution accepted (0 disables the maximum)
+    emergencyMaxContribution: {
+        type: Number,
+        min: [0, 'Maximum contribution cannot be negative'],
+        default: 0
+    },
+
+    // Days of the month on which contributions are accepted
+    emergencyPaymentStartDay: {
+        type: Number,
+        min: [1, 'Payment day must be between 1 and 31'],
+        max: [31, 'Payment day must be between 1 and 31'],
+        default: 1
+    },
+
+    emergencyPaymentEndDay: {
+        type: Number,
+        min: [1, 'Payment day must be between 1 and 31'],
+        max: [31, 'Payment day must be between 1 and 31'],
+        default: 31
+    },
+
+    // Fee charged on a contribution paid after the month it is for
+    emergencyLateFee: {
+        type: Number,
+        min: [0, 'Late fee cannot be negative'],
+        default: 0
+    },
+
+    // Whether a contribution below the minimum still counts as paying the month
+    emergencyCountPartialPayments: {
+        type: Boolean,
+        default: false
+    },
+
     // System Settings
     staffEmailVerification: {
         type: Boolean,
@@ -74,6 +206,14 @@ settingsSchema.pre('save', function (next) {
         return next(new Error('Loan eligibility amount cannot exceed maximum loan amount'));
     }
 
+    if (this.emergencyMaxContribution && this.emergencyMinContribution > this.emergencyMaxContribution) {
+        return next(new Error('Minimum emergency contribution cannot exceed the maximum'));
+    }
+
+    if (this.emergencyPaymentStartDay > this.emergencyPaymentEndDay) {
+        return next(new Error('Emergency payment start day cannot be after the end day'));
+    }
+
     next();
 });
 
@@ -28,7 +28,8 @@ const transactionSchema = new mongoose.Schema({
         enum: [
             // Income categories
             'share_collection', 'chitfund_collection', 'charity_donation', 'event_contribution',
-            'emergency_fund_contribution', 'loan_repayment', 'interest_income', 'other_income',
+            'emergency_fund_contribution', 'loan_repayment', 'interest_income', 'chitfund_commission',
+            'chitfund_registration_fee', 'other_income',
             // Expense categories
             'loan_disbursement', 'chitfund_payout', 'charity_expense', 'event_expense',
             'emergency_fund_disbursement', 'operational_expense', 'maintenance_expense',
@@ -55,7 +56,7 @@ const transactionSchema = new mongoose.Schema({
     relatedEntity: {
         entityType: {
             type: String,
-            enum: ['user', 'loan', 'chitfund', 'charity', 'event', 'emergency_fund', 'share'],
+            enum: ['user', 'loan', 'loan_staff', 'chitfund', 'chit_member', 'charity', 'event', 'emergency_fund', 'share'],
             default: null
         },
         entityId: {
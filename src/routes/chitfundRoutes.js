@@ -2,13 +2,26 @@ const express = require('express');
 const router = express.Router();
 const chitfundController = require('../controllers/chitfundController');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
-const { validateChitfund } = require('../middleware/validation');
+const {
+    validateChitfund,
+    validateStaffIds,
+    validateChitAuction,
+    validateChitAuctionId,
+    validateChitBid,
+    validateChitDraw,
+    validateChitDrawId,
+    validateChitDefaulters,
+    validateChitPayout,
+    validateChitTransfer,
+    validateId
+} = require('../middleware/validation');
 
 /**
  * @swagger
  * /api/chitfunds:
  *   post:
  *     summary: Create a new chitfund
+ *     description: The chitfund is created as "created"; start it with PATCH /api/chitfunds/{id}/start once it has members.
  *     tags: [Chitfund]
  *     security:
  *       - bearerAuth: []
@@ -31,6 +44,8 @@ const { validateChitfund } = require('../middleware/validation');
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
+ *       409:
+ *         description: chitStatus other than created
  */
 router.post('/',
     authenticateToken,
@@ -93,6 +108,38 @@ router.get('/',
     chitfundController.getAllChitfunds
 );
 
+/**
+ * @swagger
+ * /api/chitfunds/defaulters:
+ *   get:
+ *     summary: Get members with unpaid chit instalments across on-going chitfunds
+ *     tags: [Chitfund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
+ *         description: Only this chit month
+ *       - in: query
+ *         name: financeYearId
+ *         schema:
+ *           type: string
+ *         description: Only chitfunds of this financial year
+ *     responses:
+ *       200:
+ *         description: Member months with a shortfall, with the total shortfall
+ */
+router.get('/defaulters',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validateChitDefaulters,
+    chitfundController.getDefaulters
+);
+
 /**
  * @swagger
  * /api/chitfunds/{id}:
@@ -128,6 +175,7 @@ router.get('/:id',
  * /api/chitfunds/{id}:
  *   put:
  *     summary: Update chitfund
+ *     description: chitStatus cannot be changed here; use PATCH /api/chitfunds/{id}/start and /complete.
  *     tags: [Chitfund]
  *     security:
  *       - bearerAuth: []
@@ -155,6 +203,8 @@ router.get('/:id',
  *         description: Bad request
  *       404:
  *         description: Chitfund not found
+ *       409:
+ *         description: chitStatus differs from the current status
  */
 router.put('/:id',
     authenticateToken,
@@ -266,6 +316,7 @@ router.get('/status/:status',
  * /api/chitfunds/{id}/add-staff:
  *   post:
  *     summary: Add staff to chitfund
+ *     description: Creates a ChitMembers record for each staff member.
  *     tags: [Chitfund]
  *     security:
  *       - bearerAuth: []
@@ -301,6 +352,7 @@ router.get('/status/:status',
 router.post('/:id/add-staff',
     authenticateToken,
     authorizeRoles(['admin', 'manager']),
+    validateStaffIds,
     chitfundController.addStaffToChitfund
 );
 
@@ -309,6 +361,7 @@ router.post('/:id/add-staff',
  * /api/chitfunds/{id}/remove-staff:
  *   delete:
  *     summary: Remove staff from chitfund
+ *     description: Removes the staff members' ChitMembers records. Not allowed once a member has taken the chit or paid an instalment.
  *     tags: [Chitfund]
  *     security:
  *       - bearerAuth: []
@@ -338,15 +391,591 @@ router.post('/:id/add-staff',
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ChitfundResponse'
+ *       400:
+ *         description: Member has taken the chit or paid instalments
  *       404:
  *         description: Chitfund not found
  */
 router.delete('/:id/remove-staff',
     authenticateToken,
     authorizeRoles(['admin', 'manager']),
+    validateStaffIds,
     chitfundController.removeStaffFromChitfund
 );
 
+/**
+ * @swagger
+ * /api/chitfunds/{id}/members:
+ *   get:
+ *     summary: Get the members of a chitfund
+ *     tags: [Chitfund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chitfund ID
+ *     responses:
+ *       200:
+ *         description: Members with their memberStatus (taken or pending)
+ *       404:
+ *         description: Chitfund not found
+ */
+router.get('/:id/members',
+    authenticateToken,
+    chitfundController.getChitMembers
+);
+
+/**
+ * @swagger
+ * /api/chitfunds/{id}/members/taken:
+ *   get:
+ *     summary: Get the members who have taken the chit
+ *     tags: [Chitfund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chitfund ID
+ *     responses:
+ *       200:
+ *         description: Members who have taken the chit
+ *       404:
+ *         description: Chitfund not found
+ */
+router.get('/:id/members/taken',
+    authenticateToken,
+    chitfundController.getTakenMembers
+);
+
+/**
+ * @swagger
+ * /api/chitfunds/{id}/members/pending:
+ *   get:
+ *     summary: Get the members yet to take the chit
+ *     tags: [Chitfund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chitfund ID
+ *     responses:
+ *       200:
+ *         description: Members who have not taken the chit yet
+ *       404:
+ *         description: Chitfund not found
+ */
+router.get('/:id/members/pending',
+    authenticateToken,
+    chitfundController.getPendingMembers
+);
+
+/**
+ * @swagger
+ * /api/chitfunds/{id}/transfers:
+ *   post:
+ *     summary: Transfer a member's seat to another staff member
+ *     tags: [Chitfund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chitfund ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fromStaffId
+ *               - toStaffId
+ *             properties:
+ *               fromStaffId:
+ *                 type: string
+ *               toStaffId:
+ *                 type: string
+ *               transferHistory:
+ *                 type: boolean
+ *                 description: Put the outgoing member's collections and dividends in the incoming member's name; the seat keeps its paid months either way
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Seat transferred and the transfer recorded with its settlement amount
+ *       400:
+ *         description: Outgoing member has taken the chit and owes instalments, or incoming staff is already a member
+ *       409:
+ *         description: Chitfund is completed
+ */
+router.post('/:id/transfers',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validateChitTransfer,
+    chitfundController.transferSeat
+);
+
+/**
+ * @swagger
+ * /api/chitfunds/{id}/transfers:
+ *   get:
+ *     summary: Get the seat transfers of a chitfund
+ *     tags: [Chitfund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chitfund ID
+ *     responses:
+ *       200:
+ *         description: Transfers in the order they were made
+ */
+router.get('/:id/transfers',
+    authenticateToken,
+    validateId,
+    chitfundController.getTransfers
+);
+
+/**
+ * @swagger
+ * /api/chitfunds/{id}/auctions:
+ *   post:
+ *     summary: Open bidding for a chit month
+ *     tags: [Chitfund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chitfund ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - auctionMonth
+ *             properties:
+ *               auctionMonth:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 12
+ *     responses:
+ *       201:
+ *         description: Auction opened with the pot and maximum discount fixed
+ *       400:
+ *         description: Another auction open or month already auctioned
+ *       409:
+ *         description: Chitfund is not on-going
+ */
+router.post('/:id/auctions',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validateChitAuction,
+    chitfundController.openAuction
+);
+
+/**
+ * @swagger
+ * /api/chitfunds/{id}/auctions:
+ *   get:
+ *     summary: Get the auctions of a chitfund
+ *     tags: [Chitfund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chitfund ID
+ *     responses:
+ *       200:
+ *         description: Auctions by month with their winners and dividends
+ */
+router.get('/:id/auctions',
+    authenticateToken,
+    chitfundController.getAuctions
+);
+
+/**
+ * @swagger
+ * /api/chitfunds/{id}/auctions/{auctionId}:
+ *   get:
+ *     summary: Get an auction with its bids and dividends
+ *     tags: [Chitfund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chitfund ID
+ *       - in: path
+ *         name: auctionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     responses:
+ *       200:
+ *         description: Auction details
+ *       404:
+ *         description: Auction not found
+ */
+router.get('/:id/auctions/:auctionId',
+    authenticateToken,
+    validateChitAuctionId,
+    chitfundController.getAuctionById
+);
+
+/**
+ * @swagger
+ * /api/chitfunds/{id}/auctions/{auctionId}/bids:
+ *   post:
+ *     summary: Place a discount bid
+ *     description: Members bid for themselves; admins and managers may pass staffId to record a bid for a member
+ *     tags: [Chitfund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chitfund ID
+ *       - in: path
+ *         name: auctionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - discountAmount
+ *             properties:
+ *               discountAmount:
+ *                 type: number
+ *               staffId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Bid placed
+ *       400:
+ *         description: Bidding closed, bidder not eligible, discount above the maximum or not above the highest bid
+ *       409:
+ *         description: Chitfund is not on-going
+ */
+router.post('/:id/auctions/:auctionId/bids',
+    authenticateToken,
+    validateChitBid,
+    chitfundController.placeBid
+);
+
+/**
+ * @swagger
+ * /api/chitfunds/{id}/auctions/{auctionId}/close:
+ *   patch:
+ *     summary: Close bidding and distribute the dividend
+ *     tags: [Chitfund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chitfund ID
+ *       - in: path
+ *         name: auctionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Auction ID
+ *     responses:
+ *       200:
+ *         description: Winner takes the chit and the discount is credited to the other members' next instalment
+ *       400:
+ *         description: Auction already closed or no bids placed
+ *       409:
+ *         description: Chitfund is not on-going
+ */
+router.patch('/:id/auctions/:auctionId/close',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validateChitAuctionId,
+    chitfundController.closeAuction
+);
+
+/**
+ * @swagger
+ * /api/chitfunds/{id}/draws:
+ *   post:
+ *     summary: Draw the winner of a chit month by lottery
+ *     description: Picks among members yet to take the chit using a seed the server generates and records. Only for chitfunds with selectionMethod draw
+ *     tags: [Chitfund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chitfund ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - drawMonth
+ *             properties:
+ *               drawMonth:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 12
+ *     responses:
+ *       201:
+ *         description: Draw recorded and the winner has taken the chit
+ *       400:
+ *         description: Not a draw chitfund or month already drawn
+ *       409:
+ *         description: Chitfund is not on-going
+ */
+router.post('/:id/draws',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validateChitDraw,
+    chitfundController.runDraw
+);
+
+/**
+ * @swagger
+ * /api/chitfunds/{id}/draws:
+ *   get:
+ *     summary: Get the draws of a chitfund
+ *     tags: [Chitfund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chitfund ID
+ *     responses:
+ *       200:
+ *         description: Draws with their seeds, candidates and winners
+ */
+router.get('/:id/draws',
+    authenticateToken,
+    chitfundController.getDraws
+);
+
+/**
+ * @swagger
+ * /api/chitfunds/{id}/draws/{drawId}/verify:
+ *   get:
+ *     summary: Re-run a draw from its recorded seed and check the winner
+ *     tags: [Chitfund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chitfund ID
+ *       - in: path
+ *         name: drawId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Draw ID
+ *     responses:
+ *       200:
+ *         description: Recomputed digest and winner, with verified true when they match the record
+ *       404:
+ *         description: Draw not found
+ */
+router.get('/:id/draws/:drawId/verify',
+    authenticateToken,
+    validateChitDrawId,
+    chitfundController.verifyDraw
+);
+
+/**
+ * @swagger
+ * /api/chitfunds/{id}/payouts:
+ *   post:
+ *     summary: Pay out the chit to the member who won or drew it
+ *     description: Posts a chitfund_payout transaction. Refused while the month's collections are short unless an admin overrides with a reason
+ *     tags: [Chitfund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chitfund ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - staffId
+ *               - paymentMethod
+ *             properties:
+ *               staffId:
+ *                 type: string
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cash, bank_transfer, check, online, other]
+ *               paymentReference:
+ *                 type: string
+ *               paidAt:
+ *                 type: string
+ *                 format: date
+ *               override:
+ *                 type: boolean
+ *               overrideReason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payout recorded with its gross, discount, commission, registration fee and net amounts
+ *       400:
+ *         description: Chit not taken, already paid out, collections incomplete or no chitfund account
+ */
+router.post('/:id/payouts',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validateChitPayout,
+    chitfundController.createPayout
+);
+
+/**
+ * @swagger
+ * /api/chitfunds/{id}/payouts:
+ *   get:
+ *     summary: Get the payouts of a chitfund
+ *     tags: [Chitfund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chitfund ID
+ *     responses:
+ *       200:
+ *         description: Payouts by month
+ */
+router.get('/:id/payouts',
+    authenticateToken,
+    validateId,
+    chitfundController.getPayouts
+);
+
+/**
+ * @swagger
+ * /api/chitfunds/{id}/collection-sheet:
+ *   get:
+ *     summary: Get the members × months collection sheet of a chitfund
+ *     tags: [Chitfund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chitfund ID
+ *     responses:
+ *       200:
+ *         description: Expected, paid, shortfall and collector for every member and chit month, with monthly totals
+ *       404:
+ *         description: Chitfund not found
+ */
+router.get('/:id/collection-sheet',
+    authenticateToken,
+    validateId,
+    chitfundController.getCollectionSheet
+);
+
+/**
+ * @swagger
+ * /api/chitfunds/{id}/start:
+ *   patch:
+ *     summary: Start a created chitfund
+ *     tags: [Chitfund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chitfund ID
+ *     responses:
+ *       200:
+ *         description: Chitfund is on-going
+ *       404:
+ *         description: Chitfund not found
+ *       409:
+ *         description: Chitfund is not in created status, or has no members
+ */
+router.patch('/:id/start',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validateId,
+    chitfundController.startChitfund
+);
+
 /**
  * @swagger
  * /api/chitfunds/{id}/complete:
@@ -371,6 +1000,8 @@ router.delete('/:id/remove-staff',
  *               $ref: '#/components/schemas/ChitfundResponse'
  *       404:
  *         description: Chitfund not found
+ *       409:
+ *         description: Chitfund is not on-going, a member has not taken the chit or instalments are outstanding
  */
 router.patch('/:id/complete',
     authenticateToken,
@@ -414,6 +1045,9 @@ router.patch('/:id/complete',
  *                       type: number
  *                     completionPercentage:
  *                       type: number
+ *                     fees:
+ *                       type: object
+ *                       description: Commission and registration fee settings, with the amounts taken from payouts so far
  */
 router.get('/:id/stats',
     authenticateToken,
@@ -0,0 +1,261 @@
+const express = require('express');
+const router = express.Router();
+const emergencyClaimController = require('../controllers/emergencyClaimController');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { uploadClaimDocuments, handleUploadError } = require('../middleware/upload');
+const {
+    validateEmergencyClaim,
+    validateEmergencyClaimQuery,
+    validateEmergencyClaimDecision,
+    validateEmergencyClaimDisbursement,
+    validateClaimDocument,
+    validateId
+} = require('../middleware/validation');
+
+/**
+ * @swagger
+ * /api/emergency-claims:
+ *   post:
+ *     summary: Raise a claim on an emergency fund as its employee or nominee
+ *     tags: [EmergencyClaim]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fundId
+ *               - reason
+ *             properties:
+ *               fundId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *               documents:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Supporting documents (pdf, jpg, jpeg, png; 5MB each)
+ *     responses:
+ *       201:
+ *         description: Claim raised and awaiting committee approval
+ *       400:
+ *         description: Not the fund's employee or nominee, or the fund already has an open or paid claim
+ *       409:
+ *         description: Emergency fund is closed
+ */
+router.post('/',
+    authenticateToken,
+    uploadClaimDocuments,
+    handleUploadError,
+    validateEmergencyClaim,
+    emergencyClaimController.raiseClaim
+);
+
+/**
+ * @swagger
+ * /api/emergency-claims:
+ *   get:
+ *     summary: Get emergency claims
+ *     description: Committee members see every claim; other members see the claims on funds they are employee or nominee of.
+ *     tags: [EmergencyClaim]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fundId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, paid]
+ *     responses:
+ *       200:
+ *         description: Claims, newest first
+ */
+router.get('/',
+    authenticateToken,
+    validateEmergencyClaimQuery,
+    emergencyClaimController.getClaims
+);
+
+/**
+ * @swagger
+ * /api/emergency-claims/{id}:
+ *   get:
+ *     summary: Get an emergency claim with its fund and committee decisions
+ *     tags: [EmergencyClaim]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Emergency claim with its documents, decisions and payout
+ *       404:
+ *         description: Emergency claim not found
+ */
+router.get('/:id',
+    authenticateToken,
+    validateId,
+    emergencyClaimController.getClaimById
+);
+
+/**
+ * @swagger
+ * /api/emergency-claims/{id}/documents/{documentId}:
+ *   get:
+ *     summary: Download a supporting document of an emergency claim
+ *     tags: [EmergencyClaim]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The document file
+ *       404:
+ *         description: Claim or document not found
+ */
+router.get('/:id/documents/:documentId',
+    authenticateToken,
+    validateClaimDocument,
+    emergencyClaimController.getClaimDocument
+);
+
+/**
+ * @swagger
+ * /api/emergency-claims/{id}/approve:
+ *   patch:
+ *     summary: Approve an emergency claim as a committee member
+ *     description: The claim is approved after two committee approvals, and the payout is set to everything collected for the fund.
+ *     tags: [EmergencyClaim]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comments:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Approval recorded
+ *       400:
+ *         description: Claim is not pending, decision already recorded, or the member is party to the fund
+ */
+router.patch('/:id/approve',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validateEmergencyClaimDecision,
+    emergencyClaimController.approveClaim
+);
+
+/**
+ * @swagger
+ * /api/emergency-claims/{id}/reject:
+ *   patch:
+ *     summary: Reject an emergency claim as a committee member
+ *     tags: [EmergencyClaim]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comments:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Claim rejected
+ *       400:
+ *         description: Claim is not pending, decision already recorded, or the member is party to the fund
+ */
+router.patch('/:id/reject',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validateEmergencyClaimDecision,
+    emergencyClaimController.rejectClaim
+);
+
+/**
+ * @swagger
+ * /api/emergency-claims/{id}/disburse:
+ *   post:
+ *     summary: Pay out an approved emergency claim and close the fund
+ *     tags: [EmergencyClaim]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paymentMethod
+ *             properties:
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cash, bank_transfer, check, online, other]
+ *               paymentReference:
+ *                 type: string
+ *               paidAt:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Claim paid as an emergency_fund_disbursement transaction and the fund closed
+ *       400:
+ *         description: Claim not approved or no active emergency account
+ */
+router.post('/:id/disburse',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validateEmergencyClaimDisbursement,
+    emergencyClaimController.disburseClaim
+);
+
+module.exports = router;
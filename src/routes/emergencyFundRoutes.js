@@ -2,7 +2,13 @@ const express = require('express');
 const router = express.Router();
 const emergencyFundController = require('../controllers/emergencyFundController');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
-const { validateEmergencyFund, validateId } = require('../middleware/validation');
+const {
+    validateEmergencyFund,
+    validateBehindSchedule,
+    validateArrearsReport,
+    validateArrearsStatement,
+    validateId
+} = require('../middleware/validation');
 
 /**
  * @swagger
@@ -93,6 +99,86 @@ router.get('/',
     emergencyFundController.getEmergencyFundsByFinancialYear
 );
 
+/**
+ * @swagger
+ * /api/emergency-funds/behind-schedule:
+ *   get:
+ *     summary: Get active emergency funds that have fallen behind their expected month count
+ *     tags: [EmergencyFund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: financeYearId
+ *         schema:
+ *           type: string
+ *         description: Only funds of this financial year
+ *     responses:
+ *       200:
+ *         description: Funds with paid and expected months, months and amount behind, most behind first
+ */
+router.get('/behind-schedule',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validateBehindSchedule,
+    emergencyFundController.getBehindScheduleFunds
+);
+
+/**
+ * @swagger
+ * /api/emergency-funds/arrears:
+ *   get:
+ *     summary: Get the club-wide arrears report of active emergency funds
+ *     tags: [EmergencyFund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: financeYearId
+ *         schema:
+ *           type: string
+ *         description: Only funds of this financial year
+ *     responses:
+ *       200:
+ *         description: Totals, plus each fund in arrears with its months and amount owed and oldest unpaid month, largest first
+ */
+router.get('/arrears',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validateArrearsReport,
+    emergencyFundController.getArrearsReport
+);
+
+/**
+ * @swagger
+ * /api/emergency-funds/arrears/{staffId}:
+ *   get:
+ *     summary: Get a member's emergency fund arrears statement
+ *     description: Staff can only view their own statement; admins and managers can view anyone's.
+ *     tags: [EmergencyFund]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: staffId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Staff (user) ID
+ *     responses:
+ *       200:
+ *         description: Each of the member's funds month by month, with what was expected, paid and is in arrears
+ *       403:
+ *         description: Not allowed to view another member's statement
+ *       404:
+ *         description: Staff member not found
+ */
+router.get('/arrears/:staffId',
+    authenticateToken,
+    validateArrearsStatement,
+    emergencyFundController.getArrearsStatement
+);
+
 /**
  * @swagger
  * /api/emergency-funds/{id}:
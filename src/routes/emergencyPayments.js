@@ -0,0 +1,162 @@
+const express = require('express');
+const router = express.Router();
+const emergencyPaymentController = require('../controllers/emergencyPaymentController');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const {
+    validateEmergencyPayment,
+    validateEmergencyCatchUp,
+    validateEmergencyPaymentHistory,
+    validateFundId
+} = require('../middleware/validation');
+
+/**
+ * @swagger
+ * /api/emergency-payments:
+ *   post:
+ *     summary: Record a monthly emergency fund payment
+ *     tags: [EmergencyPayment]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fundId
+ *               - amountPaid
+ *               - month
+ *               - year
+ *             properties:
+ *               fundId:
+ *                 type: string
+ *               amountPaid:
+ *                 type: number
+ *                 description: Must follow the fund's minimum and maximum contribution
+ *               month:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 12
+ *               year:
+ *                 type: integer
+ *               paidAt:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Payment recorded for the fund's employee
+ *       400:
+ *         description: Fund closed, outside the allowed payment days or contribution limits, or month already paid
+ */
+router.post('/',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validateEmergencyPayment,
+    emergencyPaymentController.recordPayment
+);
+
+/**
+ * @swagger
+ * /api/emergency-payments/catch-up:
+ *   post:
+ *     summary: Record a catch-up payment against the oldest unpaid months of an emergency fund
+ *     description: The amount settles the oldest unpaid or partly paid month first and carries on into later months.
+ *     tags: [EmergencyPayment]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fundId
+ *               - amountPaid
+ *             properties:
+ *               fundId:
+ *                 type: string
+ *               amountPaid:
+ *                 type: number
+ *               paidAt:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: The months the payment was applied to and the resulting payments
+ *       400:
+ *         description: Fund closed, nothing owed, or more than is owed on the fund
+ */
+router.post('/catch-up',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validateEmergencyCatchUp,
+    emergencyPaymentController.recordCatchUpPayment
+);
+
+/**
+ * @swagger
+ * /api/emergency-payments/fund/{fundId}:
+ *   get:
+ *     summary: Get the payment history of an emergency fund
+ *     tags: [EmergencyPayment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Emergency fund ID
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: integer
+ *         description: Only this month (with year)
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Only this year (with month)
+ *     responses:
+ *       200:
+ *         description: Payments by month
+ *       404:
+ *         description: Emergency fund not found
+ */
+router.get('/fund/:fundId',
+    authenticateToken,
+    validateEmergencyPaymentHistory,
+    emergencyPaymentController.getPaymentHistory
+);
+
+/**
+ * @swagger
+ * /api/emergency-payments/fund/{fundId}/total:
+ *   get:
+ *     summary: Get the total paid into an emergency fund
+ *     tags: [EmergencyPayment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Emergency fund ID
+ *     responses:
+ *       200:
+ *         description: Total paid, number of payments and amount remaining
+ *       404:
+ *         description: Emergency fund not found
+ */
+router.get('/fund/:fundId/total',
+    authenticateToken,
+    validateFundId,
+    emergencyPaymentController.getTotalPaid
+);
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const interestAccrualController = require('../controllers/interestAccrualController');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const {
+    validateInterestAccrualRun,
+    validateInterestReport
+} = require('../middleware/validation');
+
+/**
+ * @swagger
+ * /api/interest-accruals/run:
+ *   post:
+ *     summary: Accrue a month of loan and chit interest now
+ *     description: Posts each loan's and chit member's interest for the month as a pending interest_income transaction, and completes the transactions of accruals that have since been received. The same run happens automatically every night for the previous month. Re-running a month does not accrue it twice.
+ *     tags: [Interest Accruals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               month:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 12
+ *                 description: Month to accrue (defaults to the previous month)
+ *               year:
+ *                 type: integer
+ *                 description: Year of the month to accrue (required with month)
+ *     responses:
+ *       200:
+ *         description: Run summary with the number of loans and chits accrued
+ *       400:
+ *         description: Month has not ended or no financial year covers it
+ */
+router.post('/run',
+    authenticateToken,
+    authorizeRoles(['admin']),
+    validateInterestAccrualRun,
+    interestAccrualController.runAccruals
+);
+
+/**
+ * @swagger
+ * /api/interest-accruals/report/{financeYearId}:
+ *   get:
+ *     summary: Report interest received and accrued but unpaid for a financial year
+ *     tags: [Interest Accruals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: financeYearId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Totals overall, by source (loan, chit) and by month
+ *       404:
+ *         description: Financial year not found
+ */
+router.get('/report/:financeYearId',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validateInterestReport,
+    interestAccrualController.getInterestReport
+);
+
+/**
+ * @swagger
+ * /api/interest-accruals:
+ *   get:
+ *     summary: Get interest accruals
+ *     tags: [Interest Accruals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: financeYearId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sourceType
+ *         schema:
+ *           type: string
+ *           enum: [loan, chit]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [accrued, partial, received]
+ *       - in: query
+ *         name: staffId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of interest accruals
+ */
+router.get('/',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    interestAccrualController.getAccruals
+);
+
+module.exports = router;
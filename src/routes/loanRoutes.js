@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const loanController = require('../controllers/loanController');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
-const { validateLoan } = require('../middleware/validation');
+const { validateLoan, validateLoanEligibility } = require('../middleware/validation');
 
 /**
  * @swagger
@@ -224,6 +224,36 @@ router.get('/financial-year/:financeYearId',
     loanController.getLoansByFinancialYear
 );
 
+/**
+ * @swagger
+ * /api/loans/eligibility/{staffId}:
+ *   get:
+ *     summary: Get the loan eligibility of a staff member
+ *     description: Computes the eligible amount from salary, membership length, share contributions, active loans and club settings. Staff may only check their own eligibility.
+ *     tags: [Loans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: staffId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Staff ID
+ *     responses:
+ *       200:
+ *         description: Eligibility result with eligible amount, individual limits and refusal reasons
+ *       400:
+ *         description: Staff member not found or settings not configured
+ *       403:
+ *         description: Staff may only check their own eligibility
+ */
+router.get('/eligibility/:staffId',
+    authenticateToken,
+    validateLoanEligibility,
+    loanController.getLoanEligibility
+);
+
 /**
  * @swagger
  * /api/loans/with-topup:
@@ -457,7 +487,7 @@ router.patch('/:id/update-topup-amount',
  *         description: Loan ID
  *     responses:
  *       200:
- *         description: Loan statistics
+ *         description: Loan statistics including slots used, slots available and the ordered waitlist
  *         content:
  *           application/json:
  *             schema:
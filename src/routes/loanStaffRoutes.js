@@ -0,0 +1,911 @@
+const express = require('express');
+const router = express.Router();
+const loanStaffController = require('../controllers/loanStaffController');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const {
+    validateLoanApplication,
+    validateLoanDecision,
+    validateLoanRepayment,
+    validateLoanEligibility,
+    validateAddGuarantor,
+    validateTopupRequest,
+    validateForeclosureQuote,
+    validateForeclosure,
+    validateLoanRestructure,
+    validateId
+} = require('../middleware/validation');
+
+/**
+ * @swagger
+ * /api/loans/staff:
+ *   post:
+ *     summary: Apply for a loan under a loan scheme
+ *     description: Staff apply for themselves. Admins and managers may pass staffId to apply on behalf of a staff member. Applications beyond the scheme's loanTotalStaffs join the waitlist.
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - loanId
+ *               - loanTakenAmount
+ *               - loanAuthorityPerson1
+ *               - loanAuthorityPerson2
+ *             properties:
+ *               loanId:
+ *                 type: string
+ *                 description: Loan scheme ID
+ *               staffId:
+ *                 type: string
+ *                 description: Staff ID (admin/manager only)
+ *               loanTakenAmount:
+ *                 type: number
+ *                 description: Requested loan amount
+ *               loanInterestPercentage:
+ *                 type: number
+ *                 description: Annual interest percentage (Admin/Manager only; defaults to club settings). This used to be a flat percentage of the loan amount; the schedule and interestAmount now both read it as an annual rate
+ *               loanTenureMonths:
+ *                 type: integer
+ *                 default: 12
+ *                 description: Repayment tenure in months
+ *               interestType:
+ *                 type: string
+ *                 enum: [flat, reducing]
+ *                 default: flat
+ *                 description: Flat interest on the original principal or reducing-balance interest
+ *               loanAuthorityPerson1:
+ *                 type: string
+ *                 description: First authority person ID
+ *               loanAuthorityPerson2:
+ *                 type: string
+ *                 description: Second authority person ID
+ *               guarantors:
+ *                 type: array
+ *                 maxItems: 2
+ *                 items:
+ *                   type: string
+ *                 description: Member IDs asked to guarantee the loan (required above the club's guarantor threshold)
+ *     responses:
+ *       201:
+ *         description: Loan application submitted successfully
+ *       400:
+ *         description: Bad request
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/',
+    authenticateToken,
+    validateLoanApplication,
+    loanStaffController.applyForLoan
+);
+
+/**
+ * @swagger
+ * /api/loans/staff:
+ *   get:
+ *     summary: Get all loan applications
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: financeYearId
+ *         schema:
+ *           type: string
+ *         description: Filter by financial year
+ *       - in: query
+ *         name: loanId
+ *         schema:
+ *           type: string
+ *         description: Filter by loan scheme
+ *       - in: query
+ *         name: staffId
+ *         schema:
+ *           type: string
+ *         description: Filter by staff member
+ *       - in: query
+ *         name: loanStatus
+ *         schema:
+ *           type: string
+ *           enum: [waitlisted, pending, approved, rejected, active, completed, defaulted]
+ *         description: Filter by loan status
+ *     responses:
+ *       200:
+ *         description: List of loan applications
+ */
+router.get('/',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    loanStaffController.getAllLoanStaff
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/pending-approvals:
+ *   get:
+ *     summary: Get pending loan applications awaiting the current user's decision
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of loan applications awaiting a decision
+ */
+router.get('/pending-approvals',
+    authenticateToken,
+    loanStaffController.getPendingApprovals
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/pending-topup-approvals:
+ *   get:
+ *     summary: Get active loans with a top-up request awaiting the current user's decision
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of loans with a pending top-up request
+ */
+router.get('/pending-topup-approvals',
+    authenticateToken,
+    loanStaffController.getPendingTopupApprovals
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/overdue:
+ *   get:
+ *     summary: Get loans that are behind their repayment schedule
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Overdue loans ordered by days past due
+ */
+router.get('/overdue',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    loanStaffController.getOverdueLoans
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/overdue/run:
+ *   post:
+ *     summary: Run the overdue and default check now
+ *     description: The same check runs automatically every night. Re-running it on the same day does not charge penalty twice.
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Run log with the loans that were changed
+ */
+router.post('/overdue/run',
+    authenticateToken,
+    authorizeRoles(['admin']),
+    loanStaffController.runOverdueCheck
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/overdue/runs:
+ *   get:
+ *     summary: Get the log of recent overdue runs
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of runs to return
+ *     responses:
+ *       200:
+ *         description: Recent runs, newest first
+ */
+router.get('/overdue/runs',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    loanStaffController.getOverdueRuns
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/guarantor-exposure:
+ *   get:
+ *     summary: Report guarantor exposure on defaulted loans
+ *     description: Splits the outstanding amount and penalty of each defaulted loan across the guarantors who consented.
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Defaulted loans with exposure per guarantor and totals per guarantor
+ */
+router.get('/guarantor-exposure',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    loanStaffController.getGuarantorExposure
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/guarantees/{staffId}:
+ *   get:
+ *     summary: Get the loans a member guarantees
+ *     description: Staff may only view their own guarantees.
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: staffId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Staff ID of the guarantor
+ *     responses:
+ *       200:
+ *         description: Guaranteed loans with consent status and current exposure
+ *       403:
+ *         description: Staff may only view their own guarantees
+ */
+router.get('/guarantees/:staffId',
+    authenticateToken,
+    validateLoanEligibility,
+    loanStaffController.getGuarantees
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/{id}:
+ *   get:
+ *     summary: Get loan application by ID
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan application ID
+ *     responses:
+ *       200:
+ *         description: Loan application details including authority decisions
+ *       404:
+ *         description: Loan application not found
+ *       403:
+ *         description: Staff can only view their own loans
+ */
+router.get('/:id',
+    authenticateToken,
+    validateId,
+    loanStaffController.getLoanStaffById
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/{id}/schedule:
+ *   get:
+ *     summary: Get the EMI repayment schedule of a staff loan
+ *     description: Active loans return their stored instalments. Loans not yet activated return an unsaved preview.
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan application ID
+ *     responses:
+ *       200:
+ *         description: Repayment schedule with monthly principal/interest split
+ *       404:
+ *         description: Loan application not found
+ *       403:
+ *         description: Staff can only view their own loans
+ */
+router.get('/:id/schedule',
+    authenticateToken,
+    validateId,
+    loanStaffController.getLoanSchedule
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/{id}/approve:
+ *   patch:
+ *     summary: Approve a loan application as one of its authority persons
+ *     description: The loan moves to approved only after both authority persons have approved.
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan application ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comments:
+ *                 type: string
+ *                 description: Approval comments
+ *     responses:
+ *       200:
+ *         description: Approval recorded
+ *       400:
+ *         description: Loan is not pending, user is not an authority, or decision already recorded
+ */
+router.patch('/:id/approve',
+    authenticateToken,
+    validateLoanDecision,
+    loanStaffController.approveLoanStaff
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/{id}/reject:
+ *   patch:
+ *     summary: Reject a loan application as one of its authority persons
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan application ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comments:
+ *                 type: string
+ *                 description: Rejection comments
+ *     responses:
+ *       200:
+ *         description: Loan rejected
+ *       400:
+ *         description: Loan is not pending, user is not an authority, or decision already recorded
+ */
+router.patch('/:id/reject',
+    authenticateToken,
+    validateLoanDecision,
+    loanStaffController.rejectLoanStaff
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/{id}/activate:
+ *   patch:
+ *     summary: Activate (disburse) an approved loan
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan application ID
+ *     responses:
+ *       200:
+ *         description: Loan activated
+ *       400:
+ *         description: Loan is not approved
+ */
+router.patch('/:id/activate',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validateId,
+    loanStaffController.activateLoanStaff
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/{id}/repayments:
+ *   post:
+ *     summary: Record a repayment against an active staff loan
+ *     description: The amount is allocated to interest first and then principal across the oldest unpaid instalments. The loan is completed once its due amount reaches zero.
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan application ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Amount repaid
+ *               collectionDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Date the repayment was received (defaults to today)
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cash, bank_transfer, check, online, other]
+ *                 default: cash
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Repayment recorded with its interest/principal split
+ *       400:
+ *         description: Loan is not active or the amount exceeds the outstanding due
+ */
+router.post('/:id/repayments',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validateLoanRepayment,
+    loanStaffController.recordRepayment
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/{id}/repayments:
+ *   get:
+ *     summary: Get the repayment history of a staff loan
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan application ID
+ *     responses:
+ *       200:
+ *         description: Repayments with interest and principal totals
+ *       404:
+ *         description: Loan application not found
+ *       403:
+ *         description: Staff can only view their own loans
+ */
+router.get('/:id/repayments',
+    authenticateToken,
+    validateId,
+    loanStaffController.getRepayments
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/{id}/restructure:
+ *   post:
+ *     summary: Restructure an active loan
+ *     description: Changes the tenure, interest rate or interest type agreed by the committee. Paid and part-paid instalments are kept and the principal of the pending instalments is re-amortised; the first new instalment falls a month after effectiveFrom. The old and new terms are kept in the loan's terms history.
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan application ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *               - approvedBy
+ *             properties:
+ *               loanTenureMonths:
+ *                 type: integer
+ *                 description: New total tenure in months, including instalments already paid or part-paid
+ *               loanInterestPercentage:
+ *                 type: number
+ *                 description: New annual interest percentage (not a flat percentage of the loan amount)
+ *               interestType:
+ *                 type: string
+ *                 enum: [flat, reducing]
+ *               reason:
+ *                 type: string
+ *                 description: Why the loan is being restructured
+ *               approvedBy:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Committee members who approved the restructure
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date
+ *                 description: Date the new terms take effect (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Loan restructured successfully
+ *       400:
+ *         description: Loan not active, terms unchanged or tenure too short
+ */
+router.post('/:id/restructure',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validateLoanRestructure,
+    loanStaffController.restructureLoan
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/{id}/terms-history:
+ *   get:
+ *     summary: Get every version of a loan's repayment terms
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan application ID
+ *     responses:
+ *       200:
+ *         description: Terms versions, oldest first, with reason and approvers
+ *       404:
+ *         description: Loan application not found
+ *       403:
+ *         description: Staff can only view their own loans
+ */
+router.get('/:id/terms-history',
+    authenticateToken,
+    validateId,
+    loanStaffController.getTermsHistory
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/{id}/guarantors:
+ *   post:
+ *     summary: Ask another member to guarantee a loan application
+ *     description: Used to replace a guarantor who declined. Only possible while the application is waitlisted or pending.
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan application ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - guarantorId
+ *             properties:
+ *               guarantorId:
+ *                 type: string
+ *                 description: Member ID of the guarantor
+ *     responses:
+ *       200:
+ *         description: Guarantor added, awaiting consent
+ *       400:
+ *         description: Loan already decided, member not allowed or guarantee limit reached
+ */
+router.post('/:id/guarantors',
+    authenticateToken,
+    validateAddGuarantor,
+    loanStaffController.addGuarantor
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/{id}/guarantors/accept:
+ *   patch:
+ *     summary: Consent to guarantee a loan as the current user
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan application ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comments:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Guarantee accepted
+ *       400:
+ *         description: User is not a guarantor of the loan or has already responded
+ */
+router.patch('/:id/guarantors/accept',
+    authenticateToken,
+    validateLoanDecision,
+    loanStaffController.acceptGuarantee
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/{id}/guarantors/decline:
+ *   patch:
+ *     summary: Decline to guarantee a loan as the current user
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan application ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comments:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Guarantee declined
+ *       400:
+ *         description: User is not a guarantor of the loan or has already responded
+ */
+router.patch('/:id/guarantors/decline',
+    authenticateToken,
+    validateLoanDecision,
+    loanStaffController.declineGuarantee
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/{id}/topups:
+ *   post:
+ *     summary: Request a top-up on an active loan
+ *     description: The request must fit within the scheme's top-up cap and the club-wide top-up limit, and the member must have no overdue instalments. It is then decided by the loan's two authority persons.
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan application ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - topupAmount
+ *             properties:
+ *               topupAmount:
+ *                 type: number
+ *                 description: Additional amount requested
+ *               reason:
+ *                 type: string
+ *                 description: Reason for the top-up
+ *     responses:
+ *       201:
+ *         description: Top-up request submitted
+ *       400:
+ *         description: Loan is not active, a request is already pending, a limit is exceeded or the repayment record is insufficient
+ */
+router.post('/:id/topups',
+    authenticateToken,
+    validateTopupRequest,
+    loanStaffController.requestTopup
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/{id}/topups/approve:
+ *   patch:
+ *     summary: Approve the pending top-up request as one of the loan authority persons
+ *     description: The top-up is added to the loan and the outstanding schedule is rebuilt once both authority persons have approved.
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan application ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comments:
+ *                 type: string
+ *                 description: Approval comments
+ *     responses:
+ *       200:
+ *         description: Approval recorded
+ *       400:
+ *         description: No pending request, user is not an authority, or decision already recorded
+ */
+router.patch('/:id/topups/approve',
+    authenticateToken,
+    validateLoanDecision,
+    loanStaffController.approveTopup
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/{id}/topups/reject:
+ *   patch:
+ *     summary: Reject the pending top-up request as one of the loan authority persons
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan application ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comments:
+ *                 type: string
+ *                 description: Rejection comments
+ *     responses:
+ *       200:
+ *         description: Top-up rejected
+ *       400:
+ *         description: No pending request, user is not an authority, or decision already recorded
+ */
+router.patch('/:id/topups/reject',
+    authenticateToken,
+    validateLoanDecision,
+    loanStaffController.rejectTopup
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/{id}/foreclosure-quote:
+ *   get:
+ *     summary: Get the payoff quote to close a loan early
+ *     description: Returns the remaining principal, interest accrued up to the settlement date, the prepayment charge from settings and any outstanding penalty interest.
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan application ID
+ *       - in: query
+ *         name: settlementDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Date the loan would be settled (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Foreclosure quote
+ *       400:
+ *         description: Loan cannot be foreclosed
+ *       403:
+ *         description: Staff can only view their own loans
+ */
+router.get('/:id/foreclosure-quote',
+    authenticateToken,
+    validateForeclosureQuote,
+    loanStaffController.getForeclosureQuote
+);
+
+/**
+ * @swagger
+ * /api/loans/staff/{id}/foreclose:
+ *   post:
+ *     summary: Settle a loan early and mark it completed
+ *     description: The amount must equal the foreclosure quote for the settlement date. It is posted as a single foreclosure collection.
+ *     tags: [Loan Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Loan application ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Payoff amount from the foreclosure quote
+ *               settlementDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Date the payoff was received (defaults to today)
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cash, bank_transfer, check, online, other]
+ *                 default: cash
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Loan settled and completed
+ *       400:
+ *         description: Loan cannot be foreclosed or the amount does not match the quote
+ */
+router.post('/:id/foreclose',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validateForeclosure,
+    loanStaffController.forecloseLoan
+);
+
+module.exports = router;
@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const payrollController = require('../controllers/payrollController');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { uploadPayrollFile, handleUploadError } = require('../middleware/upload');
+const {
+    validatePayrollGeneration,
+    validatePayrollFile,
+    validateId
+} = require('../middleware/validation');
+
+/**
+ * @swagger
+ * /api/payroll/deductions:
+ *   post:
+ *     summary: Generate the payroll deduction batch of a month
+ *     description: Collects loan instalments, monthly shares, chit instalments and emergency fund instalments due from each active member. Amounts already collected for the month are left out. Generating again replaces the batch until a confirmation has been imported.
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - financeYearId
+ *               - month
+ *             properties:
+ *               financeYearId:
+ *                 type: string
+ *                 description: Financial year ID
+ *               month:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 12
+ *                 description: Payroll month
+ *     responses:
+ *       201:
+ *         description: Payroll deductions generated successfully
+ *       400:
+ *         description: Bad request
+ */
+router.post('/deductions',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validatePayrollGeneration,
+    payrollController.generateDeductions
+);
+
+/**
+ * @swagger
+ * /api/payroll/deductions:
+ *   get:
+ *     summary: Get payroll deduction batches
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: financeYearId
+ *         schema:
+ *           type: string
+ *         description: Filter by financial year
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [exported, confirmed]
+ *         description: Filter by status
+ *     responses:
+ *       200:
+ *         description: List of payroll deduction batches without their lines
+ */
+router.get('/deductions',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    payrollController.getDeductions
+);
+
+/**
+ * @swagger
+ * /api/payroll/deductions/{id}:
+ *   get:
+ *     summary: Get a payroll deduction batch with its lines
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payroll deduction batch
+ *       404:
+ *         description: Payroll deduction batch not found
+ */
+router.get('/deductions/:id',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validateId,
+    payrollController.getDeductionById
+);
+
+/**
+ * @swagger
+ * /api/payroll/deductions/{id}/export:
+ *   get:
+ *     summary: Download the payroll deduction file
+ *     description: CSV has a header row. The fixed-width file has an H header record (period, record count, total in paise), one D record per member and a T trailer record.
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, fixed]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Deduction file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           text/plain:
+ *             schema:
+ *               type: string
+ */
+router.get('/deductions/:id/export',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    validatePayrollFile,
+    payrollController.exportDeductions
+);
+
+/**
+ * @swagger
+ * /api/payroll/deductions/{id}/confirmation:
+ *   post:
+ *     summary: Import the payroll office's confirmation file
+ *     description: Upload the exported file with the deducted amounts filled in. Rows with status "failed" are marked failed; other rows are recorded as loan repayments, share payments, chit collections and emergency fund payments. Lines already imported are skipped and lines with errors post only their failed parts again, so a file can be imported again safely.
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Confirmation file (csv, txt or dat, max 2MB)
+ *               format:
+ *                 type: string
+ *                 enum: [csv, fixed]
+ *                 default: csv
+ *     responses:
+ *       200:
+ *         description: Import summary and the updated batch
+ *       400:
+ *         description: Bad request
+ */
+router.post('/deductions/:id/confirmation',
+    authenticateToken,
+    authorizeRoles(['admin', 'manager']),
+    uploadPayrollFile,
+    handleUploadError,
+    validatePayrollFile,
+    payrollController.importConfirmation
+);
+
+module.exports = router;
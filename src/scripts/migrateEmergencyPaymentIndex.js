@@ -0,0 +1,77 @@
+const { connectDB, disconnectDB } = require('../config/database');
+const EmergencyFund = require('../models/EmergencyFund');
+const EmergencyPayment = require('../models/EmergencyPayment');
+const emergencyPaymentService = require('../services/emergencyPaymentService');
+const LoanScheduleHelper = require('../helpers/loanScheduleHelper');
+
+// Key of the one-payment-per-fund-per-month index
+const INDEX_KEY = { fundId: 1, month: 1, year: 1 };
+
+const isIndexKey = key => Object.keys(key).length === Object.keys(INDEX_KEY).length &&
+    Object.keys(INDEX_KEY).every(field => key[field] === INDEX_KEY[field]);
+
+// Fold the duplicate payments of a fund's month into the earliest one, keeping the total paid,
+// the highest late fee and the latest payment date
+async function mergeDuplicates() {
+    const groups = await EmergencyPayment.aggregate([
+        { $group: { _id: { fundId: '$fundId', month: '$month', year: '$year' }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+    ]);
+
+    const fundIds = new Set();
+
+    for (const group of groups) {
+        const [keeper, ...duplicates] = await EmergencyPayment.find({ _id: { $in: group.ids } }).sort({ createdAt: 1 });
+
+        keeper.amountPaid = LoanScheduleHelper.round(duplicates.reduce((sum, payment) => sum + payment.amountPaid, keeper.amountPaid));
+        keeper.lateFee = Math.max(keeper.lateFee || 0, ...duplicates.map(payment => payment.lateFee || 0));
+        keeper.paidAt = new Date(Math.max(keeper.paidAt, ...duplicates.map(payment => payment.paidAt)));
+        await keeper.save();
+
+        await EmergencyPayment.deleteMany({ _id: { $in: duplicates.map(payment => payment._id) } });
+        fundIds.add(group._id.fundId.toString());
+
+        const { fundId, month, year } = group._id;
+        console.log(`Merged ${duplicates.length + 1} payments of fund ${fundId} for ${month}/${year}`);
+    }
+
+    return [...fundIds];
+}
+
+async function migrateEmergencyPaymentIndex() {
+    try {
+        await connectDB();
+        console.log('Starting emergency payment index migration...');
+
+        const fundIds = await mergeDuplicates();
+        console.log(`Merged duplicate payments of ${fundIds.length} fund(s)`);
+
+        // The earlier non-unique index has the same key, so it has to go before the unique one can be built
+        const indexes = await EmergencyPayment.collection.indexes();
+        for (const index of indexes.filter(item => isIndexKey(item.key) && !item.unique)) {
+            await EmergencyPayment.collection.dropIndex(index.name);
+            console.log(`Dropped non-unique index ${index.name}`);
+        }
+
+        await EmergencyPayment.createIndexes();
+        console.log('Created unique index on fundId, month and year');
+
+        // Merged payments can change which months count as paid
+        for (const fundId of fundIds) {
+            const fund = await EmergencyFund.findById(fundId);
+            if (fund) {
+                await emergencyPaymentService.applyPayment(fund);
+            }
+        }
+
+        console.log('Migration completed successfully!');
+        await disconnectDB();
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        await disconnectDB();
+        process.exit(1);
+    }
+}
+
+migrateEmergencyPaymentIndex();
@@ -0,0 +1,225 @@
+const ChitAuction = require('../models/ChitAuction');
+const Chitfund = require('../models/Chitfund');
+const ChitMembers = require('../models/ChitMembers');
+const Settings = require('../models/Settings');
+const ChitAuctionHelper = require('../helpers/chitAuctionHelper');
+const LoanScheduleHelper = require('../helpers/loanScheduleHelper');
+const chitfundService = require('./chitfundService');
+
+class ChitAuctionService {
+    /**
+     * Find an auction of a chitfund
+     */
+    async findAuction(chitfundId, auctionId) {
+        const auction = await ChitAuction.findOne({ _id: auctionId, chitfundId });
+
+        if (!auction) {
+            throw new Error('Auction not found');
+        }
+
+        return auction;
+    }
+
+    /**
+     * Open bidding for a chit month
+     */
+    async openAuction(chitfundId, auctionMonth, openedBy) {
+        try {
+            const [chitfund, settings, openAuction, existing, members] = await Promise.all([
+                Chitfund.findById(chitfundId),
+                Settings.getCurrentSettings(),
+                ChitAuction.findOne({ chitfundId, status: 'open' }),
+                ChitAuction.findOne({ chitfundId, auctionMonth }),
+                ChitMembers.find({ chitfundId })
+            ]);
+
+            if (!chitfund) {
+                throw new Error('Chitfund not found');
+            }
+
+            chitfund.assertOnGoing('Auctioning the chit');
+
+            if (chitfund.selectionMethod === 'draw') {
+                throw new Error('This chitfund is given out by draw, not auction');
+            }
+
+            if (!settings) {
+                throw new Error('Club settings have not been configured');
+            }
+
+            if (openAuction) {
+                throw new Error(`Bidding for month ${openAuction.auctionMonth} is still open`);
+            }
+
+            if (existing) {
+                throw new Error(`Month ${auctionMonth} has already been auctioned`);
+            }
+
+            if (!members.some(member => !member.chitTaken)) {
+                throw new Error('Every member has already taken the chit');
+            }
+
+            const auction = new ChitAuction({
+                financeYearId: chitfund.financeYearId,
+                chitfundId,
+                auctionMonth,
+                potAmount: ChitAuctionHelper.potAmount(chitfund.chitAmount, members.length),
+                maxDiscountPercentage: settings.chitMaxDiscountPercentage,
+                openedBy
+            });
+
+            return await auction.save();
+        } catch (error) {
+            throw Object.assign(new Error(`Error opening auction: ${error.message}`), { statusCode: error.statusCode });
+        }
+    }
+
+    /**
+     * Place a discount bid as a member who has not yet taken the chit
+     * Each bid must offer a higher discount than the current highest bid
+     */
+    async placeBid(chitfundId, auctionId, { staffId, discountAmount }, recordedBy) {
+        try {
+            const [chitfund, auction] = await Promise.all([
+                Chitfund.findById(chitfundId),
+                this.findAuction(chitfundId, auctionId)
+            ]);
+
+            if (!chitfund) {
+                throw new Error('Chitfund not found');
+            }
+
+            chitfund.assertOnGoing('Bidding');
+
+            if (auction.status !== 'open') {
+                throw new Error('Bidding is closed for this auction');
+            }
+
+            const member = await ChitMembers.findOne({ chitfundId, staffId });
+
+            if (!member) {
+                throw new Error('Only members of the chitfund can bid');
+            }
+
+            if (member.chitTaken) {
+                throw new Error('Members who have taken the chit cannot bid');
+            }
+
+            if (discountAmount > auction.maxDiscountAmount) {
+                throw new Error(`Discount cannot exceed ${auction.maxDiscountAmount} (${auction.maxDiscountPercentage}% of the pot)`);
+            }
+
+            const { highestBid } = auction;
+
+            if (highestBid && discountAmount <= highestBid.discountAmount) {
+                throw new Error(`Bid must offer a higher discount than the current highest bid of ${highestBid.discountAmount}`);
+            }
+
+            auction.bids.push({ staffId, discountAmount, recordedBy, bidAt: new Date() });
+            return await auction.save();
+        } catch (error) {
+            throw Object.assign(new Error(`Error placing bid: ${error.message}`), { statusCode: error.statusCode });
+        }
+    }
+
+    /**
+     * Close bidding: the highest discount wins the pot less the discount,
+     * and the discount is split as a dividend against every other member's next instalment
+     */
+    async closeAuction(chitfundId, auctionId, closedBy) {
+        try {
+            const [chitfund, auction] = await Promise.all([
+                Chitfund.findById(chitfundId),
+                this.findAuction(chitfundId, auctionId)
+            ]);
+
+            if (!chitfund) {
+                throw new Error('Chitfund not found');
+            }
+
+            chitfund.assertOnGoing('Closing the auction');
+
+            if (auction.status !== 'open') {
+                throw new Error('Auction is already closed');
+            }
+
+            const winningBid = ChitAuctionHelper.pickWinner(auction.bids);
+
+            if (!winningBid) {
+                throw new Error('No bids have been placed');
+            }
+
+            const members = await ChitMembers.find({ chitfundId });
+            const winner = members.find(member => member.staffId.toString() === winningBid.staffId.toString());
+
+            if (!winner || winner.chitTaken) {
+                throw new Error('The winning bidder is no longer eligible to take the chit');
+            }
+
+            const { perMember, dividends, remainder } = ChitAuctionHelper.splitDividend(
+                winningBid.discountAmount,
+                members.map(member => member.staffId),
+                winningBid.staffId
+            );
+
+            auction.status = 'closed';
+            auction.winnerId = winningBid.staffId;
+            auction.winnerMemberId = winner._id;
+            auction.winningDiscount = winningBid.discountAmount;
+            auction.prizeAmount = LoanScheduleHelper.round(auction.potAmount - winningBid.discountAmount);
+            auction.dividendPerMember = perMember;
+            auction.dividendMonth = ChitAuctionHelper.nextMonth(auction.auctionMonth);
+            auction.dividends = dividends;
+            auction.dividendRemainder = remainder;
+            auction.closedBy = closedBy;
+            auction.closedAt = new Date();
+
+            await auction.save();
+            await winner.takeChit(auction.prizeAmount, auction.auctionMonth, winner.chitInterestPercentage);
+            await chitfundService.completeIfSettled(chitfundId);
+
+            return auction;
+        } catch (error) {
+            throw Object.assign(new Error(`Error closing auction: ${error.message}`), { statusCode: error.statusCode });
+        }
+    }
+
+    /**
+     * Get the auctions of a chitfund
+     */
+    async getAuctions(chitfundId) {
+        try {
+            return await ChitAuction.getByChitfund(chitfundId);
+        } catch (error) {
+            throw new Error(`Error fetching auctions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get an auction with its bids and dividends
+     */
+    async getAuctionById(chitfundId, auctionId) {
+        try {
+            const auction = await ChitAuction.findOne({ _id: auctionId, chitfundId })
+                .populate('winnerId bids.staffId dividends.staffId', 'employeeId firstName lastName');
+
+            if (!auction) {
+                throw new Error('Auction not found');
+            }
+
+            return auction;
+        } catch (error) {
+            throw new Error(`Error fetching auction: ${error.message}`);
+        }
+    }
+
+    /**
+     * Instalment a member owes for a chit month: the chit amount less any dividend credited for that month
+     */
+    async getInstalmentDue(chitfund, staffId, month) {
+        const dividend = await ChitAuction.getDividendFor(chitfund._id, staffId, month);
+        return LoanScheduleHelper.round(Math.max(chitfund.chitAmount - dividend, 0));
+    }
+}
+
+module.exports = new ChitAuctionService();
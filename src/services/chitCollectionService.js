@@ -0,0 +1,234 @@
+const Chitfund = require('../models/Chitfund');
+const ChitMembers = require('../models/ChitMembers');
+const ChitCollection = require('../models/ChitCollection');
+const ChitAuction = require('../models/ChitAuction');
+const ChitTransfer = require('../models/ChitTransfer');
+const ChitCollectionHelper = require('../helpers/chitCollectionHelper');
+const LoanScheduleHelper = require('../helpers/loanScheduleHelper');
+
+class ChitCollectionService {
+    /**
+     * Staff whose payments and dividends count towards a seat: its current holder and everyone
+     * who held it before a transfer, whether or not their history was moved to the incoming member
+     */
+    seatHolders(member, transfers) {
+        const staffId = member.staffId._id || member.staffId;
+
+        return [staffId.toString(), ...transfers
+            .filter(transfer => transfer.chitMemberId.toString() === member._id.toString())
+            .map(transfer => transfer.fromStaffId.toString())];
+    }
+
+    /**
+     * Whether a member's seat has paid a chit month, counting payments made before the seat was transferred
+     */
+    async isMonthCollected(chitfundId, staffId, month) {
+        const member = await ChitMembers.findOne({ chitfundId, staffId });
+        const holders = member
+            ? this.seatHolders(member, await ChitTransfer.find({ chitfundId, chitMemberId: member._id }))
+            : [staffId];
+
+        return Boolean(await ChitCollection.exists({ chitfundId, staffId: { $in: holders }, collectionMonth: month }));
+    }
+
+    /**
+     * Build the members × months grid of a chitfund
+     * Each cell holds the expected instalment (less any auction dividend), the amount paid, the shortfall and the collector
+     * A transferred seat keeps the payments and dividends of its earlier holders
+     */
+    async buildSheet(chitfund, asOf = new Date()) {
+        const [members, collections, dividends, transfers] = await Promise.all([
+            ChitMembers.find({ chitfundId: chitfund._id }).populate('staffId', 'employeeId firstName lastName'),
+            ChitCollection.find({ chitfundId: chitfund._id }).populate('collectionBy', 'employeeId firstName lastName'),
+            ChitAuction.getDividendMap(chitfund._id),
+            ChitTransfer.find({ chitfundId: chitfund._id })
+        ]);
+
+        const months = ChitCollectionHelper.chitMonths(chitfund.chitStarted, members.length);
+        const dueCount = ChitCollectionHelper.dueMonths(chitfund.chitStarted, members.length, asOf).length;
+
+        const rows = members.map(member => {
+            const holders = this.seatHolders(member, transfers);
+            const totals = { expected: 0, paid: 0, shortfall: 0 };
+
+            const cells = months.map(({ month, year }, index) => {
+                const collection = ChitCollectionHelper.combine(collections.filter(item =>
+                    holders.includes(item.staffId.toString()) && item.collectionMonth === month));
+                const dividend = holders.reduce((sum, staffId) => sum + (dividends.get(`${staffId}:${month}`) || 0), 0);
+                const expected = LoanScheduleHelper.round(Math.max(chitfund.chitAmount - dividend, 0));
+                const cell = { month, year, ...ChitCollectionHelper.cell(expected, collection, index < dueCount) };
+
+                if (index < dueCount) {
+                    totals.expected = LoanScheduleHelper.round(totals.expected + cell.expected);
+                    totals.shortfall = LoanScheduleHelper.round(totals.shortfall + cell.shortfall);
+                }
+                totals.paid = LoanScheduleHelper.round(totals.paid + cell.paid);
+
+                return cell;
+            });
+
+            return { staff: member.staffId, memberStatus: member.memberStatus, months: cells, totals };
+        });
+
+        return { months, dueCount, rows };
+    }
+
+    /**
+     * Members who have not paid a chit month in full, whether or not the month has started
+     */
+    async getMonthShortfall(chitfund, month) {
+        const { months, rows } = await this.buildSheet(chitfund);
+        const index = months.findIndex(item => item.month === month);
+
+        if (index === -1) {
+            throw new Error(`Month ${month} is not a month of this chit`);
+        }
+
+        const unpaid = rows
+            .map(row => {
+                const cell = row.months[index];
+                return { staff: row.staff, expected: cell.expected, paid: cell.paid, shortfall: LoanScheduleHelper.round(Math.max(cell.expected - cell.paid, 0)) };
+            })
+            .filter(item => item.shortfall > 0);
+
+        return {
+            unpaid,
+            shortfall: LoanScheduleHelper.round(unpaid.reduce((sum, item) => sum + item.shortfall, 0))
+        };
+    }
+
+    /**
+     * Instalments still unpaid across every month of a chitfund, whether or not the month has started
+     */
+    async getOutstanding(chitfund) {
+        const { rows } = await this.buildSheet(chitfund);
+
+        return LoanScheduleHelper.round(rows.reduce((total, row) =>
+            total + row.months.reduce((sum, cell) => sum + Math.max(cell.expected - cell.paid, 0), 0), 0));
+    }
+
+    /**
+     * What a member has paid into a chitfund and still owes across all its months
+     */
+    async getMemberBalance(chitfund, staffId) {
+        const { rows } = await this.buildSheet(chitfund);
+        const row = rows.find(item => item.staff._id.toString() === staffId.toString());
+
+        if (!row) {
+            throw new Error('Staff is not a member of this chitfund');
+        }
+
+        return {
+            paid: row.totals.paid,
+            outstanding: LoanScheduleHelper.round(row.months.reduce((sum, cell) => sum + Math.max(cell.expected - cell.paid, 0), 0))
+        };
+    }
+
+    /**
+     * Get the collection sheet of a chitfund with per-month and overall totals
+     */
+    async getCollectionSheet(chitfundId, asOf = new Date()) {
+        try {
+            const chitfund = await Chitfund.findById(chitfundId);
+
+            if (!chitfund) {
+                throw new Error('Chitfund not found');
+            }
+
+            const [{ months, dueCount, rows }, summary] = await Promise.all([
+                this.buildSheet(chitfund, asOf),
+                ChitCollection.getMonthlySummary(chitfund._id)
+            ]);
+
+            const monthlyTotals = months.map(({ month, year }, index) => {
+                const collected = summary.find(item => item._id === month);
+                const cells = rows.map(row => row.months[index]);
+
+                return {
+                    month,
+                    year,
+                    isDue: index < dueCount,
+                    expected: LoanScheduleHelper.round(cells.reduce((sum, cell) => sum + cell.expected, 0)),
+                    collected: collected ? LoanScheduleHelper.round(collected.totalAmount) : 0,
+                    collectionCount: collected ? collected.count : 0,
+                    shortfall: LoanScheduleHelper.round(cells.reduce((sum, cell) => sum + cell.shortfall, 0)),
+                    unpaidMembers: cells.filter(cell => cell.shortfall > 0).length
+                };
+            });
+
+            return {
+                chitfund: {
+                    _id: chitfund._id,
+                    chitName: chitfund.chitName,
+                    chitAmount: chitfund.chitAmount,
+                    chitStatus: chitfund.chitStatus,
+                    chitStarted: chitfund.chitStarted
+                },
+                months,
+                members: rows,
+                monthlyTotals,
+                totals: {
+                    expected: LoanScheduleHelper.round(rows.reduce((sum, row) => sum + row.totals.expected, 0)),
+                    paid: LoanScheduleHelper.round(rows.reduce((sum, row) => sum + row.totals.paid, 0)),
+                    shortfall: LoanScheduleHelper.round(rows.reduce((sum, row) => sum + row.totals.shortfall, 0))
+                }
+            };
+        } catch (error) {
+            throw new Error(`Error building collection sheet: ${error.message}`);
+        }
+    }
+
+    /**
+     * List members with a shortfall for a due month across all on-going chitfunds
+     * Optionally limited to one chit month and/or one financial year
+     */
+    async getDefaulters({ month, financeYearId } = {}, asOf = new Date()) {
+        try {
+            const query = { chitStatus: 'on-going' };
+
+            if (financeYearId) {
+                query.financeYearId = financeYearId;
+            }
+
+            const chitfunds = await Chitfund.find(query).sort({ chitStarted: 1 });
+            const defaulters = [];
+
+            for (const chitfund of chitfunds) {
+                const { dueCount, rows } = await this.buildSheet(chitfund, asOf);
+
+                for (const row of rows) {
+                    row.months.forEach((cell, index) => {
+                        if (index >= dueCount || cell.shortfall <= 0 || (month && cell.month !== month)) {
+                            return;
+                        }
+
+                        defaulters.push({
+                            chitfundId: chitfund._id,
+                            chitName: chitfund.chitName,
+                            financeYearId: chitfund.financeYearId,
+                            staff: row.staff,
+                            month: cell.month,
+                            year: cell.year,
+                            expected: cell.expected,
+                            paid: cell.paid,
+                            shortfall: cell.shortfall,
+                            status: cell.status
+                        });
+                    });
+                }
+            }
+
+            return {
+                month: month || null,
+                financeYearId: financeYearId || null,
+                count: defaulters.length,
+                totalShortfall: LoanScheduleHelper.round(defaulters.reduce((sum, item) => sum + item.shortfall, 0)),
+                defaulters
+            };
+        } catch (error) {
+            throw new Error(`Error building defaulters report: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new ChitCollectionService();
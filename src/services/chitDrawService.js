@@ -0,0 +1,109 @@
+const ChitDraw = require('../models/ChitDraw');
+const Chitfund = require('../models/Chitfund');
+const ChitMembers = require('../models/ChitMembers');
+const ChitAuctionHelper = require('../helpers/chitAuctionHelper');
+const ChitDrawHelper = require('../helpers/chitDrawHelper');
+const chitfundService = require('./chitfundService');
+
+class ChitDrawService {
+    /**
+     * Draw the winner of a chit month from the members yet to take the chit
+     * The seed is always generated here, never taken from the caller, so it cannot be picked to favour a member;
+     * it is recorded with the candidates and digest so the result can be re-checked
+     */
+    async runDraw(chitfundId, drawMonth, drawnBy) {
+        try {
+            const [chitfund, existing, members] = await Promise.all([
+                Chitfund.findById(chitfundId),
+                ChitDraw.findOne({ chitfundId, drawMonth }),
+                ChitMembers.find({ chitfundId })
+            ]);
+
+            if (!chitfund) {
+                throw new Error('Chitfund not found');
+            }
+
+            chitfund.assertOnGoing('Drawing the chit');
+
+            if (chitfund.selectionMethod !== 'draw') {
+                throw new Error('This chitfund is given out by auction, not draw');
+            }
+
+            if (existing) {
+                throw new Error(`Month ${drawMonth} has already been drawn`);
+            }
+
+            const pending = members.filter(member => !member.chitTaken);
+
+            if (pending.length === 0) {
+                throw new Error('Every member has already taken the chit');
+            }
+
+            const drawSeed = ChitDrawHelper.generateSeed();
+            const result = ChitDrawHelper.draw(drawSeed, chitfund._id, drawMonth, pending.map(member => member.staffId));
+            const winner = pending.find(member => member.staffId.toString() === result.winnerId);
+
+            // The unique chitfund/month index stops a concurrent second draw before the chit is taken
+            const draw = await ChitDraw.create({
+                financeYearId: chitfund.financeYearId,
+                chitfundId: chitfund._id,
+                drawMonth,
+                seed: drawSeed,
+                candidates: result.candidates,
+                digest: result.digest,
+                winnerIndex: result.winnerIndex,
+                winnerId: winner.staffId,
+                winnerMemberId: winner._id,
+                prizeAmount: ChitAuctionHelper.potAmount(chitfund.chitAmount, members.length),
+                drawnBy
+            });
+
+            await winner.takeChit(draw.prizeAmount, drawMonth, winner.chitInterestPercentage);
+            await chitfundService.completeIfSettled(chitfundId);
+
+            return draw;
+        } catch (error) {
+            throw Object.assign(new Error(`Error running draw: ${error.message}`), { statusCode: error.statusCode });
+        }
+    }
+
+    /**
+     * Get the draws of a chitfund
+     */
+    async getDraws(chitfundId) {
+        try {
+            return await ChitDraw.getByChitfund(chitfundId);
+        } catch (error) {
+            throw new Error(`Error fetching draws: ${error.message}`);
+        }
+    }
+
+    /**
+     * Repeat a recorded draw from its seed and candidates and compare the result
+     */
+    async verifyDraw(chitfundId, drawId) {
+        try {
+            const draw = await ChitDraw.findOne({ _id: drawId, chitfundId })
+                .populate('winnerId candidates', 'employeeId firstName lastName');
+
+            if (!draw) {
+                throw new Error('Draw not found');
+            }
+
+            const result = ChitDrawHelper.draw(draw.seed, draw.chitfundId, draw.drawMonth, draw.candidates.map(candidate => candidate._id));
+
+            return {
+                draw,
+                procedure: 'SHA-256 of "seed:chitfundId:drawMonth", read as an integer, modulo the number of candidates ordered by staff ID',
+                digest: result.digest,
+                winnerIndex: result.winnerIndex,
+                winnerId: result.winnerId,
+                verified: result.digest === draw.digest && result.winnerId === draw.winnerId._id.toString()
+            };
+        } catch (error) {
+            throw new Error(`Error verifying draw: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new ChitDrawService();
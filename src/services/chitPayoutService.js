@@ -0,0 +1,173 @@
+const ChitPayout = require('../models/ChitPayout');
+const Chitfund = require('../models/Chitfund');
+const ChitMembers = require('../models/ChitMembers');
+const ChitAuction = require('../models/ChitAuction');
+const ChitDraw = require('../models/ChitDraw');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const chitCollectionService = require('./chitCollectionService');
+const LoanScheduleHelper = require('../helpers/loanScheduleHelper');
+const ChitFeeHelper = require('../helpers/chitFeeHelper');
+
+class ChitPayoutService {
+    /**
+     * Pay out the chit a member has won or drawn, less the chitfund's commission and registration fee
+     * Refused while the month's collections are incomplete, unless an admin overrides
+     */
+    async createPayout(chitfundId, payoutData, user) {
+        try {
+            const { staffId, paymentMethod, paymentReference, paidAt, override = false, overrideReason } = payoutData;
+
+            const [chitfund, member] = await Promise.all([
+                Chitfund.findById(chitfundId),
+                ChitMembers.findOne({ chitfundId, staffId })
+            ]);
+
+            if (!chitfund) {
+                throw new Error('Chitfund not found');
+            }
+
+            if (!member) {
+                throw new Error('Staff is not a member of this chitfund');
+            }
+
+            if (!member.chitTaken) {
+                throw new Error('Member has not won or drawn the chit yet');
+            }
+
+            if (await ChitPayout.exists({ chitMemberId: member._id })) {
+                throw new Error('The chit has already been paid out to this member');
+            }
+
+            // Found by seat and month rather than staff, so a transferred seat is paid what it won
+            const [auction, draw] = await Promise.all([
+                ChitAuction.findOne({ chitfundId, status: 'closed', auctionMonth: member.chitTakenMonth, winnerMemberId: member._id }),
+                ChitDraw.findOne({ chitfundId, drawMonth: member.chitTakenMonth, winnerMemberId: member._id })
+            ]);
+
+            const discountAmount = auction ? auction.winningDiscount : 0;
+            const grossAmount = LoanScheduleHelper.round(member.chitTakenAmount + discountAmount);
+            const { commissionAmount, registrationFeeAmount, netAmount } = ChitFeeHelper.payout(member.chitTakenAmount, grossAmount, chitfund);
+
+            if (netAmount <= 0) {
+                throw new Error('Commission and registration fee cannot exceed the amount taken');
+            }
+
+            const { shortfall } = await chitCollectionService.getMonthShortfall(chitfund, member.chitTakenMonth);
+
+            if (shortfall > 0 && !override) {
+                throw new Error(`Collections for month ${member.chitTakenMonth} are short by ${shortfall}; an admin must override to pay out`);
+            }
+
+            if (shortfall > 0 && user.role !== 'admin') {
+                throw new Error('Only an admin can override incomplete collections');
+            }
+
+            if (shortfall > 0 && !overrideReason) {
+                throw new Error('A reason is required to override incomplete collections');
+            }
+
+            const account = await Account.findOne({ financeYearId: chitfund.financeYearId, accountType: 'chitfund', accountStatus: 'active' });
+
+            if (!account) {
+                throw new Error('No active chitfund account for this financial year');
+            }
+
+            let source = 'manual';
+            let sourceId = null;
+
+            if (auction) {
+                source = 'auction';
+                sourceId = auction._id;
+            } else if (draw) {
+                source = 'draw';
+                sourceId = draw._id;
+            }
+
+            const payout = await ChitPayout.create({
+                financeYearId: chitfund.financeYearId,
+                chitfundId: chitfund._id,
+                chitMemberId: member._id,
+                staffId,
+                payoutMonth: member.chitTakenMonth,
+                source,
+                sourceId,
+                grossAmount,
+                discountAmount,
+                commissionAmount,
+                registrationFeeAmount,
+                netAmount,
+                paymentMethod,
+                paymentReference,
+                paidAt: paidAt || new Date(),
+                collectionShortfall: shortfall,
+                overridden: shortfall > 0,
+                overrideReason: shortfall > 0 ? overrideReason : undefined,
+                paidBy: user._id
+            });
+
+            const posted = [];
+
+            try {
+                // The member's full entitlement is paid out of the chitfund account;
+                // the commission and registration fee kept back are the club's income
+                const post = async (transactionType, transactionCategory, amount, description) => {
+                    const transaction = await Transaction.create({
+                        financeYearId: chitfund.financeYearId,
+                        accountId: account._id,
+                        transactionType,
+                        transactionCategory,
+                        amount,
+                        description,
+                        relatedEntity: {
+                            entityType: 'chit_member',
+                            entityId: member._id
+                        },
+                        paymentMethod,
+                        transactionDate: payout.paidAt,
+                        recordedBy: user._id,
+                        receiptNumber: paymentReference,
+                        notes: `Chit payout ${payout._id}`
+                    });
+
+                    posted.push(transaction._id);
+                    return transaction._id;
+                };
+
+                payout.transactionId = await post('expense', 'chitfund_payout', member.chitTakenAmount,
+                    `${chitfund.chitName} chit payout for month ${member.chitTakenMonth}`);
+
+                if (commissionAmount > 0) {
+                    payout.commissionTransactionId = await post('income', 'chitfund_commission', commissionAmount,
+                        `${chitfund.chitName} foreman commission for month ${member.chitTakenMonth}`);
+                }
+
+                if (registrationFeeAmount > 0) {
+                    payout.registrationFeeTransactionId = await post('income', 'chitfund_registration_fee', registrationFeeAmount,
+                        `${chitfund.chitName} registration fee`);
+                }
+
+                return await payout.save();
+            } catch (error) {
+                await Transaction.deleteMany({ _id: { $in: posted } });
+                await ChitPayout.deleteOne({ _id: payout._id });
+                throw error;
+            }
+        } catch (error) {
+            throw new Error(`Error recording chit payout: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the payouts of a chitfund
+     */
+    async getPayouts(chitfundId) {
+        try {
+            return await ChitPayout.getByChitfund(chitfundId);
+        } catch (error) {
+            throw new Error(`Error fetching chit payouts: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new ChitPayoutService();
@@ -1,8 +1,12 @@
 const Chitfund = require('../models/Chitfund');
 const ChitMembers = require('../models/ChitMembers');
 const ChitCollection = require('../models/ChitCollection');
+const ChitPayout = require('../models/ChitPayout');
+const ChitAuction = require('../models/ChitAuction');
+const ChitTransfer = require('../models/ChitTransfer');
 const FinancialYear = require('../models/FinancialYear');
 const User = require('../models/User');
+const chitCollectionService = require('./chitCollectionService');
 
 class ChitfundService {
     /**
@@ -24,10 +28,25 @@ class ChitfundService {
                 }
             }
 
-            const chitfund = new Chitfund(chitfundData);
-            return await chitfund.save();
+            // Every chitfund starts out created; starting it checks its members and start date
+            if (chitfundData.chitStatus && chitfundData.chitStatus !== 'created') {
+                throw Chitfund.statusConflict('A chitfund is always created as created; start it with PATCH /api/chitfunds/{id}/start');
+            }
+
+            const chitStaffs = [...new Set((chitfundData.chitStaffs || []).map(String))];
+            const chitfund = new Chitfund({ ...chitfundData, chitStaffs, chitStatus: 'created' });
+            await chitfund.save();
+
+            try {
+                await this.enrolMembers(chitfund, chitStaffs);
+            } catch (error) {
+                await Chitfund.findByIdAndDelete(chitfund._id);
+                throw error;
+            }
+
+            return chitfund;
         } catch (error) {
-            throw new Error(`Error creating chitfund: ${error.message}`);
+            throw Object.assign(new Error(`Error creating chitfund: ${error.message}`), { statusCode: error.statusCode });
         }
     }
 
@@ -85,11 +104,34 @@ class ChitfundService {
                 throw new Error('Chitfund not found');
             }
 
+            // Status only changes through start and completion, so an update never leaves a half-applied change
+            const { chitStatus, ...changes } = updateData;
+            updateData = changes;
+
+            if (chitStatus && chitStatus !== chitfund.chitStatus) {
+                throw Chitfund.statusConflict(`Chitfund status cannot be changed by an update; use PATCH /api/chitfunds/${chitfundId}/start or /complete`);
+            }
+
             // Prevent updating if chitfund is completed
             if (chitfund.chitStatus === 'completed' && updateData.chitAmount) {
                 throw new Error('Cannot update amount for completed chitfund');
             }
 
+            // The selection method is fixed once a member has taken the chit
+            if (updateData.selectionMethod && updateData.selectionMethod !== chitfund.selectionMethod) {
+                const taken = await ChitMembers.exists({ chitfundId, chitTaken: true });
+                if (taken) {
+                    throw new Error('Cannot change the selection method after a member has taken the chit');
+                }
+            }
+
+            // Fees are fixed once a payout has been made under them
+            const feeChanged = ['commissionType', 'commissionValue', 'registrationFee']
+                .some(field => updateData[field] !== undefined && updateData[field] !== chitfund[field]);
+            if (feeChanged && await ChitPayout.exists({ chitfundId })) {
+                throw new Error('Cannot change commission or registration fee after a payout has been made');
+            }
+
             // Validate staff members if updating
             if (updateData.chitStaffs && updateData.chitStaffs.length > 0) {
                 const staffMembers = await User.find({ _id: { $in: updateData.chitStaffs } });
@@ -98,10 +140,35 @@ class ChitfundService {
                 }
             }
 
+            // Keep ChitMembers in step with the new staff list: members are only removed once the chitfund is saved
+            let removed = [];
+            let enrolled = [];
+
+            if (updateData.chitStaffs) {
+                const chitStaffs = [...new Set(updateData.chitStaffs.map(String))];
+                const current = chitfund.chitStaffs.map(String);
+                removed = current.filter(id => !chitStaffs.includes(id));
+
+                if (chitStaffs.length === 0) {
+                    throw new Error('Chitfund must have at least one staff member');
+                }
+
+                await this.assertRemovable(chitfundId, removed);
+                enrolled = await this.enrolMembers(chitfund, chitStaffs.filter(id => !current.includes(id)));
+
+                updateData = { ...updateData, chitStaffs };
+            }
+
             Object.assign(chitfund, updateData);
-            return await chitfund.save();
+            await this.saveWithMembers(chitfund, enrolled);
+
+            if (removed.length > 0) {
+                await ChitMembers.deleteMany({ chitfundId, staffId: { $in: removed } });
+            }
+
+            return chitfund;
         } catch (error) {
-            throw new Error(`Error updating chitfund: ${error.message}`);
+            throw Object.assign(new Error(`Error updating chitfund: ${error.message}`), { statusCode: error.statusCode });
         }
     }
 
@@ -159,54 +226,315 @@ class ChitfundService {
     }
 
     /**
-     * Add staff member to chitfund
+     * Create the ChitMembers records of staff joining a chitfund
+     * Staff who already have a record (e.g. from before membership was tracked) are skipped
      */
-    async addStaffToChitfund(chitfundId, staffId) {
+    async enrolMembers(chitfund, staffIds) {
+        if (staffIds.length === 0) {
+            return [];
+        }
+
+        const existing = await ChitMembers.find({ chitfundId: chitfund._id, staffId: { $in: staffIds } });
+        const toEnrol = staffIds.filter(id => !existing.some(member => member.staffId.toString() === id.toString()));
+
+        // Their payments still count towards the seat they transferred
+        if (await ChitTransfer.exists({ chitfundId: chitfund._id, fromStaffId: { $in: toEnrol } })) {
+            throw new Error('Staff who transferred their seat cannot rejoin this chitfund');
+        }
+
+        return ChitMembers.insertMany(toEnrol.map(staffId => ({
+            financeYearId: chitfund.financeYearId,
+            chitfundId: chitfund._id,
+            staffId
+        })));
+    }
+
+    /**
+     * Save a chitfund, removing the ChitMembers records just enrolled for it if the save fails
+     */
+    async saveWithMembers(chitfund, enrolled) {
+        try {
+            return await chitfund.save();
+        } catch (error) {
+            if (enrolled.length > 0) {
+                await ChitMembers.deleteMany({ _id: { $in: enrolled.map(member => member._id) } });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Ensure none of the staff members has taken the chit or paid an instalment
+     */
+    async assertRemovable(chitfundId, staffIds) {
+        if (staffIds.length === 0) {
+            return;
+        }
+
+        const [taken, paid] = await Promise.all([
+            ChitMembers.countDocuments({ chitfundId, staffId: { $in: staffIds }, chitTaken: true }),
+            ChitCollection.countDocuments({ chitfundId, staffId: { $in: staffIds } })
+        ]);
+
+        if (taken > 0) {
+            throw new Error('Cannot remove staff who has taken chit');
+        }
+
+        if (paid > 0) {
+            throw new Error('Cannot remove staff who has paid chit instalments');
+        }
+    }
+
+    /**
+     * Add staff members to chitfund
+     */
+    async addStaffToChitfund(chitfundId, staffIds) {
         try {
             const chitfund = await Chitfund.findById(chitfundId);
             if (!chitfund) {
                 throw new Error('Chitfund not found');
             }
 
-            const staff = await User.findById(staffId);
-            if (!staff) {
+            if (chitfund.chitStatus === 'completed') {
+                throw new Error('Cannot add staff to a completed chitfund');
+            }
+
+            const ids = [...new Set(staffIds.map(String))];
+            const staffMembers = await User.find({ _id: { $in: ids } });
+            if (staffMembers.length !== ids.length) {
                 throw new Error('Staff member not found');
             }
 
-            if (chitfund.chitStaffs.includes(staffId)) {
+            const enrolled = await ChitMembers.find({ chitfundId, staffId: { $in: ids } });
+            if (enrolled.length > 0) {
                 throw new Error('Staff member already in chitfund');
             }
 
-            chitfund.chitStaffs.push(staffId);
-            return await chitfund.save();
+            const enrolledMembers = await this.enrolMembers(chitfund, ids);
+            ids.filter(id => !chitfund.isStaffMember(id)).forEach(id => chitfund.chitStaffs.push(id));
+            await this.saveWithMembers(chitfund, enrolledMembers);
+
+            return await this.getChitfundById(chitfundId);
         } catch (error) {
             throw new Error(`Error adding staff to chitfund: ${error.message}`);
         }
     }
 
     /**
-     * Remove staff member from chitfund
+     * Remove staff members from chitfund
+     * Blocked once a member has taken the chit or paid an instalment
      */
-    async removeStaffFromChitfund(chitfundId, staffId) {
+    async removeStaffFromChitfund(chitfundId, staffIds) {
         try {
             const chitfund = await Chitfund.findById(chitfundId);
             if (!chitfund) {
                 throw new Error('Chitfund not found');
             }
 
-            // Check if staff has taken chit
-            const member = await ChitMembers.findOne({ chitfundId, staffId });
-            if (member && member.chitTaken) {
-                throw new Error('Cannot remove staff who has taken chit');
+            const ids = [...new Set(staffIds.map(String))];
+            if (ids.some(id => !chitfund.isStaffMember(id))) {
+                throw new Error('Staff member is not in chitfund');
             }
 
-            chitfund.chitStaffs = chitfund.chitStaffs.filter(id => id.toString() !== staffId);
-            return await chitfund.save();
+            if (ids.length === chitfund.chitStaffs.length) {
+                throw new Error('Chitfund must have at least one staff member');
+            }
+
+            await this.assertRemovable(chitfundId, ids);
+
+            // Save the chitfund first so a failed save leaves the member records in place
+            chitfund.chitStaffs = chitfund.chitStaffs.filter(id => !ids.includes(id.toString()));
+            await chitfund.save();
+            await ChitMembers.deleteMany({ chitfundId, staffId: { $in: ids } });
+
+            return await this.getChitfundById(chitfundId);
         } catch (error) {
             throw new Error(`Error removing staff from chitfund: ${error.message}`);
         }
     }
 
+    /**
+     * Transfer a member's seat to another staff member, optionally with the paid history
+     * The seat keeps the months already paid either way, so the incoming member settles what the outgoing member paid;
+     * moving the history also puts the outgoing member's collections and dividends in the incoming member's name
+     */
+    async transferSeat(chitfundId, { fromStaffId, toStaffId, transferHistory = false, reason }, transferredBy) {
+        try {
+            const [chitfund, member, incoming, alreadyMember, formerMember] = await Promise.all([
+                Chitfund.findById(chitfundId),
+                ChitMembers.findOne({ chitfundId, staffId: fromStaffId }),
+                User.findById(toStaffId),
+                ChitMembers.exists({ chitfundId, staffId: toStaffId }),
+                ChitTransfer.exists({ chitfundId, fromStaffId: toStaffId })
+            ]);
+
+            if (!chitfund) {
+                throw new Error('Chitfund not found');
+            }
+
+            if (chitfund.chitStatus === 'completed') {
+                throw Chitfund.statusConflict('Seats cannot be transferred in a completed chitfund');
+            }
+
+            if (!member) {
+                throw new Error('Outgoing staff is not a member of this chitfund');
+            }
+
+            if (!incoming) {
+                throw new Error('Incoming staff not found');
+            }
+
+            if (alreadyMember) {
+                throw new Error('Incoming staff is already a member of this chitfund');
+            }
+
+            if (formerMember) {
+                throw new Error('Incoming staff transferred their seat in this chitfund and cannot rejoin');
+            }
+
+            const { paid, outstanding } = await chitCollectionService.getMemberBalance(chitfund, fromStaffId);
+
+            if (member.chitTaken && outstanding > 0) {
+                throw new Error(`Outgoing member has taken the chit and still owes ${outstanding} in instalments`);
+            }
+
+            if (await ChitAuction.exists({ chitfundId, status: 'open', 'bids.staffId': fromStaffId })) {
+                throw new Error('Outgoing member has bids in an open auction');
+            }
+
+            let collectionsMoved = 0;
+
+            if (transferHistory) {
+                const moved = await ChitCollection.updateMany({ chitfundId, staffId: fromStaffId }, { staffId: toStaffId });
+                collectionsMoved = moved.modifiedCount;
+
+                await ChitAuction.updateMany(
+                    { chitfundId, 'dividends.staffId': fromStaffId },
+                    { $set: { 'dividends.$[dividend].staffId': toStaffId } },
+                    { arrayFilters: [{ 'dividend.staffId': fromStaffId }] }
+                );
+            }
+
+            member.staffId = toStaffId;
+            await member.save();
+
+            chitfund.chitStaffs = chitfund.chitStaffs.map(id => (id.toString() === fromStaffId.toString() ? toStaffId : id));
+            await chitfund.save();
+
+            return await ChitTransfer.create({
+                financeYearId: chitfund.financeYearId,
+                chitfundId: chitfund._id,
+                chitMemberId: member._id,
+                fromStaffId,
+                toStaffId,
+                historyTransferred: transferHistory,
+                paidByOutgoing: paid,
+                collectionsMoved,
+                settlementAmount: paid,
+                chitTaken: member.chitTaken,
+                reason,
+                transferredBy
+            });
+        } catch (error) {
+            throw Object.assign(new Error(`Error transferring chit seat: ${error.message}`), { statusCode: error.statusCode });
+        }
+    }
+
+    /**
+     * Get the seat transfers of a chitfund
+     */
+    async getTransfers(chitfundId) {
+        try {
+            return await ChitTransfer.getByChitfund(chitfundId);
+        } catch (error) {
+            throw new Error(`Error fetching chit transfers: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the members of a chitfund, optionally only those who have taken or are yet to take the chit
+     */
+    async getChitMembers(chitfundId, status = null) {
+        try {
+            const chitfund = await Chitfund.findById(chitfundId);
+            if (!chitfund) {
+                throw new Error('Chitfund not found');
+            }
+
+            if (status === 'taken') {
+                return await ChitMembers.getTakenMembers(chitfundId);
+            }
+
+            if (status === 'pending') {
+                return await ChitMembers.getPendingMembers(chitfundId);
+            }
+
+            return await ChitMembers.getByChitfund(chitfundId);
+        } catch (error) {
+            throw new Error(`Error fetching chitfund members: ${error.message}`);
+        }
+    }
+
+    /**
+     * Move a chitfund along its lifecycle, checking what the new status requires
+     */
+    async transitionStatus(chitfund, newStatus) {
+        chitfund.assertTransition(newStatus);
+
+        if (newStatus === 'on-going') {
+            const members = await ChitMembers.countDocuments({ chitfundId: chitfund._id });
+
+            if (members === 0) {
+                throw Chitfund.statusConflict('A chitfund needs members before it can start');
+            }
+
+            // The collection sheet, auctions and draws only cover months 1-12
+            if (members > Chitfund.MAX_MEMBERS) {
+                throw Chitfund.statusConflict(`A chitfund can have at most ${Chitfund.MAX_MEMBERS} members; it has ${members}`);
+            }
+        }
+
+        if (newStatus === 'completed') {
+            await this.assertSettled(chitfund);
+        }
+
+        return chitfund.updateStatus(newStatus);
+    }
+
+    /**
+     * Reject completion until every member has taken the chit and every instalment is paid
+     */
+    async assertSettled(chitfund) {
+        const pending = await ChitMembers.countDocuments({ chitfundId: chitfund._id, chitTaken: false });
+
+        if (pending > 0) {
+            throw Chitfund.statusConflict(`${pending} member(s) have not taken the chit yet`);
+        }
+
+        const outstanding = await chitCollectionService.getOutstanding(chitfund);
+
+        if (outstanding > 0) {
+            throw Chitfund.statusConflict(`Instalments of ${outstanding} are still outstanding`);
+        }
+    }
+
+    /**
+     * Start chitfund
+     */
+    async startChitfund(chitfundId) {
+        try {
+            const chitfund = await Chitfund.findById(chitfundId);
+
+            if (!chitfund) {
+                throw new Error('Chitfund not found');
+            }
+
+            return await this.transitionStatus(chitfund, 'on-going');
+        } catch (error) {
+            throw Object.assign(new Error(`Error starting chitfund: ${error.message}`), { statusCode: error.statusCode });
+        }
+    }
+
     /**
      * Complete chitfund
      */
@@ -218,15 +546,32 @@ class ChitfundService {
                 throw new Error('Chitfund not found');
             }
 
-            if (chitfund.chitStatus === 'completed') {
-                throw new Error('Chitfund is already completed');
-            }
+            return await this.transitionStatus(chitfund, 'completed');
+        } catch (error) {
+            throw Object.assign(new Error(`Error completing chitfund: ${error.message}`), { statusCode: error.statusCode });
+        }
+    }
 
-            chitfund.chitStatus = 'completed';
-            return await chitfund.save();
+    /**
+     * Complete an on-going chitfund once it is settled; returns null while it is not
+     */
+    async completeIfSettled(chitfundId) {
+        const chitfund = await Chitfund.findById(chitfundId);
+
+        if (!chitfund || chitfund.chitStatus !== 'on-going') {
+            return null;
+        }
+
+        try {
+            await this.assertSettled(chitfund);
         } catch (error) {
-            throw new Error(`Error completing chitfund: ${error.message}`);
+            if (error.statusCode !== 409) {
+                throw error;
+            }
+            return null;
         }
+
+        return chitfund.updateStatus('completed');
     }
 
     /**
@@ -241,6 +586,7 @@ class ChitfundService {
 
             const members = await ChitMembers.find({ chitfundId });
             const collections = await ChitCollection.find({ chitfundId });
+            const [feeTotals] = await ChitPayout.getFeeTotals(chitfundId);
 
             const totalCollected = collections.reduce((sum, collection) => sum + collection.collectionAmount, 0);
             const membersWhoTookChit = members.filter(member => member.chitTaken).length;
@@ -254,7 +600,16 @@ class ChitfundService {
                 membersWhoTookChit,
                 remainingMembers: members.length - membersWhoTookChit,
                 collectionCount: collections.length,
-                completionPercentage: (totalCollected / totalValue) * 100
+                completionPercentage: (totalCollected / totalValue) * 100,
+                fees: {
+                    commissionType: chitfund.commissionType,
+                    commissionValue: chitfund.commissionValue,
+                    registrationFee: chitfund.registrationFee,
+                    commissionCollected: feeTotals ? feeTotals.commission : 0,
+                    registrationFeesCollected: feeTotals ? feeTotals.registrationFees : 0,
+                    totalPaidOut: feeTotals ? feeTotals.paidOut : 0,
+                    payoutCount: feeTotals ? feeTotals.count : 0
+                }
             };
         } catch (error) {
             throw new Error(`Error getting chitfund stats: ${error.message}`);
@@ -0,0 +1,300 @@
+const EmergencyClaim = require('../models/EmergencyClaim');
+const EmergencyFund = require('../models/EmergencyFund');
+const EmergencyFundCollection = require('../models/EmergencyFundCollection');
+const EmergencyPayment = require('../models/EmergencyPayment');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const EmergencyFundHelper = require('../helpers/emergencyFundHelper');
+
+// Roles that sit on the committee deciding emergency claims
+const COMMITTEE_ROLES = ['admin', 'manager'];
+
+class EmergencyClaimService {
+    /**
+     * Whether a user is the employee or the nominee of a fund
+     */
+    isPartyTo(fund, userId) {
+        return [fund.employeeId, fund.nomineeId].some(id => id && id.toString() === userId.toString());
+    }
+
+    /**
+     * Find a claim the user may see: committee members see every claim,
+     * the fund's employee and nominee see the claims on their fund
+     */
+    async findClaim(claimId, user) {
+        const claim = await EmergencyClaim.findById(claimId);
+
+        if (!claim) {
+            throw new Error('Emergency claim not found');
+        }
+
+        if (!COMMITTEE_ROLES.includes(user.role)) {
+            const fund = await EmergencyFund.findById(claim.fundId);
+
+            if (!fund || !this.isPartyTo(fund, user._id)) {
+                throw new Error('Emergency claim not found');
+            }
+        }
+
+        return claim;
+    }
+
+    /**
+     * Raise a claim on an emergency fund as its employee or nominee
+     * A fund takes one claim at a time and pays out only once
+     */
+    async raiseClaim({ fundId, reason }, documents, user) {
+        try {
+            const fund = await EmergencyFund.findById(fundId);
+
+            if (!fund) {
+                throw new Error('Emergency fund not found');
+            }
+
+            let claimantRole = null;
+
+            if (fund.employeeId.toString() === user._id.toString()) {
+                claimantRole = 'employee';
+            } else if (fund.nomineeId.toString() === user._id.toString()) {
+                claimantRole = 'nominee';
+            }
+
+            if (!claimantRole) {
+                throw new Error('Only the fund\'s employee or nominee can raise a claim');
+            }
+
+            const existing = await EmergencyClaim.findActive(fundId);
+
+            if (existing && existing.status === 'paid') {
+                throw new Error('This emergency fund has already been paid out');
+            }
+
+            if (existing) {
+                throw new Error(`A claim on this emergency fund is already ${existing.status}`);
+            }
+
+            if (fund.status === 'closed') {
+                throw Object.assign(new Error('Claims cannot be raised on a closed emergency fund'), { statusCode: 409 });
+            }
+
+            const claim = new EmergencyClaim({
+                fundId,
+                financeYearId: fund.financeYearId,
+                claimantId: user._id,
+                claimantRole,
+                reason,
+                documents: documents.map(file => ({
+                    fileName: file.filename,
+                    originalName: file.originalname,
+                    mimeType: file.mimetype,
+                    size: file.size
+                }))
+            });
+
+            return await claim.save();
+        } catch (error) {
+            throw Object.assign(new Error(`Error raising emergency claim: ${error.message}`), { statusCode: error.statusCode });
+        }
+    }
+
+    /**
+     * Record a committee member's decision on a pending claim
+     * Once approved, the payout is set to everything collected for the fund
+     */
+    async decideClaim(claimId, user, decision, comments) {
+        try {
+            const claim = await EmergencyClaim.findById(claimId);
+
+            if (!claim) {
+                throw new Error('Emergency claim not found');
+            }
+
+            if (claim.status !== 'pending') {
+                throw new Error(`Emergency claim is already ${claim.status}`);
+            }
+
+            if (!COMMITTEE_ROLES.includes(user.role)) {
+                throw new Error('Only committee members can decide on emergency claims');
+            }
+
+            const fund = await EmergencyFund.findById(claim.fundId);
+
+            if (!fund) {
+                throw new Error('Emergency fund not found');
+            }
+
+            if (this.isPartyTo(fund, user._id)) {
+                throw new Error('Committee members cannot decide on a claim on their own fund');
+            }
+
+            if (claim.hasDecisionFrom(user._id)) {
+                throw new Error('You have already recorded a decision on this claim');
+            }
+
+            if (claim.recordDecision(user._id, decision, comments) === 'approved') {
+                const [totalPaid, contributions] = await Promise.all([
+                    EmergencyPayment.getTotalPaid(fund._id),
+                    EmergencyFundCollection.getTotalCollections(fund._id)
+                ]);
+
+                claim.approvedAmount = EmergencyFundHelper.claimAmount(totalPaid, contributions.length ? contributions[0].total : 0);
+
+                if (claim.approvedAmount <= 0) {
+                    throw new Error('Nothing has been collected for this emergency fund yet');
+                }
+            }
+
+            return await claim.save();
+        } catch (error) {
+            throw new Error(`Error recording emergency claim decision: ${error.message}`);
+        }
+    }
+
+    /**
+     * Approve a claim as a committee member
+     */
+    async approveClaim(claimId, user, comments) {
+        return this.decideClaim(claimId, user, 'approved', comments);
+    }
+
+    /**
+     * Reject a claim as a committee member
+     */
+    async rejectClaim(claimId, user, comments) {
+        return this.decideClaim(claimId, user, 'rejected', comments);
+    }
+
+    /**
+     * Pay out an approved claim from the emergency account and close the fund
+     */
+    async disburseClaim(claimId, { paymentMethod, paymentReference, paidAt }, user) {
+        try {
+            const claim = await EmergencyClaim.findById(claimId);
+
+            if (!claim) {
+                throw new Error('Emergency claim not found');
+            }
+
+            if (claim.status !== 'approved') {
+                throw new Error(`Only approved claims can be paid out; this claim is ${claim.status}`);
+            }
+
+            const fund = await EmergencyFund.findById(claim.fundId);
+
+            if (!fund) {
+                throw new Error('Emergency fund not found');
+            }
+
+            const account = await Account.findOne({ financeYearId: fund.financeYearId, accountType: 'emergency', accountStatus: 'active' });
+
+            if (!account) {
+                throw new Error('No active emergency account for this financial year');
+            }
+
+            const transaction = await Transaction.create({
+                financeYearId: fund.financeYearId,
+                accountId: account._id,
+                transactionType: 'expense',
+                transactionCategory: 'emergency_fund_disbursement',
+                amount: claim.approvedAmount,
+                description: `Emergency fund claim paid to the ${claim.claimantRole}`,
+                relatedEntity: {
+                    entityType: 'emergency_fund',
+                    entityId: fund._id
+                },
+                paymentMethod,
+                transactionDate: paidAt || new Date(),
+                recordedBy: user._id,
+                receiptNumber: paymentReference,
+                notes: `Emergency claim ${claim._id}`
+            });
+
+            try {
+                claim.status = 'paid';
+                claim.paymentMethod = paymentMethod;
+                claim.paymentReference = paymentReference;
+                claim.transactionId = transaction._id;
+                claim.paidBy = user._id;
+                claim.paidAt = transaction.transactionDate;
+                await claim.save();
+            } catch (error) {
+                await Transaction.deleteOne({ _id: transaction._id });
+                throw error;
+            }
+
+            if (fund.status === 'active') {
+                await fund.closeEmergencyFund();
+            }
+
+            return claim;
+        } catch (error) {
+            throw new Error(`Error paying out emergency claim: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get emergency claims; members only see the claims on funds they are party to
+     */
+    async getClaims(filters, user) {
+        try {
+            const query = {};
+
+            if (filters.status) {
+                query.status = filters.status;
+            }
+
+            if (!COMMITTEE_ROLES.includes(user.role)) {
+                const funds = await EmergencyFund.find({ $or: [{ employeeId: user._id }, { nomineeId: user._id }] }).select('_id');
+                query.fundId = { $in: funds.map(fund => fund._id) };
+            }
+
+            if (filters.fundId) {
+                query.fundId = query.fundId
+                    ? { $in: query.fundId.$in.filter(id => id.toString() === filters.fundId.toString()) }
+                    : filters.fundId;
+            }
+
+            return await EmergencyClaim.find(query)
+                .populate('claimantId', 'employeeId firstName lastName')
+                .sort({ createdAt: -1 });
+        } catch (error) {
+            throw new Error(`Error fetching emergency claims: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get an emergency claim with its fund and decisions
+     */
+    async getClaimById(claimId, user) {
+        try {
+            const claim = await this.findClaim(claimId, user);
+
+            return await claim.populate([
+                { path: 'fundId' },
+                { path: 'claimantId approvals.authority paidBy', select: 'employeeId firstName lastName' }
+            ]);
+        } catch (error) {
+            throw new Error(`Error fetching emergency claim: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a supporting document of a claim for download
+     */
+    async getClaimDocument(claimId, documentId, user) {
+        try {
+            const claim = await this.findClaim(claimId, user);
+            const document = claim.documents.id(documentId);
+
+            if (!document) {
+                throw new Error('Document not found');
+            }
+
+            return document;
+        } catch (error) {
+            throw new Error(`Error fetching claim document: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new EmergencyClaimService();
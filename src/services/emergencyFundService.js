@@ -2,6 +2,9 @@ const EmergencyFund = require('../models/EmergencyFund');
 const EmergencyFundCollection = require('../models/EmergencyFundCollection');
 const FinancialYear = require('../models/FinancialYear');
 const User = require('../models/User');
+const EmergencyPayment = require('../models/EmergencyPayment');
+const EmergencyFundHelper = require('../helpers/emergencyFundHelper');
+const emergencyPaymentService = require('./emergencyPaymentService');
 const mongoose = require('mongoose');
 
 class EmergencyFundService {
@@ -187,12 +190,150 @@ class EmergencyFundService {
             if (emergencyFund.status === 'closed') {
                 throw new Error('Emergency fund is already closed');
             }
-            emergencyFund.emergencyFundClosed = new Date();
-            return await emergencyFund.save();
+            return await emergencyFund.closeEmergencyFund();
         } catch (error) {
             throw new Error(`Error closing emergency fund: ${error.message}`);
         }
     }
+    /**
+     * List active funds that have paid fewer months than have passed since they were created
+     */
+    async getBehindScheduleFunds(financeYearId = null, asOf = new Date()) {
+        try {
+            const query = { status: 'active' };
+            if (financeYearId) {
+                query.financeYearId = financeYearId;
+            }
+
+            const funds = await EmergencyFund.find(query)
+                .populate('employeeId', 'employeeId firstName lastName email')
+                .populate('nomineeId', 'employeeId firstName lastName email');
+
+            const behind = [];
+
+            for (const fund of funds) {
+                const rules = await emergencyPaymentService.getContributionRules(fund);
+                const expectedMonths = EmergencyFundHelper.expectedMonths(fund.emergencyFundCreated, fund.totalMonths, asOf);
+                const monthsBehind = expectedMonths - fund.paidMonths;
+
+                if (monthsBehind <= 0) {
+                    continue;
+                }
+
+                behind.push({
+                    fundId: fund._id,
+                    employee: fund.employeeId,
+                    nominee: fund.nomineeId,
+                    totalMonths: fund.totalMonths,
+                    paidMonths: fund.paidMonths,
+                    expectedMonths,
+                    monthsBehind,
+                    amountBehind: Math.round(monthsBehind * EmergencyFundHelper.expectedContribution(fund.monthlyInstalment, rules) * 100) / 100,
+                    totalPaid: await EmergencyPayment.getTotalPaid(fund._id)
+                });
+            }
+
+            return behind.sort((a, b) => b.monthsBehind - a.monthsBehind);
+        } catch (error) {
+            throw new Error(`Error fetching behind-schedule emergency funds: ${error.message}`);
+        }
+    }
+
+    /**
+     * Arrears statement of a member: every fund they pay into, month by month
+     */
+    async getArrearsStatement(staffId, asOf = new Date()) {
+        try {
+            const staff = await User.findById(staffId).select('employeeId firstName lastName');
+
+            if (!staff) {
+                throw new Error('Staff member not found');
+            }
+
+            const funds = await EmergencyFund.find({ employeeId: staffId })
+                .populate('nomineeId', 'employeeId firstName lastName')
+                .sort({ emergencyFundCreated: 1 });
+
+            const statements = [];
+
+            for (const fund of funds) {
+                const rules = await emergencyPaymentService.getContributionRules(fund);
+
+                statements.push({
+                    fundId: fund._id,
+                    nominee: fund.nomineeId,
+                    status: fund.status,
+                    emergencyFundAmount: fund.emergencyFundAmount,
+                    monthlyInstalment: fund.monthlyInstalment,
+                    totalMonths: fund.totalMonths,
+                    paidMonths: fund.paidMonths,
+                    contributionRules: rules,
+                    ...await emergencyPaymentService.getArrears(fund, asOf, rules)
+                });
+            }
+
+            return {
+                staff,
+                asOf,
+                arrearsAmount: Math.round(statements.reduce((sum, statement) => sum + statement.arrearsAmount, 0) * 100) / 100,
+                lateFees: Math.round(statements.reduce((sum, statement) => sum + statement.lateFees, 0) * 100) / 100,
+                funds: statements
+            };
+        } catch (error) {
+            throw new Error(`Error fetching emergency fund arrears statement: ${error.message}`);
+        }
+    }
+
+    /**
+     * Club-wide arrears report of active funds, largest arrears first
+     */
+    async getArrearsReport(financeYearId = null, asOf = new Date()) {
+        try {
+            const query = { status: 'active' };
+            if (financeYearId) {
+                query.financeYearId = financeYearId;
+            }
+
+            const funds = await EmergencyFund.find(query)
+                .populate('employeeId', 'employeeId firstName lastName email')
+                .populate('nomineeId', 'employeeId firstName lastName email');
+
+            const inArrears = [];
+
+            for (const fund of funds) {
+                const { dueMonths, monthsInArrears, arrearsAmount, lateFees, oldestUnpaid } = await emergencyPaymentService.getArrears(fund, asOf);
+
+                if (monthsInArrears > 0) {
+                    inArrears.push({
+                        fundId: fund._id,
+                        employee: fund.employeeId,
+                        nominee: fund.nomineeId,
+                        monthlyInstalment: fund.monthlyInstalment,
+                        dueMonths,
+                        monthsInArrears,
+                        arrearsAmount,
+                        lateFees,
+                        oldestUnpaid
+                    });
+                }
+            }
+
+            return {
+                asOf,
+                summary: {
+                    activeFunds: funds.length,
+                    fundsInArrears: inArrears.length,
+                    monthsInArrears: inArrears.reduce((sum, fund) => sum + fund.monthsInArrears, 0),
+                    arrearsAmount: Math.round(inArrears.reduce((sum, fund) => sum + fund.arrearsAmount, 0) * 100) / 100,
+                    lateFees: Math.round(inArrears.reduce((sum, fund) => sum + fund.lateFees, 0) * 100) / 100
+                },
+                funds: inArrears.sort((a, b) => b.arrearsAmount - a.arrearsAmount)
+            };
+        } catch (error) {
+            throw new Error(`Error fetching emergency fund arrears report: ${error.message}`);
+        }
+    }
+
     /**
      * Get emergency fund statistics
      */
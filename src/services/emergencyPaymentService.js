@@ -0,0 +1,248 @@
+const EmergencyPayment = require('../models/EmergencyPayment');
+const EmergencyFund = require('../models/EmergencyFund');
+const Settings = require('../models/Settings');
+const EmergencyFundHelper = require('../helpers/emergencyFundHelper');
+const LoanScheduleHelper = require('../helpers/loanScheduleHelper');
+
+class EmergencyPaymentService {
+    /**
+     * Contribution rules of a fund, falling back to the club-wide settings (or their defaults)
+     */
+    async getContributionRules(fund) {
+        const settings = await Settings.getCurrentSettings() || new Settings();
+        return EmergencyFundHelper.contributionRules(fund.contributionRules, settings);
+    }
+
+    /**
+     * Refuse payments made outside the days of the month the fund accepts them
+     */
+    assertPaymentDay(paidAt, rules) {
+        if (!EmergencyFundHelper.isPaymentDay(paidAt, rules)) {
+            throw new Error(`Payments are only accepted on days ${rules.paymentStartDay}-${rules.paymentEndDay} of the month`);
+        }
+    }
+
+    /**
+     * Record a monthly payment towards an emergency fund
+     * The payment must be for a month the fund runs for, follow the fund's contribution rules and the month
+     * must not already be paid; a month paid after it has passed is charged the late fee
+     */
+    async recordPayment({ fundId, amountPaid, month, year, paidAt }) {
+        try {
+            const fund = await EmergencyFund.findById(fundId);
+
+            if (!fund) {
+                throw new Error('Emergency fund not found');
+            }
+
+            if (fund.status !== 'active' || fund.emergencyFundClosed) {
+                throw new Error('Payments cannot be recorded for a closed emergency fund');
+            }
+
+            const months = EmergencyFundHelper.fundMonths(fund.emergencyFundCreated, fund.totalMonths);
+
+            if (!EmergencyFundHelper.inSchedule(months, [{ month, year }]).length) {
+                throw new Error(`${month}/${year} is not one of the ${fund.totalMonths} months this fund runs for`);
+            }
+
+            const rules = await this.getContributionRules(fund);
+            const paymentDate = paidAt ? new Date(paidAt) : new Date();
+
+            const payment = new EmergencyPayment({
+                fundId,
+                employeeId: fund.employeeId,
+                amountPaid,
+                month,
+                year,
+                paidAt: paymentDate,
+                lateFee: EmergencyFundHelper.isLate(month, year, paymentDate) ? rules.lateFee : 0
+            });
+
+            this.assertPaymentDay(paymentDate, rules);
+
+            if (!rules.countPartialPayments && !payment.isMinimumMet(rules.minContribution)) {
+                throw new Error(`Payment must be at least the minimum contribution of ${rules.minContribution}`);
+            }
+
+            if (rules.maxContribution && amountPaid > rules.maxContribution) {
+                throw new Error(`Payment cannot exceed the maximum contribution of ${rules.maxContribution}`);
+            }
+
+            const existing = await EmergencyPayment.getByMonth(fundId, month, year);
+
+            if (existing.length > 0) {
+                throw new Error(`A payment for ${month}/${year} has already been recorded`);
+            }
+
+            await payment.save();
+            await this.applyPayment(fund, rules);
+
+            return payment;
+        } catch (error) {
+            throw new Error(`Error recording emergency fund payment: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record a catch-up payment that is not tied to a month: it settles the oldest unpaid month first
+     * and carries on into later months, topping up months that were only partly paid.
+     * Months already passed are charged the late fee once
+     */
+    async recordCatchUpPayment({ fundId, amountPaid, paidAt }) {
+        try {
+            const fund = await EmergencyFund.findById(fundId);
+
+            if (!fund) {
+                throw new Error('Emergency fund not found');
+            }
+
+            if (fund.status !== 'active' || fund.emergencyFundClosed) {
+                throw new Error('Payments cannot be recorded for a closed emergency fund');
+            }
+
+            const rules = await this.getContributionRules(fund);
+            const paymentDate = paidAt ? new Date(paidAt) : new Date();
+
+            this.assertPaymentDay(paymentDate, rules);
+
+            const { months } = await this.getArrears(fund, paymentDate, rules);
+            const { allocations, remainder } = EmergencyFundHelper.allocate(months, amountPaid);
+
+            if (!allocations.length) {
+                throw new Error('Nothing is owed on this emergency fund');
+            }
+
+            if (remainder > 0) {
+                throw new Error(`Payment is ${remainder} more than the ${LoanScheduleHelper.round(amountPaid - remainder)} still owed on this fund`);
+            }
+
+            const payments = [];
+            let lateFees = 0;
+
+            for (const { month, year, amount } of allocations) {
+                const existing = await EmergencyPayment.findOne({ fundId, month, year });
+                const lateFee = EmergencyFundHelper.isLate(month, year, paymentDate) ? rules.lateFee : 0;
+
+                if (existing) {
+                    lateFees += Math.max(lateFee - existing.lateFee, 0);
+                    existing.amountPaid = LoanScheduleHelper.round(existing.amountPaid + amount);
+                    existing.lateFee = Math.max(existing.lateFee, lateFee);
+                    existing.paidAt = paymentDate;
+                    payments.push(await existing.save());
+                } else {
+                    lateFees += lateFee;
+                    payments.push(await EmergencyPayment.create({
+                        fundId,
+                        employeeId: fund.employeeId,
+                        amountPaid: amount,
+                        month,
+                        year,
+                        paidAt: paymentDate,
+                        lateFee
+                    }));
+                }
+            }
+
+            await this.applyPayment(fund, rules);
+
+            return { allocations, payments, lateFees: LoanScheduleHelper.round(lateFees) };
+        } catch (error) {
+            throw new Error(`Error recording emergency fund catch-up payment: ${error.message}`);
+        }
+    }
+
+    /**
+     * Work out a fund's arrears month by month from its creation date, length, payments and contribution rules
+     */
+    async getArrears(fund, asOf = new Date(), rules = null) {
+        const [payments, contributionRules] = await Promise.all([
+            EmergencyPayment.find({ fundId: fund._id }),
+            rules || this.getContributionRules(fund)
+        ]);
+
+        return EmergencyFundHelper.arrears(
+            EmergencyFundHelper.fundMonths(fund.emergencyFundCreated, fund.totalMonths),
+            payments,
+            EmergencyFundHelper.expectedMonths(fund.emergencyFundCreated, fund.totalMonths, asOf),
+            fund.monthlyInstalment,
+            contributionRules
+        );
+    }
+
+    /**
+     * Bring a fund's paidMonths up to date with its payments that count under its contribution rules,
+     * closing the fund once every month is paid and the target amount is reached
+     * Payments for months outside the fund's schedule are left out
+     */
+    async applyPayment(fund, rules = null) {
+        const [allPayments, contributionRules] = await Promise.all([
+            EmergencyPayment.find({ fundId: fund._id }),
+            rules || this.getContributionRules(fund)
+        ]);
+        const payments = EmergencyFundHelper.inSchedule(EmergencyFundHelper.fundMonths(fund.emergencyFundCreated, fund.totalMonths), allPayments);
+
+        const paidMonths = payments.filter(payment => EmergencyFundHelper.countsAsPaid(payment.amountPaid, contributionRules)).length;
+        const totalPaid = LoanScheduleHelper.round(payments.reduce((sum, payment) => sum + payment.amountPaid, 0));
+
+        fund.paidMonths = Math.min(paidMonths, fund.totalMonths);
+
+        if (fund.status === 'active' && EmergencyFundHelper.isComplete(fund.paidMonths, fund.totalMonths, totalPaid, fund.emergencyFundAmount)) {
+            return fund.closeEmergencyFund();
+        }
+
+        return fund.save();
+    }
+
+    /**
+     * Get the payment history of an emergency fund, optionally for one month
+     */
+    async getPaymentHistory(fundId, { month, year } = {}) {
+        try {
+            const fund = await EmergencyFund.findById(fundId);
+
+            if (!fund) {
+                throw new Error('Emergency fund not found');
+            }
+
+            if (month && year) {
+                return await EmergencyPayment.getByMonth(fundId, month, year);
+            }
+
+            return await EmergencyPayment.find({ fundId })
+                .populate('employeeId', 'employeeId firstName lastName')
+                .sort({ year: 1, month: 1 });
+        } catch (error) {
+            throw new Error(`Error fetching emergency fund payments: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the total paid into an emergency fund
+     */
+    async getTotalPaid(fundId) {
+        try {
+            const fund = await EmergencyFund.findById(fundId);
+
+            if (!fund) {
+                throw new Error('Emergency fund not found');
+            }
+
+            const [totalPaid, paymentCount] = await Promise.all([
+                EmergencyPayment.getTotalPaid(fundId),
+                EmergencyPayment.countDocuments({ fundId })
+            ]);
+
+            return {
+                fundId: fund._id,
+                emergencyFundAmount: fund.emergencyFundAmount,
+                totalPaid,
+                paymentCount,
+                remainingAmount: Math.max(Math.round((fund.emergencyFundAmount - totalPaid) * 100) / 100, 0)
+            };
+        } catch (error) {
+            throw new Error(`Error fetching emergency fund total: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new EmergencyPaymentService();
@@ -0,0 +1,359 @@
+const InterestAccrual = require('../models/InterestAccrual');
+const Transaction = require('../models/Transaction');
+const Account = require('../models/Account');
+const FinancialYear = require('../models/FinancialYear');
+const User = require('../models/User');
+const LoanStaff = require('../models/LoanStaff');
+const LoanInstalment = require('../models/LoanInstalment');
+const ChitMembers = require('../models/ChitMembers');
+const ChitCollection = require('../models/ChitCollection');
+const InterestAccrualHelper = require('../helpers/interestAccrualHelper');
+const LoanScheduleHelper = require('../helpers/loanScheduleHelper');
+
+class InterestAccrualService {
+    /**
+     * Accrue a month of interest on active staff loans and taken chits, then bring receipts of open accruals up to date
+     * Defaults to the month before asOf. Safe to re-run: each loan or chit member is accrued once per month
+     */
+    async runAccruals({ month, year, asOf = new Date(), triggeredBy = null } = {}) {
+        try {
+            const period = month && year
+                ? InterestAccrualHelper.period(month, year)
+                : InterestAccrualHelper.previousMonth(asOf);
+
+            if (period.end > new Date()) {
+                throw new Error('Interest can only be accrued for a month that has ended');
+            }
+
+            const financialYear = await FinancialYear.findOne({ startFrom: { $lte: period.end }, endTo: { $gte: period.start } })
+                .sort({ startFrom: -1 });
+
+            if (!financialYear) {
+                throw new Error(`No financial year covers ${period.month}/${period.year}`);
+            }
+
+            let recordedBy = triggeredBy;
+
+            if (!recordedBy) {
+                const admin = await User.findOne({ role: 'admin', isActive: true });
+                recordedBy = admin ? admin._id : null;
+            }
+
+            if (!recordedBy) {
+                throw new Error('No active admin to record the interest postings');
+            }
+
+            const summary = {
+                month: period.month,
+                year: period.year,
+                financeYearId: financialYear._id,
+                loansAccrued: 0,
+                chitsAccrued: 0,
+                totalAccrued: 0,
+                receiptsUpdated: 0,
+                errors: []
+            };
+
+            const context = { period, financialYear, recordedBy };
+            const loans = await LoanStaff.find({ loanStatus: 'active' });
+
+            for (const loanStaff of loans) {
+                try {
+                    const accrual = await this.accrueLoan(loanStaff, context);
+
+                    if (accrual) {
+                        summary.loansAccrued += 1;
+                        summary.totalAccrued = LoanScheduleHelper.round(summary.totalAccrued + accrual.accruedAmount);
+                    }
+                } catch (error) {
+                    summary.errors.push({ sourceType: 'loan', sourceId: loanStaff._id, message: error.message });
+                }
+            }
+
+            const members = await ChitMembers.find({ chitTaken: true, chitInterestPercentage: { $gt: 0 } }).populate('chitfundId');
+
+            for (const member of members) {
+                try {
+                    const accrual = await this.accrueChit(member, context);
+
+                    if (accrual) {
+                        summary.chitsAccrued += 1;
+                        summary.totalAccrued = LoanScheduleHelper.round(summary.totalAccrued + accrual.accruedAmount);
+                    }
+                } catch (error) {
+                    summary.errors.push({ sourceType: 'chit', sourceId: member._id, message: error.message });
+                }
+            }
+
+            summary.receiptsUpdated = await this.refreshReceipts();
+
+            return summary;
+        } catch (error) {
+            throw new Error(`Error running interest accrual: ${error.message}`);
+        }
+    }
+
+    /**
+     * Accrue a month of interest on a staff loan: the interest portion of its instalments due in the month
+     */
+    async accrueLoan(loanStaff, { period, financialYear, recordedBy }) {
+        const exists = await InterestAccrual.exists({ sourceType: 'loan', sourceId: loanStaff._id, month: period.month, year: period.year });
+
+        if (exists) {
+            return null;
+        }
+
+        const instalments = await LoanInstalment.find({ loanStaffId: loanStaff._id, dueDate: { $gte: period.start, $lte: period.end } });
+        const { accrued, received } = InterestAccrualHelper.loanInterest(instalments, period);
+
+        if (accrued <= 0) {
+            return null;
+        }
+
+        return this.postAccrual({
+            financialYear,
+            period,
+            recordedBy,
+            sourceType: 'loan',
+            sourceId: loanStaff._id,
+            staffId: loanStaff.staffId,
+            accruedAmount: accrued,
+            receivedAmount: received,
+            description: `Interest accrued on staff loan for ${period.month}/${period.year}`
+        });
+    }
+
+    /**
+     * Accrue a month of interest on the amount a member took from an on-going chit
+     */
+    async accrueChit(member, { period, financialYear, recordedBy }) {
+        const chitfund = member.chitfundId;
+
+        if (!chitfund || chitfund.chitStatus !== 'on-going') {
+            return null;
+        }
+
+        if (!InterestAccrualHelper.chitAccruesIn(chitfund.chitStarted, member.chitTakenMonth, period)) {
+            return null;
+        }
+
+        const exists = await InterestAccrual.exists({ sourceType: 'chit', sourceId: member._id, month: period.month, year: period.year });
+
+        if (exists) {
+            return null;
+        }
+
+        const accrued = InterestAccrualHelper.chitMonthlyInterest(member.chitTakenAmount, member.chitInterestPercentage);
+
+        if (accrued <= 0) {
+            return null;
+        }
+
+        const received = await this.getChitReceived(chitfund._id, member.staffId, period.month, accrued);
+
+        return this.postAccrual({
+            financialYear,
+            period,
+            recordedBy,
+            sourceType: 'chit',
+            sourceId: member._id,
+            chitfundId: chitfund._id,
+            staffId: member.staffId,
+            accruedAmount: accrued,
+            receivedAmount: received,
+            description: `Interest accrued on ${chitfund.chitName} chit for ${period.month}/${period.year}`
+        });
+    }
+
+    /**
+     * Chit interest is received along with the member's chit instalment for the month
+     */
+    async getChitReceived(chitfundId, staffId, month, accruedAmount) {
+        const collected = await ChitCollection.exists({ chitfundId, staffId, collectionMonth: month });
+        return collected ? accruedAmount : 0;
+    }
+
+    /**
+     * Record an accrual and post it to the ledger as interest_income
+     * The transaction stays pending until the interest has been received in full
+     */
+    async postAccrual({ financialYear, period, recordedBy, sourceType, sourceId, chitfundId = null, staffId, accruedAmount, receivedAmount, description }) {
+        const account = await this.getPostingAccount(financialYear._id, sourceType);
+        const receivedNow = Math.min(receivedAmount, accruedAmount);
+        const status = InterestAccrualHelper.status(accruedAmount, receivedNow);
+
+        const accrual = await InterestAccrual.create({
+            financeYearId: financialYear._id,
+            sourceType,
+            sourceId,
+            chitfundId,
+            staffId,
+            month: period.month,
+            year: period.year,
+            accruedAmount,
+            receivedAmount: receivedNow,
+            status,
+            receivedAt: status === 'received' ? new Date() : null
+        });
+
+        try {
+            const transaction = await Transaction.create({
+                financeYearId: financialYear._id,
+                accountId: account._id,
+                transactionType: 'income',
+                transactionCategory: 'interest_income',
+                amount: accruedAmount,
+                description,
+                relatedEntity: {
+                    entityType: sourceType === 'loan' ? 'loan_staff' : 'chit_member',
+                    entityId: sourceId
+                },
+                paymentMethod: 'other',
+                transactionDate: period.end,
+                recordedBy,
+                status: status === 'received' ? 'completed' : 'pending',
+                notes: `Interest accrual ${accrual._id}`
+            });
+
+            accrual.transactionId = transaction._id;
+            return await accrual.save();
+        } catch (error) {
+            await InterestAccrual.deleteOne({ _id: accrual._id });
+            throw error;
+        }
+    }
+
+    /**
+     * Find the account interest is posted to: the financial year's loan or chitfund account, else its primary account
+     */
+    async getPostingAccount(financeYearId, sourceType) {
+        const account = await Account.findOne({
+            financeYearId,
+            accountType: sourceType === 'loan' ? 'loan' : 'chitfund',
+            accountStatus: 'active'
+        }) || await Account.findOne({ financeYearId, isPrimary: true });
+
+        if (!account) {
+            throw new Error('No account is set up to post interest to for this financial year');
+        }
+
+        return account;
+    }
+
+    /**
+     * Update the received amount of accruals not yet received in full
+     * Fully received accruals mark their interest_income transaction completed
+     */
+    async refreshReceipts() {
+        const accruals = await InterestAccrual.getOpen();
+        let updated = 0;
+
+        for (const accrual of accruals) {
+            const period = InterestAccrualHelper.period(accrual.month, accrual.year);
+            let received;
+
+            if (accrual.sourceType === 'loan') {
+                const instalments = await LoanInstalment.find({ loanStaffId: accrual.sourceId, dueDate: { $gte: period.start, $lte: period.end } });
+                ({ received } = InterestAccrualHelper.loanInterest(instalments, period));
+            } else {
+                received = await this.getChitReceived(accrual.chitfundId, accrual.staffId, accrual.month, accrual.accruedAmount);
+            }
+
+            // Rescheduled instalments may disappear, so a recorded receipt is never reduced
+            received = Math.min(Math.max(received, accrual.receivedAmount), accrual.accruedAmount);
+
+            if (received === accrual.receivedAmount) {
+                continue;
+            }
+
+            accrual.receivedAmount = received;
+            accrual.status = InterestAccrualHelper.status(accrual.accruedAmount, received);
+
+            if (accrual.status === 'received') {
+                accrual.receivedAt = new Date();
+
+                if (accrual.transactionId) {
+                    await Transaction.findByIdAndUpdate(accrual.transactionId, { status: 'completed' });
+                }
+            }
+
+            await accrual.save();
+            updated += 1;
+        }
+
+        return updated;
+    }
+
+    /**
+     * Get interest accruals
+     */
+    async getAccruals(filters = {}) {
+        try {
+            const query = {};
+
+            ['financeYearId', 'sourceType', 'status', 'staffId'].forEach(field => {
+                if (filters[field]) {
+                    query[field] = filters[field];
+                }
+            });
+
+            return await InterestAccrual.find(query)
+                .populate('staffId', 'employeeId firstName lastName')
+                .populate('chitfundId', 'chitName')
+                .sort({ year: -1, month: -1 });
+        } catch (error) {
+            throw new Error(`Error fetching interest accruals: ${error.message}`);
+        }
+    }
+
+    /**
+     * Report interest received and interest accrued but not yet received for a financial year
+     */
+    async getInterestReport(financeYearId) {
+        try {
+            const financialYear = await FinancialYear.findById(financeYearId);
+
+            if (!financialYear) {
+                throw new Error('Financial year not found');
+            }
+
+            const rows = await InterestAccrual.getSummary(financeYearId);
+            const blank = () => ({ accrued: 0, received: 0, accruedUnpaid: 0 });
+            const add = (totals, row) => {
+                totals.accrued = LoanScheduleHelper.round(totals.accrued + row.accrued);
+                totals.received = LoanScheduleHelper.round(totals.received + row.received);
+                totals.accruedUnpaid = LoanScheduleHelper.round(totals.accrued - totals.received);
+            };
+
+            const totals = blank();
+            const bySource = { loan: blank(), chit: blank() };
+            const byMonth = [];
+
+            for (const row of rows) {
+                const { sourceType, month, year } = row._id;
+                let monthTotals = byMonth.find(item => item.month === month && item.year === year);
+
+                if (!monthTotals) {
+                    monthTotals = { month, year, ...blank() };
+                    byMonth.push(monthTotals);
+                }
+
+                add(totals, row);
+                add(bySource[sourceType], row);
+                add(monthTotals, row);
+            }
+
+            return {
+                financeYearId: financialYear._id,
+                financeYear: financialYear.financeYear,
+                ...totals,
+                bySource,
+                byMonth
+            };
+        } catch (error) {
+            throw new Error(`Error building interest report: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new InterestAccrualService();
@@ -0,0 +1,50 @@
+const LoanStaff = require('../models/LoanStaff');
+const StaffShare = require('../models/StaffShare');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const LoanEligibilityHelper = require('../helpers/loanEligibilityHelper');
+
+class LoanEligibilityService {
+    /**
+     * Compute the loan eligibility of a staff member from club settings and member history
+     */
+    async getEligibility(staffId) {
+        try {
+            const [staff, settings] = await Promise.all([
+                User.findById(staffId),
+                Settings.getCurrentSettings()
+            ]);
+
+            if (!staff) {
+                throw new Error('Staff member not found');
+            }
+
+            if (!settings) {
+                throw new Error('Club settings have not been configured');
+            }
+
+            const [shareTotals, openLoans] = await Promise.all([
+                StaffShare.getTotalShares(staff._id),
+                LoanStaff.findOpenByStaff(staff._id)
+            ]);
+
+            const eligibility = LoanEligibilityHelper.evaluate({
+                staff,
+                settings,
+                totalShares: shareTotals.length ? shareTotals[0].total : 0,
+                openLoans
+            });
+
+            return {
+                staffId: staff._id,
+                employeeId: staff.employeeId,
+                currentSalary: staff.currentSalary,
+                ...eligibility
+            };
+        } catch (error) {
+            throw new Error(`Error checking loan eligibility: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new LoanEligibilityService();
@@ -0,0 +1,145 @@
+const LoanStaff = require('../models/LoanStaff');
+const LoanInstalment = require('../models/LoanInstalment');
+const LoanCollection = require('../models/LoanCollection');
+const LoanOverdueRun = require('../models/LoanOverdueRun');
+const Settings = require('../models/Settings');
+const LoanOverdueHelper = require('../helpers/loanOverdueHelper');
+const LoanScheduleHelper = require('../helpers/loanScheduleHelper');
+
+class LoanOverdueService {
+    /**
+     * Assess every active loan against its schedule, charge penalty interest and default loans past the grace period
+     * Safe to re-run: penalty is only charged for whole days not yet charged
+     */
+    async runOverdueCheck({ asOf = new Date(), triggeredBy = null } = {}) {
+        const run = new LoanOverdueRun({ asOf, triggeredBy });
+
+        try {
+            const settings = await Settings.getCurrentSettings();
+
+            if (!settings) {
+                throw new Error('Club settings have not been configured');
+            }
+
+            run.penaltyInterestPercentage = settings.loanPenaltyInterestPercentage;
+            run.defaultGraceDays = settings.loanDefaultGraceDays;
+
+            const loans = await LoanStaff.find({ loanStatus: 'active' });
+
+            for (const loanStaff of loans) {
+                const change = await this.assessLoan(loanStaff, settings, asOf);
+
+                if (loanStaff.overdueAmount > 0) {
+                    run.overdueCount += 1;
+                }
+
+                if (change) {
+                    run.changes.push(change);
+                    run.totalPenaltyApplied = LoanScheduleHelper.round(run.totalPenaltyApplied + change.penaltyApplied);
+
+                    if (change.newStatus === 'defaulted') {
+                        run.defaultedCount += 1;
+                    }
+                }
+            }
+
+            run.loansChecked = loans.length;
+
+            return await run.save();
+        } catch (error) {
+            run.status = 'failed';
+            run.error = error.message;
+            await run.save();
+            throw new Error(`Error running overdue check: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update the overdue position of a single active loan
+     * Returns the change made, or null when nothing changed
+     */
+    async assessLoan(loanStaff, settings, asOf) {
+        const [instalments, totalRepaid] = await Promise.all([
+            LoanInstalment.getByLoanStaff(loanStaff._id),
+            LoanCollection.getTotalByLoanStaff(loanStaff._id)
+        ]);
+
+        const previousStatus = loanStaff.loanStatus;
+        const previousDaysPastDue = loanStaff.daysPastDue;
+        const assessment = LoanOverdueHelper.assess(instalments, totalRepaid, asOf);
+        let penaltyApplied = 0;
+
+        loanStaff.overdueAmount = assessment.overdueAmount;
+        loanStaff.daysPastDue = assessment.daysPastDue;
+
+        if (assessment.overdueAmount > 0) {
+            const accrual = LoanOverdueHelper.accruePenalty({
+                overdueAmount: assessment.overdueAmount,
+                annualRate: settings.loanPenaltyInterestPercentage,
+                oldestOverdueDate: assessment.oldestOverdueDate,
+                accruedUntil: loanStaff.penaltyAccruedUntil,
+                asOf
+            });
+
+            penaltyApplied = accrual.penalty;
+            loanStaff.penaltyAmount = LoanScheduleHelper.round(loanStaff.penaltyAmount + accrual.penalty);
+            loanStaff.penaltyAccruedUntil = accrual.accruedUntil;
+        } else {
+            loanStaff.penaltyAccruedUntil = null;
+        }
+
+        if (assessment.daysPastDue > settings.loanDefaultGraceDays) {
+            await loanStaff.defaultLoan();
+        } else if (loanStaff.isModified()) {
+            await loanStaff.save();
+        }
+
+        const changed = penaltyApplied > 0 ||
+            loanStaff.loanStatus !== previousStatus ||
+            loanStaff.daysPastDue !== previousDaysPastDue;
+
+        if (!changed) {
+            return null;
+        }
+
+        return {
+            loanStaffId: loanStaff._id,
+            staffId: loanStaff.staffId,
+            previousStatus,
+            newStatus: loanStaff.loanStatus,
+            daysPastDue: loanStaff.daysPastDue,
+            overdueAmount: loanStaff.overdueAmount,
+            penaltyApplied,
+            guarantorExposure: loanStaff.loanStatus === 'defaulted' ? loanStaff.getGuarantorExposure() : []
+        };
+    }
+
+    /**
+     * Get active and defaulted loans that are behind their schedule
+     */
+    async getOverdueLoans() {
+        try {
+            return await LoanStaff.find({
+                loanStatus: { $in: ['active', 'defaulted'] },
+                overdueAmount: { $gt: 0 }
+            })
+                .populate('loanId staffId')
+                .sort({ daysPastDue: -1 });
+        } catch (error) {
+            throw new Error(`Error fetching overdue loans: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the log of recent overdue runs
+     */
+    async getRuns(limit = 20) {
+        try {
+            return await LoanOverdueRun.getRecent(limit);
+        } catch (error) {
+            throw new Error(`Error fetching overdue runs: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new LoanOverdueService();
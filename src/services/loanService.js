@@ -86,7 +86,12 @@ class LoanService {
             }
 
             Object.assign(loan, updateData);
-            return await loan.save();
+            await loan.save();
+
+            // Extra capacity is offered to the waitlist straight away
+            await LoanStaff.promoteFromWaitlist(loan._id);
+
+            return loan;
         } catch (error) {
             throw new Error(`Error updating loan: ${error.message}`);
         }
@@ -266,6 +271,8 @@ class LoanService {
 
             const loanStaff = await LoanStaff.find({ loanId });
             const collections = await LoanCollection.find({ loanId });
+            const waitlist = await LoanStaff.getWaitlist(loanId);
+            const slotsUsed = await LoanStaff.countFilledSlots(loanId);
 
             const totalCollected = collections.reduce((sum, collection) => sum + collection.collectionAmount, 0);
             const activeStaff = loanStaff.filter(staff => staff.loanStatus === 'active').length;
@@ -289,7 +296,18 @@ class LoanService {
                 staffWithTopup,
                 totalStaff: loanStaff.length,
                 collectionCount: collections.length,
-                completionPercentage: (totalCollected / totalSchemeValue) * 100
+                completionPercentage: (totalCollected / totalSchemeValue) * 100,
+                totalSlots: loan.loanTotalStaffs,
+                slotsUsed,
+                slotsAvailable: Math.max(loan.loanTotalStaffs - slotsUsed, 0),
+                waitlistLength: waitlist.length,
+                waitlist: waitlist.map((entry, index) => ({
+                    position: index + 1,
+                    loanStaffId: entry._id,
+                    staff: entry.staffId,
+                    loanTakenAmount: entry.loanTakenAmount,
+                    waitlistedAt: entry.waitlistedAt
+                }))
             };
         } catch (error) {
             throw new Error(`Error getting loan stats: ${error.message}`);
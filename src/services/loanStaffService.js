@@ -0,0 +1,894 @@
+const Loan = require('../models/Loan');
+const LoanStaff = require('../models/LoanStaff');
+const LoanInstalment = require('../models/LoanInstalment');
+const LoanCollection = require('../models/LoanCollection');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const LoanScheduleHelper = require('../helpers/loanScheduleHelper');
+const LoanForeclosureHelper = require('../helpers/loanForeclosureHelper');
+const loanEligibilityService = require('./loanEligibilityService');
+
+const populateFields = 'financeYearId loanId staffId loanAuthorityPerson1 loanAuthorityPerson2 approvals.authority topupRequests.approvals.authority guarantors.guarantor';
+
+class LoanStaffService {
+    /**
+     * Apply for a loan under a loan scheme
+     */
+    async applyForLoan(applicationData) {
+        try {
+            const { loanId, staffId, loanAuthorityPerson1, loanAuthorityPerson2, loanTakenAmount } = applicationData;
+
+            const [loan, staff, authority1, authority2, settings, existingApplication] = await Promise.all([
+                Loan.findById(loanId),
+                User.findById(staffId),
+                User.findById(loanAuthorityPerson1),
+                User.findById(loanAuthorityPerson2),
+                Settings.getCurrentSettings(),
+                LoanStaff.findOne({ loanId, staffId })
+            ]);
+
+            if (!loan) {
+                throw new Error('Loan not found');
+            }
+
+            if (!staff) {
+                throw new Error('Staff member not found');
+            }
+
+            if (!authority1 || !authority2) {
+                throw new Error('Loan authority person not found');
+            }
+
+            if (existingApplication) {
+                throw new Error('Staff has already applied for this loan');
+            }
+
+            if (loanTakenAmount > loan.loanAmount) {
+                throw new Error(`Loan amount cannot exceed the scheme limit of ${loan.loanAmount}`);
+            }
+
+            const eligibility = await loanEligibilityService.getEligibility(staffId);
+
+            if (!eligibility.eligible) {
+                throw new Error(`Staff member is not eligible for a loan: ${eligibility.reasons.join('; ')}`);
+            }
+
+            if (loanTakenAmount < eligibility.minAmount || loanTakenAmount > eligibility.eligibleAmount) {
+                throw new Error(`Loan amount must be between ${eligibility.minAmount} and the eligible amount of ${eligibility.eligibleAmount}`);
+            }
+
+            const loanInterestPercentage = applicationData.loanInterestPercentage !== undefined
+                ? applicationData.loanInterestPercentage
+                : (settings ? settings.intrestPercentage : 0);
+
+            const loanTenureMonths = applicationData.loanTenureMonths || 12;
+            const interestType = applicationData.interestType || 'flat';
+            const schedule = LoanScheduleHelper.buildSchedule({
+                principal: loanTakenAmount,
+                annualRate: loanInterestPercentage,
+                tenureMonths: loanTenureMonths,
+                interestType
+            });
+
+            const guarantorIds = applicationData.guarantors || [];
+            const guarantorsRequired = settings && loanTakenAmount > settings.loanGuarantorThreshold
+                ? settings.loanGuarantorsRequired
+                : 0;
+
+            if (guarantorIds.length < guarantorsRequired) {
+                throw new Error(`Loans above ${settings.loanGuarantorThreshold} need ${guarantorsRequired} guarantor(s)`);
+            }
+
+            for (const guarantorId of guarantorIds) {
+                await this.checkGuarantor(guarantorId, { staffId, loanAuthorityPerson1, loanAuthorityPerson2 }, settings);
+            }
+
+            // Applications beyond the scheme's capacity join the waitlist
+            const isWaitlisted = await LoanStaff.countFilledSlots(loanId) >= loan.loanTotalStaffs;
+
+            const loanStaff = new LoanStaff({
+                financeYearId: loan.financeYearId,
+                loanId,
+                staffId,
+                loanTakenAmount,
+                loanTakenMonth: new Date().getMonth() + 1,
+                loanInterestPercentage,
+                loanTenureMonths,
+                interestType,
+                emiAmount: schedule[0].emiAmount,
+                loanDueAmount: LoanScheduleHelper.totalPayable(schedule),
+                loanAuthorityPerson1,
+                loanAuthorityPerson2,
+                loanElgibilityAmount: eligibility.eligibleAmount,
+                loanStatus: isWaitlisted ? 'waitlisted' : 'pending',
+                waitlistedAt: isWaitlisted ? new Date() : null,
+                guarantors: guarantorIds.map(guarantor => ({ guarantor })),
+                guarantorsRequired
+            });
+
+            return await loanStaff.save();
+        } catch (error) {
+            throw new Error(`Error applying for loan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check that a member can stand as guarantor on a loan
+     */
+    async checkGuarantor(guarantorId, loanStaff, settings) {
+        const [guarantor, activeGuarantees] = await Promise.all([
+            User.findById(guarantorId),
+            LoanStaff.countActiveGuarantees(guarantorId)
+        ]);
+
+        if (!guarantor) {
+            throw new Error('Guarantor not found');
+        }
+
+        if (guarantor.status !== 'active') {
+            throw new Error(`Guarantor ${guarantor.employeeId} is not an active member`);
+        }
+
+        if (guarantor._id.toString() === loanStaff.staffId.toString()) {
+            throw new Error('Staff cannot guarantee their own loan');
+        }
+
+        const authorities = [loanStaff.loanAuthorityPerson1, loanStaff.loanAuthorityPerson2].map(id => id.toString());
+        if (authorities.includes(guarantor._id.toString())) {
+            throw new Error('A loan authority person cannot also be a guarantor');
+        }
+
+        const maxGuarantees = settings ? settings.maxGuaranteesPerMember : 1;
+        if (activeGuarantees >= maxGuarantees) {
+            throw new Error(`Guarantor ${guarantor.employeeId} already guarantees the maximum of ${maxGuarantees} loan(s)`);
+        }
+
+        return guarantor;
+    }
+
+    /**
+     * Get all loan applications
+     */
+    async getAllLoanStaff(filters = {}) {
+        try {
+            const query = {};
+
+            if (filters.financeYearId) {
+                query.financeYearId = filters.financeYearId;
+            }
+
+            if (filters.loanId) {
+                query.loanId = filters.loanId;
+            }
+
+            if (filters.staffId) {
+                query.staffId = filters.staffId;
+            }
+
+            if (filters.loanStatus) {
+                query.loanStatus = filters.loanStatus;
+            }
+
+            return await LoanStaff.find(query)
+                .populate(populateFields)
+                .sort({ createdAt: -1 });
+        } catch (error) {
+            throw new Error(`Error fetching loan applications: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get loan application by ID
+     */
+    async getLoanStaffById(loanStaffId) {
+        try {
+            const loanStaff = await LoanStaff.findById(loanStaffId)
+                .populate(populateFields);
+
+            if (!loanStaff) {
+                throw new Error('Loan application not found');
+            }
+
+            return loanStaff;
+        } catch (error) {
+            throw new Error(`Error fetching loan application: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check that a user may view a loan: staff only see their own loans, admins and managers see any
+     */
+    async assertCanView(loanStaffId, user) {
+        const loanStaff = await LoanStaff.findById(loanStaffId).select('staffId');
+
+        if (!loanStaff) {
+            throw Object.assign(new Error('Loan application not found'), { statusCode: 404 });
+        }
+
+        if (!['admin', 'manager'].includes(user.role) && loanStaff.staffId.toString() !== user._id.toString()) {
+            throw Object.assign(new Error('You can only view your own loans'), { statusCode: 403 });
+        }
+    }
+
+    /**
+     * Get pending loan applications awaiting a decision from an authority person
+     */
+    async getPendingApprovals(authorityId) {
+        try {
+            return await LoanStaff.getPendingForAuthority(authorityId)
+                .sort({ createdAt: 1 });
+        } catch (error) {
+            throw new Error(`Error fetching pending approvals: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record an authority person's decision on a loan application
+     */
+    async decideLoanStaff(loanStaffId, authorityId, decision, comments) {
+        try {
+            const loanStaff = await LoanStaff.findById(loanStaffId);
+
+            if (!loanStaff) {
+                throw new Error('Loan application not found');
+            }
+
+            if (loanStaff.loanStatus !== 'pending') {
+                throw new Error(`Loan application is already ${loanStaff.loanStatus}`);
+            }
+
+            if (!loanStaff.isAuthority(authorityId)) {
+                throw new Error('Only the named authority persons can decide on this loan');
+            }
+
+            if (loanStaff.hasDecisionFrom(authorityId)) {
+                throw new Error('You have already recorded a decision on this loan');
+            }
+
+            if (decision === 'approved' && loanStaff.acceptedGuarantorCount < loanStaff.guarantorsRequired) {
+                throw new Error(`${loanStaff.guarantorsRequired} guarantor(s) must consent before the loan can be approved`);
+            }
+
+            await loanStaff.recordDecision(authorityId, decision, comments);
+
+            if (loanStaff.loanStatus === 'rejected') {
+                await LoanStaff.promoteFromWaitlist(loanStaff.loanId);
+            }
+
+            return loanStaff;
+        } catch (error) {
+            throw new Error(`Error recording loan decision: ${error.message}`);
+        }
+    }
+
+    /**
+     * Approve a loan application as one of the authority persons
+     */
+    async approveLoanStaff(loanStaffId, authorityId, comments) {
+        return this.decideLoanStaff(loanStaffId, authorityId, 'approved', comments);
+    }
+
+    /**
+     * Reject a loan application as one of the authority persons
+     */
+    async rejectLoanStaff(loanStaffId, authorityId, comments) {
+        return this.decideLoanStaff(loanStaffId, authorityId, 'rejected', comments);
+    }
+
+    /**
+     * Activate (disburse) an approved loan
+     */
+    async activateLoanStaff(loanStaffId) {
+        try {
+            const loanStaff = await LoanStaff.findById(loanStaffId);
+
+            if (!loanStaff) {
+                throw new Error('Loan application not found');
+            }
+
+            if (loanStaff.loanStatus !== 'approved') {
+                throw new Error('Only approved loans can be activated');
+            }
+
+            await loanStaff.activateLoan();
+            await loanStaff.generateSchedule(loanStaff.activatedAt);
+            await User.findByIdAndUpdate(loanStaff.staffId, { hasLoan: true });
+
+            return loanStaff;
+        } catch (error) {
+            throw new Error(`Error activating loan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the repayment schedule of a staff loan
+     * Loans that are not yet active return a preview that is not stored
+     */
+    async getLoanSchedule(loanStaffId) {
+        try {
+            const loanStaff = await LoanStaff.findById(loanStaffId);
+
+            if (!loanStaff) {
+                throw new Error('Loan application not found');
+            }
+
+            let instalments = await LoanInstalment.getByLoanStaff(loanStaffId);
+            const isPreview = instalments.length === 0;
+
+            if (isPreview) {
+                instalments = LoanScheduleHelper.buildSchedule({
+                    principal: loanStaff.loanTakenAmount + loanStaff.loanTopupAmount,
+                    annualRate: loanStaff.loanInterestPercentage,
+                    tenureMonths: loanStaff.loanTenureMonths,
+                    interestType: loanStaff.interestType
+                });
+            }
+
+            return {
+                loanStaffId: loanStaff._id,
+                loanStatus: loanStaff.loanStatus,
+                principal: loanStaff.totalLoanAmount,
+                loanInterestPercentage: loanStaff.loanInterestPercentage,
+                interestType: loanStaff.interestType,
+                loanTenureMonths: loanStaff.loanTenureMonths,
+                emiAmount: loanStaff.emiAmount,
+                totalInterest: LoanScheduleHelper.totalInterest(instalments),
+                totalPayable: LoanScheduleHelper.totalPayable(instalments),
+                loanDueAmount: loanStaff.loanDueAmount,
+                isPreview,
+                instalments
+            };
+        } catch (error) {
+            throw new Error(`Error fetching loan schedule: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record a repayment against an active staff loan
+     * The amount is allocated interest-first across the oldest unpaid instalments
+     */
+    async recordRepayment(loanStaffId, repaymentData, recordedBy) {
+        try {
+            const loanStaff = await LoanStaff.findById(loanStaffId);
+
+            if (!loanStaff) {
+                throw new Error('Loan application not found');
+            }
+
+            if (loanStaff.loanStatus !== 'active') {
+                throw new Error(`Repayments cannot be recorded against a ${loanStaff.loanStatus} loan`);
+            }
+
+            const amount = LoanScheduleHelper.round(repaymentData.amount);
+            const outstanding = LoanScheduleHelper.round(loanStaff.loanDueAmount);
+
+            if (amount > outstanding) {
+                throw new Error(`Repayment of ${amount} exceeds the outstanding due of ${outstanding}`);
+            }
+
+            const allocation = await LoanInstalment.allocatePayment(loanStaff._id, amount);
+
+            const collection = await LoanCollection.create({
+                financeYearId: loanStaff.financeYearId,
+                loanId: loanStaff.loanId,
+                loanStaffId: loanStaff._id,
+                staffId: loanStaff.staffId,
+                collectionAmount: amount,
+                interestComponent: allocation.interestComponent,
+                // Loans without a stored schedule take the whole amount as principal
+                principalComponent: LoanScheduleHelper.round(allocation.principalComponent + allocation.unallocated),
+                collectionDate: repaymentData.collectionDate || new Date(),
+                paymentMethod: repaymentData.paymentMethod,
+                collectionBy: recordedBy,
+                notes: repaymentData.notes
+            });
+
+            loanStaff.loanDueAmount = LoanScheduleHelper.round(outstanding - amount);
+
+            if (loanStaff.loanDueAmount <= 0) {
+                await this.closeLoan(loanStaff);
+            } else {
+                await loanStaff.save();
+            }
+
+            return { collection, loanStaff };
+        } catch (error) {
+            throw new Error(`Error recording repayment: ${error.message}`);
+        }
+    }
+
+    /**
+     * Mark a fully repaid loan as completed, clear the staff member's loan flag
+     * when no other loan is still active and hand the freed slot to the waitlist
+     */
+    async closeLoan(loanStaff) {
+        loanStaff.loanDueAmount = 0;
+        await loanStaff.completeLoan();
+
+        const otherActiveLoans = await LoanStaff.countDocuments({
+            staffId: loanStaff.staffId,
+            loanStatus: 'active'
+        });
+
+        if (otherActiveLoans === 0) {
+            await User.findByIdAndUpdate(loanStaff.staffId, { hasLoan: false });
+        }
+
+        await LoanStaff.promoteFromWaitlist(loanStaff.loanId);
+
+        return loanStaff;
+    }
+
+    /**
+     * Get the repayments recorded against a staff loan
+     */
+    async getRepayments(loanStaffId) {
+        try {
+            const loanStaff = await LoanStaff.findById(loanStaffId);
+
+            if (!loanStaff) {
+                throw new Error('Loan application not found');
+            }
+
+            const repayments = await LoanCollection.getByLoanStaff(loanStaffId);
+            const sum = field => LoanScheduleHelper.round(repayments.reduce((total, repayment) => total + repayment[field], 0));
+
+            return {
+                loanStaffId: loanStaff._id,
+                loanStatus: loanStaff.loanStatus,
+                loanDueAmount: loanStaff.loanDueAmount,
+                totalRepaid: sum('collectionAmount'),
+                interestRepaid: sum('interestComponent'),
+                principalRepaid: sum('principalComponent'),
+                chargesRepaid: sum('chargesComponent'),
+                repayments
+            };
+        } catch (error) {
+            throw new Error(`Error fetching repayments: ${error.message}`);
+        }
+    }
+
+    /**
+     * Request a top-up on an active staff loan
+     * Checks the scheme's top-up cap, the club-wide top-up limit and the member's repayment record
+     */
+    async requestTopup(loanStaffId, topupData, user) {
+        try {
+            const topupAmount = LoanScheduleHelper.round(topupData.topupAmount);
+            const loanStaff = await LoanStaff.findById(loanStaffId);
+
+            if (!loanStaff) {
+                throw new Error('Loan application not found');
+            }
+
+            const canRequestForOthers = ['admin', 'manager'].includes(user.role);
+            if (!canRequestForOthers && loanStaff.staffId.toString() !== user._id.toString()) {
+                throw new Error('You can only request a top-up on your own loan');
+            }
+
+            if (loanStaff.loanStatus !== 'active') {
+                throw new Error('Top-ups can only be requested on active loans');
+            }
+
+            if (loanStaff.getPendingTopup()) {
+                throw new Error('A top-up request is already awaiting approval');
+            }
+
+            const [loan, settings, overdue, paidCount] = await Promise.all([
+                Loan.findById(loanStaff.loanId),
+                Settings.getCurrentSettings(),
+                LoanInstalment.getOverdue(loanStaff._id),
+                LoanInstalment.countDocuments({ loanStaffId: loanStaff._id, status: 'paid' })
+            ]);
+
+            if (!loan || !loan.allowTopup) {
+                throw new Error('Top-up is not allowed for this loan scheme');
+            }
+
+            if (!settings) {
+                throw new Error('Club settings have not been configured');
+            }
+
+            const topupCap = Math.min(loan.loanTopupAmount, settings.getMaxTopupAmount());
+            const availableTopup = LoanScheduleHelper.round(topupCap - loanStaff.loanTopupAmount);
+
+            if (topupAmount > availableTopup) {
+                throw new Error(`Top-up amount cannot exceed the available top-up of ${Math.max(availableTopup, 0)}`);
+            }
+
+            if (overdue.length > 0) {
+                throw new Error(`Top-up is not allowed while ${overdue.length} instalment(s) are overdue`);
+            }
+
+            if (paidCount < settings.topupMinPaidInstalments) {
+                throw new Error(`At least ${settings.topupMinPaidInstalments} instalments must be repaid before a top-up`);
+            }
+
+            return await loanStaff.requestTopup(topupAmount, topupData.reason, user._id);
+        } catch (error) {
+            throw new Error(`Error requesting top-up: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get active loans with a top-up request awaiting a decision from an authority person
+     */
+    async getPendingTopupApprovals(authorityId) {
+        try {
+            return await LoanStaff.getPendingTopupsForAuthority(authorityId)
+                .sort({ updatedAt: 1 });
+        } catch (error) {
+            throw new Error(`Error fetching pending top-up approvals: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record an authority person's decision on the pending top-up request of a loan
+     */
+    async decideTopup(loanStaffId, authorityId, decision, comments) {
+        try {
+            const loanStaff = await LoanStaff.findById(loanStaffId);
+
+            if (!loanStaff) {
+                throw new Error('Loan application not found');
+            }
+
+            const request = loanStaff.getPendingTopup();
+
+            if (!request) {
+                throw new Error('There is no top-up request awaiting approval');
+            }
+
+            if (loanStaff.loanStatus !== 'active') {
+                throw new Error(`Top-ups cannot be approved on a ${loanStaff.loanStatus} loan`);
+            }
+
+            if (!loanStaff.isAuthority(authorityId)) {
+                throw new Error('Only the named authority persons can decide on this top-up');
+            }
+
+            if (request.approvals.some(approval => approval.authority.toString() === authorityId.toString())) {
+                throw new Error('You have already recorded a decision on this top-up');
+            }
+
+            return await loanStaff.recordTopupDecision(authorityId, decision, comments);
+        } catch (error) {
+            throw new Error(`Error recording top-up decision: ${error.message}`);
+        }
+    }
+
+    /**
+     * Approve the pending top-up request as one of the authority persons
+     */
+    async approveTopup(loanStaffId, authorityId, comments) {
+        return this.decideTopup(loanStaffId, authorityId, 'approved', comments);
+    }
+
+    /**
+     * Reject the pending top-up request as one of the authority persons
+     */
+    async rejectTopup(loanStaffId, authorityId, comments) {
+        return this.decideTopup(loanStaffId, authorityId, 'rejected', comments);
+    }
+
+    /**
+     * Restructure an active loan: change its tenure, rate or interest type and rebuild the unpaid schedule
+     * The old and new terms are kept in the loan's terms history with the reason and approvers
+     */
+    async restructureLoan(loanStaffId, restructureData, recordedBy) {
+        try {
+            const { loanTenureMonths, loanInterestPercentage, interestType, reason, approvedBy = [], effectiveFrom } = restructureData;
+            const loanStaff = await LoanStaff.findById(loanStaffId);
+
+            if (!loanStaff) {
+                throw new Error('Loan application not found');
+            }
+
+            if (loanStaff.loanStatus !== 'active') {
+                throw new Error(`A ${loanStaff.loanStatus} loan cannot be restructured`);
+            }
+
+            const terms = { loanTenureMonths, loanInterestPercentage, interestType };
+            const changed = Object.keys(terms).filter(field => terms[field] !== undefined && terms[field] !== loanStaff[field]);
+
+            if (changed.length === 0) {
+                throw new Error('The new terms are the same as the current terms');
+            }
+
+            const approvers = await User.find({ _id: { $in: approvedBy }, isActive: true });
+
+            if (approvers.length !== approvedBy.length) {
+                throw new Error('Every approver must be an active member');
+            }
+
+            if (loanTenureMonths !== undefined) {
+                const keptCount = await LoanInstalment.countDocuments({ loanStaffId, status: { $in: ['paid', 'partial'] } });
+
+                if (loanTenureMonths <= keptCount) {
+                    throw new Error(`Tenure must be longer than the ${keptCount} instalments already paid or part-paid`);
+                }
+            }
+
+            if (effectiveFrom && new Date(effectiveFrom) < loanStaff.activatedAt) {
+                throw new Error('Restructure cannot take effect before the loan was activated');
+            }
+
+            await loanStaff.restructure(terms, { reason, approvedBy, recordedBy, effectiveFrom });
+
+            return await LoanStaff.findById(loanStaffId).populate(populateFields);
+        } catch (error) {
+            throw new Error(`Error restructuring loan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get every version of a loan's repayment terms, oldest first
+     */
+    async getTermsHistory(loanStaffId) {
+        try {
+            const loanStaff = await LoanStaff.findById(loanStaffId)
+                .populate('termsHistory.approvedBy termsHistory.recordedBy', 'employeeId firstName lastName');
+
+            if (!loanStaff) {
+                throw new Error('Loan application not found');
+            }
+
+            return {
+                loanStaffId: loanStaff._id,
+                loanStatus: loanStaff.loanStatus,
+                restructuredAt: loanStaff.restructuredAt,
+                currentVersion: loanStaff.termsHistory.length,
+                versions: loanStaff.termsHistory
+            };
+        } catch (error) {
+            throw new Error(`Error fetching loan terms history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build the foreclosure quote of a loan for a settlement date
+     */
+    async buildForeclosureQuote(loanStaff, settlementDate = new Date()) {
+        if (!['active', 'defaulted'].includes(loanStaff.loanStatus)) {
+            throw new Error(`A ${loanStaff.loanStatus} loan cannot be foreclosed`);
+        }
+
+        const [instalments, settings] = await Promise.all([
+            LoanInstalment.getByLoanStaff(loanStaff._id),
+            Settings.getCurrentSettings()
+        ]);
+
+        if (instalments.length === 0) {
+            throw new Error('Loan has no repayment schedule');
+        }
+
+        return LoanForeclosureHelper.quote({
+            instalments,
+            settlementDate,
+            prepaymentChargePercentage: settings ? settings.loanPrepaymentChargePercentage : 0,
+            penaltyAmount: loanStaff.penaltyAmount
+        });
+    }
+
+    /**
+     * Get the payoff quote to close a loan early on a given date
+     */
+    async getForeclosureQuote(loanStaffId, settlementDate = new Date()) {
+        try {
+            const loanStaff = await LoanStaff.findById(loanStaffId);
+
+            if (!loanStaff) {
+                throw new Error('Loan application not found');
+            }
+
+            const quote = await this.buildForeclosureQuote(loanStaff, settlementDate);
+
+            return {
+                loanStaffId: loanStaff._id,
+                loanStatus: loanStaff.loanStatus,
+                loanDueAmount: loanStaff.loanDueAmount,
+                ...quote
+            };
+        } catch (error) {
+            throw new Error(`Error building foreclosure quote: ${error.message}`);
+        }
+    }
+
+    /**
+     * Settle a loan early: post the payoff as a single collection and complete the loan
+     */
+    async forecloseLoan(loanStaffId, settlementData, recordedBy) {
+        try {
+            const loanStaff = await LoanStaff.findById(loanStaffId);
+
+            if (!loanStaff) {
+                throw new Error('Loan application not found');
+            }
+
+            const settlementDate = settlementData.settlementDate || new Date();
+
+            if (new Date(settlementDate) > new Date()) {
+                throw new Error('Settlement date cannot be in the future');
+            }
+
+            const quote = await this.buildForeclosureQuote(loanStaff, settlementDate);
+            const amount = LoanScheduleHelper.round(settlementData.amount);
+
+            if (amount !== quote.totalPayoff) {
+                throw new Error(`Settlement amount must equal the payoff of ${quote.totalPayoff}`);
+            }
+
+            await LoanInstalment.settleForeclosure(loanStaff._id, quote.allocations);
+
+            const collection = await LoanCollection.create({
+                financeYearId: loanStaff.financeYearId,
+                loanId: loanStaff.loanId,
+                loanStaffId: loanStaff._id,
+                staffId: loanStaff.staffId,
+                collectionAmount: amount,
+                interestComponent: quote.accruedInterest,
+                principalComponent: quote.remainingPrincipal,
+                chargesComponent: LoanScheduleHelper.round(quote.prepaymentCharge + quote.penaltyAmount),
+                collectionType: 'foreclosure',
+                collectionDate: settlementDate,
+                paymentMethod: settlementData.paymentMethod,
+                collectionBy: recordedBy,
+                notes: settlementData.notes
+            });
+
+            loanStaff.penaltyAmount = 0;
+            loanStaff.overdueAmount = 0;
+            loanStaff.daysPastDue = 0;
+            loanStaff.penaltyAccruedUntil = null;
+            await this.closeLoan(loanStaff);
+
+            return { collection, loanStaff, quote };
+        } catch (error) {
+            throw new Error(`Error foreclosing loan: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add a guarantor to a loan application that has not been decided yet
+     */
+    async addGuarantor(loanStaffId, guarantorId, user) {
+        try {
+            const loanStaff = await LoanStaff.findById(loanStaffId);
+
+            if (!loanStaff) {
+                throw new Error('Loan application not found');
+            }
+
+            const canManageOthers = ['admin', 'manager'].includes(user.role);
+            if (!canManageOthers && loanStaff.staffId.toString() !== user._id.toString()) {
+                throw new Error('You can only add guarantors to your own loan');
+            }
+
+            if (!['waitlisted', 'pending'].includes(loanStaff.loanStatus)) {
+                throw new Error(`Guarantors cannot be added to a ${loanStaff.loanStatus} loan`);
+            }
+
+            const activeGuarantors = loanStaff.guarantors.filter(guarantor => guarantor.status !== 'declined');
+            if (activeGuarantors.length >= 2) {
+                throw new Error('A loan can have at most two guarantors');
+            }
+
+            if (loanStaff.getGuarantor(guarantorId)) {
+                throw new Error('Member has already been asked to guarantee this loan');
+            }
+
+            const settings = await Settings.getCurrentSettings();
+            await this.checkGuarantor(guarantorId, loanStaff, settings);
+
+            loanStaff.guarantors.push({ guarantor: guarantorId });
+            return await loanStaff.save();
+        } catch (error) {
+            throw new Error(`Error adding guarantor: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record a guarantor's consent or refusal to guarantee a loan
+     */
+    async respondToGuarantee(loanStaffId, guarantorId, decision, comments) {
+        try {
+            const loanStaff = await LoanStaff.findById(loanStaffId);
+
+            if (!loanStaff) {
+                throw new Error('Loan application not found');
+            }
+
+            const guarantor = loanStaff.getGuarantor(guarantorId);
+
+            if (!guarantor) {
+                throw new Error('You have not been asked to guarantee this loan');
+            }
+
+            if (guarantor.status !== 'pending') {
+                throw new Error(`You have already ${guarantor.status} this guarantee`);
+            }
+
+            if (!['waitlisted', 'pending'].includes(loanStaff.loanStatus)) {
+                throw new Error(`Guarantee cannot be changed on a ${loanStaff.loanStatus} loan`);
+            }
+
+            return await loanStaff.recordGuarantorResponse(guarantorId, decision, comments);
+        } catch (error) {
+            throw new Error(`Error recording guarantee response: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the loans a member guarantees, with their share of any outstanding amount
+     */
+    async getGuaranteesByStaff(staffId) {
+        try {
+            const loans = await LoanStaff.getByGuarantor(staffId);
+
+            return loans.map(loanStaff => {
+                const entry = loanStaff.getGuarantor(staffId);
+                const exposure = loanStaff.getGuarantorExposure()
+                    .find(item => item.guarantor.toString() === staffId.toString());
+
+                return {
+                    loanStaffId: loanStaff._id,
+                    loan: loanStaff.loanId,
+                    borrower: loanStaff.staffId,
+                    loanStatus: loanStaff.loanStatus,
+                    loanTakenAmount: loanStaff.loanTakenAmount,
+                    loanDueAmount: loanStaff.loanDueAmount,
+                    guaranteeStatus: entry.status,
+                    respondedAt: entry.respondedAt,
+                    exposure: exposure ? exposure.amount : 0
+                };
+            });
+        } catch (error) {
+            throw new Error(`Error fetching guarantees: ${error.message}`);
+        }
+    }
+
+    /**
+     * Report what guarantors are exposed to on defaulted loans
+     */
+    async getGuarantorExposureReport() {
+        try {
+            const loans = await LoanStaff.find({ loanStatus: 'defaulted', 'guarantors.status': 'accepted' })
+                .populate('staffId', 'firstName lastName employeeId')
+                .populate('guarantors.guarantor', 'firstName lastName employeeId')
+                .sort({ defaultedAt: -1 });
+
+            const byGuarantor = {};
+            const defaultedLoans = loans.map(loanStaff => {
+                const exposure = loanStaff.getGuarantorExposure();
+
+                exposure.forEach(({ guarantor, amount }) => {
+                    const key = guarantor._id.toString();
+                    byGuarantor[key] = byGuarantor[key] || { guarantor, loanCount: 0, totalExposure: 0 };
+                    byGuarantor[key].loanCount += 1;
+                    byGuarantor[key].totalExposure = LoanScheduleHelper.round(byGuarantor[key].totalExposure + amount);
+                });
+
+                return {
+                    loanStaffId: loanStaff._id,
+                    borrower: loanStaff.staffId,
+                    defaultedAt: loanStaff.defaultedAt,
+                    loanDueAmount: loanStaff.loanDueAmount,
+                    penaltyAmount: loanStaff.penaltyAmount,
+                    exposure
+                };
+            });
+
+            return {
+                defaultedLoans,
+                guarantors: Object.values(byGuarantor).sort((a, b) => b.totalExposure - a.totalExposure),
+                totalExposure: LoanScheduleHelper.round(
+                    Object.values(byGuarantor).reduce((sum, item) => sum + item.totalExposure, 0)
+                )
+            };
+        } catch (error) {
+            throw new Error(`Error building guarantor exposure report: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new LoanStaffService();
@@ -0,0 +1,392 @@
+const PayrollDeduction = require('../models/PayrollDeduction');
+const FinancialYear = require('../models/FinancialYear');
+const User = require('../models/User');
+const LoanStaff = require('../models/LoanStaff');
+const LoanInstalment = require('../models/LoanInstalment');
+const MemberSettings = require('../models/MemberSettings');
+const StaffShare = require('../models/StaffShare');
+const Chitfund = require('../models/Chitfund');
+const ChitCollection = require('../models/ChitCollection');
+const EmergencyFund = require('../models/EmergencyFund');
+const EmergencyPayment = require('../models/EmergencyPayment');
+const LoanScheduleHelper = require('../helpers/loanScheduleHelper');
+const PayrollFileHelper = require('../helpers/payrollFileHelper');
+const EmergencyFundHelper = require('../helpers/emergencyFundHelper');
+const loanStaffService = require('./loanStaffService');
+const chitAuctionService = require('./chitAuctionService');
+const chitfundService = require('./chitfundService');
+const chitCollectionService = require('./chitCollectionService');
+const emergencyPaymentService = require('./emergencyPaymentService');
+
+const sumItems = items => LoanScheduleHelper.round(items.reduce((sum, item) => sum + item.amount, 0));
+
+class PayrollService {
+    /**
+     * Work out the calendar month and year of a payroll month within a financial year
+     */
+    resolvePeriod(financialYear, month) {
+        const cursor = new Date(financialYear.startFrom);
+        cursor.setDate(1);
+
+        for (let i = 0; i < 12; i++) {
+            if (cursor.getMonth() + 1 === month) {
+                const year = cursor.getFullYear();
+                return {
+                    month,
+                    year,
+                    start: new Date(year, month - 1, 1),
+                    end: new Date(year, month, 0, 23, 59, 59, 999)
+                };
+            }
+            cursor.setMonth(cursor.getMonth() + 1);
+        }
+
+        throw new Error(`Month ${month} does not fall within financial year ${financialYear.financeYear}`);
+    }
+
+    /**
+     * Build one staff member's deduction line for a payroll month
+     * Amounts already collected for the month are left out
+     */
+    async buildLine(staff, financeYearId, period) {
+        const [loans, chitfunds, emergencyFunds, shareAmount, existingShare] = await Promise.all([
+            LoanStaff.find({ staffId: staff._id, loanStatus: 'active' }),
+            Chitfund.find({ chitStaffs: staff._id, chitStatus: 'on-going' }),
+            EmergencyFund.find({ employeeId: staff._id, status: 'active' }),
+            MemberSettings.getEffectiveShareAmount(staff._id, financeYearId),
+            StaffShare.findOne({ financeYearId, staffId: staff._id, shareMonth: period.month })
+        ]);
+
+        const loanItems = await Promise.all(loans.map(async loanStaff => {
+            const instalments = await LoanInstalment.find({
+                loanStaffId: loanStaff._id,
+                status: { $in: ['pending', 'partial'] },
+                dueDate: { $gte: period.start, $lte: period.end }
+            });
+            return { referenceId: loanStaff._id, amount: sumItems(instalments.map(instalment => ({ amount: instalment.balanceAmount }))) };
+        }));
+
+        const chitItems = await Promise.all(chitfunds.map(async chitfund => {
+            const collected = await chitCollectionService.isMonthCollected(chitfund._id, staff._id, period.month);
+            return { referenceId: chitfund._id, amount: collected ? 0 : await chitAuctionService.getInstalmentDue(chitfund, staff._id, period.month) };
+        }));
+
+        const emergencyItems = await Promise.all(emergencyFunds.map(async emergencyFund => {
+            const [paid, rules] = await Promise.all([
+                EmergencyPayment.getByMonth(emergencyFund._id, period.month, period.year),
+                emergencyPaymentService.getContributionRules(emergencyFund)
+            ]);
+            const months = EmergencyFundHelper.fundMonths(emergencyFund.emergencyFundCreated, emergencyFund.totalMonths);
+            const due = !paid.length && EmergencyFundHelper.inSchedule(months, [period]).length > 0;
+            const amount = EmergencyFundHelper.expectedContribution(emergencyFund.monthlyInstalment, rules);
+            return { referenceId: emergencyFund._id, amount: due ? amount : 0 };
+        }));
+
+        const line = {
+            staffId: staff._id,
+            employeeId: staff.employeeId,
+            staffName: `${staff.firstName} ${staff.lastName}`,
+            loans: loanItems.filter(item => item.amount > 0),
+            chits: chitItems.filter(item => item.amount > 0),
+            emergencyFunds: emergencyItems.filter(item => item.amount > 0),
+            shareAmount: existingShare ? 0 : LoanScheduleHelper.round(shareAmount || 0)
+        };
+
+        line.loanAmount = sumItems(line.loans);
+        line.chitAmount = sumItems(line.chits);
+        line.emergencyAmount = sumItems(line.emergencyFunds);
+        line.totalAmount = LoanScheduleHelper.round(line.loanAmount + line.shareAmount + line.chitAmount + line.emergencyAmount);
+
+        return line;
+    }
+
+    /**
+     * Generate (or regenerate) the payroll deduction batch of a month
+     */
+    async generateDeductions(financeYearId, month, generatedBy) {
+        try {
+            const financialYear = await FinancialYear.findById(financeYearId);
+
+            if (!financialYear) {
+                throw new Error('Financial year not found');
+            }
+
+            const period = this.resolvePeriod(financialYear, month);
+            const existing = await PayrollDeduction.findOne({ financeYearId, month });
+
+            if (existing && existing.status === 'confirmed') {
+                throw new Error('Deductions for this month have already been confirmed by payroll');
+            }
+
+            if (existing && existing.lines.some(line => line.status !== 'pending' || line.importErrors.length > 0)) {
+                throw new Error('A confirmation has already been imported for this month');
+            }
+
+            const staffMembers = await User.find({ isActive: true, status: 'active' }).sort({ employeeId: 1 });
+            const lines = [];
+
+            for (const staff of staffMembers) {
+                const line = await this.buildLine(staff, financeYearId, period);
+                if (line.totalAmount > 0) {
+                    lines.push(line);
+                }
+            }
+
+            const batch = existing || new PayrollDeduction({ financeYearId, month });
+            batch.year = period.year;
+            batch.lines = lines;
+            batch.totalAmount = LoanScheduleHelper.round(lines.reduce((sum, line) => sum + line.totalAmount, 0));
+            batch.generatedBy = generatedBy;
+
+            return await batch.save();
+        } catch (error) {
+            throw new Error(`Error generating payroll deductions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get payroll deduction batches
+     */
+    async getDeductions(filters = {}) {
+        try {
+            const query = {};
+
+            if (filters.financeYearId) {
+                query.financeYearId = filters.financeYearId;
+            }
+
+            if (filters.status) {
+                query.status = filters.status;
+            }
+
+            return await PayrollDeduction.find(query)
+                .select('-lines')
+                .populate('financeYearId generatedBy confirmedBy')
+                .sort({ year: -1, month: -1 });
+        } catch (error) {
+            throw new Error(`Error fetching payroll deductions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a payroll deduction batch by ID
+     */
+    async getDeductionById(deductionId) {
+        try {
+            const batch = await PayrollDeduction.findById(deductionId)
+                .populate('financeYearId generatedBy confirmedBy');
+
+            if (!batch) {
+                throw new Error('Payroll deduction batch not found');
+            }
+
+            return batch;
+        } catch (error) {
+            throw new Error(`Error fetching payroll deduction batch: ${error.message}`);
+        }
+    }
+
+    /**
+     * Render a payroll deduction batch as a CSV or fixed-width file
+     */
+    async exportDeductions(deductionId, format = 'csv') {
+        try {
+            const batch = await PayrollDeduction.findById(deductionId);
+
+            if (!batch) {
+                throw new Error('Payroll deduction batch not found');
+            }
+
+            const period = `${batch.year}${String(batch.month).padStart(2, '0')}`;
+            const lines = batch.lines.map(line => ({ ...line.toObject(), status: '' }));
+
+            if (format === 'fixed') {
+                return {
+                    filename: `payroll-deductions-${period}.txt`,
+                    contentType: 'text/plain',
+                    content: PayrollFileHelper.toFixedWidth(lines, batch)
+                };
+            }
+
+            return {
+                filename: `payroll-deductions-${period}.csv`,
+                contentType: 'text/csv',
+                content: PayrollFileHelper.toCsv(lines)
+            };
+        } catch (error) {
+            throw new Error(`Error exporting payroll deductions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Spread a confirmed amount across the items of a line in order and record the part of each
+     * not yet posted. record reports whether posting succeeded; only posted parts count as applied,
+     * and a failed part is left for a re-import to post
+     */
+    async applyToItems(items, amount, record) {
+        let remaining = LoanScheduleHelper.round(amount);
+        let applied = 0;
+
+        for (const item of items) {
+            if (remaining <= 0) break;
+
+            const part = Math.min(remaining, item.amount);
+            const unposted = LoanScheduleHelper.round(part - (item.postedAmount || 0));
+
+            if (unposted > 0 && await record(item, unposted)) {
+                item.postedAmount = LoanScheduleHelper.round((item.postedAmount || 0) + unposted);
+            }
+
+            applied = LoanScheduleHelper.round(applied + Math.min(item.postedAmount || 0, part));
+            remaining = LoanScheduleHelper.round(remaining - part);
+        }
+
+        return applied;
+    }
+
+    /**
+     * Import the payroll office's confirmation file and turn deducted amounts into collection records
+     * Lines already imported are skipped, and lines that met errors only post their failed parts again,
+     * so the same file can be imported again safely
+     */
+    async importConfirmation(deductionId, content, format, importedBy) {
+        try {
+            const batch = await PayrollDeduction.findById(deductionId);
+
+            if (!batch) {
+                throw new Error('Payroll deduction batch not found');
+            }
+
+            const rows = PayrollFileHelper.parse(content, format);
+            const summary = { rows: rows.length, deducted: 0, failed: 0, skipped: 0, unmatched: [], errors: 0, retry: 0 };
+            const collectedChits = new Set();
+            const notes = `Payroll deduction ${batch.month}/${batch.year}`;
+
+            for (const row of rows) {
+                const line = batch.getLineByEmployeeId(row.employeeId);
+
+                if (!line) {
+                    summary.unmatched.push(row.employeeId);
+                    continue;
+                }
+
+                if (line.status !== 'pending') {
+                    summary.skipped += 1;
+                    continue;
+                }
+
+                if ((row.status || '').toLowerCase() === 'failed') {
+                    line.status = 'failed';
+                    summary.failed += 1;
+                    continue;
+                }
+
+                const errors = [];
+                const attempt = async (label, action) => {
+                    try {
+                        await action();
+                        return true;
+                    } catch (error) {
+                        errors.push(`${label}: ${error.message}`);
+                        return false;
+                    }
+                };
+
+                let deducted = 0;
+
+                deducted += await this.applyToItems(line.loans, Math.min(row.loanAmount || 0, line.loanAmount), (item, amount) =>
+                    attempt('Loan', () => loanStaffService.recordRepayment(item.referenceId, { amount, paymentMethod: 'payroll', notes }, importedBy))
+                );
+
+                const shareAmount = Math.min(row.shareAmount || 0, line.shareAmount);
+                if (shareAmount > 0 && !line.postedShareAmount) {
+                    const posted = await attempt('Share', () => StaffShare.create({
+                        financeYearId: batch.financeYearId,
+                        staffId: line.staffId,
+                        shareMonth: batch.month,
+                        shareAmount
+                    }));
+                    if (posted) {
+                        line.postedShareAmount = shareAmount;
+                    }
+                }
+                deducted += line.postedShareAmount || 0;
+
+                deducted += await this.applyToItems(line.chits, Math.min(row.chitAmount || 0, line.chitAmount), (item, amount) =>
+                    attempt('Chit', async () => {
+                        const chitfund = await Chitfund.findById(item.referenceId);
+
+                        if (!chitfund) {
+                            throw new Error('Chitfund not found');
+                        }
+
+                        chitfund.assertOnGoing('Collecting chit instalments');
+
+                        await ChitCollection.create({
+                            financeYearId: batch.financeYearId,
+                            chitfundId: item.referenceId,
+                            staffId: line.staffId,
+                            collectionMonth: batch.month,
+                            collectionAmount: amount,
+                            collectionBy: importedBy
+                        });
+                        collectedChits.add(item.referenceId.toString());
+                    })
+                );
+
+                deducted += await this.applyToItems(line.emergencyFunds, Math.min(row.emergencyAmount || 0, line.emergencyAmount), (item, amount) =>
+                    attempt('Emergency fund', async () => {
+                        await EmergencyPayment.create({
+                            fundId: item.referenceId,
+                            employeeId: line.staffId,
+                            amountPaid: amount,
+                            month: batch.month,
+                            year: batch.year
+                        });
+
+                        // The payment is posted; a failure to update the fund must not post it again
+                        try {
+                            const fund = await EmergencyFund.findById(item.referenceId);
+                            if (fund) {
+                                await emergencyPaymentService.applyPayment(fund);
+                            }
+                        } catch (error) {
+                            errors.push(`Emergency fund: ${error.message}`);
+                        }
+                    })
+                );
+
+                line.deductedAmount = LoanScheduleHelper.round(deducted);
+                line.importErrors = errors;
+                summary.errors += errors.length;
+
+                // A line with errors stays pending so the next import retries its unposted parts
+                if (errors.length > 0) {
+                    summary.retry += 1;
+                } else {
+                    line.status = 'deducted';
+                    summary.deducted += 1;
+                }
+            }
+
+            // Chitfunds settled by this import complete themselves
+            for (const chitfundId of collectedChits) {
+                await chitfundService.completeIfSettled(chitfundId);
+            }
+
+            if (batch.lines.every(line => line.status !== 'pending')) {
+                batch.status = 'confirmed';
+                batch.confirmedBy = importedBy;
+                batch.confirmedAt = new Date();
+            }
+
+            await batch.save();
+
+            return { batch, summary };
+        } catch (error) {
+            throw new Error(`Error importing payroll confirmation: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new PayrollService();
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const Chitfund = require('../src/models/Chitfund');
+const ChitAuction = require('../src/models/ChitAuction');
+const ChitMembers = require('../src/models/ChitMembers');
+const ChitAuctionHelper = require('../src/helpers/chitAuctionHelper');
+const chitAuctionService = require('../src/services/chitAuctionService');
+const chitfundService = require('../src/services/chitfundService');
+
+describe('Chit Auction Helper', () => {
+    it('should cap the discount at a percentage of the pot', () => {
+        const pot = ChitAuctionHelper.potAmount(5000, 20);
+
+        expect(pot).toBe(100000);
+        expect(ChitAuctionHelper.maxDiscount(pot, 30)).toBe(30000);
+    });
+
+    it('should pick the highest discount and the earlier bid on a tie', () => {
+        const bids = [
+            { staffId: 'a', discountAmount: 8000, bidAt: new Date(2024, 5, 1, 10, 0) },
+            { staffId: 'b', discountAmount: 9500, bidAt: new Date(2024, 5, 1, 10, 5) },
+            { staffId: 'c', discountAmount: 9500, bidAt: new Date(2024, 5, 1, 10, 2) }
+        ];
+
+        expect(ChitAuctionHelper.pickWinner(bids).staffId).toBe('c');
+        expect(ChitAuctionHelper.pickWinner([])).toBeNull();
+    });
+
+    it('should split the discount among the other members in whole paise', () => {
+        const { perMember, dividends, remainder } = ChitAuctionHelper.splitDividend(1000, ['a', 'b', 'c', 'd'], 'a');
+
+        expect(perMember).toBe(333.33);
+        expect(dividends.map(dividend => dividend.staffId)).toEqual(['b', 'c', 'd']);
+        expect(remainder).toBe(0.01);
+    });
+
+    it('should apply the dividend to the month after the auction', () => {
+        expect(ChitAuctionHelper.nextMonth(6)).toBe(7);
+        expect(ChitAuctionHelper.nextMonth(12)).toBe(1);
+    });
+});
+
+describe('Chit Auction', () => {
+    const staffIds = [1, 2, 3, 4].map(() => new mongoose.Types.ObjectId());
+    const [bidder, rival] = staffIds;
+    const recordedBy = new mongoose.Types.ObjectId();
+
+    // Four members paying 5000 a month: a 20000 pot, at most 6000 of it as discount
+    const chitfund = () => new Chitfund({
+        financeYearId: new mongoose.Types.ObjectId(),
+        chitName: 'Monthly Chit',
+        chitStaffs: staffIds,
+        chitAmount: 5000,
+        chitStatus: 'on-going',
+        chitStarted: new Date(2025, 0, 1)
+    });
+
+    const member = (fund, staffId, fields = {}) => new ChitMembers({
+        financeYearId: fund.financeYearId,
+        chitfundId: fund._id,
+        staffId,
+        ...fields
+    });
+
+    const stubAuction = (bids = []) => {
+        const fund = chitfund();
+        const auction = new ChitAuction({
+            financeYearId: fund.financeYearId,
+            chitfundId: fund._id,
+            auctionMonth: 2,
+            potAmount: 20000,
+            maxDiscountPercentage: 30,
+            openedBy: recordedBy,
+            bids: bids.map(([staffId, discountAmount]) => ({ staffId, discountAmount, recordedBy }))
+        });
+        jest.spyOn(Chitfund, 'findById').mockResolvedValue(fund);
+        jest.spyOn(ChitAuction, 'findOne').mockResolvedValue(auction);
+        jest.spyOn(auction, 'save').mockResolvedValue(auction);
+        return { fund, auction };
+    };
+
+    beforeEach(() => {
+        jest.spyOn(ChitMembers.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('placeBid', () => {
+        it('should take a bid from a member who has not taken the chit', async () => {
+            const { fund, auction } = stubAuction();
+            jest.spyOn(ChitMembers, 'findOne').mockResolvedValue(member(fund, bidder));
+
+            await chitAuctionService.placeBid(fund._id, auction._id, { staffId: bidder, discountAmount: 3000 }, recordedBy);
+
+            expect(auction.bids).toHaveLength(1);
+            expect(auction.highestBid).toMatchObject({ staffId: bidder, discountAmount: 3000 });
+        });
+
+        it('should only take bids from members of the chitfund', async () => {
+            const { fund, auction } = stubAuction();
+            jest.spyOn(ChitMembers, 'findOne').mockResolvedValue(null);
+
+            await expect(chitAuctionService.placeBid(fund._id, auction._id, { staffId: recordedBy, discountAmount: 3000 }, recordedBy))
+                .rejects.toThrow('Only members of the chitfund can bid');
+            expect(auction.save).not.toHaveBeenCalled();
+        });
+
+        it('should refuse members who have already taken the chit', async () => {
+            const { fund, auction } = stubAuction();
+            jest.spyOn(ChitMembers, 'findOne').mockResolvedValue(member(fund, bidder, { chitTaken: true, chitTakenMonth: 1 }));
+
+            await expect(chitAuctionService.placeBid(fund._id, auction._id, { staffId: bidder, discountAmount: 3000 }, recordedBy))
+                .rejects.toThrow('Members who have taken the chit cannot bid');
+            expect(auction.save).not.toHaveBeenCalled();
+        });
+
+        it('should cap the discount at the auction\'s maximum', async () => {
+            const { fund, auction } = stubAuction();
+            jest.spyOn(ChitMembers, 'findOne').mockResolvedValue(member(fund, bidder));
+
+            await expect(chitAuctionService.placeBid(fund._id, auction._id, { staffId: bidder, discountAmount: 6001 }, recordedBy))
+                .rejects.toThrow('Discount cannot exceed 6000 (30% of the pot)');
+
+            await chitAuctionService.placeBid(fund._id, auction._id, { staffId: bidder, discountAmount: 6000 }, recordedBy);
+            expect(auction.highestBid.discountAmount).toBe(6000);
+        });
+
+        it('should need a higher discount than the current highest bid', async () => {
+            const { fund, auction } = stubAuction([[rival, 3000]]);
+            jest.spyOn(ChitMembers, 'findOne').mockResolvedValue(member(fund, bidder));
+
+            await expect(chitAuctionService.placeBid(fund._id, auction._id, { staffId: bidder, discountAmount: 3000 }, recordedBy))
+                .rejects.toThrow('Bid must offer a higher discount than the current highest bid of 3000');
+        });
+    });
+
+    describe('closeAuction', () => {
+        it('should give the winner the pot less the discount and split the discount among the other members', async () => {
+            const { fund, auction } = stubAuction([[rival, 2000], [bidder, 3000]]);
+            const members = staffIds.map(staffId => member(fund, staffId));
+            jest.spyOn(ChitMembers, 'find').mockResolvedValue(members);
+            const complete = jest.spyOn(chitfundService, 'completeIfSettled').mockResolvedValue(fund);
+
+            await chitAuctionService.closeAuction(fund._id, auction._id, recordedBy);
+
+            expect(auction).toMatchObject({
+                status: 'closed',
+                winnerId: bidder,
+                winnerMemberId: members[0]._id,
+                winningDiscount: 3000,
+                prizeAmount: 17000,
+                dividendPerMember: 1000,
+                dividendMonth: 3,
+                dividendRemainder: 0
+            });
+            expect(auction.dividends.map(dividend => [dividend.staffId.toString(), dividend.amount]))
+                .toEqual(staffIds.slice(1).map(staffId => [staffId.toString(), 1000]));
+            expect(members[0]).toMatchObject({ chitTaken: true, chitTakenAmount: 17000, chitTakenMonth: 2 });
+            expect(complete).toHaveBeenCalledWith(fund._id);
+        });
+
+        it('should refuse a winner who has since taken the chit', async () => {
+            const { fund, auction } = stubAuction([[bidder, 3000]]);
+            jest.spyOn(ChitMembers, 'find').mockResolvedValue([member(fund, bidder, { chitTaken: true, chitTakenMonth: 1 })]);
+
+            await expect(chitAuctionService.closeAuction(fund._id, auction._id, recordedBy))
+                .rejects.toThrow('The winning bidder is no longer eligible to take the chit');
+            expect(auction.status).toBe('open');
+        });
+    });
+});
@@ -0,0 +1,45 @@
+const ChitCollectionHelper = require('../src/helpers/chitCollectionHelper');
+
+describe('Chit Collection Helper', () => {
+    it('should run one month per member from the start month, across the year end', () => {
+        const months = ChitCollectionHelper.chitMonths(new Date(2024, 10, 15), 4);
+
+        expect(months).toEqual([
+            { month: 11, year: 2024 },
+            { month: 12, year: 2024 },
+            { month: 1, year: 2025 },
+            { month: 2, year: 2025 }
+        ]);
+        expect(ChitCollectionHelper.chitMonths(new Date(2024, 0, 1), 20)).toHaveLength(12);
+    });
+
+    it('should only treat months that have started as due', () => {
+        const due = ChitCollectionHelper.dueMonths(new Date(2024, 10, 15), 4, new Date(2025, 0, 3));
+
+        expect(due.map(item => item.month)).toEqual([11, 12, 1]);
+    });
+
+    it('should report the shortfall and collector of a month', () => {
+        const collector = 'collector-id';
+
+        expect(ChitCollectionHelper.cell(5000, { collectionAmount: 5000, collectionBy: collector })).toMatchObject({
+            paid: 5000, shortfall: 0, status: 'paid', collectionBy: collector
+        });
+        expect(ChitCollectionHelper.cell(5000, { collectionAmount: 3000, collectionBy: collector })).toMatchObject({
+            paid: 3000, shortfall: 2000, status: 'partial'
+        });
+        expect(ChitCollectionHelper.cell(4750, null)).toMatchObject({ paid: 0, shortfall: 4750, status: 'unpaid' });
+        expect(ChitCollectionHelper.cell(5000, null, false)).toMatchObject({ shortfall: 0, status: 'upcoming' });
+    });
+
+    it('should merge the payments a transferred seat received for a month', () => {
+        const earlier = { collectionAmount: 2000, collectionBy: 'first', createdAt: new Date(2025, 0, 5) };
+        const later = { collectionAmount: 3000, collectionBy: 'second', createdAt: new Date(2025, 0, 20) };
+
+        expect(ChitCollectionHelper.combine([])).toBeNull();
+        expect(ChitCollectionHelper.combine([earlier])).toBe(earlier);
+        expect(ChitCollectionHelper.combine([later, earlier])).toEqual({
+            collectionAmount: 5000, collectionBy: 'second', createdAt: later.createdAt
+        });
+    });
+});
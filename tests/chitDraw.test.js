@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Chitfund = require('../src/models/Chitfund');
+const ChitDraw = require('../src/models/ChitDraw');
+const ChitMembers = require('../src/models/ChitMembers');
+const ChitDrawHelper = require('../src/helpers/chitDrawHelper');
+const chitDrawService = require('../src/services/chitDrawService');
+const chitfundService = require('../src/services/chitfundService');
+
+describe('Chit Draw Helper', () => {
+    const staffIds = ['665f1c2e9b1d4a0012a3b4c7', '665f1c2e9b1d4a0012a3b4c5', '665f1c2e9b1d4a0012a3b4c6'];
+    const chitfundId = '665f1c2e9b1d4a0012a3b4c0';
+
+    it('should give the same winner for the same seed regardless of candidate order', () => {
+        const first = ChitDrawHelper.draw('club-meeting-june', chitfundId, 6, staffIds);
+        const second = ChitDrawHelper.draw('club-meeting-june', chitfundId, 6, [...staffIds].reverse());
+
+        expect(first.candidates).toEqual([...staffIds].sort());
+        expect(second).toEqual(first);
+    });
+
+    it('should pick the candidate at the digest modulo the candidate count', () => {
+        const digest = crypto.createHash('sha256').update(`club-meeting-june:${chitfundId}:6`).digest('hex');
+        const index = Number(BigInt(`0x${digest}`) % 3n);
+        const result = ChitDrawHelper.draw('club-meeting-june', chitfundId, 6, staffIds);
+
+        expect(result.digest).toBe(digest);
+        expect(result.winnerIndex).toBe(index);
+        expect(result.winnerId).toBe([...staffIds].sort()[index]);
+    });
+
+    it('should refuse to draw without candidates', () => {
+        expect(() => ChitDrawHelper.draw('seed-value', chitfundId, 6, [])).toThrow('No candidates to draw from');
+    });
+});
+
+describe('Chit Draw', () => {
+    const staffIds = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+    const drawnBy = new mongoose.Types.ObjectId();
+
+    const chitfund = () => new Chitfund({
+        financeYearId: new mongoose.Types.ObjectId(),
+        chitName: 'Monthly Chit',
+        chitStaffs: staffIds,
+        chitAmount: 5000,
+        chitStatus: 'on-going',
+        chitStarted: new Date(2025, 0, 1),
+        selectionMethod: 'draw'
+    });
+
+    const member = (fund, staffId, fields = {}) => new ChitMembers({
+        financeYearId: fund.financeYearId,
+        chitfundId: fund._id,
+        staffId,
+        ...fields
+    });
+
+    // Stub a draw-based chitfund whose first `taken` members have already taken the chit
+    const stubDraw = ({ taken = 0, existing = null } = {}) => {
+        const fund = chitfund();
+        const members = staffIds.map((staffId, index) => member(fund, staffId, index < taken ? { chitTaken: true, chitTakenMonth: index + 1 } : {}));
+        jest.spyOn(Chitfund, 'findById').mockResolvedValue(fund);
+        jest.spyOn(ChitDraw, 'findOne').mockResolvedValue(existing);
+        jest.spyOn(ChitMembers, 'find').mockResolvedValue(members);
+        jest.spyOn(chitfundService, 'completeIfSettled').mockResolvedValue(fund);
+        jest.spyOn(ChitMembers.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+        return { fund, members, create: jest.spyOn(ChitDraw, 'create').mockImplementation(async draw => new ChitDraw(draw)) };
+    };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should only draw from the members who have not taken the chit', async () => {
+        const { fund, members, create } = stubDraw({ taken: 1 });
+
+        const draw = await chitDrawService.runDraw(fund._id, 2, drawnBy);
+        const winner = members.find(candidate => candidate.staffId.toString() === draw.winnerId.toString());
+
+        expect(draw.candidates.map(String)).toEqual(staffIds.slice(1).map(String).sort());
+        expect(draw.seed).toEqual(expect.any(String));
+        expect(draw.prizeAmount).toBe(15000);
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({ winnerMemberId: winner._id }));
+        expect(winner).toMatchObject({ chitTaken: true, chitTakenAmount: 15000, chitTakenMonth: 2 });
+    });
+
+    it('should refuse to draw a month that has already been drawn', async () => {
+        const { fund, create } = stubDraw({ existing: { _id: new mongoose.Types.ObjectId(), drawMonth: 2 } });
+
+        await expect(chitDrawService.runDraw(fund._id, 2, drawnBy))
+            .rejects.toThrow('Month 2 has already been drawn');
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to draw once every member has taken the chit', async () => {
+        const { fund, create } = stubDraw({ taken: 3 });
+
+        await expect(chitDrawService.runDraw(fund._id, 4, drawnBy))
+            .rejects.toThrow('Every member has already taken the chit');
+        expect(create).not.toHaveBeenCalled();
+    });
+});
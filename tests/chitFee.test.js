@@ -0,0 +1,15 @@
+const ChitFeeHelper = require('../src/helpers/chitFeeHelper');
+
+describe('Chit Fee Helper', () => {
+    it('should charge a percentage of the pot or a fixed commission', () => {
+        expect(ChitFeeHelper.commission(100000, 'percentage', 5)).toBe(5000);
+        expect(ChitFeeHelper.commission(100000, 'fixed', 1500)).toBe(1500);
+        expect(ChitFeeHelper.commission(100000, 'percentage', 0)).toBe(0);
+    });
+
+    it('should deduct commission and registration fee from the amount taken', () => {
+        const payout = ChitFeeHelper.payout(92000, 100000, { commissionType: 'percentage', commissionValue: 5, registrationFee: 250 });
+
+        expect(payout).toEqual({ commissionAmount: 5000, registrationFeeAmount: 250, netAmount: 86750 });
+    });
+});
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const Chitfund = require('../src/models/Chitfund');
+const ChitMembers = require('../src/models/ChitMembers');
+const ChitCollection = require('../src/models/ChitCollection');
+const ChitTransfer = require('../src/models/ChitTransfer');
+const User = require('../src/models/User');
+const chitfundService = require('../src/services/chitfundService');
+
+describe('Chit Membership', () => {
+    const memberId = new mongoose.Types.ObjectId();
+    const otherId = new mongoose.Types.ObjectId();
+    const joiningId = new mongoose.Types.ObjectId();
+
+    const chitfund = (fields = {}) => new Chitfund({
+        financeYearId: new mongoose.Types.ObjectId(),
+        chitName: 'Monthly Chit',
+        chitStaffs: [memberId],
+        chitAmount: 5000,
+        chitStatus: 'on-going',
+        chitStarted: new Date(2025, 0, 1),
+        ...fields
+    });
+
+    const withFund = fund => {
+        jest.spyOn(Chitfund, 'findById').mockResolvedValue(fund);
+        jest.spyOn(fund, 'save').mockResolvedValue(fund);
+        jest.spyOn(chitfundService, 'getChitfundById').mockResolvedValue(fund);
+        return fund;
+    };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('addStaffToChitfund', () => {
+        beforeEach(() => {
+            jest.spyOn(User, 'find').mockImplementation(async ({ _id }) => _id.$in.map(id => ({ _id: id })));
+            jest.spyOn(ChitTransfer, 'exists').mockResolvedValue(null);
+        });
+
+        it('should create a ChitMembers record for each new member', async () => {
+            const fund = withFund(chitfund());
+            jest.spyOn(ChitMembers, 'find').mockResolvedValue([]);
+            const insert = jest.spyOn(ChitMembers, 'insertMany').mockImplementation(async docs => docs);
+
+            await chitfundService.addStaffToChitfund(fund._id, [joiningId.toString(), joiningId.toString()]);
+
+            expect(insert).toHaveBeenCalledWith([{ financeYearId: fund.financeYearId, chitfundId: fund._id, staffId: joiningId.toString() }]);
+            expect(fund.chitStaffs.map(String)).toEqual([memberId.toString(), joiningId.toString()]);
+        });
+
+        it('should refuse staff who are already members', async () => {
+            const fund = withFund(chitfund());
+            jest.spyOn(ChitMembers, 'find').mockResolvedValue([{ staffId: memberId }]);
+            const insert = jest.spyOn(ChitMembers, 'insertMany');
+
+            await expect(chitfundService.addStaffToChitfund(fund._id, [memberId.toString()]))
+                .rejects.toThrow('Staff member already in chitfund');
+            expect(insert).not.toHaveBeenCalled();
+        });
+
+        it('should remove the new ChitMembers records if the chitfund cannot be saved', async () => {
+            const fund = withFund(chitfund());
+            fund.save.mockRejectedValue(new Error('write failed'));
+            const enrolled = { _id: new mongoose.Types.ObjectId(), staffId: joiningId };
+            jest.spyOn(ChitMembers, 'find').mockResolvedValue([]);
+            jest.spyOn(ChitMembers, 'insertMany').mockResolvedValue([enrolled]);
+            const remove = jest.spyOn(ChitMembers, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+            await expect(chitfundService.addStaffToChitfund(fund._id, [joiningId.toString()]))
+                .rejects.toThrow('Error adding staff to chitfund: write failed');
+            expect(remove).toHaveBeenCalledWith({ _id: { $in: [enrolled._id] } });
+        });
+
+        it('should refuse new members once the chitfund is completed', async () => {
+            const fund = withFund(chitfund({ chitStatus: 'completed' }));
+
+            await expect(chitfundService.addStaffToChitfund(fund._id, [joiningId.toString()]))
+                .rejects.toThrow('Cannot add staff to a completed chitfund');
+        });
+    });
+
+    describe('removeStaffFromChitfund', () => {
+        const stubHistory = ({ taken = 0, paid = 0 } = {}) => {
+            jest.spyOn(ChitMembers, 'countDocuments').mockResolvedValue(taken);
+            jest.spyOn(ChitCollection, 'countDocuments').mockResolvedValue(paid);
+            return jest.spyOn(ChitMembers, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+        };
+
+        it('should remove the ChitMembers record with the member', async () => {
+            const fund = withFund(chitfund({ chitStaffs: [memberId, otherId] }));
+            const remove = stubHistory();
+
+            await chitfundService.removeStaffFromChitfund(fund._id, [memberId.toString()]);
+
+            expect(remove).toHaveBeenCalledWith({ chitfundId: fund._id, staffId: { $in: [memberId.toString()] } });
+            expect(fund.chitStaffs.map(String)).toEqual([otherId.toString()]);
+        });
+
+        it('should keep the ChitMembers record if the chitfund cannot be saved', async () => {
+            const fund = withFund(chitfund({ chitStaffs: [memberId, otherId] }));
+            fund.save.mockRejectedValue(new Error('write failed'));
+            const remove = stubHistory();
+
+            await expect(chitfundService.removeStaffFromChitfund(fund._id, [memberId.toString()]))
+                .rejects.toThrow('Error removing staff from chitfund: write failed');
+            expect(remove).not.toHaveBeenCalled();
+        });
+
+        it('should refuse to remove the last member before writing anything', async () => {
+            const fund = withFund(chitfund());
+            const remove = stubHistory();
+
+            await expect(chitfundService.removeStaffFromChitfund(fund._id, [memberId.toString()]))
+                .rejects.toThrow('Chitfund must have at least one staff member');
+            expect(remove).not.toHaveBeenCalled();
+            expect(fund.save).not.toHaveBeenCalled();
+        });
+
+        it('should keep members who have taken the chit', async () => {
+            const fund = withFund(chitfund({ chitStaffs: [memberId, otherId] }));
+            const remove = stubHistory({ taken: 1 });
+
+            await expect(chitfundService.removeStaffFromChitfund(fund._id, [memberId.toString()]))
+                .rejects.toThrow('Cannot remove staff who has taken chit');
+            expect(remove).not.toHaveBeenCalled();
+        });
+
+        it('should keep members who have paid an instalment', async () => {
+            const fund = withFund(chitfund({ chitStaffs: [memberId, otherId] }));
+            stubHistory({ paid: 2 });
+
+            await expect(chitfundService.removeStaffFromChitfund(fund._id, [memberId.toString()]))
+                .rejects.toThrow('Cannot remove staff who has paid chit instalments');
+        });
+
+        it('should refuse staff who are not members', async () => {
+            const fund = withFund(chitfund());
+            stubHistory();
+
+            await expect(chitfundService.removeStaffFromChitfund(fund._id, [joiningId.toString()]))
+                .rejects.toThrow('Staff member is not in chitfund');
+        });
+    });
+
+    describe('updateChitfund', () => {
+        it('should only delete the removed members\' records once the chitfund is saved', async () => {
+            const fund = withFund(chitfund({ chitStaffs: [memberId, otherId] }));
+            jest.spyOn(User, 'find').mockResolvedValue([{ _id: otherId }]);
+            jest.spyOn(ChitMembers, 'countDocuments').mockResolvedValue(0);
+            jest.spyOn(ChitCollection, 'countDocuments').mockResolvedValue(0);
+            const remove = jest.spyOn(ChitMembers, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+            await chitfundService.updateChitfund(fund._id, { chitStaffs: [otherId.toString()] });
+
+            expect(remove).toHaveBeenCalledWith({ chitfundId: fund._id, staffId: { $in: [memberId.toString()] } });
+            expect(fund.save.mock.invocationCallOrder[0]).toBeLessThan(remove.mock.invocationCallOrder[0]);
+        });
+
+        it('should refuse an empty staff list before writing anything', async () => {
+            const fund = withFund(chitfund());
+            const remove = jest.spyOn(ChitMembers, 'deleteMany');
+
+            await expect(chitfundService.updateChitfund(fund._id, { chitStaffs: [] }))
+                .rejects.toThrow('Chitfund must have at least one staff member');
+            expect(remove).not.toHaveBeenCalled();
+            expect(fund.save).not.toHaveBeenCalled();
+        });
+    });
+});
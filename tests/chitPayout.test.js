@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const Chitfund = require('../src/models/Chitfund');
+const ChitMembers = require('../src/models/ChitMembers');
+const ChitPayout = require('../src/models/ChitPayout');
+const ChitAuction = require('../src/models/ChitAuction');
+const ChitDraw = require('../src/models/ChitDraw');
+const Account = require('../src/models/Account');
+const Transaction = require('../src/models/Transaction');
+const chitCollectionService = require('../src/services/chitCollectionService');
+const chitPayoutService = require('../src/services/chitPayoutService');
+
+describe('Chit Payout', () => {
+    const staffId = new mongoose.Types.ObjectId();
+    const accountId = new mongoose.Types.ObjectId();
+    const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+    const manager = { _id: new mongoose.Types.ObjectId(), role: 'manager' };
+
+    // 5% commission on the 50000 pot and a 100 registration fee
+    const chitfund = () => new Chitfund({
+        financeYearId: new mongoose.Types.ObjectId(),
+        chitName: 'Monthly Chit',
+        chitStaffs: [staffId],
+        chitAmount: 5000,
+        chitStatus: 'on-going',
+        chitStarted: new Date(2025, 0, 1),
+        commissionType: 'percentage',
+        commissionValue: 5,
+        registrationFee: 100
+    });
+
+    const winner = (fund, fields = {}) => new ChitMembers({
+        financeYearId: fund.financeYearId,
+        chitfundId: fund._id,
+        staffId,
+        chitTaken: true,
+        chitTakenAmount: 45000,
+        chitTakenMonth: 2,
+        ...fields
+    });
+
+    let transactions;
+
+    // The member won month 2's auction with a 5000 discount on the pot
+    const stubPayout = ({ fund, member, shortfall = 0 }) => {
+        jest.spyOn(Chitfund, 'findById').mockResolvedValue(fund);
+        jest.spyOn(ChitMembers, 'findOne').mockResolvedValue(member);
+        jest.spyOn(ChitPayout, 'exists').mockResolvedValue(null);
+        jest.spyOn(ChitAuction, 'findOne').mockResolvedValue({ _id: new mongoose.Types.ObjectId(), winningDiscount: 5000 });
+        jest.spyOn(ChitDraw, 'findOne').mockResolvedValue(null);
+        jest.spyOn(chitCollectionService, 'getMonthShortfall').mockResolvedValue({ unpaid: [], shortfall });
+        jest.spyOn(Account, 'findOne').mockResolvedValue({ _id: accountId });
+        jest.spyOn(ChitPayout, 'create').mockImplementation(async payout => new ChitPayout(payout));
+        jest.spyOn(ChitPayout.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(Transaction, 'create').mockImplementation(async transaction => {
+            const created = { _id: new mongoose.Types.ObjectId(), ...transaction };
+            transactions.push(created);
+            return created;
+        });
+    };
+
+    const payoutData = (fields = {}) => ({ staffId, paymentMethod: 'bank_transfer', paymentReference: 'UTR123', ...fields });
+
+    beforeEach(() => {
+        transactions = [];
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should record the net payout after commission and registration fee', async () => {
+        const fund = chitfund();
+        stubPayout({ fund, member: winner(fund) });
+
+        const payout = await chitPayoutService.createPayout(fund._id, payoutData(), manager);
+
+        expect(payout).toMatchObject({
+            source: 'auction',
+            payoutMonth: 2,
+            grossAmount: 50000,
+            discountAmount: 5000,
+            commissionAmount: 2500,
+            registrationFeeAmount: 100,
+            netAmount: 42400,
+            overridden: false
+        });
+    });
+
+    it('should find the winning auction by the seat and month, not the staff member', async () => {
+        const fund = chitfund();
+        const member = winner(fund);
+        stubPayout({ fund, member });
+
+        await chitPayoutService.createPayout(fund._id, payoutData(), manager);
+
+        expect(ChitAuction.findOne).toHaveBeenCalledWith({ chitfundId: fund._id, status: 'closed', auctionMonth: 2, winnerMemberId: member._id });
+        expect(ChitDraw.findOne).toHaveBeenCalledWith({ chitfundId: fund._id, drawMonth: 2, winnerMemberId: member._id });
+    });
+
+    it('should post the payout and the fees kept back against the chitfund account', async () => {
+        const fund = chitfund();
+        stubPayout({ fund, member: winner(fund) });
+
+        const payout = await chitPayoutService.createPayout(fund._id, payoutData(), manager);
+
+        expect(transactions.map(item => [item.transactionType, item.transactionCategory, item.amount])).toEqual([
+            ['expense', 'chitfund_payout', 45000],
+            ['income', 'chitfund_commission', 2500],
+            ['income', 'chitfund_registration_fee', 100]
+        ]);
+        expect(transactions.every(item => item.accountId === accountId)).toBe(true);
+        expect(payout.transactionId).toEqual(transactions[0]._id);
+    });
+
+    it('should hold the payout while the month\'s collections are short unless an admin overrides', async () => {
+        const fund = chitfund();
+        stubPayout({ fund, member: winner(fund), shortfall: 5000 });
+
+        await expect(chitPayoutService.createPayout(fund._id, payoutData(), admin))
+            .rejects.toThrow('Collections for month 2 are short by 5000; an admin must override to pay out');
+        await expect(chitPayoutService.createPayout(fund._id, payoutData({ override: true, overrideReason: 'Member hardship' }), manager))
+            .rejects.toThrow('Only an admin can override incomplete collections');
+        await expect(chitPayoutService.createPayout(fund._id, payoutData({ override: true }), admin))
+            .rejects.toThrow('A reason is required to override incomplete collections');
+
+        const payout = await chitPayoutService.createPayout(fund._id, payoutData({ override: true, overrideReason: 'Member hardship' }), admin);
+
+        expect(payout).toMatchObject({ collectionShortfall: 5000, overridden: true, overrideReason: 'Member hardship' });
+    });
+
+    it('should undo the payout and its postings when the ledger posting fails', async () => {
+        const fund = chitfund();
+        stubPayout({ fund, member: winner(fund) });
+        Transaction.create
+            .mockImplementationOnce(async transaction => {
+                const created = { _id: new mongoose.Types.ObjectId(), ...transaction };
+                transactions.push(created);
+                return created;
+            })
+            .mockRejectedValueOnce(new Error('write failed'));
+        const removeTransactions = jest.spyOn(Transaction, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+        const removePayout = jest.spyOn(ChitPayout, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+        await expect(chitPayoutService.createPayout(fund._id, payoutData(), manager))
+            .rejects.toThrow('Error recording chit payout: write failed');
+
+        expect(removeTransactions).toHaveBeenCalledWith({ _id: { $in: [transactions[0]._id] } });
+        expect(removePayout).toHaveBeenCalled();
+    });
+
+    it('should only pay out once to a member who has taken the chit', async () => {
+        const fund = chitfund();
+        stubPayout({ fund, member: winner(fund, { chitTaken: false }) });
+
+        await expect(chitPayoutService.createPayout(fund._id, payoutData(), manager))
+            .rejects.toThrow('Member has not won or drawn the chit yet');
+
+        ChitMembers.findOne.mockResolvedValue(winner(fund));
+        ChitPayout.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+        await expect(chitPayoutService.createPayout(fund._id, payoutData(), manager))
+            .rejects.toThrow('The chit has already been paid out to this member');
+    });
+});
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const Chitfund = require('../src/models/Chitfund');
+const ChitMembers = require('../src/models/ChitMembers');
+const ChitCollection = require('../src/models/ChitCollection');
+const ChitAuction = require('../src/models/ChitAuction');
+const ChitTransfer = require('../src/models/ChitTransfer');
+const User = require('../src/models/User');
+const chitfundService = require('../src/services/chitfundService');
+const chitCollectionService = require('../src/services/chitCollectionService');
+
+describe('Chit Seat Transfer', () => {
+    const outgoingId = new mongoose.Types.ObjectId();
+    const incomingId = new mongoose.Types.ObjectId();
+    const otherId = new mongoose.Types.ObjectId();
+    const userId = new mongoose.Types.ObjectId();
+
+    const chitfund = () => new Chitfund({
+        financeYearId: new mongoose.Types.ObjectId(),
+        chitName: 'Monthly Chit',
+        chitStaffs: [outgoingId, otherId],
+        chitAmount: 5000,
+        chitStatus: 'on-going',
+        chitStarted: new Date(2025, 0, 1)
+    });
+
+    const seat = (staffId, fund) => new ChitMembers({
+        financeYearId: fund.financeYearId,
+        chitfundId: fund._id,
+        staffId
+    });
+
+    const collection = (staffId, collectionMonth) => ({
+        staffId,
+        collectionMonth,
+        collectionAmount: 5000,
+        collectionBy: userId,
+        createdAt: new Date(2025, collectionMonth - 1, 5)
+    });
+
+    const stubSheet = ({ members, collections, transfers }) => {
+        jest.spyOn(ChitMembers, 'find').mockReturnValue({ populate: jest.fn().mockResolvedValue(members) });
+        jest.spyOn(ChitCollection, 'find').mockReturnValue({ populate: jest.fn().mockResolvedValue(collections) });
+        jest.spyOn(ChitAuction, 'getDividendMap').mockResolvedValue(new Map());
+        jest.spyOn(ChitTransfer, 'find').mockResolvedValue(transfers);
+    };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('collection sheet', () => {
+        it('should keep the months an earlier holder paid with the seat', async () => {
+            const fund = chitfund();
+            const transferred = seat(incomingId, fund);
+            const other = seat(otherId, fund);
+
+            stubSheet({
+                members: [transferred, other],
+                collections: [
+                    collection(outgoingId, 1),
+                    collection(otherId, 1),
+                    collection(otherId, 2),
+                    collection(incomingId, 2)
+                ],
+                transfers: [{ chitMemberId: transferred._id, fromStaffId: outgoingId }]
+            });
+
+            const { rows } = await chitCollectionService.buildSheet(fund, new Date(2025, 1, 15));
+
+            expect(rows[0].months.map(cell => cell.status)).toEqual(['paid', 'paid']);
+            expect(rows[0].totals).toEqual({ expected: 10000, paid: 10000, shortfall: 0 });
+            expect(await chitCollectionService.getOutstanding(fund)).toBe(0);
+        });
+
+        it('should not list a transferred seat as a defaulter for months paid before the transfer', async () => {
+            const fund = chitfund();
+            const transferred = seat(incomingId, fund);
+            const other = seat(otherId, fund);
+
+            stubSheet({
+                members: [transferred, other],
+                collections: [collection(outgoingId, 1), collection(otherId, 1)],
+                transfers: [{ chitMemberId: transferred._id, fromStaffId: outgoingId }]
+            });
+            jest.spyOn(Chitfund, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([fund]) });
+
+            const report = await chitCollectionService.getDefaulters({}, new Date(2025, 1, 15));
+
+            expect(report.defaulters.map(item => [item.staff.toString(), item.month])).toEqual([
+                [incomingId.toString(), 2],
+                [otherId.toString(), 2]
+            ]);
+        });
+    });
+
+    describe('transferSeat', () => {
+        const stubTransfer = ({ fund, member, formerMember = null }) => {
+            jest.spyOn(Chitfund, 'findById').mockResolvedValue(fund);
+            jest.spyOn(ChitMembers, 'findOne').mockResolvedValue(member);
+            jest.spyOn(ChitMembers, 'exists').mockResolvedValue(null);
+            jest.spyOn(User, 'findById').mockResolvedValue({ _id: incomingId });
+            jest.spyOn(ChitTransfer, 'exists').mockResolvedValue(formerMember);
+            jest.spyOn(ChitAuction, 'exists').mockResolvedValue(null);
+            jest.spyOn(chitCollectionService, 'getMemberBalance').mockResolvedValue({ paid: 10000, outstanding: 0 });
+            jest.spyOn(fund, 'save').mockResolvedValue(fund);
+            jest.spyOn(member, 'save').mockResolvedValue(member);
+            jest.spyOn(ChitTransfer, 'create').mockImplementation(async transfer => transfer);
+
+            return {
+                movedCollections: jest.spyOn(ChitCollection, 'updateMany').mockResolvedValue({ modifiedCount: 2 }),
+                movedDividends: jest.spyOn(ChitAuction, 'updateMany').mockResolvedValue({ modifiedCount: 0 })
+            };
+        };
+
+        it('should hand the seat over and settle the paid months without moving the history', async () => {
+            const fund = chitfund();
+            const member = seat(outgoingId, fund);
+            const { movedCollections } = stubTransfer({ fund, member });
+
+            const transfer = await chitfundService.transferSeat(fund._id, { fromStaffId: outgoingId, toStaffId: incomingId }, userId);
+
+            expect(movedCollections).not.toHaveBeenCalled();
+            expect(member.staffId.toString()).toBe(incomingId.toString());
+            expect(fund.chitStaffs.map(String)).toEqual([incomingId.toString(), otherId.toString()]);
+            expect(transfer).toMatchObject({ historyTransferred: false, paidByOutgoing: 10000, settlementAmount: 10000, collectionsMoved: 0 });
+        });
+
+        it('should put the collections and dividends in the incoming member\'s name when moving the history', async () => {
+            const fund = chitfund();
+            const member = seat(outgoingId, fund);
+            const { movedCollections, movedDividends } = stubTransfer({ fund, member });
+
+            const transfer = await chitfundService.transferSeat(fund._id, {
+                fromStaffId: outgoingId, toStaffId: incomingId, transferHistory: true
+            }, userId);
+
+            expect(movedCollections).toHaveBeenCalledWith({ chitfundId: fund._id, staffId: outgoingId }, { staffId: incomingId });
+            expect(movedDividends).toHaveBeenCalled();
+            expect(transfer).toMatchObject({ historyTransferred: true, settlementAmount: 10000, collectionsMoved: 2 });
+        });
+
+        it('should refuse a seat that has taken the chit while instalments are owed', async () => {
+            const fund = chitfund();
+            const member = seat(outgoingId, fund);
+            member.chitTaken = true;
+            stubTransfer({ fund, member });
+            chitCollectionService.getMemberBalance.mockResolvedValue({ paid: 5000, outstanding: 5000 });
+
+            await expect(chitfundService.transferSeat(fund._id, { fromStaffId: outgoingId, toStaffId: incomingId }, userId))
+                .rejects.toThrow('Outgoing member has taken the chit and still owes 5000 in instalments');
+        });
+
+        it('should refuse staff who transferred their seat away from rejoining', async () => {
+            const fund = chitfund();
+            const member = seat(outgoingId, fund);
+            stubTransfer({ fund, member, formerMember: { _id: new mongoose.Types.ObjectId() } });
+
+            await expect(chitfundService.transferSeat(fund._id, { fromStaffId: outgoingId, toStaffId: incomingId }, userId))
+                .rejects.toThrow('Incoming staff transferred their seat in this chitfund and cannot rejoin');
+        });
+
+        it('should refuse transfers in a completed chitfund with a 409 error', async () => {
+            const fund = chitfund();
+            fund.chitStatus = 'completed';
+            const member = seat(outgoingId, fund);
+            stubTransfer({ fund, member });
+
+            await expect(chitfundService.transferSeat(fund._id, { fromStaffId: outgoingId, toStaffId: incomingId }, userId))
+                .rejects.toMatchObject({ statusCode: 409 });
+        });
+    });
+});
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const Chitfund = require('../src/models/Chitfund');
+const FinancialYear = require('../src/models/FinancialYear');
+const ChitAuction = require('../src/models/ChitAuction');
+const ChitMembers = require('../src/models/ChitMembers');
+const User = require('../src/models/User');
+const chitfundService = require('../src/services/chitfundService');
+const chitAuctionService = require('../src/services/chitAuctionService');
+
+describe('Chitfund Lifecycle', () => {
+    const chitfund = status => new Chitfund({
+        financeYearId: new mongoose.Types.ObjectId(),
+        chitName: 'Monthly Chit',
+        chitStaffs: [new mongoose.Types.ObjectId()],
+        chitAmount: 5000,
+        chitStatus: status
+    });
+
+    it('should only move created to on-going to completed', () => {
+        expect(chitfund('created').canTransitionTo('on-going')).toBe(true);
+        expect(chitfund('created').canTransitionTo('completed')).toBe(false);
+        expect(chitfund('on-going').canTransitionTo('completed')).toBe(true);
+        expect(chitfund('on-going').canTransitionTo('created')).toBe(false);
+        expect(chitfund('completed').canTransitionTo('on-going')).toBe(false);
+    });
+
+    it('should reject an invalid transition with a 409 error', () => {
+        expect.assertions(2);
+
+        try {
+            chitfund('completed').assertTransition('on-going');
+        } catch (error) {
+            expect(error.message).toBe('Cannot change chitfund status from completed to on-going');
+            expect(error.statusCode).toBe(409);
+        }
+    });
+
+    it('should only allow operations while on-going', () => {
+        expect(() => chitfund('on-going').assertOnGoing('Auctioning the chit')).not.toThrow();
+        expect(() => chitfund('created').assertOnGoing('Auctioning the chit'))
+            .toThrow('Auctioning the chit is only allowed while the chitfund is on-going; it is created');
+    });
+
+    describe('member limit', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should refuse to save a chitfund with more than 12 members', async () => {
+            const fund = chitfund('created');
+            fund.chitStaffs = Array.from({ length: 13 }, () => new mongoose.Types.ObjectId());
+
+            await expect(fund.save()).rejects.toThrow('Chitfund can have at most 12 staff members');
+        });
+
+        it('should refuse to start a chitfund with more than 12 members with a 409 error', async () => {
+            const fund = chitfund('created');
+            jest.spyOn(ChitMembers, 'countDocuments').mockResolvedValue(13);
+            const save = jest.spyOn(fund, 'save');
+
+            await expect(chitfundService.transitionStatus(fund, 'on-going'))
+                .rejects.toMatchObject({ statusCode: 409, message: 'A chitfund can have at most 12 members; it has 13' });
+            expect(save).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('createChitfund', () => {
+        const staffId = new mongoose.Types.ObjectId();
+        const chitfundData = chitStatus => ({
+            financeYearId: new mongoose.Types.ObjectId(),
+            chitName: 'Monthly Chit',
+            chitStaffs: [staffId.toString()],
+            chitStarted: new Date(2025, 0, 1),
+            chitAmount: 5000,
+            chitStatus
+        });
+
+        beforeEach(() => {
+            jest.spyOn(FinancialYear, 'findById').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+            jest.spyOn(User, 'find').mockResolvedValue([{ _id: staffId }]);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should create every chitfund as created', async () => {
+            jest.spyOn(Chitfund.prototype, 'save').mockImplementation(function () {
+                return Promise.resolve(this);
+            });
+            jest.spyOn(chitfundService, 'enrolMembers').mockResolvedValue([]);
+
+            const chitfund = await chitfundService.createChitfund(chitfundData(undefined));
+
+            expect(chitfund.chitStatus).toBe('created');
+        });
+
+        it('should refuse to create a chitfund that has already started with a 409 error', async () => {
+            const save = jest.spyOn(Chitfund.prototype, 'save');
+
+            await expect(chitfundService.createChitfund(chitfundData('on-going'))).rejects.toMatchObject({ statusCode: 409 });
+            expect(save).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('updateChitfund', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should refuse a status change before writing anything', async () => {
+            const existing = chitfund('created');
+            const save = jest.spyOn(existing, 'save');
+            jest.spyOn(Chitfund, 'findById').mockResolvedValue(existing);
+
+            await expect(chitfundService.updateChitfund(existing._id, { chitName: 'Renamed Chit', chitStatus: 'completed' }))
+                .rejects.toMatchObject({ statusCode: 409 });
+            expect(save).not.toHaveBeenCalled();
+            expect(existing.chitName).toBe('Monthly Chit');
+        });
+
+        it('should accept the current status along with other changes', async () => {
+            const existing = chitfund('on-going');
+            jest.spyOn(existing, 'save').mockResolvedValue(existing);
+            jest.spyOn(Chitfund, 'findById').mockResolvedValue(existing);
+
+            const updated = await chitfundService.updateChitfund(existing._id, { chitName: 'Renamed Chit', chitStatus: 'on-going' });
+
+            expect(updated.chitName).toBe('Renamed Chit');
+            expect(updated.chitStatus).toBe('on-going');
+        });
+    });
+
+    describe('auctions', () => {
+        const staffId = new mongoose.Types.ObjectId();
+
+        const stubAuction = status => {
+            const fund = chitfund(status);
+            const auction = new ChitAuction({
+                financeYearId: fund.financeYearId,
+                chitfundId: fund._id,
+                auctionMonth: 1,
+                potAmount: 50000,
+                maxDiscountPercentage: 30,
+                openedBy: staffId,
+                bids: [{ staffId, discountAmount: 5000, recordedBy: staffId }]
+            });
+            jest.spyOn(Chitfund, 'findById').mockResolvedValue(fund);
+            jest.spyOn(ChitAuction, 'findOne').mockResolvedValue(auction);
+            return { fund, auction, save: jest.spyOn(auction, 'save') };
+        };
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should refuse bids unless the chitfund is on-going with a 409 error', async () => {
+            const { fund, auction, save } = stubAuction('completed');
+
+            await expect(chitAuctionService.placeBid(fund._id, auction._id, { staffId, discountAmount: 6000 }, staffId))
+                .rejects.toMatchObject({ statusCode: 409 });
+            expect(save).not.toHaveBeenCalled();
+        });
+
+        it('should refuse to close an auction unless the chitfund is on-going with a 409 error', async () => {
+            const { fund, auction, save } = stubAuction('created');
+
+            await expect(chitAuctionService.closeAuction(fund._id, auction._id, staffId))
+                .rejects.toMatchObject({ statusCode: 409, message: 'Error closing auction: Closing the auction is only allowed while the chitfund is on-going; it is created' });
+            expect(save).not.toHaveBeenCalled();
+            expect(auction.status).toBe('open');
+        });
+    });
+});
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const EmergencyClaim = require('../src/models/EmergencyClaim');
+const EmergencyFund = require('../src/models/EmergencyFund');
+const EmergencyFundCollection = require('../src/models/EmergencyFundCollection');
+const EmergencyPayment = require('../src/models/EmergencyPayment');
+const Account = require('../src/models/Account');
+const Transaction = require('../src/models/Transaction');
+const emergencyClaimService = require('../src/services/emergencyClaimService');
+
+describe('Emergency Claim', () => {
+    const employeeId = new mongoose.Types.ObjectId();
+    const nomineeId = new mongoose.Types.ObjectId();
+    const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+    const manager = { _id: new mongoose.Types.ObjectId(), role: 'manager' };
+
+    const fund = (fields = {}) => ({
+        _id: new mongoose.Types.ObjectId(),
+        financeYearId: new mongoose.Types.ObjectId(),
+        employeeId,
+        nomineeId,
+        status: 'active',
+        ...fields
+    });
+
+    beforeEach(() => {
+        jest.spyOn(EmergencyClaim.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    // Stand in for a claim on the fund and the fund itself
+    const withClaim = (pending, party) => {
+        jest.spyOn(EmergencyClaim, 'findById').mockResolvedValue(pending);
+        jest.spyOn(EmergencyFund, 'findById').mockResolvedValue(party);
+        return pending;
+    };
+
+    const claim = () => new EmergencyClaim({
+        fundId: new mongoose.Types.ObjectId(),
+        financeYearId: new mongoose.Types.ObjectId(),
+        claimantId: new mongoose.Types.ObjectId(),
+        claimantRole: 'nominee',
+        reason: 'Hospitalisation of the employee'
+    });
+
+    it('should only be approved once enough committee members approve', () => {
+        const pending = claim();
+        const first = new mongoose.Types.ObjectId();
+
+        expect(pending.recordDecision(first, 'approved')).toBe('pending');
+        expect(pending.hasDecisionFrom(first)).toBe(true);
+        expect(pending.recordDecision(new mongoose.Types.ObjectId(), 'approved')).toBe('approved');
+        expect(pending.approvalCount).toBe(EmergencyClaim.getRequiredApprovals());
+        expect(pending.approvedAt).toBeInstanceOf(Date);
+    });
+
+    it('should be rejected by any committee member', () => {
+        const pending = claim();
+
+        pending.recordDecision(new mongoose.Types.ObjectId(), 'approved');
+
+        expect(pending.recordDecision(new mongoose.Types.ObjectId(), 'rejected', 'No supporting documents')).toBe('rejected');
+        expect(pending.approvedAt).toBeNull();
+    });
+
+    describe('raiseClaim', () => {
+        const raise = (party, user) => emergencyClaimService.raiseClaim({ fundId: party._id, reason: 'Hospitalisation' }, [], user);
+
+        it('should take claims from the fund\'s employee and nominee', async () => {
+            const open = fund();
+            jest.spyOn(EmergencyFund, 'findById').mockResolvedValue(open);
+            jest.spyOn(EmergencyClaim, 'findActive').mockResolvedValue(null);
+
+            await expect(raise(open, { _id: employeeId })).resolves.toMatchObject({ claimantRole: 'employee', status: 'pending' });
+            await expect(raise(open, { _id: nomineeId })).resolves.toMatchObject({ claimantRole: 'nominee', status: 'pending' });
+        });
+
+        it('should refuse claims from anyone else', async () => {
+            const open = fund();
+            jest.spyOn(EmergencyFund, 'findById').mockResolvedValue(open);
+            jest.spyOn(EmergencyClaim, 'findActive').mockResolvedValue(null);
+
+            await expect(raise(open, admin))
+                .rejects.toThrow('Only the fund\'s employee or nominee can raise a claim');
+            expect(EmergencyClaim.prototype.save).not.toHaveBeenCalled();
+        });
+
+        it('should refuse a second claim while one is open or paid', async () => {
+            const open = fund();
+            jest.spyOn(EmergencyFund, 'findById').mockResolvedValue(open);
+            jest.spyOn(EmergencyClaim, 'findActive').mockResolvedValue({ status: 'approved' });
+
+            await expect(raise(open, { _id: employeeId }))
+                .rejects.toThrow('A claim on this emergency fund is already approved');
+
+            EmergencyClaim.findActive.mockResolvedValue({ status: 'paid' });
+            await expect(raise(open, { _id: nomineeId }))
+                .rejects.toThrow('This emergency fund has already been paid out');
+        });
+
+        it('should refuse claims on a closed fund with a conflict', async () => {
+            const closed = fund({ status: 'closed' });
+            jest.spyOn(EmergencyFund, 'findById').mockResolvedValue(closed);
+            jest.spyOn(EmergencyClaim, 'findActive').mockResolvedValue(null);
+
+            await expect(raise(closed, { _id: employeeId }))
+                .rejects.toMatchObject({ message: 'Error raising emergency claim: Claims cannot be raised on a closed emergency fund', statusCode: 409 });
+            expect(EmergencyClaim.prototype.save).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('decideClaim', () => {
+        // 3000 paid in by the employee and 1500 contributed by other members
+        const stubTotals = () => {
+            jest.spyOn(EmergencyPayment, 'getTotalPaid').mockResolvedValue(3000);
+            jest.spyOn(EmergencyFundCollection, 'getTotalCollections').mockResolvedValue([{ _id: null, total: 1500 }]);
+        };
+
+        it('should approve once the required committee members approve and pay out everything collected', async () => {
+            const pending = withClaim(claim(), fund());
+            stubTotals();
+
+            await emergencyClaimService.approveClaim(pending._id, admin);
+            expect(pending.status).toBe('pending');
+            expect(pending.approvedAmount).toBeNull();
+
+            await emergencyClaimService.approveClaim(pending._id, manager);
+            expect(pending.status).toBe('approved');
+            expect(pending.approvalCount).toBe(EmergencyClaim.getRequiredApprovals());
+            expect(pending.approvedAmount).toBe(4500);
+        });
+
+        it('should only take decisions from committee members who are not party to the fund', async () => {
+            const pending = withClaim(claim(), fund());
+
+            await expect(emergencyClaimService.approveClaim(pending._id, { _id: new mongoose.Types.ObjectId(), role: 'staff' }))
+                .rejects.toThrow('Only committee members can decide on emergency claims');
+
+            EmergencyFund.findById.mockResolvedValue(fund({ nomineeId: manager._id }));
+            await expect(emergencyClaimService.approveClaim(pending._id, manager))
+                .rejects.toThrow('Committee members cannot decide on a claim on their own fund');
+        });
+
+        it('should take one decision from each committee member', async () => {
+            const pending = withClaim(claim(), fund());
+
+            await emergencyClaimService.approveClaim(pending._id, admin);
+
+            await expect(emergencyClaimService.rejectClaim(pending._id, admin, 'Changed my mind'))
+                .rejects.toThrow('You have already recorded a decision on this claim');
+        });
+    });
+
+    describe('disburseClaim', () => {
+        const accountId = new mongoose.Types.ObjectId();
+        const approved = () => Object.assign(claim(), { status: 'approved', approvedAmount: 4500 });
+
+        const stubLedger = () => {
+            jest.spyOn(Account, 'findOne').mockResolvedValue({ _id: accountId });
+            return jest.spyOn(Transaction, 'create').mockImplementation(async transaction => ({ _id: new mongoose.Types.ObjectId(), ...transaction }));
+        };
+
+        it('should post the approved amount against the emergency account and close the fund', async () => {
+            const party = fund({ closeEmergencyFund: jest.fn().mockResolvedValue() });
+            const paying = withClaim(approved(), party);
+            const create = stubLedger();
+
+            await emergencyClaimService.disburseClaim(paying._id, { paymentMethod: 'bank_transfer', paymentReference: 'UTR123' }, admin);
+
+            expect(create).toHaveBeenCalledWith(expect.objectContaining({
+                accountId,
+                transactionType: 'expense',
+                transactionCategory: 'emergency_fund_disbursement',
+                amount: 4500,
+                relatedEntity: { entityType: 'emergency_fund', entityId: party._id }
+            }));
+            expect(paying.status).toBe('paid');
+            expect(paying.transactionId).toBeDefined();
+            expect(party.closeEmergencyFund).toHaveBeenCalled();
+        });
+
+        it('should only pay out approved claims', async () => {
+            const party = fund({ closeEmergencyFund: jest.fn() });
+            const pending = withClaim(claim(), party);
+            const create = stubLedger();
+
+            await expect(emergencyClaimService.disburseClaim(pending._id, { paymentMethod: 'cash' }, admin))
+                .rejects.toThrow('Only approved claims can be paid out; this claim is pending');
+            expect(create).not.toHaveBeenCalled();
+            expect(party.closeEmergencyFund).not.toHaveBeenCalled();
+        });
+    });
+});
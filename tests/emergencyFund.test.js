@@ -0,0 +1,117 @@
+const EmergencyFundHelper = require('../src/helpers/emergencyFundHelper');
+
+describe('Emergency Fund Helper', () => {
+    const settings = {
+        emergencyMinContribution: 500,
+        emergencyMaxContribution: 0,
+        emergencyPaymentStartDay: 1,
+        emergencyPaymentEndDay: 31,
+        emergencyLateFee: 0,
+        emergencyCountPartialPayments: false
+    };
+    const rules = EmergencyFundHelper.contributionRules({}, settings);
+
+    it('should expect one payment for every month ended since creation, up to the total', () => {
+        const created = new Date(2024, 0, 15);
+
+        expect(EmergencyFundHelper.expectedMonths(created, 12, new Date(2024, 0, 31))).toBe(0);
+        expect(EmergencyFundHelper.expectedMonths(created, 12, new Date(2024, 2, 10))).toBe(2);
+        expect(EmergencyFundHelper.expectedMonths(created, 12, new Date(2025, 5, 1))).toBe(12);
+    });
+
+    it('should only be complete once every month is paid and the target is reached', () => {
+        expect(EmergencyFundHelper.isComplete(12, 12, 6000, 6000)).toBe(true);
+        expect(EmergencyFundHelper.isComplete(12, 12, 5500, 6000)).toBe(false);
+        expect(EmergencyFundHelper.isComplete(11, 12, 6000, 6000)).toBe(false);
+    });
+
+    it('should run totalMonths calendar months from the month the fund was created', () => {
+        expect(EmergencyFundHelper.fundMonths(new Date(2024, 10, 20), 3)).toEqual([
+            { month: 11, year: 2024 },
+            { month: 12, year: 2024 },
+            { month: 1, year: 2025 }
+        ]);
+    });
+
+    it('should only keep the payments for months the fund runs for', () => {
+        const months = EmergencyFundHelper.fundMonths(new Date(2024, 10, 20), 3);
+        const payments = [
+            { month: 10, year: 2024 },
+            { month: 11, year: 2024 },
+            { month: 1, year: 2025 },
+            { month: 11, year: 2025 },
+            { month: 2, year: 2025 }
+        ];
+
+        expect(EmergencyFundHelper.inSchedule(months, payments)).toEqual([
+            { month: 11, year: 2024 },
+            { month: 1, year: 2025 }
+        ]);
+    });
+
+    it('should put due months that do not meet the minimum in arrears, oldest first', () => {
+        const months = EmergencyFundHelper.fundMonths(new Date(2024, 0, 10), 4);
+        const payments = [
+            { month: 2, year: 2024, amountPaid: 500 },
+            { month: 3, year: 2024, amountPaid: 200 }
+        ];
+
+        const arrears = EmergencyFundHelper.arrears(months, payments, 3, 500, { ...rules, lateFee: 50 });
+
+        expect(arrears.months.map(row => row.status)).toEqual(['unpaid', 'paid', 'partial', 'upcoming']);
+        expect(arrears.months.map(row => row.arrears)).toEqual([500, 0, 300, 0]);
+        expect(arrears.monthsInArrears).toBe(2);
+        expect(arrears.arrearsAmount).toBe(800);
+        expect(arrears.lateFees).toBe(100);
+        expect(arrears.oldestUnpaid).toEqual({ month: 1, year: 2024 });
+    });
+
+    it('should apply a catch-up payment to the oldest unsettled month first', () => {
+        const months = EmergencyFundHelper.fundMonths(new Date(2024, 0, 10), 4);
+        const { months: rows } = EmergencyFundHelper.arrears(months, [{ month: 2, year: 2024, amountPaid: 500 }], 3, 500, rules);
+
+        expect(EmergencyFundHelper.allocate(rows, 1200)).toEqual({
+            allocations: [
+                { month: 1, year: 2024, amount: 500 },
+                { month: 3, year: 2024, amount: 500 },
+                { month: 4, year: 2024, amount: 200 }
+            ],
+            remainder: 0
+        });
+        expect(EmergencyFundHelper.allocate(rows, 2000).remainder).toBe(500);
+    });
+
+    it('should take a fund\'s own rules over the club-wide settings', () => {
+        const fundRules = EmergencyFundHelper.contributionRules({ minContribution: 300, countPartialPayments: true, lateFee: null }, settings);
+
+        expect(fundRules).toMatchObject({ minContribution: 300, maxContribution: 0, lateFee: 0, countPartialPayments: true });
+        expect(rules.minContribution).toBe(500);
+    });
+
+    it('should expect the instalment raised to the minimum and capped at the maximum', () => {
+        expect(EmergencyFundHelper.expectedContribution(400, rules)).toBe(500);
+        expect(EmergencyFundHelper.expectedContribution(750, rules)).toBe(750);
+        expect(EmergencyFundHelper.expectedContribution(750, { ...rules, maxContribution: 600 })).toBe(600);
+    });
+
+    it('should only count partial payments when the rules allow it', () => {
+        expect(EmergencyFundHelper.countsAsPaid(200, rules)).toBe(false);
+        expect(EmergencyFundHelper.countsAsPaid(200, { ...rules, countPartialPayments: true })).toBe(true);
+        expect(EmergencyFundHelper.countsAsPaid(0, { ...rules, countPartialPayments: true })).toBe(false);
+    });
+
+    it('should accept payments on the allowed days and treat later months as late', () => {
+        const window = { ...rules, paymentStartDay: 1, paymentEndDay: 10 };
+
+        expect(EmergencyFundHelper.isPaymentDay(new Date(2024, 5, 10), window)).toBe(true);
+        expect(EmergencyFundHelper.isPaymentDay(new Date(2024, 5, 11), window)).toBe(false);
+        expect(EmergencyFundHelper.isLate(6, 2024, new Date(2024, 5, 30))).toBe(false);
+        expect(EmergencyFundHelper.isLate(12, 2024, new Date(2025, 0, 2))).toBe(true);
+    });
+
+    it('should pay out a claim from the employee\'s payments and other members\' contributions', () => {
+        expect(EmergencyFundHelper.claimAmount(3000, 1250.5)).toBe(4250.5);
+        expect(EmergencyFundHelper.claimAmount(0.1, 0.2)).toBe(0.3);
+        expect(EmergencyFundHelper.claimAmount(0, undefined)).toBe(0);
+    });
+});
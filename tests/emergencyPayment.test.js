@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const EmergencyPayment = require('../src/models/EmergencyPayment');
+const EmergencyFund = require('../src/models/EmergencyFund');
+const Settings = require('../src/models/Settings');
+const emergencyPaymentService = require('../src/services/emergencyPaymentService');
+
+describe('Emergency Payment', () => {
+    const payment = (amountPaid, month = 6) => new EmergencyPayment({
+        fundId: new mongoose.Types.ObjectId(),
+        employeeId: new mongoose.Types.ObjectId(),
+        amountPaid,
+        month,
+        year: 2024
+    });
+
+    it('should only meet the minimum contribution at the fund\'s minimum or more', () => {
+        expect(payment(499).isMinimumMet(500)).toBe(false);
+        expect(payment(500).isMinimumMet(500)).toBe(true);
+        expect(payment(300).isMinimumMet(250)).toBe(true);
+    });
+
+    it('should reject a month outside 1-12', () => {
+        expect(payment(500, 13).validateSync().errors.month.message).toBe('Month must be between 1 and 12');
+        expect(payment(500, 12).validateSync()).toBeUndefined();
+    });
+
+    describe('fund schedule', () => {
+        const fund = () => new EmergencyFund({
+            financeYearId: new mongoose.Types.ObjectId(),
+            employeeId: new mongoose.Types.ObjectId(),
+            nomineeId: new mongoose.Types.ObjectId(),
+            monthlyInstalment: 500,
+            emergencyFundAmount: 1500,
+            emergencyFundCreated: new Date(2024, 10, 20),
+            totalMonths: 3
+        });
+
+        beforeEach(() => {
+            jest.spyOn(Settings, 'getCurrentSettings').mockResolvedValue(null);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should refuse a payment for a month the fund does not run for', async () => {
+            const existing = fund();
+            jest.spyOn(EmergencyFund, 'findById').mockResolvedValue(existing);
+            const save = jest.spyOn(EmergencyPayment.prototype, 'save');
+
+            await expect(emergencyPaymentService.recordPayment({ fundId: existing._id, amountPaid: 500, month: 2, year: 2025 }))
+                .rejects.toThrow('2/2025 is not one of the 3 months this fund runs for');
+            expect(save).not.toHaveBeenCalled();
+        });
+
+        it('should only count payments for the fund\'s months towards paidMonths', async () => {
+            const existing = fund();
+            jest.spyOn(existing, 'save').mockResolvedValue(existing);
+            jest.spyOn(EmergencyPayment, 'find').mockResolvedValue([
+                { month: 10, year: 2024, amountPaid: 500 },
+                { month: 11, year: 2024, amountPaid: 500 },
+                { month: 12, year: 2024, amountPaid: 500 },
+                { month: 3, year: 2025, amountPaid: 500 }
+            ]);
+
+            await emergencyPaymentService.applyPayment(existing);
+
+            expect(existing.paidMonths).toBe(2);
+            expect(existing.status).toBe('active');
+        });
+    });
+});
@@ -0,0 +1,46 @@
+const InterestAccrualHelper = require('../src/helpers/interestAccrualHelper');
+const LoanScheduleHelper = require('../src/helpers/loanScheduleHelper');
+
+describe('Interest Accrual Helper', () => {
+    it('should accrue the interest of loan instalments due in the month', () => {
+        const instalments = LoanScheduleHelper.buildSchedule({
+            principal: 12000,
+            annualRate: 12,
+            tenureMonths: 12,
+            interestType: 'flat',
+            startDate: new Date(2024, 0, 1)
+        }).map((instalment, index) => ({ ...instalment, interestPaid: index === 1 ? 60 : 0 }));
+
+        const february = InterestAccrualHelper.loanInterest(instalments, InterestAccrualHelper.period(2, 2024));
+        const march = InterestAccrualHelper.loanInterest(instalments, InterestAccrualHelper.period(3, 2024));
+        const january = InterestAccrualHelper.loanInterest(instalments, InterestAccrualHelper.period(1, 2024));
+
+        expect(february).toEqual({ accrued: 120, received: 0 });
+        expect(march).toEqual({ accrued: 120, received: 60 });
+        expect(january).toEqual({ accrued: 0, received: 0 });
+    });
+
+    it('should default to the month before the run date across a year end', () => {
+        const period = InterestAccrualHelper.previousMonth(new Date(2025, 0, 15));
+
+        expect(period.month).toBe(12);
+        expect(period.year).toBe(2024);
+        expect(period.end.getDate()).toBe(31);
+    });
+
+    it('should accrue chit interest monthly from the month after the chit was taken', () => {
+        const chitStarted = new Date(2024, 9, 1);
+
+        expect(InterestAccrualHelper.chitMonthlyInterest(50000, 12)).toBe(500);
+        expect(InterestAccrualHelper.chitTakenDate(chitStarted, 2)).toEqual(new Date(2025, 1, 1));
+        expect(InterestAccrualHelper.chitAccruesIn(chitStarted, 2, InterestAccrualHelper.period(2, 2025))).toBe(false);
+        expect(InterestAccrualHelper.chitAccruesIn(chitStarted, 2, InterestAccrualHelper.period(3, 2025))).toBe(true);
+        expect(InterestAccrualHelper.chitAccruesIn(chitStarted, 11, InterestAccrualHelper.period(12, 2024))).toBe(true);
+    });
+
+    it('should derive the receipt status from the amounts', () => {
+        expect(InterestAccrualHelper.status(120, 0)).toBe('accrued');
+        expect(InterestAccrualHelper.status(120, 60)).toBe('partial');
+        expect(InterestAccrualHelper.status(120, 120)).toBe('received');
+    });
+});
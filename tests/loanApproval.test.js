@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const LoanStaff = require('../src/models/LoanStaff');
+const loanStaffService = require('../src/services/loanStaffService');
+const loanStaffController = require('../src/controllers/loanStaffController');
+
+describe('Loan Approval Workflow', () => {
+    const staffId = new mongoose.Types.ObjectId();
+    const authority1 = new mongoose.Types.ObjectId();
+    const authority2 = new mongoose.Types.ObjectId();
+
+    const application = (fields = {}) => new LoanStaff({
+        financeYearId: new mongoose.Types.ObjectId(),
+        loanId: new mongoose.Types.ObjectId(),
+        staffId,
+        loanTakenAmount: 12000,
+        loanTakenMonth: 1,
+        loanInterestPercentage: 12,
+        loanTenureMonths: 12,
+        loanDueAmount: 13440,
+        loanAuthorityPerson1: authority1,
+        loanAuthorityPerson2: authority2,
+        loanElgibilityAmount: 45000,
+        loanStatus: 'pending',
+        ...fields
+    });
+
+    const response = () => {
+        const res = {};
+        res.status = jest.fn().mockReturnValue(res);
+        res.json = jest.fn().mockReturnValue(res);
+        return res;
+    };
+
+    let promote;
+
+    beforeEach(() => {
+        jest.spyOn(LoanStaff.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+        promote = jest.spyOn(LoanStaff, 'promoteFromWaitlist').mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('decideLoanStaff', () => {
+        it('should only approve the loan once both authority persons approve', async () => {
+            const loanStaff = application();
+            jest.spyOn(LoanStaff, 'findById').mockResolvedValue(loanStaff);
+
+            await loanStaffService.approveLoanStaff(loanStaff._id, authority1, 'Salary verified');
+            expect(loanStaff.loanStatus).toBe('pending');
+            expect(loanStaff.approvalCount).toBe(1);
+
+            await loanStaffService.approveLoanStaff(loanStaff._id, authority2);
+            expect(loanStaff.loanStatus).toBe('approved');
+            expect(loanStaff.approvedAt).toBeInstanceOf(Date);
+            expect(loanStaff.approvals.map(approval => approval.comments)).toEqual(['Salary verified', undefined]);
+        });
+
+        it('should reject the loan on any rejection and hand the slot to the waitlist', async () => {
+            const loanStaff = application();
+            jest.spyOn(LoanStaff, 'findById').mockResolvedValue(loanStaff);
+
+            await loanStaffService.approveLoanStaff(loanStaff._id, authority1);
+            await loanStaffService.rejectLoanStaff(loanStaff._id, authority2, 'Outstanding dues');
+
+            expect(loanStaff.loanStatus).toBe('rejected');
+            expect(promote).toHaveBeenCalledWith(loanStaff.loanId);
+        });
+
+        it('should only take one decision from each named authority person', async () => {
+            const loanStaff = application();
+            jest.spyOn(LoanStaff, 'findById').mockResolvedValue(loanStaff);
+
+            await expect(loanStaffService.approveLoanStaff(loanStaff._id, new mongoose.Types.ObjectId()))
+                .rejects.toThrow('Only the named authority persons can decide on this loan');
+
+            await loanStaffService.approveLoanStaff(loanStaff._id, authority1);
+            await expect(loanStaffService.approveLoanStaff(loanStaff._id, authority1))
+                .rejects.toThrow('You have already recorded a decision on this loan');
+        });
+
+        it('should refuse decisions on an application that is no longer pending', async () => {
+            jest.spyOn(LoanStaff, 'findById').mockResolvedValue(application({ loanStatus: 'approved' }));
+
+            await expect(loanStaffService.rejectLoanStaff(new mongoose.Types.ObjectId(), authority1))
+                .rejects.toThrow('Loan application is already approved');
+        });
+    });
+
+    describe('applyForLoan', () => {
+        it('should only pass an interest percentage through for admins and managers', async () => {
+            const apply = jest.spyOn(loanStaffService, 'applyForLoan').mockResolvedValue(application());
+            const body = { loanId: new mongoose.Types.ObjectId().toString(), loanTakenAmount: 12000, loanInterestPercentage: 2 };
+
+            await loanStaffController.applyForLoan({ body, user: { _id: staffId, role: 'staff' } }, response());
+            expect(apply.mock.calls[0][0]).toMatchObject({ staffId, loanInterestPercentage: undefined });
+
+            await loanStaffController.applyForLoan({ body, user: { _id: authority1, role: 'manager' } }, response());
+            expect(apply.mock.calls[1][0]).toMatchObject({ staffId: authority1, loanInterestPercentage: 2 });
+        });
+    });
+
+    describe('assertCanView', () => {
+        const stubLoan = loanStaff => jest.spyOn(LoanStaff, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(loanStaff) });
+
+        it('should let the borrower, admins and managers view a loan', async () => {
+            stubLoan(application());
+
+            await expect(loanStaffService.assertCanView('loan-id', { _id: staffId, role: 'staff' })).resolves.toBeUndefined();
+            await expect(loanStaffService.assertCanView('loan-id', { _id: authority1, role: 'admin' })).resolves.toBeUndefined();
+        });
+
+        it('should refuse other members with a 403 error', async () => {
+            stubLoan(application());
+
+            await expect(loanStaffService.assertCanView('loan-id', { _id: authority1, role: 'staff' }))
+                .rejects.toMatchObject({ statusCode: 403, message: 'You can only view your own loans' });
+        });
+
+        it('should answer 403 from the loan detail routes', async () => {
+            stubLoan(application());
+            const getSchedule = jest.spyOn(loanStaffService, 'getLoanSchedule');
+            const res = response();
+
+            await loanStaffController.getLoanSchedule({ params: { id: 'loan-id' }, user: { _id: authority1, role: 'staff' } }, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(getSchedule).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,101 @@
+const LoanEligibilityHelper = require('../src/helpers/loanEligibilityHelper');
+
+const settings = {
+    loanMinAmount: 500,
+    loanMaxAmount: 50000,
+    loanElgibility: 10000,
+    loanMinServiceMonths: 6,
+    loanSalaryMultiplier: 3,
+    loanShareMultiplier: 3,
+    maxActiveLoans: 1,
+    isEligibleForLoan(salary) {
+        return salary >= this.loanElgibility;
+    }
+};
+
+const staff = {
+    status: 'active',
+    currentSalary: 20000,
+    joinDate: new Date(2023, 0, 1)
+};
+
+const asOf = new Date(2024, 6, 1);
+
+describe('Loan Eligibility Helper', () => {
+    it('should limit the eligible amount to the lowest of scheme, salary and share limits', () => {
+        const result = LoanEligibilityHelper.evaluate({ staff, settings, totalShares: 15000, asOf });
+
+        expect(result.eligible).toBe(true);
+        expect(result.limits).toEqual({ scheme: 50000, salary: 60000, shares: 45000 });
+        expect(result.eligibleAmount).toBe(45000);
+        expect(result.reasons).toHaveLength(0);
+    });
+
+    it('should ignore the share limit when the multiplier is zero', () => {
+        const result = LoanEligibilityHelper.evaluate({
+            staff,
+            settings: { ...settings, loanShareMultiplier: 0 },
+            totalShares: 0,
+            asOf
+        });
+
+        expect(result.limits.shares).toBeNull();
+        expect(result.eligibleAmount).toBe(50000);
+    });
+
+    it('should refuse inactive, low salary and new members with reasons', () => {
+        const result = LoanEligibilityHelper.evaluate({
+            staff: { status: 'on-leave', currentSalary: 5000, joinDate: new Date(2024, 3, 15) },
+            settings,
+            totalShares: 15000,
+            asOf
+        });
+
+        expect(result.eligible).toBe(false);
+        expect(result.eligibleAmount).toBe(0);
+        expect(result.serviceMonths).toBe(2);
+        expect(result.reasons).toHaveLength(3);
+    });
+
+    it('should refuse staff who already hold the maximum number of open loans', () => {
+        const result = LoanEligibilityHelper.evaluate({
+            staff,
+            settings,
+            totalShares: 15000,
+            openLoans: [{ loanStatus: 'active', loanDueAmount: 10000 }],
+            asOf
+        });
+
+        expect(result.eligible).toBe(false);
+        expect(result.outstandingDue).toBe(10000);
+        expect(result.openLoanCount).toBe(1);
+        expect(result.reasons[0]).toMatch(/open loan/);
+    });
+
+    it('should count pending and approved loans against the limits', () => {
+        const result = LoanEligibilityHelper.evaluate({
+            staff,
+            settings: { ...settings, maxActiveLoans: 3 },
+            totalShares: 15000,
+            openLoans: [{ loanStatus: 'pending', loanDueAmount: 10000 }, { loanStatus: 'approved', loanDueAmount: 5000 }],
+            asOf
+        });
+
+        expect(result.eligible).toBe(true);
+        expect(result.outstandingDue).toBe(15000);
+        expect(result.eligibleAmount).toBe(30000);
+    });
+
+    it('should refuse staff with a defaulted loan', () => {
+        const result = LoanEligibilityHelper.evaluate({
+            staff,
+            settings: { ...settings, maxActiveLoans: 3 },
+            totalShares: 15000,
+            openLoans: [{ loanStatus: 'defaulted', loanDueAmount: 2000 }],
+            asOf
+        });
+
+        expect(result.eligible).toBe(false);
+        expect(result.reasons).toEqual(['Staff member has 1 defaulted loan(s)']);
+    });
+});
@@ -0,0 +1,51 @@
+const LoanForeclosureHelper = require('../src/helpers/loanForeclosureHelper');
+const LoanScheduleHelper = require('../src/helpers/loanScheduleHelper');
+
+const schedule = LoanScheduleHelper.buildSchedule({
+    principal: 12000,
+    annualRate: 12,
+    tenureMonths: 12,
+    interestType: 'flat',
+    startDate: new Date(2024, 0, 1)
+}).map(instalment => ({ ...instalment, interestPaid: 0, principalPaid: 0, status: 'pending' }));
+
+describe('Loan Foreclosure Helper', () => {
+    it('should charge due interest in full and waive future interest', () => {
+        const instalments = schedule.map(instalment => instalment.instalmentNumber <= 2
+            ? { ...instalment, interestPaid: instalment.interestAmount, principalPaid: instalment.principalAmount, status: 'paid' }
+            : instalment);
+
+        const quote = LoanForeclosureHelper.quote({
+            instalments,
+            settlementDate: new Date(2024, 3, 1),
+            prepaymentChargePercentage: 2
+        });
+
+        expect(quote.remainingPrincipal).toBe(10000);
+        expect(quote.accruedInterest).toBe(120);
+        expect(quote.prepaymentCharge).toBe(200);
+        expect(quote.totalPayoff).toBe(10320);
+    });
+
+    it('should accrue the current period interest by days elapsed', () => {
+        const quote = LoanForeclosureHelper.quote({
+            instalments: schedule,
+            settlementDate: new Date(2024, 0, 16)
+        });
+
+        expect(quote.remainingPrincipal).toBe(12000);
+        expect(quote.accruedInterest).toBeCloseTo(58.06, 2);
+        expect(quote.prepaymentCharge).toBe(0);
+    });
+
+    it('should include outstanding penalty interest in the payoff', () => {
+        const quote = LoanForeclosureHelper.quote({
+            instalments: schedule,
+            settlementDate: new Date(2024, 0, 1),
+            penaltyAmount: 45.5
+        });
+
+        expect(quote.accruedInterest).toBe(0);
+        expect(quote.totalPayoff).toBe(12045.5);
+    });
+});
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const LoanStaff = require('../src/models/LoanStaff');
+const Settings = require('../src/models/Settings');
+const User = require('../src/models/User');
+const loanStaffService = require('../src/services/loanStaffService');
+
+describe('Loan Guarantors', () => {
+    const staffId = new mongoose.Types.ObjectId();
+    const authority1 = new mongoose.Types.ObjectId();
+    const authority2 = new mongoose.Types.ObjectId();
+    const member = { _id: staffId, role: 'staff' };
+
+    const application = (fields = {}) => new LoanStaff({
+        financeYearId: new mongoose.Types.ObjectId(),
+        loanId: new mongoose.Types.ObjectId(),
+        staffId,
+        loanTakenAmount: 30000,
+        loanTakenMonth: 1,
+        loanInterestPercentage: 12,
+        loanTenureMonths: 12,
+        loanDueAmount: 33600,
+        loanAuthorityPerson1: authority1,
+        loanAuthorityPerson2: authority2,
+        loanElgibilityAmount: 45000,
+        loanStatus: 'pending',
+        guarantorsRequired: 1,
+        ...fields
+    });
+
+    const colleague = (fields = {}) => ({
+        _id: new mongoose.Types.ObjectId(),
+        employeeId: 'EMP042',
+        status: 'active',
+        ...fields
+    });
+
+    // Stub the guarantor lookup and the number of loans they already guarantee
+    const stubGuarantor = (guarantor, activeGuarantees = 0) => {
+        jest.spyOn(User, 'findById').mockResolvedValue(guarantor);
+        jest.spyOn(LoanStaff, 'countActiveGuarantees').mockResolvedValue(activeGuarantees);
+        return guarantor;
+    };
+
+    beforeEach(() => {
+        jest.spyOn(Settings, 'getCurrentSettings').mockResolvedValue(new Settings({ maxGuaranteesPerMember: 2 }));
+        jest.spyOn(LoanStaff.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('addGuarantor', () => {
+        it('should ask an eligible member to guarantee the loan', async () => {
+            const loanStaff = application();
+            jest.spyOn(LoanStaff, 'findById').mockResolvedValue(loanStaff);
+            const guarantor = stubGuarantor(colleague(), 1);
+
+            await loanStaffService.addGuarantor(loanStaff._id, guarantor._id, member);
+
+            expect(loanStaff.getGuarantor(guarantor._id)).toMatchObject({ status: 'pending' });
+        });
+
+        it('should refuse members already at the guarantee limit', async () => {
+            const loanStaff = application();
+            jest.spyOn(LoanStaff, 'findById').mockResolvedValue(loanStaff);
+            const guarantor = stubGuarantor(colleague(), 2);
+
+            await expect(loanStaffService.addGuarantor(loanStaff._id, guarantor._id, member))
+                .rejects.toThrow('Guarantor EMP042 already guarantees the maximum of 2 loan(s)');
+        });
+
+        it('should refuse inactive members, the borrower and the authority persons', async () => {
+            const loanStaff = application();
+            jest.spyOn(LoanStaff, 'findById').mockResolvedValue(loanStaff);
+
+            stubGuarantor(colleague({ status: 'inactive' }));
+            await expect(loanStaffService.addGuarantor(loanStaff._id, new mongoose.Types.ObjectId(), member))
+                .rejects.toThrow('Guarantor EMP042 is not an active member');
+
+            User.findById.mockResolvedValue(colleague({ _id: staffId }));
+            await expect(loanStaffService.addGuarantor(loanStaff._id, new mongoose.Types.ObjectId(), member))
+                .rejects.toThrow('Staff cannot guarantee their own loan');
+
+            User.findById.mockResolvedValue(colleague({ _id: authority2 }));
+            await expect(loanStaffService.addGuarantor(loanStaff._id, new mongoose.Types.ObjectId(), member))
+                .rejects.toThrow('A loan authority person cannot also be a guarantor');
+        });
+
+        it('should allow at most two guarantors who have not declined', async () => {
+            const loanStaff = application({
+                guarantors: [
+                    { guarantor: new mongoose.Types.ObjectId(), status: 'accepted' },
+                    { guarantor: new mongoose.Types.ObjectId(), status: 'pending' }
+                ]
+            });
+            jest.spyOn(LoanStaff, 'findById').mockResolvedValue(loanStaff);
+            const guarantor = stubGuarantor(colleague());
+
+            await expect(loanStaffService.addGuarantor(loanStaff._id, guarantor._id, member))
+                .rejects.toThrow('A loan can have at most two guarantors');
+
+            loanStaff.guarantors[1].status = 'declined';
+            await loanStaffService.addGuarantor(loanStaff._id, guarantor._id, member);
+            expect(loanStaff.guarantors).toHaveLength(3);
+        });
+
+        it('should refuse loans that have already been decided', async () => {
+            const loanStaff = application({ loanStatus: 'approved' });
+            jest.spyOn(LoanStaff, 'findById').mockResolvedValue(loanStaff);
+
+            await expect(loanStaffService.addGuarantor(loanStaff._id, new mongoose.Types.ObjectId(), member))
+                .rejects.toThrow('Guarantors cannot be added to a approved loan');
+        });
+    });
+
+    describe('approval', () => {
+        it('should hold the approval until the required guarantors consent', async () => {
+            const guarantorId = new mongoose.Types.ObjectId();
+            const loanStaff = application({ guarantors: [{ guarantor: guarantorId }] });
+            jest.spyOn(LoanStaff, 'findById').mockResolvedValue(loanStaff);
+
+            await expect(loanStaffService.approveLoanStaff(loanStaff._id, authority1))
+                .rejects.toThrow('1 guarantor(s) must consent before the loan can be approved');
+
+            await loanStaffService.respondToGuarantee(loanStaff._id, guarantorId, 'accepted');
+            await loanStaffService.approveLoanStaff(loanStaff._id, authority1);
+
+            expect(loanStaff.acceptedGuarantorCount).toBe(1);
+            expect(loanStaff.approvalCount).toBe(1);
+        });
+
+        it('should only take one response from each guarantor', async () => {
+            const guarantorId = new mongoose.Types.ObjectId();
+            const loanStaff = application({ guarantors: [{ guarantor: guarantorId }] });
+            jest.spyOn(LoanStaff, 'findById').mockResolvedValue(loanStaff);
+
+            await loanStaffService.respondToGuarantee(loanStaff._id, guarantorId, 'declined', 'Cannot commit');
+
+            await expect(loanStaffService.respondToGuarantee(loanStaff._id, guarantorId, 'accepted'))
+                .rejects.toThrow('You have already declined this guarantee');
+            await expect(loanStaffService.respondToGuarantee(loanStaff._id, authority1, 'accepted'))
+                .rejects.toThrow('You have not been asked to guarantee this loan');
+        });
+    });
+});
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const LoanInstalment = require('../src/models/LoanInstalment');
+const LoanScheduleHelper = require('../src/helpers/loanScheduleHelper');
+
+describe('Loan Instalment', () => {
+    const loanStaff = () => ({
+        _id: new mongoose.Types.ObjectId(),
+        financeYearId: new mongoose.Types.ObjectId(),
+        loanId: new mongoose.Types.ObjectId(),
+        staffId: new mongoose.Types.ObjectId(),
+        loanTakenAmount: 12000,
+        loanTopupAmount: 0,
+        loanInterestPercentage: 12,
+        loanTenureMonths: 4,
+        interestType: 'flat'
+    });
+
+    // Keep a loan's instalments in memory in place of the collection
+    const stubInstalments = loan => {
+        let store = LoanScheduleHelper.buildSchedule({
+            principal: loan.loanTakenAmount,
+            annualRate: loan.loanInterestPercentage,
+            tenureMonths: loan.loanTenureMonths,
+            interestType: loan.interestType,
+            startDate: new Date(2025, 0, 10)
+        }).map(instalment => new LoanInstalment({ ...instalment, financeYearId: loan.financeYearId, loanStaffId: loan._id, loanId: loan.loanId, staffId: loan.staffId }));
+
+        const matches = ({ status }) => instalment => !status || (status.$in ? status.$in.includes(instalment.status) : instalment.status === status);
+
+        jest.spyOn(LoanInstalment, 'find').mockImplementation(query => ({
+            sort: async () => store.filter(matches(query)).sort((a, b) => a.instalmentNumber - b.instalmentNumber)
+        }));
+        jest.spyOn(LoanInstalment, 'deleteMany').mockImplementation(async query => {
+            store = store.filter(instalment => !matches(query)(instalment));
+        });
+        jest.spyOn(LoanInstalment, 'insertMany').mockImplementation(async docs => {
+            const created = docs.map(doc => new LoanInstalment(doc));
+            store.push(...created);
+            return created;
+        });
+        jest.spyOn(LoanInstalment.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+
+        return () => store.sort((a, b) => a.instalmentNumber - b.instalmentNumber);
+    };
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('rebuildSchedule', () => {
+        it('should keep part-paid instalments and only re-amortise the pending ones', async () => {
+            const loan = loanStaff();
+            const instalments = stubInstalments(loan);
+
+            // 3120 settles the first instalment; 500 more pays the second's interest and 380 of its principal
+            await LoanInstalment.allocatePayment(loan._id, 3620);
+
+            const rebuilt = await LoanInstalment.rebuildSchedule(loan, { additionalPrincipal: 2000 });
+            const all = instalments();
+
+            expect(all.map(instalment => [instalment.instalmentNumber, instalment.status])).toEqual([
+                [1, 'paid'], [2, 'partial'], [3, 'pending'], [4, 'pending']
+            ]);
+            expect(all[1]).toMatchObject({ interestPaid: 120, principalPaid: 380 });
+            expect(rebuilt[0]).toBe(all[1]);
+            expect(LoanScheduleHelper.round(all[2].principalAmount + all[3].principalAmount)).toBe(8000);
+            expect(loan.loanDueAmount).toBe(LoanScheduleHelper.round(all[1].balanceAmount + all[2].emiAmount + all[3].emiAmount));
+        });
+
+        it('should not charge the interest already paid on a part-paid instalment again', async () => {
+            const loan = loanStaff();
+            const instalments = stubInstalments(loan);
+
+            await LoanInstalment.allocatePayment(loan._id, 500);
+            await LoanInstalment.rebuildSchedule(loan, { tenureMonths: 5 });
+
+            const all = instalments();
+            const interestPaid = all.reduce((sum, instalment) => sum + instalment.interestPaid, 0);
+
+            expect(all[0]).toMatchObject({ status: 'partial', interestPaid: 120, principalPaid: 380 });
+            expect(all).toHaveLength(6);
+            expect(LoanScheduleHelper.round(all.reduce((sum, instalment) => sum + instalment.principalAmount, 0))).toBe(12000);
+            expect(interestPaid).toBe(120);
+        });
+    });
+});
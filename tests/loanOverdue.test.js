@@ -0,0 +1,56 @@
+const LoanOverdueHelper = require('../src/helpers/loanOverdueHelper');
+
+const instalments = [1, 2, 3].map(number => ({
+    instalmentNumber: number,
+    dueDate: new Date(2024, number - 1, 10),
+    emiAmount: 1000
+}));
+
+describe('Loan Overdue Helper', () => {
+    describe('assess', () => {
+        it('should report nothing overdue when repayments cover the instalments due', () => {
+            const result = LoanOverdueHelper.assess(instalments, 2000, new Date(2024, 1, 20));
+
+            expect(result.expectedAmount).toBe(2000);
+            expect(result.overdueAmount).toBe(0);
+            expect(result.daysPastDue).toBe(0);
+        });
+
+        it('should count days past due from the oldest uncovered instalment', () => {
+            const result = LoanOverdueHelper.assess(instalments, 1500, new Date(2024, 2, 20));
+
+            expect(result.expectedAmount).toBe(3000);
+            expect(result.overdueAmount).toBe(1500);
+            expect(result.oldestOverdueDate).toEqual(new Date(2024, 1, 10));
+            expect(result.daysPastDue).toBe(39);
+        });
+    });
+
+    describe('accruePenalty', () => {
+        it('should charge only whole days not yet charged', () => {
+            const oldestOverdueDate = new Date(2024, 0, 1);
+            const first = LoanOverdueHelper.accruePenalty({
+                overdueAmount: 36500,
+                annualRate: 10,
+                oldestOverdueDate,
+                accruedUntil: null,
+                asOf: new Date(2024, 0, 11, 6)
+            });
+
+            expect(first.days).toBe(10);
+            expect(first.penalty).toBe(100);
+
+            const rerun = LoanOverdueHelper.accruePenalty({
+                overdueAmount: 36500,
+                annualRate: 10,
+                oldestOverdueDate,
+                accruedUntil: first.accruedUntil,
+                asOf: new Date(2024, 0, 11, 20)
+            });
+
+            expect(rerun.days).toBe(0);
+            expect(rerun.penalty).toBe(0);
+            expect(rerun.accruedUntil).toEqual(first.accruedUntil);
+        });
+    });
+});
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const LoanStaff = require('../src/models/LoanStaff');
+const LoanInstalment = require('../src/models/LoanInstalment');
+const LoanCollection = require('../src/models/LoanCollection');
+const User = require('../src/models/User');
+const LoanScheduleHelper = require('../src/helpers/loanScheduleHelper');
+const loanStaffService = require('../src/services/loanStaffService');
+
+describe('Loan Repayment', () => {
+    const recordedBy = new mongoose.Types.ObjectId();
+
+    // 12000 at 12% flat over 4 months: 3120 a month, 120 of it interest
+    const activeLoan = () => new LoanStaff({
+        financeYearId: new mongoose.Types.ObjectId(),
+        loanId: new mongoose.Types.ObjectId(),
+        staffId: new mongoose.Types.ObjectId(),
+        loanTakenAmount: 12000,
+        loanTakenMonth: 1,
+        loanInterestPercentage: 12,
+        loanTenureMonths: 4,
+        emiAmount: 3120,
+        loanDueAmount: 12480,
+        loanAuthorityPerson1: new mongoose.Types.ObjectId(),
+        loanAuthorityPerson2: new mongoose.Types.ObjectId(),
+        loanElgibilityAmount: 45000,
+        loanStatus: 'active',
+        activatedAt: new Date(2025, 0, 10)
+    });
+
+    let instalments;
+    let promote;
+    let clearLoanFlag;
+
+    beforeEach(() => {
+        instalments = [];
+
+        jest.spyOn(LoanInstalment, 'find').mockImplementation(({ status }) => ({
+            sort: async () => instalments.filter(instalment => status.$in.includes(instalment.status))
+        }));
+        jest.spyOn(LoanInstalment.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(LoanStaff.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(LoanCollection, 'create').mockImplementation(async collection => collection);
+        jest.spyOn(LoanStaff, 'countDocuments').mockResolvedValue(0);
+        clearLoanFlag = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(null);
+        promote = jest.spyOn(LoanStaff, 'promoteFromWaitlist').mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const withSchedule = loanStaff => {
+        instalments = LoanScheduleHelper.buildSchedule({
+            principal: 12000,
+            annualRate: 12,
+            tenureMonths: 4,
+            startDate: loanStaff.activatedAt
+        }).map(instalment => new LoanInstalment({ ...instalment, financeYearId: loanStaff.financeYearId, loanStaffId: loanStaff._id, loanId: loanStaff.loanId, staffId: loanStaff.staffId }));
+        jest.spyOn(LoanStaff, 'findById').mockResolvedValue(loanStaff);
+        return loanStaff;
+    };
+
+    it('should settle interest before principal, oldest instalment first', async () => {
+        const loanStaff = withSchedule(activeLoan());
+
+        const { collection } = await loanStaffService.recordRepayment(loanStaff._id, { amount: 3500, paymentMethod: 'cash' }, recordedBy);
+
+        expect(collection).toMatchObject({ collectionAmount: 3500, interestComponent: 240, principalComponent: 3260 });
+        expect(instalments.map(instalment => instalment.status)).toEqual(['paid', 'partial', 'pending', 'pending']);
+        expect(instalments[1]).toMatchObject({ interestPaid: 120, principalPaid: 260 });
+        expect(loanStaff.loanDueAmount).toBe(8980);
+        expect(loanStaff.loanStatus).toBe('active');
+    });
+
+    it('should refuse a repayment larger than the outstanding due', async () => {
+        const loanStaff = withSchedule(activeLoan());
+
+        await expect(loanStaffService.recordRepayment(loanStaff._id, { amount: 12480.01, paymentMethod: 'cash' }, recordedBy))
+            .rejects.toThrow('Repayment of 12480.01 exceeds the outstanding due of 12480');
+    });
+
+    it('should only record repayments against active loans', async () => {
+        const loanStaff = withSchedule(activeLoan());
+        loanStaff.loanStatus = 'approved';
+
+        await expect(loanStaffService.recordRepayment(loanStaff._id, { amount: 100, paymentMethod: 'cash' }, recordedBy))
+            .rejects.toThrow('Repayments cannot be recorded against a approved loan');
+    });
+
+    it('should close the loan, clear the loan flag and free the slot once fully repaid', async () => {
+        const loanStaff = withSchedule(activeLoan());
+
+        await loanStaffService.recordRepayment(loanStaff._id, { amount: 12480, paymentMethod: 'payroll' }, recordedBy);
+
+        expect(instalments.every(instalment => instalment.status === 'paid')).toBe(true);
+        expect(loanStaff.loanStatus).toBe('completed');
+        expect(loanStaff.loanDueAmount).toBe(0);
+        expect(clearLoanFlag).toHaveBeenCalledWith(loanStaff.staffId, { hasLoan: false });
+        expect(promote).toHaveBeenCalledWith(loanStaff.loanId);
+    });
+
+    it('should keep the loan flag while the member has another active loan', async () => {
+        const loanStaff = withSchedule(activeLoan());
+        LoanStaff.countDocuments.mockResolvedValue(1);
+
+        await loanStaffService.recordRepayment(loanStaff._id, { amount: 12480, paymentMethod: 'cash' }, recordedBy);
+
+        expect(loanStaff.loanStatus).toBe('completed');
+        expect(clearLoanFlag).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const LoanStaff = require('../src/models/LoanStaff');
+const LoanInstalment = require('../src/models/LoanInstalment');
+const User = require('../src/models/User');
+const LoanScheduleHelper = require('../src/helpers/loanScheduleHelper');
+const loanStaffService = require('../src/services/loanStaffService');
+
+describe('Loan Restructure', () => {
+    const recordedBy = new mongoose.Types.ObjectId();
+    const approver = new mongoose.Types.ObjectId();
+
+    // 12000 at 12% flat over 4 months: 3120 a month, 120 of it interest
+    const activeLoan = (fields = {}) => new LoanStaff({
+        financeYearId: new mongoose.Types.ObjectId(),
+        loanId: new mongoose.Types.ObjectId(),
+        staffId: new mongoose.Types.ObjectId(),
+        loanTakenAmount: 12000,
+        loanTakenMonth: 1,
+        loanInterestPercentage: 12,
+        loanTenureMonths: 4,
+        emiAmount: 3120,
+        loanDueAmount: 12480,
+        loanAuthorityPerson1: new mongoose.Types.ObjectId(),
+        loanAuthorityPerson2: new mongoose.Types.ObjectId(),
+        loanElgibilityAmount: 45000,
+        loanStatus: 'active',
+        activatedAt: new Date(2025, 0, 10),
+        ...fields
+    });
+
+    // Keep the loan's instalments in memory in place of the collection
+    const stubInstalments = loanStaff => {
+        let store = LoanScheduleHelper.buildSchedule({
+            principal: 12000,
+            annualRate: 12,
+            tenureMonths: 4,
+            startDate: loanStaff.activatedAt
+        }).map(instalment => new LoanInstalment({ ...instalment, financeYearId: loanStaff.financeYearId, loanStaffId: loanStaff._id, loanId: loanStaff.loanId, staffId: loanStaff.staffId }));
+
+        const matches = ({ status }) => instalment => !status || (status.$in ? status.$in.includes(instalment.status) : instalment.status === status);
+
+        jest.spyOn(LoanInstalment, 'find').mockImplementation(query => ({
+            sort: async () => store.filter(matches(query)).sort((a, b) => a.instalmentNumber - b.instalmentNumber)
+        }));
+        jest.spyOn(LoanInstalment, 'countDocuments').mockImplementation(async query => store.filter(matches(query)).length);
+        jest.spyOn(LoanInstalment, 'deleteMany').mockImplementation(async query => {
+            store = store.filter(instalment => !matches(query)(instalment));
+        });
+        jest.spyOn(LoanInstalment, 'insertMany').mockImplementation(async docs => {
+            const created = docs.map(doc => new LoanInstalment(doc));
+            store.push(...created);
+            return created;
+        });
+        jest.spyOn(LoanInstalment.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+
+        return () => store.sort((a, b) => a.instalmentNumber - b.instalmentNumber);
+    };
+
+    const withLoan = loanStaff => {
+        jest.spyOn(LoanStaff, 'findById')
+            .mockResolvedValueOnce(loanStaff)
+            .mockReturnValueOnce({ populate: jest.fn().mockResolvedValue(loanStaff) });
+        return loanStaff;
+    };
+
+    beforeEach(() => {
+        jest.spyOn(User, 'find').mockImplementation(async ({ _id }) => _id.$in.map(id => ({ _id: id })));
+        jest.spyOn(LoanStaff.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should re-amortise the unscheduled principal over the rest of the new tenure', async () => {
+        const loanStaff = withLoan(activeLoan());
+        const instalments = stubInstalments(loanStaff);
+
+        // 3120 settles the first instalment; 500 more pays the second's interest and 380 of its principal
+        await LoanInstalment.allocatePayment(loanStaff._id, 3620);
+
+        await loanStaffService.restructureLoan(loanStaff._id, {
+            loanTenureMonths: 6,
+            reason: 'Hardship',
+            approvedBy: [approver],
+            effectiveFrom: new Date(2025, 2, 10)
+        }, recordedBy);
+
+        const all = instalments();
+
+        expect(all.map(instalment => instalment.status)).toEqual(['paid', 'partial', 'pending', 'pending', 'pending', 'pending']);
+        expect(LoanScheduleHelper.round(all.slice(2).reduce((sum, instalment) => sum + instalment.principalAmount, 0))).toBe(6000);
+        expect(loanStaff.loanTenureMonths).toBe(6);
+        expect(loanStaff.restructuredAt).toBeInstanceOf(Date);
+    });
+
+    it('should keep the old and new terms in the terms history', async () => {
+        const loanStaff = withLoan(activeLoan());
+        stubInstalments(loanStaff);
+        await LoanInstalment.allocatePayment(loanStaff._id, 3620);
+
+        await loanStaffService.restructureLoan(loanStaff._id, {
+            loanTenureMonths: 6,
+            loanInterestPercentage: 10,
+            reason: 'Hardship',
+            approvedBy: [approver]
+        }, recordedBy);
+
+        const [original, restructure] = loanStaff.termsHistory;
+
+        expect(loanStaff.termsHistory).toHaveLength(2);
+        expect(original).toMatchObject({ version: 1, changeType: 'original', loanTenureMonths: 4, loanInterestPercentage: 12 });
+        expect(restructure).toMatchObject({
+            version: 2,
+            changeType: 'restructure',
+            loanTenureMonths: 6,
+            loanInterestPercentage: 10,
+            outstandingPrincipal: 8620,
+            remainingInstalments: 5,
+            reason: 'Hardship'
+        });
+        expect(restructure.approvedBy.map(String)).toEqual([approver.toString()]);
+    });
+
+    it('should need a tenure longer than the instalments already paid or part-paid', async () => {
+        const loanStaff = withLoan(activeLoan());
+        stubInstalments(loanStaff);
+        await LoanInstalment.allocatePayment(loanStaff._id, 3620);
+
+        await expect(loanStaffService.restructureLoan(loanStaff._id, { loanTenureMonths: 2 }, recordedBy))
+            .rejects.toThrow('Tenure must be longer than the 2 instalments already paid or part-paid');
+    });
+
+    it('should refuse unchanged terms and loans that are not active', async () => {
+        withLoan(activeLoan());
+        await expect(loanStaffService.restructureLoan('loan-id', { loanTenureMonths: 4, interestType: 'flat' }, recordedBy))
+            .rejects.toThrow('The new terms are the same as the current terms');
+
+        LoanStaff.findById.mockReset();
+        withLoan(activeLoan({ loanStatus: 'completed' }));
+        await expect(loanStaffService.restructureLoan('loan-id', { loanTenureMonths: 6 }, recordedBy))
+            .rejects.toThrow('A completed loan cannot be restructured');
+    });
+
+    it('should only accept active members as approvers', async () => {
+        withLoan(activeLoan());
+        User.find.mockResolvedValue([]);
+
+        await expect(loanStaffService.restructureLoan('loan-id', { loanTenureMonths: 6, approvedBy: [approver] }, recordedBy))
+            .rejects.toThrow('Every approver must be an active member');
+    });
+
+    it('should not take effect before the loan was activated', async () => {
+        withLoan(activeLoan());
+        stubInstalments(activeLoan());
+
+        await expect(loanStaffService.restructureLoan('loan-id', { loanTenureMonths: 6, effectiveFrom: new Date(2024, 11, 1) }, recordedBy))
+            .rejects.toThrow('Restructure cannot take effect before the loan was activated');
+    });
+});
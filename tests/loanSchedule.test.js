@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const LoanStaff = require('../src/models/LoanStaff');
+const LoanScheduleHelper = require('../src/helpers/loanScheduleHelper');
+
+describe('Loan Schedule Helper', () => {
+    describe('buildSchedule', () => {
+        it('should build a flat interest schedule', () => {
+            const schedule = LoanScheduleHelper.buildSchedule({
+                principal: 12000,
+                annualRate: 12,
+                tenureMonths: 12,
+                interestType: 'flat',
+                startDate: new Date(2024, 0, 15)
+            });
+
+            expect(schedule).toHaveLength(12);
+            expect(schedule[0].emiAmount).toBe(1120);
+            expect(schedule[0].interestAmount).toBe(120);
+            expect(schedule[0].principalAmount).toBe(1000);
+            expect(schedule[11].closingBalance).toBe(0);
+            expect(LoanScheduleHelper.totalInterest(schedule)).toBe(1440);
+        });
+
+        it('should build a reducing balance schedule that repays the full principal', () => {
+            const schedule = LoanScheduleHelper.buildSchedule({
+                principal: 10000,
+                annualRate: 12,
+                tenureMonths: 12,
+                interestType: 'reducing'
+            });
+
+            const totalPrincipal = schedule.reduce((sum, instalment) => sum + instalment.principalAmount, 0);
+
+            expect(schedule[0].emiAmount).toBe(888.49);
+            expect(schedule[0].interestAmount).toBe(100);
+            expect(schedule[11].interestAmount).toBeLessThan(schedule[0].interestAmount);
+            expect(LoanScheduleHelper.round(totalPrincipal)).toBe(10000);
+            expect(schedule[11].closingBalance).toBe(0);
+        });
+
+        it('should split a zero interest loan evenly', () => {
+            const schedule = LoanScheduleHelper.buildSchedule({
+                principal: 1000,
+                annualRate: 0,
+                tenureMonths: 3
+            });
+
+            expect(schedule.map(instalment => instalment.emiAmount)).toEqual([333.33, 333.33, 333.34]);
+        });
+    });
+
+    describe('addMonths', () => {
+        it('should clamp to the last day of shorter months', () => {
+            const date = LoanScheduleHelper.addMonths(new Date(2024, 0, 31), 1);
+
+            expect(date.getMonth()).toBe(1);
+            expect(date.getDate()).toBe(29);
+        });
+    });
+
+    describe('LoanStaff interestAmount', () => {
+        const loanStaff = fields => new LoanStaff({
+            financeYearId: new mongoose.Types.ObjectId(),
+            loanId: new mongoose.Types.ObjectId(),
+            staffId: new mongoose.Types.ObjectId(),
+            loanTakenAmount: 12000,
+            loanTakenMonth: 1,
+            loanInterestPercentage: 12,
+            loanTenureMonths: 6,
+            loanDueAmount: 12360,
+            loanAuthorityPerson1: new mongoose.Types.ObjectId(),
+            loanAuthorityPerson2: new mongoose.Types.ObjectId(),
+            loanElgibilityAmount: 45000,
+            ...fields
+        });
+
+        it('should read the interest percentage as an annual rate, matching the schedule', () => {
+            const loan = loanStaff({ interestType: 'flat' });
+            const schedule = LoanScheduleHelper.buildSchedule({ principal: 12000, annualRate: 12, tenureMonths: 6 });
+
+            expect(loan.interestAmount).toBe(720);
+            expect(loan.interestAmount).toBe(LoanScheduleHelper.totalInterest(schedule));
+        });
+
+        it('should follow the interest type and include top-ups', () => {
+            const loan = loanStaff({ interestType: 'reducing', loanTopupAmount: 3000 });
+            const schedule = LoanScheduleHelper.buildSchedule({ principal: 15000, annualRate: 12, tenureMonths: 6, interestType: 'reducing' });
+
+            expect(loan.interestAmount).toBe(LoanScheduleHelper.totalInterest(schedule));
+            expect(loan.toJSON().interestAmount).toBe(loan.interestAmount);
+        });
+    });
+});
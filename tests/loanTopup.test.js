@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const Loan = require('../src/models/Loan');
+const LoanStaff = require('../src/models/LoanStaff');
+const LoanInstalment = require('../src/models/LoanInstalment');
+const Settings = require('../src/models/Settings');
+const loanStaffService = require('../src/services/loanStaffService');
+
+describe('Loan Top-up', () => {
+    const staffId = new mongoose.Types.ObjectId();
+    const authority1 = new mongoose.Types.ObjectId();
+    const authority2 = new mongoose.Types.ObjectId();
+    const member = { _id: staffId, role: 'staff' };
+
+    const activeLoan = (fields = {}) => new LoanStaff({
+        financeYearId: new mongoose.Types.ObjectId(),
+        loanId: new mongoose.Types.ObjectId(),
+        staffId,
+        loanTakenAmount: 12000,
+        loanTakenMonth: 1,
+        loanInterestPercentage: 12,
+        loanTenureMonths: 12,
+        loanDueAmount: 9000,
+        loanAuthorityPerson1: authority1,
+        loanAuthorityPerson2: authority2,
+        loanElgibilityAmount: 45000,
+        loanStatus: 'active',
+        activatedAt: new Date(2025, 0, 10),
+        ...fields
+    });
+
+    // Scheme allows 10000 of top-up, the club 8000; three instalments must be repaid first
+    const stubLimits = ({ loan = { allowTopup: true, loanTopupAmount: 10000 }, overdue = [], paidCount = 3 } = {}) => {
+        jest.spyOn(Loan, 'findById').mockResolvedValue(loan);
+        jest.spyOn(Settings, 'getCurrentSettings').mockResolvedValue(new Settings({
+            loanMaxAmount: 50000,
+            topupLimit: 8000,
+            topupMinPaidInstalments: 3
+        }));
+        jest.spyOn(LoanInstalment, 'getOverdue').mockResolvedValue(overdue);
+        jest.spyOn(LoanInstalment, 'countDocuments').mockResolvedValue(paidCount);
+    };
+
+    const withLoan = loanStaff => {
+        jest.spyOn(LoanStaff, 'findById').mockResolvedValue(loanStaff);
+        return loanStaff;
+    };
+
+    beforeEach(() => {
+        jest.spyOn(LoanStaff.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('requestTopup', () => {
+        it('should raise a request within the lower of the scheme and club limits', async () => {
+            const loanStaff = withLoan(activeLoan());
+            stubLimits();
+
+            await loanStaffService.requestTopup(loanStaff._id, { topupAmount: 8000, reason: 'Medical' }, member);
+
+            expect(loanStaff.getPendingTopup()).toMatchObject({ topupAmount: 8000, reason: 'Medical', status: 'pending' });
+        });
+
+        it('should count earlier top-ups against the limit', async () => {
+            const loanStaff = withLoan(activeLoan({ loanTopupAmount: 5000 }));
+            stubLimits();
+
+            await expect(loanStaffService.requestTopup(loanStaff._id, { topupAmount: 3500 }, member))
+                .rejects.toThrow('Top-up amount cannot exceed the available top-up of 3000');
+        });
+
+        it('should refuse schemes that do not allow top-ups', async () => {
+            const loanStaff = withLoan(activeLoan());
+            stubLimits({ loan: { allowTopup: false, loanTopupAmount: 10000 } });
+
+            await expect(loanStaffService.requestTopup(loanStaff._id, { topupAmount: 1000 }, member))
+                .rejects.toThrow('Top-up is not allowed for this loan scheme');
+        });
+
+        it('should refuse members with overdue instalments', async () => {
+            const loanStaff = withLoan(activeLoan());
+            stubLimits({ overdue: [{ instalmentNumber: 4 }] });
+
+            await expect(loanStaffService.requestTopup(loanStaff._id, { topupAmount: 1000 }, member))
+                .rejects.toThrow('Top-up is not allowed while 1 instalment(s) are overdue');
+        });
+
+        it('should refuse members who have not repaid enough instalments', async () => {
+            const loanStaff = withLoan(activeLoan());
+            stubLimits({ paidCount: 2 });
+
+            await expect(loanStaffService.requestTopup(loanStaff._id, { topupAmount: 1000 }, member))
+                .rejects.toThrow('At least 3 instalments must be repaid before a top-up');
+        });
+
+        it('should only let members request a top-up on their own loan', async () => {
+            const loanStaff = withLoan(activeLoan());
+            stubLimits();
+
+            await expect(loanStaffService.requestTopup(loanStaff._id, { topupAmount: 1000 }, { _id: authority1, role: 'staff' }))
+                .rejects.toThrow('You can only request a top-up on your own loan');
+        });
+    });
+
+    describe('decideTopup', () => {
+        const requested = () => {
+            const loanStaff = withLoan(activeLoan());
+            loanStaff.topupRequests.push({ topupAmount: 4000, reason: 'Medical', requestedBy: staffId, requestedAt: new Date() });
+            return loanStaff;
+        };
+
+        it('should only take the top-up once both authority persons approve', async () => {
+            const loanStaff = requested();
+            const rebuild = jest.spyOn(LoanInstalment, 'rebuildSchedule').mockResolvedValue([]);
+
+            await loanStaffService.approveTopup(loanStaff._id, authority1);
+            expect(loanStaff.loanTopupAmount).toBe(0);
+            expect(rebuild).not.toHaveBeenCalled();
+
+            await loanStaffService.approveTopup(loanStaff._id, authority2);
+            expect(loanStaff.topupRequests[0].status).toBe('approved');
+            expect(loanStaff.loanTopupAmount).toBe(4000);
+            expect(rebuild).toHaveBeenCalledWith(loanStaff, { additionalPrincipal: 4000 });
+            expect(loanStaff.termsHistory.map(version => version.changeType)).toEqual(['original', 'topup']);
+        });
+
+        it('should drop the request on any rejection', async () => {
+            const loanStaff = requested();
+            const rebuild = jest.spyOn(LoanInstalment, 'rebuildSchedule').mockResolvedValue([]);
+
+            await loanStaffService.approveTopup(loanStaff._id, authority1);
+            await loanStaffService.rejectTopup(loanStaff._id, authority2, 'Too soon');
+
+            expect(loanStaff.topupRequests[0].status).toBe('rejected');
+            expect(loanStaff.loanTopupAmount).toBe(0);
+            expect(rebuild).not.toHaveBeenCalled();
+        });
+
+        it('should only take decisions from the named authority persons', async () => {
+            const loanStaff = requested();
+
+            await expect(loanStaffService.approveTopup(loanStaff._id, staffId))
+                .rejects.toThrow('Only the named authority persons can decide on this top-up');
+        });
+    });
+});
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Loan = require('../src/models/Loan');
+const LoanStaff = require('../src/models/LoanStaff');
+const Settings = require('../src/models/Settings');
+const StaffShare = require('../src/models/StaffShare');
+const User = require('../src/models/User');
+const loanStaffService = require('../src/services/loanStaffService');
+const loanEligibilityService = require('../src/services/loanEligibilityService');
+
+describe('Loan Waitlist', () => {
+    const loanId = new mongoose.Types.ObjectId();
+    const scheme = { _id: loanId, financeYearId: new mongoose.Types.ObjectId(), loanAmount: 50000, loanTotalStaffs: 2 };
+
+    const waitlisted = waitlistedAt => new LoanStaff({
+        financeYearId: scheme.financeYearId,
+        loanId,
+        staffId: new mongoose.Types.ObjectId(),
+        loanTakenAmount: 12000,
+        loanTakenMonth: 1,
+        loanInterestPercentage: 12,
+        loanTenureMonths: 12,
+        loanDueAmount: 13440,
+        loanAuthorityPerson1: new mongoose.Types.ObjectId(),
+        loanAuthorityPerson2: new mongoose.Types.ObjectId(),
+        loanElgibilityAmount: 45000,
+        loanStatus: 'waitlisted',
+        waitlistedAt
+    });
+
+    beforeEach(() => {
+        jest.spyOn(Loan, 'findById').mockResolvedValue(scheme);
+        jest.spyOn(LoanStaff.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('promoteFromWaitlist', () => {
+        // Stand in for the waitlist query, which returns the oldest applications first
+        const stubWaitlist = applications => {
+            const limit = jest.fn(count => Promise.resolve(applications.slice(0, count)));
+            jest.spyOn(LoanStaff, 'find').mockReturnValue({ sort: jest.fn().mockReturnValue({ limit }) });
+            return limit;
+        };
+
+        it('should move the oldest waitlisted applications into the free slots', async () => {
+            const oldest = waitlisted(new Date(2025, 0, 1));
+            const newer = waitlisted(new Date(2025, 0, 5));
+            jest.spyOn(LoanStaff, 'countFilledSlots').mockResolvedValue(1);
+            const limit = stubWaitlist([oldest, newer]);
+
+            const promoted = await LoanStaff.promoteFromWaitlist(loanId);
+
+            expect(limit).toHaveBeenCalledWith(1);
+            expect(promoted).toEqual([oldest]);
+            expect(oldest.loanStatus).toBe('pending');
+            expect(oldest.promotedAt).toBeInstanceOf(Date);
+            expect(newer.loanStatus).toBe('waitlisted');
+        });
+
+        it('should leave the waitlist alone while the scheme is full', async () => {
+            const application = waitlisted(new Date(2025, 0, 1));
+            jest.spyOn(LoanStaff, 'countFilledSlots').mockResolvedValue(2);
+            const limit = stubWaitlist([application]);
+
+            await expect(LoanStaff.promoteFromWaitlist(loanId)).resolves.toEqual([]);
+            expect(limit).not.toHaveBeenCalled();
+            expect(application.loanStatus).toBe('waitlisted');
+        });
+    });
+
+    describe('findOpenByStaff', () => {
+        it('should count waitlisted applications as open loans', () => {
+            const staffId = new mongoose.Types.ObjectId();
+            const find = jest.spyOn(LoanStaff, 'find').mockReturnValue([]);
+
+            LoanStaff.findOpenByStaff(staffId);
+
+            expect(find).toHaveBeenCalledWith({ staffId, loanStatus: { $in: ['waitlisted', 'pending', 'approved', 'active', 'defaulted'] } });
+        });
+
+        it('should refuse a new application while a waitlisted one takes up the member\'s limit', async () => {
+            jest.spyOn(User, 'findById').mockResolvedValue({ _id: new mongoose.Types.ObjectId(), status: 'active', joinDate: new Date(2020, 0, 1), currentSalary: 50000 });
+            jest.spyOn(Settings, 'getCurrentSettings').mockResolvedValue(new Settings({ maxActiveLoans: 1 }));
+            jest.spyOn(StaffShare, 'getTotalShares').mockResolvedValue([]);
+            jest.spyOn(LoanStaff, 'find').mockResolvedValue([{ loanStatus: 'waitlisted', loanDueAmount: 13440 }]);
+
+            const eligibility = await loanEligibilityService.getEligibility(new mongoose.Types.ObjectId());
+
+            expect(eligibility.eligible).toBe(false);
+            expect(eligibility.reasons).toContain('Staff member already has 1 open loan(s) waitlisted, pending, approved, active or defaulted');
+        });
+    });
+
+    describe('applyForLoan', () => {
+        const apply = () => loanStaffService.applyForLoan({
+            loanId,
+            staffId: new mongoose.Types.ObjectId(),
+            loanAuthorityPerson1: new mongoose.Types.ObjectId(),
+            loanAuthorityPerson2: new mongoose.Types.ObjectId(),
+            loanTakenAmount: 12000
+        });
+
+        beforeEach(() => {
+            jest.spyOn(User, 'findById').mockImplementation(async id => ({ _id: id }));
+            jest.spyOn(Settings, 'getCurrentSettings').mockResolvedValue(new Settings({ intrestPercentage: 12 }));
+            jest.spyOn(LoanStaff, 'findOne').mockResolvedValue(null);
+            jest.spyOn(loanEligibilityService, 'getEligibility').mockResolvedValue({ eligible: true, minAmount: 1000, eligibleAmount: 45000, reasons: [] });
+        });
+
+        it('should take the application as pending while the scheme has free slots', async () => {
+            jest.spyOn(LoanStaff, 'countFilledSlots').mockResolvedValue(1);
+
+            const loanStaff = await apply();
+
+            expect(loanStaff.loanStatus).toBe('pending');
+            expect(loanStaff.waitlistedAt).toBeNull();
+        });
+
+        it('should waitlist the application once the scheme is full', async () => {
+            jest.spyOn(LoanStaff, 'countFilledSlots').mockResolvedValue(2);
+
+            const loanStaff = await apply();
+
+            expect(loanStaff.loanStatus).toBe('waitlisted');
+            expect(loanStaff.waitlistedAt).toBeInstanceOf(Date);
+        });
+    });
+});
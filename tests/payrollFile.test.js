@@ -0,0 +1,65 @@
+const PayrollFileHelper = require('../src/helpers/payrollFileHelper');
+
+const lines = [
+    {
+        employeeId: 'EMP001',
+        staffName: 'Asha Rao',
+        loanAmount: 1120.5,
+        shareAmount: 500,
+        chitAmount: 0,
+        emergencyAmount: 83.33,
+        totalAmount: 1703.83
+    },
+    {
+        employeeId: 'EMP002',
+        staffName: 'Kumar, Ravi',
+        loanAmount: 0,
+        shareAmount: 500,
+        chitAmount: 2000,
+        emergencyAmount: 0,
+        totalAmount: 2500
+    }
+];
+
+describe('Payroll File Helper', () => {
+    it('should read back a CSV export with quoted values', () => {
+        const csv = PayrollFileHelper.toCsv(lines);
+        const rows = PayrollFileHelper.parse(csv, 'csv');
+
+        expect(csv.split('\n')[0]).toBe('employeeId,staffName,loanAmount,shareAmount,chitAmount,emergencyAmount,totalAmount,status');
+        expect(rows).toHaveLength(2);
+        expect(rows[0]).toMatchObject({ employeeId: 'EMP001', loanAmount: 1120.5, emergencyAmount: 83.33, totalAmount: 1703.83 });
+        expect(rows[1].staffName).toBe('Kumar, Ravi');
+    });
+
+    it('should take the column order from the CSV header', () => {
+        const rows = PayrollFileHelper.parseCsv('status,employeeId,loanAmount\r\nfailed,EMP002,0\r\ndeducted,EMP001,1120.50\r\n');
+
+        expect(rows).toEqual([
+            { status: 'failed', employeeId: 'EMP002', loanAmount: 0 },
+            { status: 'deducted', employeeId: 'EMP001', loanAmount: 1120.5 }
+        ]);
+        expect(() => PayrollFileHelper.parseCsv('staffName,loanAmount\nAsha,10\n')).toThrow('employeeId');
+    });
+
+    it('should write fixed-width records in paise with a header and trailer', () => {
+        const file = PayrollFileHelper.toFixedWidth(lines, { month: 4, year: 2024 });
+        const records = file.trim().split('\n');
+
+        expect(records[0]).toBe('H202404000002000000000420383');
+        expect(records[records.length - 1]).toBe('T000002000000000420383');
+        expect(records[1]).toHaveLength(1 + 12 + 30 + 5 * 12 + 10);
+
+        const rows = PayrollFileHelper.parse(file, 'fixed');
+        expect(rows).toHaveLength(2);
+        expect(rows[0]).toMatchObject({ employeeId: 'EMP001', staffName: 'Asha Rao', loanAmount: 1120.5, totalAmount: 1703.83 });
+        expect(rows[1]).toMatchObject({ employeeId: 'EMP002', chitAmount: 2000 });
+    });
+
+    it('should reject a fixed-width file whose trailer count does not match', () => {
+        const records = PayrollFileHelper.toFixedWidth(lines, { month: 4, year: 2024 }).trim().split('\n');
+        const truncated = [records[0], records[1], records[3]].join('\n');
+
+        expect(() => PayrollFileHelper.parse(truncated, 'fixed')).toThrow('Trailer expects 2 records but the file has 1');
+    });
+});
@@ -0,0 +1,45 @@
+const payrollService = require('../src/services/payrollService');
+
+describe('payrollService.applyToItems', () => {
+    const items = () => [
+        { referenceId: 'loan-1', amount: 1000, postedAmount: 0 },
+        { referenceId: 'loan-2', amount: 500, postedAmount: 0 }
+    ];
+
+    test('spreads the amount across items in order', async () => {
+        const posted = [];
+        const lineItems = items();
+
+        const applied = await payrollService.applyToItems(lineItems, 1200, async (item, amount) => {
+            posted.push([item.referenceId, amount]);
+            return true;
+        });
+
+        expect(applied).toBe(1200);
+        expect(posted).toEqual([['loan-1', 1000], ['loan-2', 200]]);
+        expect(lineItems.map(item => item.postedAmount)).toEqual([1000, 200]);
+    });
+
+    test('does not count parts whose posting failed', async () => {
+        const lineItems = items();
+
+        const applied = await payrollService.applyToItems(lineItems, 1500, async item => item.referenceId !== 'loan-1');
+
+        expect(applied).toBe(500);
+        expect(lineItems.map(item => item.postedAmount)).toEqual([0, 500]);
+    });
+
+    test('posts only the failed parts on a re-import', async () => {
+        const lineItems = items();
+        await payrollService.applyToItems(lineItems, 1500, async item => item.referenceId !== 'loan-1');
+
+        const posted = [];
+        const applied = await payrollService.applyToItems(lineItems, 1500, async (item, amount) => {
+            posted.push([item.referenceId, amount]);
+            return true;
+        });
+
+        expect(applied).toBe(1500);
+        expect(posted).toEqual([['loan-1', 1000]]);
+    });
+});